@@ -0,0 +1,64 @@
+// Stand-in for the Supabase client in unit tests. Every from(table) or rpc(name)
+// query records its chained calls and resolves to the next result queued for
+// that table or function (rpc results are queued under "rpc:<name>"). Queries
+// with nothing queued resolve to { data: null, error: null }.
+const results = new Map();
+const queries = [];
+
+const createQuery = (target) => {
+  const query = { target, calls: [] };
+  queries.push(query);
+
+  const builder = new Proxy({}, {
+    get: (_, method) => {
+      if (method === 'then') {
+        const queued = results.get(target) || [];
+        const result = queued.length > 0 ? queued.shift() : { data: null, error: null };
+        return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+      }
+      return (...args) => {
+        query.calls.push([method, ...args]);
+        return builder;
+      };
+    }
+  });
+
+  return builder;
+};
+
+const supabase = {
+  from: (table) => createQuery(table),
+  rpc: (name, params) => {
+    const builder = createQuery(`rpc:${name}`);
+    queries[queries.length - 1].params = params;
+    return builder;
+  }
+};
+
+// Queue the results the next queries on a table (or "rpc:<name>") resolve to
+const queueResults = (target, ...queuedResults) => {
+  results.set(target, [...(results.get(target) || []), ...queuedResults]);
+};
+
+// Queries made so far, optionally only those on one table or function
+const getQueries = (target = null) => queries.filter(query => !target || query.target === target);
+
+// The arguments of the first call to a method in a recorded query
+const callArgs = (query, method) => {
+  const call = query.calls.find(([name]) => name === method);
+  return call ? call.slice(1) : null;
+};
+
+const resetSupabaseMock = () => {
+  results.clear();
+  queries.length = 0;
+};
+
+module.exports = {
+  supabase,
+  supabasePublic: supabase,
+  queueResults,
+  getQueries,
+  callArgs,
+  resetSupabaseMock
+};
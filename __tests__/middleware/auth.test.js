@@ -0,0 +1,214 @@
+jest.mock('../../config/supabase', () => require('../helpers/supabaseMock'));
+
+const crypto = require('crypto');
+const { queueResults, getQueries, callArgs, resetSupabaseMock } = require('../helpers/supabaseMock');
+const {
+  generateToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  authenticateToken
+} = require('../../middleware/auth');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+const storedSession = (overrides = {}) => ({
+  id: 'session-1',
+  user_id: 'user-1',
+  refresh_token_hash: hash('current-token'),
+  previous_token_hash: hash('rotated-token'),
+  expires_at: inOneDay(),
+  revoked_at: null,
+  users: { id: 'user-1', role: 'tenant', is_active: true },
+  ...overrides
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+beforeEach(() => {
+  resetSupabaseMock();
+});
+
+describe('createSession', () => {
+  it('stores only the hash of the refresh token it returns', async () => {
+    queueResults('user_sessions', { data: { id: 'session-1' }, error: null });
+
+    const session = await createSession({ id: 'user-1', role: 'tenant' });
+
+    const [row] = callArgs(getQueries('user_sessions')[0], 'insert');
+    expect(row.user_id).toBe('user-1');
+    expect(row.refresh_token_hash).toBe(hash(session.refreshToken));
+    expect(row).not.toHaveProperty('refresh_token');
+    expect(session.sessionId).toBe('session-1');
+  });
+
+  it('throws when the session cannot be stored', async () => {
+    queueResults('user_sessions', { data: null, error: { message: 'insert failed' } });
+
+    await expect(createSession({ id: 'user-1', role: 'tenant' })).rejects.toThrow('Failed to create session');
+  });
+});
+
+describe('rotateSession', () => {
+  it('swaps the current refresh token for a new one', async () => {
+    queueResults('user_sessions',
+      { data: storedSession(), error: null },
+      { data: [{ id: 'session-1' }], error: null });
+
+    const rotated = await rotateSession('current-token');
+
+    expect(rotated).toMatchObject({ sessionId: 'session-1', userId: 'user-1' });
+    expect(rotated.refreshToken).not.toBe('current-token');
+
+    const update = getQueries('user_sessions')[1];
+    const [changes] = callArgs(update, 'update');
+    expect(changes.refresh_token_hash).toBe(hash(rotated.refreshToken));
+    expect(changes.previous_token_hash).toBe(hash('current-token'));
+    expect(callArgs(update, 'eq')).toEqual(['id', 'session-1']);
+    expect(update.calls).toContainEqual(['eq', 'refresh_token_hash', hash('current-token')]);
+    expect(update.calls).toContainEqual(['is', 'revoked_at', null]);
+  });
+
+  it('rejects unknown tokens', async () => {
+    queueResults('user_sessions', { data: null, error: { code: 'PGRST116' } });
+
+    expect(await rotateSession('unknown-token')).toBeNull();
+    expect(getQueries('user_sessions')).toHaveLength(1);
+  });
+
+  it('rejects revoked and expired sessions', async () => {
+    queueResults('user_sessions',
+      { data: storedSession({ revoked_at: new Date().toISOString() }), error: null },
+      { data: storedSession({ expires_at: new Date(Date.now() - 1000).toISOString() }), error: null });
+
+    expect(await rotateSession('current-token')).toBeNull();
+    expect(await rotateSession('current-token')).toBeNull();
+    expect(getQueries('user_sessions')).toHaveLength(2);
+  });
+
+  it('rejects sessions of deactivated users', async () => {
+    queueResults('user_sessions', {
+      data: storedSession({ users: { id: 'user-1', role: 'tenant', is_active: false } }),
+      error: null
+    });
+
+    expect(await rotateSession('current-token')).toBeNull();
+    expect(getQueries('user_sessions')).toHaveLength(1);
+  });
+
+  it('revokes the session when an already rotated token is presented again', async () => {
+    queueResults('user_sessions', { data: storedSession(), error: null });
+
+    expect(await rotateSession('rotated-token')).toBeNull();
+
+    const revoke = getQueries('user_sessions')[1];
+    expect(callArgs(revoke, 'update')[0]).toMatchObject({ revoked_reason: 'refresh_token_reuse' });
+    expect(callArgs(revoke, 'eq')).toEqual(['id', 'session-1']);
+  });
+
+  it('rejects the refresh when another refresh or a revocation got there first', async () => {
+    queueResults('user_sessions',
+      { data: storedSession(), error: null },
+      { data: [], error: null });
+
+    expect(await rotateSession('current-token')).toBeNull();
+  });
+
+  it('throws when the rotation fails', async () => {
+    queueResults('user_sessions',
+      { data: storedSession(), error: null },
+      { data: null, error: { message: 'update failed' } });
+
+    await expect(rotateSession('current-token')).rejects.toThrow('Failed to rotate session');
+  });
+});
+
+describe('revokeSession', () => {
+  it('marks an active session revoked with the reason', async () => {
+    await revokeSession('session-1');
+
+    const [query] = getQueries('user_sessions');
+    expect(callArgs(query, 'update')[0]).toMatchObject({ revoked_reason: 'logout' });
+    expect(query.calls).toContainEqual(['eq', 'id', 'session-1']);
+    expect(query.calls).toContainEqual(['is', 'revoked_at', null]);
+  });
+
+  it('throws when the session cannot be revoked', async () => {
+    queueResults('user_sessions', { data: null, error: { message: 'update failed' } });
+
+    await expect(revokeSession('session-1')).rejects.toThrow('Failed to revoke session');
+  });
+});
+
+describe('revokeUserSessions', () => {
+  it('revokes every active session of the user', async () => {
+    await revokeUserSessions('user-1', 'password_change');
+
+    const [query] = getQueries('user_sessions');
+    expect(callArgs(query, 'update')[0]).toMatchObject({ revoked_reason: 'password_change' });
+    expect(query.calls).toContainEqual(['eq', 'user_id', 'user-1']);
+    expect(callArgs(query, 'neq')).toBeNull();
+  });
+
+  it('can keep the current session', async () => {
+    await revokeUserSessions('user-1', 'password_change', 'session-1');
+
+    expect(getQueries('user_sessions')[0].calls).toContainEqual(['neq', 'id', 'session-1']);
+  });
+});
+
+describe('authenticateToken', () => {
+  const activeUser = { data: { id: 'user-1', role: 'tenant', is_active: true }, error: null };
+
+  const authenticate = async (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = mockResponse();
+    const next = jest.fn();
+    await authenticateToken(req, res, next);
+    return { req, res, next };
+  };
+
+  it('accepts an access token whose session is still active', async () => {
+    queueResults('users', activeUser);
+    queueResults('user_sessions', { data: { id: 'session-1', revoked_at: null, expires_at: inOneDay() }, error: null });
+
+    const { req, next } = await authenticate(generateToken('user-1', 'tenant', 'session-1'));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.sessionId).toBe('session-1');
+  });
+
+  it('rejects access tokens of a session revoked at logout', async () => {
+    queueResults('users', activeUser);
+    queueResults('user_sessions', {
+      data: { id: 'session-1', revoked_at: new Date().toISOString(), expires_at: inOneDay() },
+      error: null
+    });
+
+    const { res, next } = await authenticate(generateToken('user-1', 'tenant', 'session-1'));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('rejects tokens without a session', async () => {
+    queueResults('users', activeUser);
+
+    const { res, next } = await authenticate(generateToken('user-1', 'tenant', undefined));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { bedsNeeded, peakBedsTaken, countFreeBeds } = require('../../services/availability');
+
+const booking = (moveIn, moveOut, beds = 1) => ({ move_in_date: moveIn, move_out_date: moveOut, beds });
+
+describe('bedsNeeded', () => {
+  it('takes the beds asked for in a per-bed room and every bed otherwise', () => {
+    expect(bedsNeeded({ rent_per_bed: true, capacity: 4 }, 2)).toBe(2);
+    expect(bedsNeeded({ rent_per_bed: false, capacity: 4 }, 2)).toBe(4);
+    expect(bedsNeeded({ rent_per_bed: false }, 1)).toBe(1);
+  });
+});
+
+describe('peakBedsTaken', () => {
+  it('counts nothing for an empty room', () => {
+    expect(peakBedsTaken([], { start: '2024-03-01', end: '2024-04-01' })).toBe(0);
+  });
+
+  it('takes the busiest day rather than the sum of overlapping bookings', () => {
+    const bookings = [
+      booking('2024-03-01', '2024-03-10'),
+      booking('2024-03-10', '2024-03-20'),
+      booking('2024-03-05', '2024-03-25', 2)
+    ];
+
+    expect(peakBedsTaken(bookings, { start: '2024-03-01', end: '2024-04-01' })).toBe(3);
+  });
+
+  it('ignores bookings outside the range, treating move-out as exclusive', () => {
+    const bookings = [booking('2024-02-01', '2024-03-01', 2), booking('2024-04-01', null, 2)];
+    expect(peakBedsTaken(bookings, { start: '2024-03-01', end: '2024-04-01' })).toBe(0);
+  });
+
+  it('counts open-ended bookings and open-ended ranges', () => {
+    const bookings = [booking('2024-01-01', null), booking('2024-06-01', null, 2)];
+
+    expect(peakBedsTaken(bookings, { start: '2024-03-01', end: '2024-04-01' })).toBe(1);
+    expect(peakBedsTaken(bookings, { start: '2024-03-01', end: null })).toBe(3);
+  });
+
+  it('counts one bed for bookings without a bed count', () => {
+    expect(peakBedsTaken([{ move_in_date: '2024-03-01', move_out_date: null }], { start: '2024-03-01', end: null })).toBe(1);
+  });
+});
+
+describe('countFreeBeds', () => {
+  const room = { capacity: 4, rent_per_bed: true };
+
+  it('leaves the beds not taken on the busiest day', () => {
+    const bookings = [booking('2024-03-01', '2024-03-15', 2), booking('2024-03-10', null)];
+    expect(countFreeBeds(room, bookings, '2024-03-01', '2024-04-01')).toBe(1);
+    expect(countFreeBeds(room, bookings, '2024-03-15', '2024-04-01')).toBe(3);
+  });
+
+  it('never goes below zero for an overbooked room', () => {
+    expect(countFreeBeds(room, [booking('2024-03-01', null, 5)], '2024-03-01', null)).toBe(0);
+  });
+
+  it('treats a room without a capacity as a single bed', () => {
+    expect(countFreeBeds({}, [], '2024-03-01', null)).toBe(1);
+  });
+});
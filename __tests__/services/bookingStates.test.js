@@ -0,0 +1,46 @@
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { BOOKING_TRANSITIONS, canTransition } = require('../../services/bookingStates');
+
+describe('booking transitions', () => {
+  it.each([
+    ['pending', 'approved'],
+    ['pending', 'rejected'],
+    ['pending', 'cancelled'],
+    ['pending', 'expired'],
+    ['approved', 'active'],
+    ['approved', 'cancelled'],
+    ['active', 'checked_out']
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['pending', 'active'],
+    ['pending', 'checked_out'],
+    ['approved', 'rejected'],
+    ['approved', 'expired'],
+    ['active', 'cancelled'],
+    ['active', 'pending']
+  ])('refuses %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  it('treats checked out, rejected, cancelled and expired bookings as final', () => {
+    ['checked_out', 'rejected', 'cancelled', 'expired'].forEach(status => {
+      expect(BOOKING_TRANSITIONS[status]).toEqual([]);
+      Object.keys(BOOKING_TRANSITIONS).forEach(to => expect(canTransition(status, to)).toBe(false));
+    });
+  });
+
+  it('only leads to known statuses', () => {
+    Object.values(BOOKING_TRANSITIONS).flat().forEach(to => {
+      expect(BOOKING_TRANSITIONS).toHaveProperty(to);
+    });
+  });
+
+  it('refuses unknown statuses', () => {
+    expect(canTransition('unknown', 'approved')).toBe(false);
+    expect(canTransition('pending', 'unknown')).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { summarizeSla } = require('../../services/complaintSla');
+
+const now = new Date('2024-03-10T12:00:00Z');
+
+const complaint = (overrides) => ({
+  created_at: '2024-03-01T00:00:00Z',
+  response_due_at: '2024-03-02T00:00:00Z',
+  resolution_due_at: '2024-03-08T00:00:00Z',
+  first_response_at: null,
+  resolved_at: null,
+  response_breached_at: null,
+  resolution_breached_at: null,
+  ...overrides
+});
+
+describe('summarizeSla', () => {
+  it('reports no percentages or mean time for no complaints', () => {
+    expect(summarizeSla([], now)).toEqual({
+      total: 0,
+      breachedCount: 0,
+      responseCompliance: null,
+      resolutionCompliance: null,
+      meanTimeToResolutionHours: null
+    });
+  });
+
+  it('measures deadlines that were met or have passed', () => {
+    const summary = summarizeSla([
+      // Answered and resolved on time
+      complaint({ first_response_at: '2024-03-01T06:00:00Z', resolved_at: '2024-03-03T00:00:00Z' }),
+      // Answered late, resolved late
+      complaint({
+        first_response_at: '2024-03-03T00:00:00Z',
+        resolved_at: '2024-03-09T00:00:00Z',
+        response_breached_at: '2024-03-02T00:15:00Z',
+        resolution_breached_at: '2024-03-08T00:15:00Z'
+      }),
+      // Never answered, both deadlines passed
+      complaint({ response_breached_at: '2024-03-02T00:15:00Z', resolution_breached_at: '2024-03-08T00:15:00Z' })
+    ], now);
+
+    expect(summary).toEqual({
+      total: 3,
+      breachedCount: 2,
+      responseCompliance: 33.3,
+      resolutionCompliance: 33.3,
+      meanTimeToResolutionHours: 120
+    });
+  });
+
+  it('leaves complaints still inside their window out of the percentages', () => {
+    const summary = summarizeSla([
+      complaint({ first_response_at: '2024-03-01T06:00:00Z' }),
+      complaint({ response_due_at: '2024-03-11T00:00:00Z', resolution_due_at: '2024-03-20T00:00:00Z' })
+    ], now);
+
+    expect(summary.responseCompliance).toBe(100);
+    expect(summary.resolutionCompliance).toBe(0);
+    expect(summary.meanTimeToResolutionHours).toBeNull();
+  });
+
+  it('skips complaints without deadlines', () => {
+    const summary = summarizeSla([complaint({ response_due_at: null, resolution_due_at: null })], now);
+
+    expect(summary.total).toBe(1);
+    expect(summary.responseCompliance).toBeNull();
+    expect(summary.resolutionCompliance).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { COMPLAINT_TRANSITIONS, canTransition } = require('../../services/complaintStates');
+
+describe('complaint transitions', () => {
+  it.each([
+    ['pending', 'in_progress'],
+    ['pending', 'resolved'],
+    ['pending', 'closed'],
+    ['in_progress', 'resolved'],
+    ['in_progress', 'closed'],
+    ['resolved', 'in_progress'],
+    ['resolved', 'closed']
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['in_progress', 'pending'],
+    ['resolved', 'pending'],
+    ['pending', 'pending'],
+    ['resolved', 'resolved']
+  ])('refuses %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  it('treats closed complaints as final', () => {
+    expect(COMPLAINT_TRANSITIONS.closed).toEqual([]);
+    Object.keys(COMPLAINT_TRANSITIONS).forEach(to => expect(canTransition('closed', to)).toBe(false));
+  });
+
+  it('only leads to known statuses', () => {
+    Object.values(COMPLAINT_TRANSITIONS).flat().forEach(to => {
+      expect(COMPLAINT_TRANSITIONS).toHaveProperty(to);
+    });
+  });
+});
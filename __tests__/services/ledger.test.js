@@ -0,0 +1,86 @@
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { rentPeriods, bookingCharges, buildBookingInvoices } = require('../../services/ledger');
+
+describe('rentPeriods', () => {
+  it('prorates the first month and bills whole calendar months after it', () => {
+    expect(rentPeriods('2024-01-15', null, '2024-03-10', 3100)).toEqual([
+      { start: '2024-01-15', end: '2024-01-31', amount: 1700 },
+      { start: '2024-02-01', end: '2024-02-29', amount: 3100 },
+      { start: '2024-03-01', end: '2024-03-31', amount: 3100 }
+    ]);
+  });
+
+  it('stops the day before move-out and prorates the last month', () => {
+    expect(rentPeriods('2024-01-15', '2024-02-10', '2024-03-10', 3100)).toEqual([
+      { start: '2024-01-15', end: '2024-01-31', amount: 1700 },
+      { start: '2024-02-01', end: '2024-02-09', amount: 962.07 }
+    ]);
+  });
+
+  it('bills nothing before move-in or for a stay that ends on its first day', () => {
+    expect(rentPeriods('2024-03-01', null, '2024-02-28', 3000)).toEqual([]);
+    expect(rentPeriods('2024-03-01', '2024-03-01', '2024-03-10', 3000)).toEqual([]);
+  });
+
+  it('only bills periods that have started by today', () => {
+    expect(rentPeriods('2024-01-01', '2024-06-01', '2024-01-31', 3000)).toEqual([
+      { start: '2024-01-01', end: '2024-01-31', amount: 3000 }
+    ]);
+  });
+});
+
+describe('bookingCharges', () => {
+  it('charges per bed taken in a per-bed room', () => {
+    expect(bookingCharges({ rent_amount: '4000', deposit_amount: '2000', rent_per_bed: true }, 2))
+      .toEqual({ rent: 8000, deposit: 4000 });
+  });
+
+  it('charges the whole room otherwise', () => {
+    expect(bookingCharges({ rent_amount: '4000', deposit_amount: null, rent_per_bed: false }, 2))
+      .toEqual({ rent: 4000, deposit: 0 });
+  });
+});
+
+describe('buildBookingInvoices', () => {
+  const booking = {
+    id: 'booking-1',
+    tenant_id: 'tenant-1',
+    property_id: 'property-1',
+    room_id: 'room-1',
+    move_in_date: '2024-01-15',
+    move_out_date: null,
+    beds: 1,
+    rooms: { rent_amount: '3100', deposit_amount: '5000', rent_per_bed: false }
+  };
+
+  const base = {
+    booking_id: 'booking-1',
+    tenant_id: 'tenant-1',
+    property_id: 'property-1',
+    room_id: 'room-1'
+  };
+
+  it('issues the deposit on move-in and each rent period with its due date', () => {
+    expect(buildBookingInvoices(booking, '2024-02-05', 5)).toEqual([
+      { ...base, invoice_type: 'deposit', period_start: '2024-01-15', period_end: '2024-01-15', amount: 5000, due_date: '2024-01-15' },
+      { ...base, invoice_type: 'rent', period_start: '2024-01-15', period_end: '2024-01-31', amount: 1700, due_date: '2024-01-20' },
+      { ...base, invoice_type: 'rent', period_start: '2024-02-01', period_end: '2024-02-29', amount: 3100, due_date: '2024-02-06' }
+    ]);
+  });
+
+  it('leaves the deposit out for bookings on either side of a transfer', () => {
+    const invoices = buildBookingInvoices(booking, '2024-02-05', 5, { includeDeposit: false });
+    expect(invoices.map(invoice => invoice.invoice_type)).toEqual(['rent', 'rent']);
+  });
+
+  it('leaves the deposit out when the room asks for none', () => {
+    const invoices = buildBookingInvoices({ ...booking, rooms: { ...booking.rooms, deposit_amount: '0' } }, '2024-01-20', 5);
+    expect(invoices.map(invoice => invoice.invoice_type)).toEqual(['rent']);
+  });
+
+  it('falls back to the creation date when the booking has no move-in date', () => {
+    const invoices = buildBookingInvoices({ ...booking, move_in_date: null, created_at: '2024-01-15T10:00:00Z' }, '2024-01-20', 5);
+    expect(invoices[0].period_start).toBe('2024-01-15');
+  });
+});
@@ -0,0 +1,154 @@
+jest.mock('../../config/supabase', () => require('../helpers/supabaseMock'));
+
+const { queueResults, getQueries, callArgs, resetSupabaseMock } = require('../helpers/supabaseMock');
+const fake = require('../../services/paymentProviders/fake');
+const { getConfiguredProvider } = require('../../services/paymentProviders');
+const { startPayment, handleWebhookEvent } = require('../../services/payments');
+
+const confirmedPayment = (overrides = {}) => ({
+  id: 'payment-1',
+  invoice_id: 'invoice-1',
+  provider: 'fake',
+  provider_payment_id: 'fake_pay_1',
+  amount: 500,
+  currency: 'INR',
+  status: 'succeeded',
+  ledger_entry_id: 'entry-1',
+  ...overrides
+});
+
+// Verify a freshly signed fake webhook the way the webhook route does
+const fakeEvent = (type, providerPaymentId = 'fake_pay_1') => {
+  const webhook = fake.buildWebhook(type, providerPaymentId);
+  return fake.verifyWebhook(Buffer.from(webhook.body), webhook.headers);
+};
+
+beforeEach(() => {
+  resetSupabaseMock();
+  process.env.PAYMENT_PROVIDER = 'fake';
+  process.env.PAYMENT_WEBHOOK_SECRET = 'webhook-secret';
+});
+
+describe('getConfiguredProvider', () => {
+  it('returns the fake provider on a test instance', () => {
+    expect(getConfiguredProvider()).toEqual({ name: 'fake', provider: fake });
+  });
+
+  it('returns null without a provider, a webhook secret or a known provider name', () => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    expect(getConfiguredProvider()).toBeNull();
+
+    process.env.PAYMENT_WEBHOOK_SECRET = 'webhook-secret';
+    delete process.env.PAYMENT_PROVIDER;
+    expect(getConfiguredProvider()).toBeNull();
+
+    process.env.PAYMENT_PROVIDER = 'unknown';
+    expect(getConfiguredProvider()).toBeNull();
+  });
+
+  it('refuses to start a payment when payments are not configured', async () => {
+    delete process.env.PAYMENT_PROVIDER;
+
+    await expect(startPayment({ id: 'invoice-1' }, 500)).rejects.toThrow('Online payments are not configured');
+    expect(getQueries()).toHaveLength(0);
+  });
+});
+
+describe('fake provider webhooks', () => {
+  it('accepts a webhook signed with the webhook secret', () => {
+    expect(fakeEvent('payment.succeeded')).toMatchObject({
+      type: 'payment.succeeded',
+      providerPaymentId: 'fake_pay_1',
+      providerRefundId: null
+    });
+  });
+
+  it('rejects a tampered body', () => {
+    const webhook = fake.buildWebhook('payment.failed', 'fake_pay_1');
+    const tampered = webhook.body.replace('payment.failed', 'payment.succeeded');
+
+    expect(() => fake.verifyWebhook(Buffer.from(tampered), webhook.headers)).toThrow('Invalid webhook signature');
+  });
+
+  it('rejects a missing signature or one made with another secret', () => {
+    const webhook = fake.buildWebhook('payment.succeeded', 'fake_pay_1');
+    expect(() => fake.verifyWebhook(Buffer.from(webhook.body), {})).toThrow('Invalid webhook signature');
+
+    process.env.PAYMENT_WEBHOOK_SECRET = 'another-secret';
+    expect(() => fake.verifyWebhook(Buffer.from(webhook.body), webhook.headers)).toThrow('Invalid webhook signature');
+  });
+});
+
+describe('handleWebhookEvent', () => {
+  it('confirms a successful payment against its invoice and notifies tenant and owner', async () => {
+    const event = fakeEvent('payment.succeeded');
+    queueResults('payment_webhook_events', { data: { id: 'event-row-1' }, error: null });
+    queueResults('rpc:confirm_online_payment', { data: confirmedPayment(), error: null });
+    queueResults('invoices', {
+      data: {
+        due_date: '2024-03-06',
+        tenants: { name: 'Asha', user_id: 'tenant-user' },
+        properties: { name: 'Sunrise', owners: { user_id: 'owner-user' } }
+      },
+      error: null
+    });
+
+    expect(await handleWebhookEvent('fake', event)).toBe(true);
+
+    const [recorded] = getQueries('payment_webhook_events');
+    expect(callArgs(recorded, 'insert')[0]).toMatchObject({ provider: 'fake', event_id: event.id, event_type: 'payment.succeeded' });
+
+    const [confirm] = getQueries('rpc:confirm_online_payment');
+    expect(confirm.params).toEqual({ p_provider: 'fake', p_provider_payment_id: 'fake_pay_1' });
+
+    const [notifications] = getQueries('notifications');
+    expect(callArgs(notifications, 'insert')[0].map(notification => notification.user_id))
+      .toEqual(['tenant-user', 'owner-user']);
+  });
+
+  it('skips an event whose id was already recorded', async () => {
+    queueResults('payment_webhook_events', { data: null, error: { code: '23505', message: 'duplicate key value' } });
+
+    expect(await handleWebhookEvent('fake', fakeEvent('payment.succeeded'))).toBe(false);
+    expect(getQueries('rpc:confirm_online_payment')).toHaveLength(0);
+    expect(getQueries('notifications')).toHaveLength(0);
+  });
+
+  it('forgets the event when processing fails so the provider retry is handled', async () => {
+    queueResults('payment_webhook_events', { data: { id: 'event-row-1' }, error: null });
+    queueResults('rpc:confirm_online_payment', { data: null, error: { message: 'connection lost' } });
+
+    await expect(handleWebhookEvent('fake', fakeEvent('payment.succeeded'))).rejects.toThrow('Failed to confirm payment');
+
+    const [, cleanup] = getQueries('payment_webhook_events');
+    expect(callArgs(cleanup, 'delete')).toEqual([]);
+    expect(callArgs(cleanup, 'eq')).toEqual(['id', 'event-row-1']);
+  });
+
+  it('refunds a payment that arrived after the invoice was settled another way', async () => {
+    queueResults('payment_webhook_events', { data: { id: 'event-row-1' }, error: null });
+    queueResults('rpc:confirm_online_payment', {
+      data: confirmedPayment({ status: 'requires_refund', ledger_entry_id: null }),
+      error: null
+    });
+
+    expect(await handleWebhookEvent('fake', fakeEvent('payment.succeeded'))).toBe(true);
+
+    const [refunded] = getQueries('online_payments');
+    expect(callArgs(refunded, 'update')[0]).toMatchObject({ status: 'refunded' });
+    expect(callArgs(refunded, 'eq')).toEqual(['id', 'payment-1']);
+    expect(getQueries('rpc:record_refund')).toHaveLength(0);
+    expect(getQueries('notifications')).toHaveLength(0);
+  });
+
+  it('marks a failed payment failed while it is still pending', async () => {
+    queueResults('payment_webhook_events', { data: { id: 'event-row-1' }, error: null });
+
+    expect(await handleWebhookEvent('fake', fakeEvent('payment.failed'))).toBe(true);
+
+    const [failed] = getQueries('online_payments');
+    expect(callArgs(failed, 'update')[0]).toMatchObject({ status: 'failed' });
+    expect(failed.calls).toContainEqual(['eq', 'provider_payment_id', 'fake_pay_1']);
+    expect(failed.calls).toContainEqual(['eq', 'status', 'pending']);
+  });
+});
@@ -0,0 +1,94 @@
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri,
+  generateRecoveryCodes
+} = require('../../services/totp');
+
+// The RFC 6238 test seed "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe('generateCode', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateCode(RFC_SECRET, stepAt(59))).toBe('287082');
+    expect(generateCode(RFC_SECRET, stepAt(1111111109))).toBe('081804');
+    expect(generateCode(RFC_SECRET, stepAt(1234567890))).toBe('005924');
+    expect(generateCode(RFC_SECRET, stepAt(2000000000))).toBe('279037');
+  });
+
+  it('accepts lower case secrets with padding and spaces', () => {
+    expect(generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==', stepAt(59))).toBe('287082');
+  });
+
+  it('rejects secrets that are not base32', () => {
+    expect(() => generateCode('not-base32!', 1)).toThrow('Invalid base32 secret');
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1234567890 * 1000;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the matched time step for the current code', () => {
+    expect(verifyCode(RFC_SECRET, '005924')).toBe(stepAt(1234567890));
+  });
+
+  it('allows one step of clock drift either way', () => {
+    const step = stepAt(1234567890);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  it('ignores spaces in the code', () => {
+    expect(verifyCode(RFC_SECRET, '005 924')).toBe(stepAt(1234567890));
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '')).toBeNull();
+    expect(verifyCode(RFC_SECRET, null)).toBeNull();
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+  });
+});
+
+describe('generateSecret', () => {
+  it('returns a 160-bit base32 secret that codes can be generated from', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateCode(secret, 1)).toMatch(/^\d{6}$/);
+  });
+});
+
+describe('buildProvisioningUri', () => {
+  it('encodes the issuer, account and code parameters', () => {
+    const uri = buildProvisioningUri(RFC_SECRET, 'tenant@example.com', 'TenantFlow');
+    const [label, query] = uri.split('?');
+    const params = new URLSearchParams(query);
+
+    expect(label).toBe('otpauth://totp/TenantFlow%3Atenant%40example.com');
+    expect(params.get('secret')).toBe(RFC_SECRET);
+    expect(params.get('issuer')).toBe('TenantFlow');
+    expect(params.get('digits')).toBe('6');
+    expect(params.get('period')).toBe('30');
+  });
+});
+
+describe('generateRecoveryCodes', () => {
+  it('returns the requested number of distinct codes', () => {
+    const codes = generateRecoveryCodes(5);
+    expect(codes).toHaveLength(5);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/));
+    expect(new Set(codes).size).toBe(5);
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const {
+  WORK_ORDER_TRANSITIONS,
+  OPEN_WORK_ORDER_STATUSES,
+  canTransition,
+  summarizeMaintenanceExpenses
+} = require('../../services/workOrders');
+
+describe('work order transitions', () => {
+  it.each([
+    ['open', 'scheduled'],
+    ['open', 'in_progress'],
+    ['open', 'completed'],
+    ['open', 'cancelled'],
+    ['scheduled', 'in_progress'],
+    ['scheduled', 'completed'],
+    ['scheduled', 'cancelled'],
+    ['in_progress', 'completed'],
+    ['in_progress', 'cancelled']
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['scheduled', 'open'],
+    ['in_progress', 'scheduled'],
+    ['in_progress', 'open']
+  ])('refuses %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  it('treats completed and cancelled orders as final', () => {
+    ['completed', 'cancelled'].forEach(status => {
+      expect(WORK_ORDER_TRANSITIONS[status]).toEqual([]);
+      Object.keys(WORK_ORDER_TRANSITIONS).forEach(to => expect(canTransition(status, to)).toBe(false));
+    });
+  });
+
+  it('lists every status that can still move as open', () => {
+    const open = Object.keys(WORK_ORDER_TRANSITIONS).filter(status => WORK_ORDER_TRANSITIONS[status].length > 0);
+    expect(OPEN_WORK_ORDER_STATUSES).toEqual(open);
+  });
+});
+
+describe('summarizeMaintenanceExpenses', () => {
+  it('totals completed work orders per property by month and trade', () => {
+    const summary = summarizeMaintenanceExpenses([
+      { property_id: 'p1', properties: { name: 'Sunrise' }, cost: '100.10', completed_at: '2024-03-05T10:00:00Z', vendors: { trade: 'plumbing' } },
+      { property_id: 'p1', properties: { name: 'Sunrise' }, cost: '200.20', completed_at: '2024-04-01T10:00:00Z', vendors: { trade: 'plumbing' } },
+      { property_id: 'p1', properties: { name: 'Sunrise' }, cost: null, completed_at: '2024-04-02T10:00:00Z', vendors: null },
+      { property_id: 'p2', properties: null, cost: '50', completed_at: '2024-03-20T10:00:00Z', vendors: { trade: 'electrical' } }
+    ]);
+
+    expect(summary).toEqual([
+      {
+        propertyId: 'p1',
+        propertyName: 'Sunrise',
+        workOrderCount: 3,
+        totalCost: 300.3,
+        byMonth: { '2024-03': 100.1, '2024-04': 200.2 },
+        byTrade: { plumbing: 300.3, unassigned: 0 }
+      },
+      {
+        propertyId: 'p2',
+        propertyName: null,
+        workOrderCount: 1,
+        totalCost: 50,
+        byMonth: { '2024-03': 50 },
+        byTrade: { electrical: 50 }
+      }
+    ]);
+  });
+
+  it('returns nothing for no work orders', () => {
+    expect(summarizeMaintenanceExpenses([])).toEqual([]);
+  });
+});
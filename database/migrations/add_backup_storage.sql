@@ -0,0 +1,8 @@
+-- Migration script to move backup archives into Supabase Storage
+-- Run this script if you have an existing database
+-- Archives taken before this change stay under the old BACKUP_PATH directory;
+-- upload each one to the bucket under its file_name to keep it downloadable and restorable.
+
+-- Private Supabase Storage bucket for backup archives (BACKUP_BUCKET, default backups)
+INSERT INTO storage.buckets (id, name, public) VALUES ('backups', 'backups', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,79 @@
+-- Migration script to persist backups and restore them transactionally
+-- Run this script if you have an existing database
+
+-- Backups table (archives written to BACKUP_PATH; checksum is the sha256 of the file)
+CREATE TABLE IF NOT EXISTS backups (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    version BIGSERIAL UNIQUE, -- increases with every backup taken
+    file_name VARCHAR(255) UNIQUE NOT NULL,
+    file_size BIGINT NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    encrypted BOOLEAN DEFAULT false,
+    format_version INTEGER NOT NULL,
+    manifest JSONB NOT NULL, -- tables, row counts, columns and per-table checksums
+    label VARCHAR(255),
+    source VARCHAR(20) DEFAULT 'manual', -- manual, scheduled, pre_restore
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_backups_created_at ON backups(created_at);
+
+-- Restore backup rows in a single transaction: rows missing from the backup are
+-- deleted children first, then backup rows are inserted or updated parents first.
+-- Only columns present in the backup are written. Any error rolls everything back.
+CREATE OR REPLACE FUNCTION restore_backup(
+    p_tables JSONB,
+    p_table_order TEXT[]
+) RETURNS JSONB AS $$
+DECLARE
+    tbl TEXT;
+    tbl_rows JSONB;
+    column_list TEXT;
+    update_list TEXT;
+    current_list TEXT;
+    excluded_list TEXT;
+    affected INTEGER;
+    summary JSONB := '{}'::jsonb;
+BEGIN
+    FOR i IN REVERSE array_upper(p_table_order, 1)..1 LOOP
+        tbl := p_table_order[i];
+        EXECUTE format(
+            'DELETE FROM %I WHERE id NOT IN (SELECT (r->>''id'')::uuid FROM jsonb_array_elements($1) r)',
+            tbl
+        ) USING COALESCE(p_tables->tbl, '[]'::jsonb);
+        GET DIAGNOSTICS affected = ROW_COUNT;
+        summary := summary || jsonb_build_object(tbl, jsonb_build_object('deleted', affected, 'upserted', 0));
+    END LOOP;
+
+    FOREACH tbl IN ARRAY p_table_order LOOP
+        tbl_rows := COALESCE(p_tables->tbl, '[]'::jsonb);
+        CONTINUE WHEN jsonb_array_length(tbl_rows) = 0;
+
+        SELECT
+            string_agg(quote_ident(c.column_name), ', ' ORDER BY c.ordinal_position),
+            string_agg(format('%I = EXCLUDED.%I', c.column_name, c.column_name), ', ' ORDER BY c.ordinal_position),
+            string_agg(format('%I.%I', tbl, c.column_name), ', ' ORDER BY c.ordinal_position),
+            string_agg(format('EXCLUDED.%I', c.column_name), ', ' ORDER BY c.ordinal_position)
+        INTO column_list, update_list, current_list, excluded_list
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND tbl_rows->0 ? c.column_name;
+
+        EXECUTE format(
+            'INSERT INTO %1$I (%2$s) SELECT %2$s FROM jsonb_populate_recordset(NULL::%1$I, $1)
+             ON CONFLICT (id) DO UPDATE SET %3$s WHERE ROW(%4$s) IS DISTINCT FROM ROW(%5$s)',
+            tbl, column_list, update_list, current_list, excluded_list
+        ) USING tbl_rows;
+        GET DIAGNOSTICS affected = ROW_COUNT;
+        summary := jsonb_set(summary, ARRAY[tbl, 'upserted'], to_jsonb(affected));
+    END LOOP;
+
+    RETURN summary;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Admins can list and download backups
+UPDATE roles SET permissions = array_append(permissions, 'backups:read')
+WHERE name = 'admin' AND NOT ('backups:read' = ANY(permissions));
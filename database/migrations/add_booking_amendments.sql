@@ -0,0 +1,154 @@
+-- Migration script to add booking change requests
+-- Run this script if you have an existing database
+
+-- Booking amendments table (tenant-proposed date or note changes, approved by the owner)
+CREATE TABLE IF NOT EXISTS booking_amendments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    previous_move_in_date DATE, -- booking dates when the change was requested
+    previous_move_out_date DATE,
+    proposed_move_in_date DATE,
+    proposed_move_out_date DATE, -- NULL keeps the booking open-ended
+    proposed_notes TEXT, -- replaces the booking's tenant notes when set
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'requested', -- requested, approved, rejected, cancelled
+    owner_notes TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_amendments_booking_id ON booking_amendments(booking_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_amendments_open_booking ON booking_amendments(booking_id) WHERE status = 'requested';
+CREATE INDEX IF NOT EXISTS idx_booking_amendments_property_id ON booking_amendments(property_id);
+
+CREATE TRIGGER update_booking_amendments_updated_at BEFORE UPDATE ON booking_amendments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply an approved booking change in one transaction: the booking takes the
+-- proposed dates and notes, its deposit falls due on the new move-in date, rent
+-- already invoiced is prorated to the new move-out date (refunding anything paid
+-- beyond it) and the room's status is refreshed. Approved and checked-in bookings
+-- need enough free beds for the new dates. Errors: BA001 change already reviewed,
+-- BA002 booking dates changed since the request, BK001 booking or move-in date
+-- can no longer change, BK003 not enough free beds.
+CREATE OR REPLACE FUNCTION apply_booking_amendment(
+    p_amendment_id UUID,
+    p_reviewed_by UUID,
+    p_notes TEXT DEFAULT NULL
+) RETURNS booking_amendments AS $$
+DECLARE
+    amendment booking_amendments;
+    booking bookings;
+    booked_room rooms;
+    rent invoices;
+    new_end DATE;
+    kept_amount DECIMAL;
+BEGIN
+    SELECT * INTO amendment FROM booking_amendments WHERE id = p_amendment_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking change not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF amendment.status <> 'requested' THEN
+        RAISE EXCEPTION 'Booking change has already been %', amendment.status USING ERRCODE = 'BA001';
+    END IF;
+
+    SELECT * INTO booking FROM bookings WHERE id = amendment.booking_id FOR UPDATE;
+
+    IF booking.status NOT IN ('pending', 'approved', 'active') THEN
+        RAISE EXCEPTION 'A % booking cannot be changed', booking.status USING ERRCODE = 'BK001';
+    END IF;
+
+    IF booking.move_in_date IS DISTINCT FROM amendment.previous_move_in_date
+       OR booking.move_out_date IS DISTINCT FROM amendment.previous_move_out_date THEN
+        RAISE EXCEPTION 'Booking dates have changed since the request' USING ERRCODE = 'BA002';
+    END IF;
+
+    -- Once the tenant has moved in, or rent is being invoiced, only the move-out date can change
+    IF amendment.proposed_move_in_date IS DISTINCT FROM booking.move_in_date
+       AND (booking.status = 'active' OR booking.move_in_date <= CURRENT_DATE) THEN
+        RAISE EXCEPTION 'The move-in date can no longer change' USING ERRCODE = 'BK001';
+    END IF;
+
+    -- Lock the room so concurrent approvals count each other's beds
+    SELECT * INTO booked_room FROM rooms WHERE id = booking.room_id FOR UPDATE;
+
+    IF booking.status IN ('approved', 'active')
+       AND room_beds_taken(booking.room_id, amendment.proposed_move_in_date, amendment.proposed_move_out_date, booking.id)
+           + booking.beds > booked_room.capacity THEN
+        RAISE EXCEPTION 'Not enough free beds in room % for the new dates', booked_room.room_number USING ERRCODE = 'BK003';
+    END IF;
+
+    UPDATE bookings SET
+        move_in_date = amendment.proposed_move_in_date,
+        move_out_date = amendment.proposed_move_out_date,
+        tenant_notes = COALESCE(amendment.proposed_notes, tenant_notes),
+        updated_at = NOW()
+    WHERE id = booking.id
+    RETURNING * INTO booking;
+
+    IF amendment.proposed_move_in_date IS DISTINCT FROM amendment.previous_move_in_date THEN
+        UPDATE invoices SET
+            period_start = booking.move_in_date,
+            period_end = booking.move_in_date,
+            due_date = booking.move_in_date,
+            updated_at = NOW()
+        WHERE booking_id = booking.id AND invoice_type = 'deposit' AND status <> 'void';
+    END IF;
+
+    -- Each rent period runs to the end of its month or the day before move-out
+    FOR rent IN
+        SELECT * FROM invoices
+        WHERE booking_id = booking.id AND invoice_type = 'rent' AND status <> 'void'
+        FOR UPDATE
+    LOOP
+        new_end := (date_trunc('month', rent.period_start) + INTERVAL '1 month - 1 day')::DATE;
+        IF booking.move_out_date IS NOT NULL AND booking.move_out_date - 1 < new_end THEN
+            new_end := booking.move_out_date - 1;
+        END IF;
+
+        CONTINUE WHEN new_end = rent.period_end;
+
+        kept_amount := ROUND(rent.amount * GREATEST(new_end - rent.period_start + 1, 0)
+            / (rent.period_end - rent.period_start + 1), 2);
+
+        UPDATE invoices SET
+            period_end = GREATEST(new_end, period_start),
+            amount = kept_amount,
+            amount_paid = LEAST(amount_paid, kept_amount),
+            status = CASE
+                WHEN kept_amount = 0 THEN 'void'
+                WHEN amount_paid >= kept_amount THEN 'paid'
+                WHEN amount_paid > 0 THEN 'partially_paid'
+                ELSE 'open'
+            END::invoice_status,
+            notes = 'Adjusted by booking change',
+            updated_at = NOW()
+        WHERE id = rent.id;
+
+        -- Rent already paid past an earlier move-out goes back to the tenant
+        IF rent.amount_paid > kept_amount THEN
+            INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+            VALUES (rent.id, rent.booking_id, rent.tenant_id, rent.property_id, 'refund', rent.amount_paid - kept_amount, 'other', NULL,
+                'Rent paid past the new move-out date', p_reviewed_by);
+        END IF;
+    END LOOP;
+
+    PERFORM refresh_room_status(booking.room_id);
+
+    UPDATE booking_amendments SET
+        status = 'approved',
+        owner_notes = p_notes,
+        reviewed_by = p_reviewed_by,
+        reviewed_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_amendment_id
+    RETURNING * INTO amendment;
+
+    RETURN amendment;
+END;
+$$ LANGUAGE plpgsql;
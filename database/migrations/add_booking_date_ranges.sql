@@ -0,0 +1,12 @@
+-- Migration script to prevent overlapping approved bookings per room
+-- Run this script if you have an existing database. It fails if approved
+-- bookings for the same room already overlap; resolve those first.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE bookings ADD CONSTRAINT bookings_no_overlapping_approved EXCLUDE USING gist (
+    room_id WITH =,
+    daterange(move_in_date, move_out_date, '[)') WITH &&
+) WHERE (status = 'approved');
+
+CREATE INDEX IF NOT EXISTS idx_bookings_room_dates ON bookings(room_id, move_in_date, move_out_date);
@@ -0,0 +1,15 @@
+-- Migration script to expire stale pending bookings
+-- Run this script if you have an existing database
+
+ALTER TYPE booking_status ADD VALUE IF NOT EXISTS 'expired';
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMP WITH TIME ZONE;
+
+-- Give existing pending bookings a hold based on booking_expiry_hours
+UPDATE bookings SET hold_expires_at = created_at + make_interval(hours => COALESCE(
+    (SELECT setting_value::integer FROM system_settings WHERE setting_key = 'booking_expiry_hours'),
+    24
+))
+WHERE status = 'pending' AND hold_expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_hold_expires_at ON bookings(hold_expires_at) WHERE status = 'pending';
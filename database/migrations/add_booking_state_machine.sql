@@ -0,0 +1,117 @@
+-- Migration script to move booking status changes into transition_booking()
+-- Run this script if you have an existing database. Run it outside a single
+-- transaction block: new enum values must be committed before they are used.
+
+ALTER TYPE booking_status ADD VALUE IF NOT EXISTS 'active';
+ALTER TYPE booking_status ADD VALUE IF NOT EXISTS 'checked_out';
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlapping_approved;
+ALTER TABLE bookings ADD CONSTRAINT bookings_no_overlapping_approved EXCLUDE USING gist (
+    room_id WITH =,
+    daterange(move_in_date, move_out_date, '[)') WITH &&
+) WHERE (status IN ('approved', 'active'));
+
+-- Recompute a room's status from its bookings: occupied while a tenant is checked
+-- in or an approved booking has not ended, reserved while a request is pending,
+-- otherwise available. Rooms under maintenance are left alone.
+CREATE OR REPLACE FUNCTION refresh_room_status(p_room_id UUID)
+RETURNS room_status AS $$
+DECLARE
+    current_status room_status;
+    next_status room_status;
+BEGIN
+    SELECT status INTO current_status FROM rooms WHERE id = p_room_id FOR UPDATE;
+
+    IF NOT FOUND OR current_status = 'maintenance' THEN
+        RETURN current_status;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM bookings
+        WHERE room_id = p_room_id
+          AND (status = 'active'
+               OR (status = 'approved' AND (move_out_date IS NULL OR move_out_date > CURRENT_DATE)))
+    ) THEN
+        next_status := 'occupied';
+    ELSIF EXISTS (SELECT 1 FROM bookings WHERE room_id = p_room_id AND status = 'pending') THEN
+        next_status := 'reserved';
+    ELSE
+        next_status := 'available';
+    END IF;
+
+    IF next_status <> current_status THEN
+        UPDATE rooms SET status = next_status, last_updated = NOW() WHERE id = p_room_id;
+    END IF;
+
+    RETURN next_status;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Move a booking to a new status and apply its room and tenant side effects in
+-- one transaction. Allowed transitions:
+--   pending  -> approved, rejected, cancelled, expired
+--   approved -> active (checked in), cancelled
+--   active   -> checked_out
+-- Errors: BK001 illegal transition, BK002 hold expired, 23P01 overlapping booking.
+CREATE OR REPLACE FUNCTION transition_booking(
+    p_booking_id UUID,
+    p_status booking_status,
+    p_notes TEXT DEFAULT NULL
+) RETURNS bookings AS $$
+DECLARE
+    booking bookings;
+    previous_status booking_status;
+    booked_room_number VARCHAR;
+BEGIN
+    SELECT * INTO booking FROM bookings WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    previous_status := booking.status;
+
+    IF NOT (
+        (previous_status = 'pending' AND p_status IN ('approved', 'rejected', 'cancelled', 'expired'))
+        OR (previous_status = 'approved' AND p_status IN ('active', 'cancelled'))
+        OR (previous_status = 'active' AND p_status = 'checked_out')
+    ) THEN
+        RAISE EXCEPTION 'Cannot change booking from % to %', previous_status, p_status USING ERRCODE = 'BK001';
+    END IF;
+
+    IF p_status = 'approved' AND booking.hold_expires_at < NOW() THEN
+        RAISE EXCEPTION 'Booking hold has expired' USING ERRCODE = 'BK002';
+    END IF;
+
+    IF p_status = 'expired' AND (booking.hold_expires_at IS NULL OR booking.hold_expires_at >= NOW()) THEN
+        RAISE EXCEPTION 'Booking hold has not expired' USING ERRCODE = 'BK001';
+    END IF;
+
+    SELECT room_number INTO booked_room_number FROM rooms WHERE id = booking.room_id;
+
+    UPDATE bookings SET
+        status = p_status,
+        owner_notes = COALESCE(p_notes, owner_notes),
+        -- Checking out early ends the booking today so the dates free up
+        move_out_date = CASE
+            WHEN p_status = 'checked_out' AND (move_out_date IS NULL OR move_out_date > CURRENT_DATE)
+            THEN CURRENT_DATE ELSE move_out_date END,
+        updated_at = NOW()
+    WHERE id = p_booking_id
+    RETURNING * INTO booking;
+
+    IF p_status IN ('approved', 'active') THEN
+        UPDATE tenants SET room_number = booked_room_number, property_id = booking.property_id
+        WHERE id = booking.tenant_id;
+    ELSIF p_status IN ('cancelled', 'checked_out') AND previous_status IN ('approved', 'active') THEN
+        UPDATE tenants SET room_number = NULL
+        WHERE id = booking.tenant_id
+          AND room_number = booked_room_number
+          AND (property_id IS NULL OR property_id = booking.property_id);
+    END IF;
+
+    PERFORM refresh_room_status(booking.room_id);
+
+    RETURN booking;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,17 @@
+-- Migration script to add complaint attachments
+-- Run this script if you have an existing database
+
+-- Complaint attachments table (photos and videos uploaded with a complaint or comment)
+CREATE TABLE IF NOT EXISTS complaint_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    complaint_id UUID REFERENCES complaints(id) ON DELETE CASCADE,
+    comment_id UUID REFERENCES complaint_comments(id) ON DELETE CASCADE, -- NULL for files filed with the complaint
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    file_name VARCHAR(255) NOT NULL, -- stored under UPLOAD_PATH/complaints
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100),
+    file_size INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaint_attachments_complaint_id ON complaint_attachments(complaint_id);
@@ -0,0 +1,21 @@
+-- Migration script to add complaint comment threads
+-- Run this script if you have an existing database
+
+-- Complaint comments table (conversation between tenant, owner and admins)
+CREATE TABLE IF NOT EXISTS complaint_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    complaint_id UUID REFERENCES complaints(id) ON DELETE CASCADE,
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    author_role VARCHAR(20) NOT NULL, -- tenant, owner, staff, admin
+    body TEXT NOT NULL,
+    is_internal BOOLEAN DEFAULT false, -- hidden from the tenant
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaint_comments_complaint_id ON complaint_comments(complaint_id, created_at);
+
+-- Keep the latest owner replies and admin notes in the thread
+INSERT INTO complaint_comments (complaint_id, author_role, body, is_internal, created_at)
+SELECT id, 'owner', owner_response, false, updated_at FROM complaints WHERE owner_response IS NOT NULL;
+INSERT INTO complaint_comments (complaint_id, author_role, body, is_internal, created_at)
+SELECT id, 'admin', admin_notes, true, updated_at FROM complaints WHERE admin_notes IS NOT NULL;
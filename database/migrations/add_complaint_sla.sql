@@ -0,0 +1,49 @@
+-- Migration script to add complaint SLA deadlines and breach tracking
+-- Run this script if you have an existing database
+
+ALTER TABLE complaints ADD COLUMN IF NOT EXISTS response_due_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE complaints ADD COLUMN IF NOT EXISTS resolution_due_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE complaints ADD COLUMN IF NOT EXISTS first_response_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE complaints ADD COLUMN IF NOT EXISTS response_breached_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE complaints ADD COLUMN IF NOT EXISTS resolution_breached_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE complaints ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_complaints_response_due_at ON complaints(response_due_at) WHERE response_breached_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_complaints_resolution_due_at ON complaints(resolution_due_at) WHERE resolution_breached_at IS NULL;
+
+INSERT INTO system_settings (setting_key, setting_value, description) VALUES
+('complaint_sla_low_response_hours', '72', 'Hours to first respond to a low priority complaint'),
+('complaint_sla_low_resolution_hours', '336', 'Hours to resolve a low priority complaint'),
+('complaint_sla_medium_response_hours', '24', 'Hours to first respond to a medium priority complaint'),
+('complaint_sla_medium_resolution_hours', '168', 'Hours to resolve a medium priority complaint'),
+('complaint_sla_high_response_hours', '8', 'Hours to first respond to a high priority complaint'),
+('complaint_sla_high_resolution_hours', '72', 'Hours to resolve a high priority complaint'),
+('complaint_sla_urgent_response_hours', '2', 'Hours to first respond to an urgent complaint'),
+('complaint_sla_urgent_resolution_hours', '24', 'Hours to resolve an urgent complaint')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- Give existing complaints deadlines from the default SLAs
+UPDATE complaints SET
+    response_due_at = created_at + INTERVAL '1 hour' * CASE priority
+        WHEN 'urgent' THEN 2 WHEN 'high' THEN 8 WHEN 'low' THEN 72 ELSE 24 END,
+    resolution_due_at = created_at + INTERVAL '1 hour' * CASE priority
+        WHEN 'urgent' THEN 24 WHEN 'high' THEN 72 WHEN 'low' THEN 336 ELSE 168 END
+WHERE response_due_at IS NULL;
+
+-- The first reply is unknown for old complaints; the earliest owner or staff
+-- comment (backfilled from owner_response) is the closest record of it
+UPDATE complaints c SET first_response_at = COALESCE(
+    (SELECT MIN(cc.created_at) FROM complaint_comments cc
+     WHERE cc.complaint_id = c.id AND cc.author_role IN ('owner', 'staff') AND NOT cc.is_internal),
+    CASE WHEN c.status <> 'pending' THEN c.updated_at END
+)
+WHERE c.first_response_at IS NULL;
+
+-- Complaints that were already overdue are flagged without escalating them all at once
+UPDATE complaints SET response_breached_at = NOW()
+WHERE response_breached_at IS NULL AND first_response_at IS NULL
+  AND response_due_at < NOW() AND status IN ('pending', 'in_progress');
+
+UPDATE complaints SET resolution_breached_at = NOW()
+WHERE resolution_breached_at IS NULL
+  AND resolution_due_at < NOW() AND status IN ('pending', 'in_progress');
@@ -0,0 +1,97 @@
+-- Migration script to add complaint status history, transition rules and the reopen window
+-- Run this script if you have an existing database
+
+-- Complaint status history table (every status change, oldest first)
+CREATE TABLE IF NOT EXISTS complaint_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    complaint_id UUID REFERENCES complaints(id) ON DELETE CASCADE,
+    from_status complaint_status, -- NULL when the complaint was filed
+    to_status complaint_status NOT NULL,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20), -- tenant, owner, staff, admin
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaint_status_history_complaint_id ON complaint_status_history(complaint_id, created_at);
+
+-- Earlier changes were not recorded: start each history with the filing and,
+-- for complaints that have moved on, the status they are in now
+INSERT INTO complaint_status_history (complaint_id, from_status, to_status, actor_role, created_at)
+SELECT id, NULL, 'pending', 'tenant', created_at FROM complaints;
+
+INSERT INTO complaint_status_history (complaint_id, from_status, to_status, actor_role, created_at)
+SELECT id, 'pending', status, 'owner', COALESCE(resolved_at, updated_at)
+FROM complaints WHERE status <> 'pending';
+
+INSERT INTO system_settings (setting_key, setting_value, description) VALUES
+('complaint_reopen_window_days', '7', 'Days after resolution in which the tenant can reopen a complaint')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- Move a complaint to a new status and record it in its status history in one
+-- transaction. Allowed transitions:
+--   pending     -> in_progress, resolved, closed
+--   in_progress -> resolved, closed
+--   resolved    -> in_progress (reopened), closed
+-- Resolving stamps resolved_at; reopening clears it and gives the complaint a
+-- fresh resolution deadline from its priority's SLA, so the time it sat resolved
+-- does not count as a breach.
+-- Errors: CP001 illegal transition.
+CREATE OR REPLACE FUNCTION transition_complaint(
+    p_complaint_id UUID,
+    p_status complaint_status,
+    p_changed_by UUID,
+    p_actor_role VARCHAR,
+    p_note TEXT DEFAULT NULL
+) RETURNS complaints AS $$
+DECLARE
+    complaint complaints;
+    previous_status complaint_status;
+    reopen_hours NUMERIC;
+BEGIN
+    SELECT * INTO complaint FROM complaints WHERE id = p_complaint_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Complaint not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    previous_status := complaint.status;
+
+    IF NOT (
+        (previous_status = 'pending' AND p_status IN ('in_progress', 'resolved', 'closed'))
+        OR (previous_status = 'in_progress' AND p_status IN ('resolved', 'closed'))
+        OR (previous_status = 'resolved' AND p_status IN ('in_progress', 'closed'))
+    ) THEN
+        RAISE EXCEPTION 'Cannot change complaint from % to %', previous_status, p_status USING ERRCODE = 'CP001';
+    END IF;
+
+    IF previous_status = 'resolved' AND p_status = 'in_progress' THEN
+        SELECT setting_value::NUMERIC INTO reopen_hours FROM system_settings
+        WHERE setting_key = 'complaint_sla_' || complaint.priority || '_resolution_hours';
+
+        reopen_hours := COALESCE(reopen_hours, CASE complaint.priority
+            WHEN 'urgent' THEN 24 WHEN 'high' THEN 72 WHEN 'low' THEN 336 ELSE 168 END);
+    END IF;
+
+    UPDATE complaints SET
+        status = p_status,
+        resolved_at = CASE
+            WHEN p_status = 'resolved' THEN NOW()
+            WHEN p_status = 'in_progress' THEN NULL
+            ELSE resolved_at END,
+        resolution_due_at = CASE
+            WHEN reopen_hours IS NOT NULL THEN NOW() + INTERVAL '1 hour' * reopen_hours
+            ELSE resolution_due_at END,
+        resolution_breached_at = CASE
+            WHEN reopen_hours IS NOT NULL THEN NULL
+            ELSE resolution_breached_at END,
+        updated_at = NOW()
+    WHERE id = p_complaint_id
+    RETURNING * INTO complaint;
+
+    INSERT INTO complaint_status_history (complaint_id, from_status, to_status, changed_by, actor_role, note)
+    VALUES (p_complaint_id, previous_status, p_status, p_changed_by, p_actor_role, p_note);
+
+    RETURN complaint;
+END;
+$$ LANGUAGE plpgsql;
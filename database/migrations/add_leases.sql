@@ -0,0 +1,86 @@
+-- Migration script to add lease templates and generated lease agreements
+-- Run this script if you have an existing database
+
+-- Lease templates table (per-owner lease text with {{placeholder}} fields)
+CREATE TABLE IF NOT EXISTS lease_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES owners(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    is_default BOOLEAN DEFAULT false, -- rendered on approval; at most one per owner
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Leases table (PDF lease rendered for a booking on approval, accepted by both parties)
+CREATE TABLE IF NOT EXISTS leases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    template_id UUID REFERENCES lease_templates(id) ON DELETE SET NULL, -- NULL for the built-in template
+    content TEXT NOT NULL, -- lease text as rendered into the PDF
+    file_name VARCHAR(255) NOT NULL, -- PDF under UPLOAD_PATH/leases
+    file_size BIGINT NOT NULL,
+    checksum VARCHAR(64) NOT NULL, -- sha256 of the PDF
+    status VARCHAR(20) DEFAULT 'pending', -- pending, accepted
+    tenant_accepted_at TIMESTAMP WITH TIME ZONE,
+    tenant_accepted_ip INET,
+    owner_accepted_at TIMESTAMP WITH TIME ZONE,
+    owner_accepted_ip INET,
+    owner_accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lease_templates_owner_default ON lease_templates(owner_id) WHERE is_default;
+CREATE INDEX IF NOT EXISTS idx_leases_tenant_id ON leases(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_leases_property_id ON leases(property_id);
+
+CREATE TRIGGER update_lease_templates_updated_at BEFORE UPDATE ON lease_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_leases_updated_at BEFORE UPDATE ON leases FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Record the tenant's or owner's acceptance of a lease; the lease is accepted
+-- once both have. Errors: LS001 already accepted by this party.
+CREATE OR REPLACE FUNCTION accept_lease(
+    p_lease_id UUID,
+    p_party VARCHAR,
+    p_user_id UUID,
+    p_ip INET
+) RETURNS leases AS $$
+DECLARE
+    lease leases;
+BEGIN
+    SELECT * INTO lease FROM leases WHERE id = p_lease_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Lease not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF p_party = 'tenant' THEN
+        IF lease.tenant_accepted_at IS NOT NULL THEN
+            RAISE EXCEPTION 'Tenant has already accepted this lease' USING ERRCODE = 'LS001';
+        END IF;
+        UPDATE leases SET tenant_accepted_at = NOW(), tenant_accepted_ip = p_ip WHERE id = p_lease_id;
+    ELSIF p_party = 'owner' THEN
+        IF lease.owner_accepted_at IS NOT NULL THEN
+            RAISE EXCEPTION 'Owner has already accepted this lease' USING ERRCODE = 'LS001';
+        END IF;
+        UPDATE leases SET owner_accepted_at = NOW(), owner_accepted_ip = p_ip, owner_accepted_by = p_user_id WHERE id = p_lease_id;
+    ELSE
+        RAISE EXCEPTION 'Unknown lease party %', p_party;
+    END IF;
+
+    UPDATE leases
+    SET status = CASE WHEN tenant_accepted_at IS NOT NULL AND owner_accepted_at IS NOT NULL THEN 'accepted' ELSE 'pending' END,
+        updated_at = NOW()
+    WHERE id = p_lease_id
+    RETURNING * INTO lease;
+
+    RETURN lease;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Admins can view every lease
+UPDATE roles SET permissions = array_append(permissions, 'leases:read')
+WHERE name = 'admin' AND NOT ('leases:read' = ANY(permissions));
@@ -0,0 +1,81 @@
+-- Migration script to add per-account and per-IP login lockouts
+-- Run this script if you have an existing database
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    identifier_type VARCHAR(20) NOT NULL, -- account, ip
+    identifier VARCHAR(255) NOT NULL, -- lower-cased email or IP address
+    failed_count INTEGER DEFAULT 0,
+    lockout_count INTEGER DEFAULT 0, -- doubles the lockout duration on each repeat
+    first_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    locked_until TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(identifier_type, identifier)
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_locked_until ON login_attempts(locked_until);
+
+-- Atomically count a failed login and lock the identifier once it reaches the limit.
+-- Counters reset when the first failure falls outside the window; each repeated
+-- lockout doubles in length, capped at 24 hours.
+CREATE OR REPLACE FUNCTION record_login_failure(
+    p_identifier_type VARCHAR,
+    p_identifier VARCHAR,
+    p_window_minutes INTEGER,
+    p_max_attempts INTEGER,
+    p_lock_minutes INTEGER
+) RETURNS TABLE (
+    id UUID,
+    failed_count INTEGER,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    just_locked BOOLEAN
+) AS $$
+DECLARE
+    attempt login_attempts;
+    window_expired BOOLEAN;
+BEGIN
+    INSERT INTO login_attempts AS la (identifier_type, identifier, failed_count, first_failed_at, last_failed_at)
+    VALUES (p_identifier_type, p_identifier, 1, NOW(), NOW())
+    ON CONFLICT (identifier_type, identifier) DO UPDATE SET
+        failed_count = CASE
+            WHEN la.first_failed_at < NOW() - make_interval(mins => p_window_minutes)
+                 AND (la.locked_until IS NULL OR la.locked_until < NOW())
+            THEN 1 ELSE la.failed_count + 1 END,
+        first_failed_at = CASE
+            WHEN la.first_failed_at < NOW() - make_interval(mins => p_window_minutes)
+                 AND (la.locked_until IS NULL OR la.locked_until < NOW())
+            THEN NOW() ELSE la.first_failed_at END,
+        last_failed_at = NOW(),
+        updated_at = NOW()
+    RETURNING * INTO attempt;
+
+    IF attempt.failed_count >= p_max_attempts
+       AND (attempt.locked_until IS NULL OR attempt.locked_until < NOW()) THEN
+        UPDATE login_attempts la SET
+            locked_until = NOW() + LEAST(
+                make_interval(mins => p_lock_minutes) * POWER(2, la.lockout_count),
+                INTERVAL '24 hours'
+            ),
+            lockout_count = la.lockout_count + 1,
+            failed_count = 0,
+            first_failed_at = NOW()
+        WHERE la.id = attempt.id
+        RETURNING * INTO attempt;
+
+        RETURN QUERY SELECT attempt.id, p_max_attempts, attempt.locked_until, true;
+    ELSE
+        RETURN QUERY SELECT attempt.id, attempt.failed_count, attempt.locked_until, false;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+INSERT INTO system_settings (setting_key, setting_value, description) VALUES
+('lockout_max_attempts', '5', 'Failed logins per account before a temporary lockout'),
+('lockout_ip_max_attempts', '20', 'Failed logins per IP address before a temporary lockout'),
+('lockout_window_minutes', '15', 'Window in minutes in which failed logins are counted'),
+('lockout_duration_minutes', '15', 'Base lockout duration in minutes (doubles on each repeat lockout)'),
+('login_delay_base_ms', '250', 'Base delay in milliseconds added after a failed login (doubles per failure)'),
+('login_delay_max_ms', '4000', 'Maximum delay in milliseconds added to a login attempt')
+ON CONFLICT (setting_key) DO NOTHING;
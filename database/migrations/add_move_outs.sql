@@ -0,0 +1,238 @@
+-- Migration script to add the move-out workflow (inspection and deposit settlement)
+-- Run this script if you have an existing database
+
+-- Deposit kept at move-out, for deductions or to pay outstanding rent
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_retained DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Move-outs table (tenant move-out request, owner inspection and deposit settlement)
+CREATE TABLE IF NOT EXISTS move_outs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    requested_date DATE NOT NULL, -- move-out date the tenant asked for
+    approved_date DATE, -- move-out date the owner agreed to
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'requested', -- requested, approved, rejected, cancelled, inspected, settled
+    owner_notes TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    checklist JSONB, -- [{ item, condition, notes }]
+    inspection_notes TEXT,
+    photos JSONB DEFAULT '[]', -- uploaded inspection photos under UPLOAD_PATH
+    inspected_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    inspected_at TIMESTAMP WITH TIME ZONE,
+    deductions JSONB, -- [{ reason, amount }] taken from the deposit
+    total_deductions DECIMAL(10,2),
+    deposit_held DECIMAL(10,2), -- deposit held when the move-out was settled
+    rent_applied DECIMAL(10,2), -- deposit used to pay outstanding rent
+    refund_amount DECIMAL(10,2), -- deposit returned to the tenant
+    balance_due DECIMAL(10,2), -- deductions beyond the deposit, invoiced to the tenant
+    settlement_invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+    settled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    settled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_move_outs_booking_id ON move_outs(booking_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_move_outs_open_booking ON move_outs(booking_id) WHERE status NOT IN ('rejected', 'cancelled');
+CREATE INDEX IF NOT EXISTS idx_move_outs_property_id ON move_outs(property_id);
+
+CREATE TRIGGER update_move_outs_updated_at BEFORE UPDATE ON move_outs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Deposit held no longer includes what was retained
+CREATE OR REPLACE VIEW tenant_balances AS
+SELECT
+    tenant_id,
+    property_id,
+    SUM(amount) AS total_invoiced,
+    SUM(amount_paid) AS total_paid,
+    SUM(amount - amount_paid) AS outstanding,
+    SUM(CASE WHEN due_date < CURRENT_DATE THEN amount - amount_paid ELSE 0 END) AS overdue,
+    SUM(CASE WHEN invoice_type = 'deposit' THEN amount_paid - amount_refunded - amount_retained ELSE 0 END) AS deposit_held
+FROM invoices
+WHERE status <> 'void'
+GROUP BY tenant_id, property_id;
+
+-- Refund part or all of a paid deposit. Errors: LD001 not a deposit invoice,
+-- LD002 refund exceeds the deposit held.
+CREATE OR REPLACE FUNCTION record_deposit_refund(
+    p_invoice_id UUID,
+    p_amount DECIMAL,
+    p_method VARCHAR,
+    p_reference VARCHAR,
+    p_notes TEXT,
+    p_recorded_by UUID
+) RETURNS ledger_entries AS $$
+DECLARE
+    invoice invoices;
+    entry ledger_entries;
+BEGIN
+    SELECT * INTO invoice FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoice not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF invoice.invoice_type <> 'deposit' THEN
+        RAISE EXCEPTION 'Only deposits can be refunded' USING ERRCODE = 'LD001';
+    END IF;
+
+    IF p_amount <= 0 OR p_amount > invoice.amount_paid - invoice.amount_refunded - invoice.amount_retained THEN
+        RAISE EXCEPTION 'Refund must be between 0 and the deposit held of %',
+            invoice.amount_paid - invoice.amount_refunded - invoice.amount_retained USING ERRCODE = 'LD002';
+    END IF;
+
+    INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+    VALUES (invoice.id, invoice.booking_id, invoice.tenant_id, invoice.property_id, 'deposit_refund', p_amount, p_method, p_reference, p_notes, p_recorded_by)
+    RETURNING * INTO entry;
+
+    UPDATE invoices SET
+        amount_refunded = amount_refunded + p_amount,
+        updated_at = NOW()
+    WHERE id = invoice.id;
+
+    RETURN entry;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Append inspection photos to a move-out in one statement, so concurrent
+-- uploads never overwrite each other. Returns no row once the move-out is no
+-- longer approved or inspected.
+CREATE OR REPLACE FUNCTION append_move_out_photos(
+    p_move_out_id UUID,
+    p_photos JSONB
+) RETURNS SETOF move_outs AS $$
+    UPDATE move_outs SET
+        photos = COALESCE(photos, '[]'::JSONB) || p_photos,
+        updated_at = NOW()
+    WHERE id = p_move_out_id
+      AND status IN ('approved', 'inspected')
+    RETURNING *;
+$$ LANGUAGE sql;
+
+-- Settle an inspected move-out in one transaction: keep the deductions from the
+-- deposit, optionally pay outstanding rent from what is left, refund the rest,
+-- invoice deductions the deposit does not cover, and check the tenant out,
+-- which clears their room and releases it.
+-- Errors: MO001 move-out not inspected, LD002 invalid deduction.
+CREATE OR REPLACE FUNCTION settle_move_out(
+    p_move_out_id UUID,
+    p_deductions JSONB,
+    p_apply_to_rent BOOLEAN,
+    p_method VARCHAR,
+    p_reference VARCHAR,
+    p_due_date DATE,
+    p_settled_by UUID
+) RETURNS move_outs AS $$
+DECLARE
+    move_out move_outs;
+    booking bookings;
+    deposit invoices;
+    rent invoices;
+    held DECIMAL := 0;
+    total DECIMAL := 0;
+    retained DECIMAL := 0;
+    remaining DECIMAL := 0;
+    applied DECIMAL := 0;
+    payment DECIMAL;
+    due DECIMAL := 0;
+    settlement_invoice UUID;
+BEGIN
+    SELECT * INTO move_out FROM move_outs WHERE id = p_move_out_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Move-out not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF move_out.status <> 'inspected' THEN
+        RAISE EXCEPTION 'Move-out must be inspected before it is settled' USING ERRCODE = 'MO001';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM jsonb_array_elements(COALESCE(p_deductions, '[]'::jsonb)) AS d
+        WHERE (d->>'amount')::DECIMAL <= 0
+    ) THEN
+        RAISE EXCEPTION 'Deductions must be greater than 0' USING ERRCODE = 'LD002';
+    END IF;
+
+    SELECT COALESCE(SUM((d->>'amount')::DECIMAL), 0) INTO total
+    FROM jsonb_array_elements(COALESCE(p_deductions, '[]'::jsonb)) AS d;
+
+    SELECT * INTO deposit FROM invoices
+    WHERE booking_id = move_out.booking_id AND invoice_type = 'deposit' AND status <> 'void'
+    FOR UPDATE;
+
+    IF FOUND THEN
+        held := deposit.amount_paid - deposit.amount_refunded - deposit.amount_retained;
+    END IF;
+
+    -- Deductions come out of the deposit first
+    retained := LEAST(total, held);
+    remaining := held - retained;
+    due := total - retained;
+
+    IF retained > 0 THEN
+        INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+        VALUES (deposit.id, deposit.booking_id, deposit.tenant_id, deposit.property_id, 'deposit_deduction', retained, 'deposit', p_reference,
+            'Move-out deductions', p_settled_by);
+    END IF;
+
+    -- Then, if asked, outstanding rent oldest first
+    IF p_apply_to_rent THEN
+        FOR rent IN
+            SELECT * FROM invoices
+            WHERE booking_id = move_out.booking_id AND invoice_type = 'rent' AND status IN ('open', 'partially_paid')
+            ORDER BY due_date
+        LOOP
+            EXIT WHEN remaining <= 0;
+            payment := LEAST(remaining, rent.amount - rent.amount_paid);
+            PERFORM record_payment(rent.id, payment, 'deposit', p_reference, 'Paid from deposit at move-out', p_settled_by);
+            remaining := remaining - payment;
+            applied := applied + payment;
+        END LOOP;
+    END IF;
+
+    IF retained + applied > 0 THEN
+        UPDATE invoices SET
+            amount_retained = amount_retained + retained + applied,
+            updated_at = NOW()
+        WHERE id = deposit.id;
+    END IF;
+
+    IF remaining > 0 THEN
+        PERFORM record_deposit_refund(deposit.id, remaining, p_method, p_reference, 'Deposit refund at move-out', p_settled_by);
+    END IF;
+
+    IF due > 0 THEN
+        INSERT INTO invoices (booking_id, tenant_id, property_id, room_id, invoice_type, period_start, period_end, amount, due_date, notes)
+        VALUES (move_out.booking_id, move_out.tenant_id, move_out.property_id, move_out.room_id, 'settlement',
+            CURRENT_DATE, CURRENT_DATE, due, p_due_date, 'Move-out deductions not covered by the deposit')
+        RETURNING id INTO settlement_invoice;
+    END IF;
+
+    SELECT * INTO booking FROM bookings WHERE id = move_out.booking_id;
+    IF booking.status = 'active' THEN
+        PERFORM transition_booking(booking.id, 'checked_out', 'Checked out at move-out settlement');
+    END IF;
+
+    UPDATE move_outs SET
+        status = 'settled',
+        deductions = COALESCE(p_deductions, '[]'::jsonb),
+        total_deductions = total,
+        deposit_held = held,
+        rent_applied = applied,
+        refund_amount = remaining,
+        balance_due = due,
+        settlement_invoice_id = settlement_invoice,
+        settled_by = p_settled_by,
+        settled_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_move_out_id
+    RETURNING * INTO move_out;
+
+    RETURN move_out;
+END;
+$$ LANGUAGE plpgsql;
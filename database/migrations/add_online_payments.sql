@@ -0,0 +1,119 @@
+-- Migration script to add online payments through a payment provider
+-- Run this script if you have an existing database
+
+-- Online payments table (one row per checkout started with the payment provider)
+CREATE TABLE IF NOT EXISTS online_payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID REFERENCES invoices(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_payment_id VARCHAR(255),
+    provider_refund_id VARCHAR(255),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending', -- pending, succeeded, failed, requires_refund, refund_pending, refunded
+    checkout_url TEXT,
+    ledger_entry_id UUID REFERENCES ledger_entries(id) ON DELETE SET NULL,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    refunded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(provider, provider_payment_id)
+);
+
+-- Payment webhook events table (provider event ids already processed, for idempotency)
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_online_payments_invoice_id ON online_payments(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_online_payments_tenant_id ON online_payments(tenant_id);
+
+CREATE TRIGGER update_online_payments_updated_at BEFORE UPDATE ON online_payments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Return money paid against an invoice, reopening it. Errors: LD002 invalid amount.
+CREATE OR REPLACE FUNCTION record_refund(
+    p_invoice_id UUID,
+    p_amount DECIMAL,
+    p_method VARCHAR,
+    p_reference VARCHAR,
+    p_notes TEXT,
+    p_recorded_by UUID
+) RETURNS ledger_entries AS $$
+DECLARE
+    invoice invoices;
+    entry ledger_entries;
+BEGIN
+    SELECT * INTO invoice FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoice not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF p_amount <= 0 OR p_amount > invoice.amount_paid THEN
+        RAISE EXCEPTION 'Refund must be between 0 and the amount paid of %', invoice.amount_paid USING ERRCODE = 'LD002';
+    END IF;
+
+    INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+    VALUES (invoice.id, invoice.booking_id, invoice.tenant_id, invoice.property_id, 'refund', p_amount, p_method, p_reference, p_notes, p_recorded_by)
+    RETURNING * INTO entry;
+
+    UPDATE invoices SET
+        amount_paid = amount_paid - p_amount,
+        status = CASE WHEN amount_paid - p_amount = 0 THEN 'open' ELSE 'partially_paid' END::invoice_status,
+        updated_at = NOW()
+    WHERE id = invoice.id;
+
+    RETURN entry;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Apply a provider-confirmed online payment to its invoice. Idempotent: a
+-- payment that is no longer pending is returned unchanged. If the invoice can
+-- no longer take the amount, the payment is flagged requires_refund instead.
+CREATE OR REPLACE FUNCTION confirm_online_payment(
+    p_provider VARCHAR,
+    p_provider_payment_id VARCHAR
+) RETURNS online_payments AS $$
+DECLARE
+    payment online_payments;
+    invoice invoices;
+    entry ledger_entries;
+BEGIN
+    SELECT * INTO payment FROM online_payments
+    WHERE provider = p_provider AND provider_payment_id = p_provider_payment_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF payment.status <> 'pending' THEN
+        RETURN payment;
+    END IF;
+
+    SELECT * INTO invoice FROM invoices WHERE id = payment.invoice_id FOR UPDATE;
+
+    IF invoice.status IN ('paid', 'void') OR payment.amount > invoice.amount - invoice.amount_paid THEN
+        UPDATE online_payments SET status = 'requires_refund', paid_at = NOW(), updated_at = NOW()
+        WHERE id = payment.id
+        RETURNING * INTO payment;
+        RETURN payment;
+    END IF;
+
+    entry := record_payment(invoice.id, payment.amount, 'online', payment.provider_payment_id,
+        'Online payment via ' || payment.provider, NULL);
+
+    UPDATE online_payments SET status = 'succeeded', ledger_entry_id = entry.id, paid_at = NOW(), updated_at = NOW()
+    WHERE id = payment.id
+    RETURNING * INTO payment;
+
+    RETURN payment;
+END;
+$$ LANGUAGE plpgsql;
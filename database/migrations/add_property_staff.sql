@@ -0,0 +1,24 @@
+-- Migration script to let owners delegate property access to staff accounts
+-- Run this script if you have an existing database
+
+-- Property staff table (owner-delegated access to a property)
+CREATE TABLE IF NOT EXISTS property_staff (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    scopes TEXT[] NOT NULL DEFAULT '{}', -- manage_property, manage_rooms, approve_bookings, respond_complaints
+    status VARCHAR(20) DEFAULT 'pending', -- pending, active, declined, revoked
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_property_staff_property_id ON property_staff(property_id);
+CREATE INDEX IF NOT EXISTS idx_property_staff_user_id ON property_staff(user_id);
+
+CREATE TRIGGER update_property_staff_updated_at BEFORE UPDATE ON property_staff FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Attribute staff actions to the owner they acted for
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS on_behalf_of UUID REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,170 @@
+-- Migration script to add rent invoicing and the payment ledger
+-- Run this script if you have an existing database
+
+DO $$ BEGIN
+    CREATE TYPE invoice_status AS ENUM ('open', 'partially_paid', 'paid', 'void');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Invoices table (monthly rent and one-off deposit charges per booking)
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    invoice_type VARCHAR(20) NOT NULL DEFAULT 'rent', -- rent, deposit
+    period_start DATE NOT NULL, -- deposit invoices use the move-in date
+    period_end DATE NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0,
+    amount_refunded DECIMAL(10,2) NOT NULL DEFAULT 0, -- deposit returned to the tenant
+    due_date DATE NOT NULL,
+    status invoice_status DEFAULT 'open',
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(booking_id, invoice_type, period_start)
+);
+
+-- Ledger entries table (payments against invoices and deposit refunds)
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID REFERENCES invoices(id) ON DELETE CASCADE,
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    entry_type VARCHAR(20) NOT NULL, -- payment, deposit_refund
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    method VARCHAR(50), -- cash, bank_transfer, upi, card, other
+    reference VARCHAR(255),
+    notes TEXT,
+    recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_tenant_id ON invoices(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_property_id ON invoices(property_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_invoice_id ON ledger_entries(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_tenant_id ON ledger_entries(tenant_id);
+
+CREATE TRIGGER update_invoices_updated_at BEFORE UPDATE ON invoices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Record a (possibly partial) payment against an invoice and update its balance
+-- in one transaction. Errors: LD001 invoice closed, LD002 invalid amount.
+CREATE OR REPLACE FUNCTION record_payment(
+    p_invoice_id UUID,
+    p_amount DECIMAL,
+    p_method VARCHAR,
+    p_reference VARCHAR,
+    p_notes TEXT,
+    p_recorded_by UUID
+) RETURNS ledger_entries AS $$
+DECLARE
+    invoice invoices;
+    entry ledger_entries;
+BEGIN
+    SELECT * INTO invoice FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoice not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF invoice.status IN ('paid', 'void') THEN
+        RAISE EXCEPTION 'Invoice is already %', invoice.status USING ERRCODE = 'LD001';
+    END IF;
+
+    IF p_amount <= 0 OR p_amount > invoice.amount - invoice.amount_paid THEN
+        RAISE EXCEPTION 'Payment must be between 0 and the outstanding amount of %',
+            invoice.amount - invoice.amount_paid USING ERRCODE = 'LD002';
+    END IF;
+
+    INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+    VALUES (invoice.id, invoice.booking_id, invoice.tenant_id, invoice.property_id, 'payment', p_amount, p_method, p_reference, p_notes, p_recorded_by)
+    RETURNING * INTO entry;
+
+    UPDATE invoices SET
+        amount_paid = amount_paid + p_amount,
+        status = CASE WHEN amount_paid + p_amount >= amount THEN 'paid' ELSE 'partially_paid' END::invoice_status,
+        updated_at = NOW()
+    WHERE id = invoice.id;
+
+    RETURN entry;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Refund part or all of a paid deposit. Errors: LD001 not a deposit invoice,
+-- LD002 refund exceeds the deposit held.
+CREATE OR REPLACE FUNCTION record_deposit_refund(
+    p_invoice_id UUID,
+    p_amount DECIMAL,
+    p_method VARCHAR,
+    p_reference VARCHAR,
+    p_notes TEXT,
+    p_recorded_by UUID
+) RETURNS ledger_entries AS $$
+DECLARE
+    invoice invoices;
+    entry ledger_entries;
+BEGIN
+    SELECT * INTO invoice FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoice not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF invoice.invoice_type <> 'deposit' THEN
+        RAISE EXCEPTION 'Only deposits can be refunded' USING ERRCODE = 'LD001';
+    END IF;
+
+    IF p_amount <= 0 OR p_amount > invoice.amount_paid - invoice.amount_refunded THEN
+        RAISE EXCEPTION 'Refund must be between 0 and the deposit held of %',
+            invoice.amount_paid - invoice.amount_refunded USING ERRCODE = 'LD002';
+    END IF;
+
+    INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+    VALUES (invoice.id, invoice.booking_id, invoice.tenant_id, invoice.property_id, 'deposit_refund', p_amount, p_method, p_reference, p_notes, p_recorded_by)
+    RETURNING * INTO entry;
+
+    UPDATE invoices SET
+        amount_refunded = amount_refunded + p_amount,
+        updated_at = NOW()
+    WHERE id = invoice.id;
+
+    RETURN entry;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Outstanding balances per tenant and property (void invoices excluded)
+CREATE OR REPLACE VIEW tenant_balances AS
+SELECT
+    tenant_id,
+    property_id,
+    SUM(amount) AS total_invoiced,
+    SUM(amount_paid) AS total_paid,
+    SUM(amount - amount_paid) AS outstanding,
+    SUM(CASE WHEN due_date < CURRENT_DATE THEN amount - amount_paid ELSE 0 END) AS overdue,
+    SUM(CASE WHEN invoice_type = 'deposit' THEN amount_paid - amount_refunded ELSE 0 END) AS deposit_held
+FROM invoices
+WHERE status <> 'void'
+GROUP BY tenant_id, property_id;
+
+-- Arrears (overdue unpaid amounts) per property
+CREATE OR REPLACE VIEW property_arrears AS
+SELECT
+    property_id,
+    SUM(overdue) AS arrears,
+    SUM(outstanding) AS outstanding,
+    COUNT(*) FILTER (WHERE overdue > 0) AS tenants_in_arrears
+FROM tenant_balances
+GROUP BY property_id;
+
+INSERT INTO system_settings (setting_key, setting_value, description) VALUES
+('invoice_due_days', '5', 'Days after the start of a rent period that its invoice is due')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- Admins can view and generate invoices
+UPDATE roles SET permissions = array_cat(permissions, ARRAY['ledger:read', 'ledger:write'])
+WHERE name = 'admin' AND NOT ('ledger:read' = ANY(permissions));
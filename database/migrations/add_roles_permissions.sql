@@ -0,0 +1,33 @@
+-- Migration script to add the roles and permissions model
+-- Run this script if you have an existing database
+
+-- Roles table (named permission sets; system roles mirror the base user roles)
+CREATE TABLE IF NOT EXISTS roles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description TEXT,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    is_system BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role_id UUID REFERENCES roles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_role_id ON users(role_id);
+
+CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO roles (name, description, permissions, is_system) VALUES
+('admin', 'Full system administrator', ARRAY[
+    'dashboard:read', 'users:read', 'users:write', 'roles:read', 'roles:write',
+    'settings:read', 'settings:write', 'audit_logs:read', 'lockouts:read', 'lockouts:write',
+    'backups:create', 'backups:restore', 'complaints:read', 'complaints:write',
+    'notifications:read_own', 'notifications:send', 'notifications:stats'
+], true),
+('owner', 'Property owner', ARRAY['complaints:manage_property', 'notifications:read_own'], true),
+('tenant', 'Tenant', ARRAY['complaints:create', 'complaints:read_own', 'notifications:read_own'], true),
+('support_admin', 'Support staff: read-only access to complaints and users', ARRAY[
+    'dashboard:read', 'users:read', 'complaints:read', 'complaints:write', 'notifications:read_own'
+], false)
+ON CONFLICT (name) DO NOTHING;
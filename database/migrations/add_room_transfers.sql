@@ -0,0 +1,147 @@
+-- Migration script to add room transfers for existing tenants
+-- Run this script if you have an existing database
+
+-- Link a booking to the one it continues after a room transfer
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS previous_booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_bookings_previous_booking_id ON bookings(previous_booking_id);
+
+-- Room transfers table (tenant moving to another room of the same owner, approved by the owner)
+CREATE TABLE IF NOT EXISTS room_transfers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE, -- booking the tenant is moving out of
+    new_booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL, -- booking created for the new room
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    from_room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    to_room_id UUID REFERENCES rooms(id) ON DELETE CASCADE,
+    from_property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    to_property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    preferred_date DATE,
+    transfer_date DATE, -- day the tenant moved
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'requested', -- requested, approved, rejected, cancelled
+    owner_notes TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_transfers_booking_id ON room_transfers(booking_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_room_transfers_open_booking ON room_transfers(booking_id) WHERE status = 'requested';
+CREATE INDEX IF NOT EXISTS idx_room_transfers_to_property_id ON room_transfers(to_property_id);
+
+CREATE TRIGGER update_room_transfers_updated_at BEFORE UPDATE ON room_transfers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Carry out an approved room transfer in one transaction: the current booking
+-- ends today and a checked-in booking for the new room starts today, linked to
+-- it through previous_booking_id. The deposit moves to the new booking (topped
+-- up if the new room asks for more), the current month's rent for the old room
+-- is cut short, the tenant's room changes and both rooms' statuses are refreshed.
+-- Errors: RT001 transfer already reviewed, RT002 new room under maintenance,
+-- BK001 tenant not checked in, 23P01 new room booked for these dates.
+CREATE OR REPLACE FUNCTION transfer_room(
+    p_transfer_id UUID,
+    p_reviewed_by UUID,
+    p_notes TEXT DEFAULT NULL
+) RETURNS room_transfers AS $$
+DECLARE
+    transfer room_transfers;
+    old_booking bookings;
+    new_booking bookings;
+    new_room rooms;
+    rent invoices;
+    kept_amount DECIMAL;
+BEGIN
+    SELECT * INTO transfer FROM room_transfers WHERE id = p_transfer_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Transfer not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF transfer.status <> 'requested' THEN
+        RAISE EXCEPTION 'Transfer has already been %', transfer.status USING ERRCODE = 'RT001';
+    END IF;
+
+    SELECT * INTO old_booking FROM bookings WHERE id = transfer.booking_id FOR UPDATE;
+
+    IF old_booking.status <> 'active' THEN
+        RAISE EXCEPTION 'Only checked-in tenants can be transferred' USING ERRCODE = 'BK001';
+    END IF;
+
+    SELECT * INTO new_room FROM rooms WHERE id = transfer.to_room_id;
+
+    IF new_room.status = 'maintenance' THEN
+        RAISE EXCEPTION 'Room % is under maintenance', new_room.room_number USING ERRCODE = 'RT002';
+    END IF;
+
+    UPDATE bookings SET
+        status = 'checked_out',
+        move_out_date = CURRENT_DATE,
+        updated_at = NOW()
+    WHERE id = old_booking.id;
+
+    INSERT INTO bookings (tenant_id, room_id, property_id, move_in_date, move_out_date, status, owner_notes, previous_booking_id)
+    VALUES (
+        old_booking.tenant_id, new_room.id, new_room.property_id, CURRENT_DATE,
+        CASE WHEN old_booking.move_out_date > CURRENT_DATE THEN old_booking.move_out_date END,
+        'active', p_notes, old_booking.id
+    )
+    RETURNING * INTO new_booking;
+
+    UPDATE invoices SET
+        booking_id = new_booking.id,
+        property_id = new_booking.property_id,
+        room_id = new_booking.room_id,
+        amount = GREATEST(amount, COALESCE(new_room.deposit_amount, 0)),
+        status = CASE
+            WHEN amount_paid >= GREATEST(amount, COALESCE(new_room.deposit_amount, 0)) THEN 'paid'
+            WHEN amount_paid > 0 THEN 'partially_paid'
+            ELSE 'open'
+        END::invoice_status,
+        updated_at = NOW()
+    WHERE booking_id = old_booking.id AND invoice_type = 'deposit' AND status <> 'void';
+
+    -- Rent for the old room stops yesterday; the new booking is invoiced from today
+    FOR rent IN
+        SELECT * FROM invoices
+        WHERE booking_id = old_booking.id AND invoice_type = 'rent' AND status <> 'void'
+          AND period_end >= CURRENT_DATE
+        FOR UPDATE
+    LOOP
+        kept_amount := ROUND(rent.amount * GREATEST(CURRENT_DATE - rent.period_start, 0)
+            / (rent.period_end - rent.period_start + 1), 2);
+
+        UPDATE invoices SET
+            period_end = GREATEST(CURRENT_DATE - 1, period_start),
+            amount = kept_amount,
+            status = CASE
+                WHEN kept_amount = 0 AND amount_paid = 0 THEN 'void'
+                WHEN amount_paid >= kept_amount THEN 'paid'
+                WHEN amount_paid > 0 THEN 'partially_paid'
+                ELSE 'open'
+            END::invoice_status,
+            notes = 'Shortened by room transfer',
+            updated_at = NOW()
+        WHERE id = rent.id;
+    END LOOP;
+
+    UPDATE tenants SET room_number = new_room.room_number, property_id = new_room.property_id
+    WHERE id = old_booking.tenant_id;
+
+    PERFORM refresh_room_status(old_booking.room_id);
+    PERFORM refresh_room_status(new_room.id);
+
+    UPDATE room_transfers SET
+        status = 'approved',
+        new_booking_id = new_booking.id,
+        transfer_date = CURRENT_DATE,
+        owner_notes = p_notes,
+        reviewed_by = p_reviewed_by,
+        reviewed_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_transfer_id
+    RETURNING * INTO transfer;
+
+    RETURN transfer;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,42 @@
+-- Migration script to add scheduled backups and background job locks
+-- Run this script if you have an existing database
+
+-- Job locks table (keeps background jobs to one server instance at a time)
+CREATE TABLE IF NOT EXISTS job_locks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_name VARCHAR(100) UNIQUE NOT NULL,
+    locked_by VARCHAR(255) NOT NULL, -- host:pid of the instance holding the lock
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(20), -- succeeded, failed
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_backups_source ON backups(source);
+
+-- Take a job lock if it is free, expired, or already held by the caller
+CREATE OR REPLACE FUNCTION acquire_job_lock(
+    p_job_name VARCHAR,
+    p_holder VARCHAR,
+    p_ttl_seconds INTEGER
+) RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO job_locks AS jl (job_name, locked_by, locked_until)
+    VALUES (p_job_name, p_holder, NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (job_name) DO UPDATE SET
+        locked_by = EXCLUDED.locked_by,
+        locked_until = EXCLUDED.locked_until,
+        updated_at = NOW()
+    WHERE jl.locked_until < NOW() OR jl.locked_by = EXCLUDED.locked_by;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+INSERT INTO system_settings (setting_key, setting_value, description) VALUES
+('backup_schedule', 'off', 'Automatic backup schedule: off, daily or weekly'),
+('backup_retention_count', '7', 'Number of scheduled backups to keep'),
+('backup_encrypt', 'false', 'Encrypt scheduled backups (requires BACKUP_ENCRYPTION_KEY)')
+ON CONFLICT (setting_key) DO NOTHING;
@@ -0,0 +1,334 @@
+-- Migration script to add shared rooms with bed-level capacity and occupancy
+-- Run this script if you have an existing database
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity >= 1);
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS rent_per_bed BOOLEAN DEFAULT false;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS beds_taken INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS beds INTEGER NOT NULL DEFAULT 1 CHECK (beds >= 1);
+
+-- Existing double and triple rooms get their beds; their bookings keep taking the whole room
+UPDATE rooms SET capacity = 2 WHERE capacity = 1 AND room_type ILIKE '%double%';
+UPDATE rooms SET capacity = 3 WHERE capacity = 1 AND room_type ILIKE '%triple%';
+UPDATE bookings b SET beds = r.capacity FROM rooms r WHERE b.room_id = r.id AND b.beds <> r.capacity;
+
+-- Shared rooms may hold overlapping bookings; the check_booking_capacity trigger
+-- below checks free beds instead
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlapping_approved;
+
+-- Most beds held by approved and checked-in bookings on any one day of the
+-- range [p_start, p_end). NULL dates are unbounded. Occupancy only rises when a
+-- booking starts, so the peak falls on the range start or a booking's start.
+CREATE OR REPLACE FUNCTION room_beds_taken(
+    p_room_id UUID,
+    p_start DATE,
+    p_end DATE,
+    p_exclude_booking_id UUID DEFAULT NULL
+) RETURNS INTEGER AS $$
+    WITH overlapping AS (
+        SELECT beds, daterange(move_in_date, move_out_date, '[)') AS span
+        FROM bookings
+        WHERE room_id = p_room_id
+          AND status IN ('approved', 'active')
+          AND id IS DISTINCT FROM p_exclude_booking_id
+          AND daterange(move_in_date, move_out_date, '[)') && daterange(p_start, p_end, '[)')
+    ),
+    days AS (
+        SELECT COALESCE(GREATEST(lower(span), p_start), '-infinity'::DATE) AS day FROM overlapping
+        UNION
+        SELECT COALESCE(p_start, '-infinity'::DATE)
+    )
+    SELECT COALESCE(MAX(taken), 0)::INTEGER FROM (
+        SELECT SUM(o.beds) AS taken
+        FROM days d
+        JOIN overlapping o ON o.span @> d.day
+        GROUP BY d.day
+    ) per_day;
+$$ LANGUAGE sql STABLE;
+
+-- Database-level guard against double booking, for every write to bookings
+-- (status changes, amendments, transfers and backup restores alike). Shared rooms
+-- let bookings overlap, so the bookings_no_overlapping_approved exclusion
+-- constraint had to go, and an exclusion constraint cannot see rooms.rent_per_bed
+-- to keep it for whole rooms only. Instead: an approved or checked-in booking of a
+-- whole room may not overlap any other, and those of a per-bed room may not hold
+-- more beds than the room has on any day. Checked at commit, so a transaction
+-- (such as a restore) may pass through intermediate states. Errors: BK003.
+CREATE OR REPLACE FUNCTION check_booking_capacity()
+RETURNS TRIGGER AS $$
+DECLARE
+    booking bookings;
+    booked_room rooms;
+BEGIN
+    -- The row may have changed again since this event was queued
+    SELECT * INTO booking FROM bookings WHERE id = NEW.id;
+
+    IF NOT FOUND OR booking.status NOT IN ('approved', 'active') THEN
+        RETURN NULL;
+    END IF;
+
+    -- Lock the room so concurrent transactions are checked one after another
+    SELECT * INTO booked_room FROM rooms WHERE id = booking.room_id FOR UPDATE;
+
+    IF room_beds_taken(booking.room_id, booking.move_in_date, booking.move_out_date, booking.id)
+       + CASE WHEN booked_room.rent_per_bed THEN booking.beds ELSE booked_room.capacity END > booked_room.capacity THEN
+        RAISE EXCEPTION 'Not enough free beds in room % for these dates', booked_room.room_number USING ERRCODE = 'BK003';
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER check_booking_capacity
+    AFTER INSERT OR UPDATE OF status, room_id, move_in_date, move_out_date, beds ON bookings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_booking_capacity();
+
+-- Recompute a room's status from its bookings: occupied once checked-in tenants
+-- and approved bookings that have not ended fill every bed, reserved once pending
+-- requests take the remaining beds, otherwise available. beds_taken counts the
+-- beds held by all of them. Rooms under maintenance are left alone.
+CREATE OR REPLACE FUNCTION refresh_room_status(p_room_id UUID)
+RETURNS room_status AS $$
+DECLARE
+    room rooms;
+    occupied_beds INTEGER;
+    pending_beds INTEGER;
+    next_status room_status;
+BEGIN
+    SELECT * INTO room FROM rooms WHERE id = p_room_id FOR UPDATE;
+
+    IF NOT FOUND OR room.status = 'maintenance' THEN
+        RETURN room.status;
+    END IF;
+
+    SELECT COALESCE(SUM(beds), 0) INTO occupied_beds FROM bookings
+    WHERE room_id = p_room_id
+      AND (status = 'active'
+           OR (status = 'approved' AND (move_out_date IS NULL OR move_out_date > CURRENT_DATE)));
+
+    SELECT COALESCE(SUM(beds), 0) INTO pending_beds FROM bookings
+    WHERE room_id = p_room_id AND status = 'pending';
+
+    IF occupied_beds >= room.capacity THEN
+        next_status := 'occupied';
+    ELSIF occupied_beds + pending_beds >= room.capacity THEN
+        next_status := 'reserved';
+    ELSE
+        next_status := 'available';
+    END IF;
+
+    IF next_status <> room.status OR occupied_beds + pending_beds <> room.beds_taken THEN
+        UPDATE rooms SET
+            status = next_status,
+            beds_taken = occupied_beds + pending_beds,
+            last_updated = NOW()
+        WHERE id = p_room_id;
+    END IF;
+
+    RETURN next_status;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Move a booking to a new status and apply its room and tenant side effects in
+-- one transaction. Allowed transitions:
+--   pending  -> approved, rejected, cancelled, expired
+--   approved -> active (checked in), cancelled
+--   active   -> checked_out
+-- Approving or checking in needs enough free beds for the booking's dates.
+-- Errors: BK001 illegal transition, BK002 hold expired, BK003 not enough free beds.
+CREATE OR REPLACE FUNCTION transition_booking(
+    p_booking_id UUID,
+    p_status booking_status,
+    p_notes TEXT DEFAULT NULL
+) RETURNS bookings AS $$
+DECLARE
+    booking bookings;
+    previous_status booking_status;
+    booked_room rooms;
+BEGIN
+    SELECT * INTO booking FROM bookings WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    previous_status := booking.status;
+
+    IF NOT (
+        (previous_status = 'pending' AND p_status IN ('approved', 'rejected', 'cancelled', 'expired'))
+        OR (previous_status = 'approved' AND p_status IN ('active', 'cancelled'))
+        OR (previous_status = 'active' AND p_status = 'checked_out')
+    ) THEN
+        RAISE EXCEPTION 'Cannot change booking from % to %', previous_status, p_status USING ERRCODE = 'BK001';
+    END IF;
+
+    IF p_status = 'approved' AND booking.hold_expires_at < NOW() THEN
+        RAISE EXCEPTION 'Booking hold has expired' USING ERRCODE = 'BK002';
+    END IF;
+
+    IF p_status = 'expired' AND (booking.hold_expires_at IS NULL OR booking.hold_expires_at >= NOW()) THEN
+        RAISE EXCEPTION 'Booking hold has not expired' USING ERRCODE = 'BK001';
+    END IF;
+
+    -- Lock the room so concurrent approvals count each other's beds
+    SELECT * INTO booked_room FROM rooms WHERE id = booking.room_id FOR UPDATE;
+
+    IF p_status IN ('approved', 'active')
+       AND room_beds_taken(booking.room_id, booking.move_in_date, booking.move_out_date, booking.id) + booking.beds > booked_room.capacity THEN
+        RAISE EXCEPTION 'Not enough free beds in room % for these dates', booked_room.room_number USING ERRCODE = 'BK003';
+    END IF;
+
+    UPDATE bookings SET
+        status = p_status,
+        owner_notes = COALESCE(p_notes, owner_notes),
+        -- Checking out early ends the booking today so the dates free up
+        move_out_date = CASE
+            WHEN p_status = 'checked_out' AND (move_out_date IS NULL OR move_out_date > CURRENT_DATE)
+            THEN CURRENT_DATE ELSE move_out_date END,
+        updated_at = NOW()
+    WHERE id = p_booking_id
+    RETURNING * INTO booking;
+
+    IF p_status IN ('approved', 'active') THEN
+        UPDATE tenants SET room_number = booked_room.room_number, property_id = booking.property_id
+        WHERE id = booking.tenant_id;
+    ELSIF p_status IN ('cancelled', 'checked_out') AND previous_status IN ('approved', 'active') THEN
+        UPDATE tenants SET room_number = NULL
+        WHERE id = booking.tenant_id
+          AND room_number = booked_room.room_number
+          AND (property_id IS NULL OR property_id = booking.property_id);
+    END IF;
+
+    PERFORM refresh_room_status(booking.room_id);
+
+    RETURN booking;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Carry out an approved room transfer in one transaction: the current booking
+-- ends today and a checked-in booking for the new room starts today, linked to
+-- it through previous_booking_id. The tenant keeps their number of beds in a
+-- per-bed room and takes a whole room otherwise. The deposit moves to the new
+-- booking (topped up if the new room asks for more), the current month's rent
+-- for the old room is cut short, the tenant's room changes and both rooms'
+-- statuses are refreshed.
+-- Errors: RT001 transfer already reviewed, RT002 new room under maintenance,
+-- BK001 tenant not checked in, BK003 not enough free beds in the new room.
+CREATE OR REPLACE FUNCTION transfer_room(
+    p_transfer_id UUID,
+    p_reviewed_by UUID,
+    p_notes TEXT DEFAULT NULL
+) RETURNS room_transfers AS $$
+DECLARE
+    transfer room_transfers;
+    old_booking bookings;
+    new_booking bookings;
+    new_room rooms;
+    new_beds INTEGER;
+    new_deposit DECIMAL;
+    rent invoices;
+    kept_amount DECIMAL;
+BEGIN
+    SELECT * INTO transfer FROM room_transfers WHERE id = p_transfer_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Transfer not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF transfer.status <> 'requested' THEN
+        RAISE EXCEPTION 'Transfer has already been %', transfer.status USING ERRCODE = 'RT001';
+    END IF;
+
+    SELECT * INTO old_booking FROM bookings WHERE id = transfer.booking_id FOR UPDATE;
+
+    IF old_booking.status <> 'active' THEN
+        RAISE EXCEPTION 'Only checked-in tenants can be transferred' USING ERRCODE = 'BK001';
+    END IF;
+
+    SELECT * INTO new_room FROM rooms WHERE id = transfer.to_room_id FOR UPDATE;
+
+    IF new_room.status = 'maintenance' THEN
+        RAISE EXCEPTION 'Room % is under maintenance', new_room.room_number USING ERRCODE = 'RT002';
+    END IF;
+
+    new_beds := CASE WHEN new_room.rent_per_bed THEN old_booking.beds ELSE new_room.capacity END;
+    new_deposit := COALESCE(new_room.deposit_amount, 0) * CASE WHEN new_room.rent_per_bed THEN new_beds ELSE 1 END;
+
+    IF room_beds_taken(new_room.id, CURRENT_DATE,
+           CASE WHEN old_booking.move_out_date > CURRENT_DATE THEN old_booking.move_out_date END) + new_beds > new_room.capacity THEN
+        RAISE EXCEPTION 'Not enough free beds in room %', new_room.room_number USING ERRCODE = 'BK003';
+    END IF;
+
+    UPDATE bookings SET
+        status = 'checked_out',
+        move_out_date = CURRENT_DATE,
+        updated_at = NOW()
+    WHERE id = old_booking.id;
+
+    INSERT INTO bookings (tenant_id, room_id, property_id, move_in_date, move_out_date, status, beds, owner_notes, previous_booking_id)
+    VALUES (
+        old_booking.tenant_id, new_room.id, new_room.property_id, CURRENT_DATE,
+        CASE WHEN old_booking.move_out_date > CURRENT_DATE THEN old_booking.move_out_date END,
+        'active', new_beds, p_notes, old_booking.id
+    )
+    RETURNING * INTO new_booking;
+
+    UPDATE invoices SET
+        booking_id = new_booking.id,
+        property_id = new_booking.property_id,
+        room_id = new_booking.room_id,
+        amount = GREATEST(amount, new_deposit),
+        status = CASE
+            WHEN amount_paid >= GREATEST(amount, new_deposit) THEN 'paid'
+            WHEN amount_paid > 0 THEN 'partially_paid'
+            ELSE 'open'
+        END::invoice_status,
+        updated_at = NOW()
+    WHERE booking_id = old_booking.id AND invoice_type = 'deposit' AND status <> 'void';
+
+    -- Rent for the old room stops yesterday; the new booking is invoiced from today
+    FOR rent IN
+        SELECT * FROM invoices
+        WHERE booking_id = old_booking.id AND invoice_type = 'rent' AND status <> 'void'
+          AND period_end >= CURRENT_DATE
+        FOR UPDATE
+    LOOP
+        kept_amount := ROUND(rent.amount * GREATEST(CURRENT_DATE - rent.period_start, 0)
+            / (rent.period_end - rent.period_start + 1), 2);
+
+        UPDATE invoices SET
+            period_end = GREATEST(CURRENT_DATE - 1, period_start),
+            amount = kept_amount,
+            status = CASE
+                WHEN kept_amount = 0 AND amount_paid = 0 THEN 'void'
+                WHEN amount_paid >= kept_amount THEN 'paid'
+                WHEN amount_paid > 0 THEN 'partially_paid'
+                ELSE 'open'
+            END::invoice_status,
+            notes = 'Shortened by room transfer',
+            updated_at = NOW()
+        WHERE id = rent.id;
+    END LOOP;
+
+    UPDATE tenants SET room_number = new_room.room_number, property_id = new_room.property_id
+    WHERE id = old_booking.tenant_id;
+
+    PERFORM refresh_room_status(old_booking.room_id);
+    PERFORM refresh_room_status(new_room.id);
+
+    UPDATE room_transfers SET
+        status = 'approved',
+        new_booking_id = new_booking.id,
+        transfer_date = CURRENT_DATE,
+        owner_notes = p_notes,
+        reviewed_by = p_reviewed_by,
+        reviewed_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_transfer_id
+    RETURNING * INTO transfer;
+
+    RETURN transfer;
+END;
+$$ LANGUAGE plpgsql;
+
+SELECT refresh_room_status(id) FROM rooms;
@@ -0,0 +1,11 @@
+-- Migration script to replace room-number tenant login with owner-issued invites
+-- Run this script if you have an existing database
+
+ALTER TABLE account_tokens
+ADD COLUMN IF NOT EXISTS booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE;
+
+COMMENT ON COLUMN account_tokens.booking_id IS 'Approved booking a tenant_invite token is tied to';
+
+-- Existing tenants who only ever logged in with their room number can either use
+-- POST /api/auth/forgot-password, or their owner can send activation invites to all
+-- approved bookings at once with POST /api/bookings/tenant-invites.
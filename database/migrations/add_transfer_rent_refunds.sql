@@ -0,0 +1,136 @@
+-- Migration script to add refunds of rent paid past a room transfer
+-- Run this script if you have an existing database
+
+-- Carry out an approved room transfer in one transaction: the current booking
+-- ends today and a checked-in booking for the new room starts today, linked to
+-- it through previous_booking_id. The tenant keeps their number of beds in a
+-- per-bed room and takes a whole room otherwise. The deposit moves to the new
+-- booking (topped up if the new room asks for more), the current month's rent
+-- for the old room is cut short (refunding anything paid beyond the shortened
+-- period), the tenant's room changes and both rooms' statuses are refreshed.
+-- Errors: RT001 transfer already reviewed, RT002 new room under maintenance,
+-- BK001 tenant not checked in, BK003 not enough free beds in the new room.
+CREATE OR REPLACE FUNCTION transfer_room(
+    p_transfer_id UUID,
+    p_reviewed_by UUID,
+    p_notes TEXT DEFAULT NULL
+) RETURNS room_transfers AS $$
+DECLARE
+    transfer room_transfers;
+    old_booking bookings;
+    new_booking bookings;
+    new_room rooms;
+    new_beds INTEGER;
+    new_deposit DECIMAL;
+    rent invoices;
+    kept_amount DECIMAL;
+BEGIN
+    SELECT * INTO transfer FROM room_transfers WHERE id = p_transfer_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Transfer not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF transfer.status <> 'requested' THEN
+        RAISE EXCEPTION 'Transfer has already been %', transfer.status USING ERRCODE = 'RT001';
+    END IF;
+
+    SELECT * INTO old_booking FROM bookings WHERE id = transfer.booking_id FOR UPDATE;
+
+    IF old_booking.status <> 'active' THEN
+        RAISE EXCEPTION 'Only checked-in tenants can be transferred' USING ERRCODE = 'BK001';
+    END IF;
+
+    SELECT * INTO new_room FROM rooms WHERE id = transfer.to_room_id FOR UPDATE;
+
+    IF new_room.status = 'maintenance' THEN
+        RAISE EXCEPTION 'Room % is under maintenance', new_room.room_number USING ERRCODE = 'RT002';
+    END IF;
+
+    new_beds := CASE WHEN new_room.rent_per_bed THEN old_booking.beds ELSE new_room.capacity END;
+    new_deposit := COALESCE(new_room.deposit_amount, 0) * CASE WHEN new_room.rent_per_bed THEN new_beds ELSE 1 END;
+
+    IF room_beds_taken(new_room.id, CURRENT_DATE,
+           CASE WHEN old_booking.move_out_date > CURRENT_DATE THEN old_booking.move_out_date END) + new_beds > new_room.capacity THEN
+        RAISE EXCEPTION 'Not enough free beds in room %', new_room.room_number USING ERRCODE = 'BK003';
+    END IF;
+
+    UPDATE bookings SET
+        status = 'checked_out',
+        move_out_date = CURRENT_DATE,
+        updated_at = NOW()
+    WHERE id = old_booking.id;
+
+    INSERT INTO bookings (tenant_id, room_id, property_id, move_in_date, move_out_date, status, beds, owner_notes, previous_booking_id)
+    VALUES (
+        old_booking.tenant_id, new_room.id, new_room.property_id, CURRENT_DATE,
+        CASE WHEN old_booking.move_out_date > CURRENT_DATE THEN old_booking.move_out_date END,
+        'active', new_beds, p_notes, old_booking.id
+    )
+    RETURNING * INTO new_booking;
+
+    UPDATE invoices SET
+        booking_id = new_booking.id,
+        property_id = new_booking.property_id,
+        room_id = new_booking.room_id,
+        amount = GREATEST(amount, new_deposit),
+        status = CASE
+            WHEN amount_paid >= GREATEST(amount, new_deposit) THEN 'paid'
+            WHEN amount_paid > 0 THEN 'partially_paid'
+            ELSE 'open'
+        END::invoice_status,
+        updated_at = NOW()
+    WHERE booking_id = old_booking.id AND invoice_type = 'deposit' AND status <> 'void';
+
+    -- Rent for the old room stops yesterday; the new booking is invoiced from today
+    FOR rent IN
+        SELECT * FROM invoices
+        WHERE booking_id = old_booking.id AND invoice_type = 'rent' AND status <> 'void'
+          AND period_end >= CURRENT_DATE
+        FOR UPDATE
+    LOOP
+        kept_amount := ROUND(rent.amount * GREATEST(CURRENT_DATE - rent.period_start, 0)
+            / (rent.period_end - rent.period_start + 1), 2);
+
+        UPDATE invoices SET
+            period_end = GREATEST(CURRENT_DATE - 1, period_start),
+            amount = kept_amount,
+            amount_paid = LEAST(amount_paid, kept_amount),
+            status = CASE
+                WHEN kept_amount = 0 THEN 'void'
+                WHEN amount_paid >= kept_amount THEN 'paid'
+                WHEN amount_paid > 0 THEN 'partially_paid'
+                ELSE 'open'
+            END::invoice_status,
+            notes = 'Shortened by room transfer',
+            updated_at = NOW()
+        WHERE id = rent.id;
+
+        -- Rent already paid for the rest of the period goes back to the tenant
+        IF rent.amount_paid > kept_amount THEN
+            INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+            VALUES (rent.id, rent.booking_id, rent.tenant_id, rent.property_id, 'refund', rent.amount_paid - kept_amount, 'other', NULL,
+                'Rent paid past the room transfer', p_reviewed_by);
+        END IF;
+    END LOOP;
+
+    UPDATE tenants SET room_number = new_room.room_number, property_id = new_room.property_id
+    WHERE id = old_booking.tenant_id;
+
+    PERFORM refresh_room_status(old_booking.room_id);
+    PERFORM refresh_room_status(new_room.id);
+
+    UPDATE room_transfers SET
+        status = 'approved',
+        new_booking_id = new_booking.id,
+        transfer_date = CURRENT_DATE,
+        owner_notes = p_notes,
+        reviewed_by = p_reviewed_by,
+        reviewed_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_transfer_id
+    RETURNING * INTO transfer;
+
+    RETURN transfer;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,26 @@
+-- Migration script to add TOTP two-factor authentication for admins and owners
+-- Run this script if you have an existing database
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS two_factor_secret VARCHAR(64),
+ADD COLUMN IF NOT EXISTS two_factor_pending_secret VARCHAR(64),
+ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+
+COMMENT ON COLUMN users.two_factor_secret IS 'Base32 TOTP secret';
+COMMENT ON COLUMN users.two_factor_pending_secret IS 'Secret awaiting confirmation during enrollment';
+COMMENT ON COLUMN users.two_factor_last_step IS 'Last accepted TOTP time step, prevents code replay';
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+INSERT INTO system_settings (setting_key, setting_value, description) VALUES
+('require_admin_2fa', 'false', 'Require two-factor authentication for admin accounts')
+ON CONFLICT (setting_key) DO NOTHING;
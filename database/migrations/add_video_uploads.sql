@@ -0,0 +1,16 @@
+-- Migration script to add video uploads for complaint attachments
+-- Run this script if you have an existing database
+
+-- Allow the video formats complaints accept, keeping any types an admin added
+UPDATE system_settings SET setting_value = setting_value || ',mp4', updated_at = NOW()
+WHERE setting_key = 'allowed_file_types' AND NOT ('mp4' = ANY(string_to_array(REPLACE(setting_value, ' ', ''), ',')));
+
+UPDATE system_settings SET setting_value = setting_value || ',mov', updated_at = NOW()
+WHERE setting_key = 'allowed_file_types' AND NOT ('mov' = ANY(string_to_array(REPLACE(setting_value, ' ', ''), ',')));
+
+UPDATE system_settings SET setting_value = setting_value || ',webm', updated_at = NOW()
+WHERE setting_key = 'allowed_file_types' AND NOT ('webm' = ANY(string_to_array(REPLACE(setting_value, ' ', ''), ',')));
+
+-- The old 5MB default is too small for a short video; raise it unless an admin changed it
+UPDATE system_settings SET setting_value = '26214400', updated_at = NOW()
+WHERE setting_key = 'max_file_size' AND setting_value = '5242880';
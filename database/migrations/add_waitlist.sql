@@ -0,0 +1,27 @@
+-- Migration script to add property and room type waitlists
+-- Run this script if you have an existing database
+
+-- Waitlist entries table (tenants queued for a property, optionally for one room type)
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    room_type VARCHAR(100), -- NULL for any room type
+    desired_move_in_date DATE,
+    notes TEXT,
+    status VARCHAR(20) DEFAULT 'waiting', -- waiting, notified, booked, left
+    notified_room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    notified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_property_id ON waitlist_entries(property_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_tenant_id ON waitlist_entries(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_entries_open ON waitlist_entries(tenant_id, property_id, COALESCE(room_type, '')) WHERE status IN ('waiting', 'notified');
+
+CREATE TRIGGER update_waitlist_entries_updated_at BEFORE UPDATE ON waitlist_entries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO system_settings (setting_key, setting_value, description) VALUES
+('waitlist_notify_count', '3', 'Waitlisted tenants notified each time a room frees up')
+ON CONFLICT (setting_key) DO NOTHING;
@@ -0,0 +1,6 @@
+-- Migration script to add a booking window for notified waitlist entries
+-- Run this script if you have an existing database
+
+INSERT INTO system_settings (setting_key, setting_value, description) VALUES
+('waitlist_notify_window_hours', '48', 'Hours a notified waitlisted tenant has to book before rejoining the queue')
+ON CONFLICT (setting_key) DO NOTHING;
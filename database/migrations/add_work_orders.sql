@@ -0,0 +1,46 @@
+-- Migration script to add vendors and maintenance work orders
+-- Run this script if you have an existing database
+
+-- Vendors table (tradespeople an owner dispatches maintenance work to)
+CREATE TABLE IF NOT EXISTS vendors (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES owners(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    trade VARCHAR(100) NOT NULL, -- plumber, electrician, carpenter, etc.
+    phone VARCHAR(20),
+    email VARCHAR(255),
+    notes TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Work orders table (maintenance jobs dispatched for a complaint)
+CREATE TABLE IF NOT EXISTS work_orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    complaint_id UUID REFERENCES complaints(id) ON DELETE SET NULL, -- kept for expense reports if the complaint goes
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    vendor_id UUID REFERENCES vendors(id) ON DELETE SET NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) DEFAULT 'open', -- open, scheduled, in_progress, completed, cancelled
+    scheduled_start TIMESTAMP WITH TIME ZONE,
+    scheduled_end TIMESTAMP WITH TIME ZONE,
+    estimated_cost DECIMAL(10,2) CHECK (estimated_cost >= 0),
+    cost DECIMAL(10,2) CHECK (cost >= 0), -- actual cost, recorded on completion
+    completion_notes TEXT,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    cancellation_reason TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendors_owner_id ON vendors(owner_id);
+CREATE INDEX IF NOT EXISTS idx_work_orders_complaint_id ON work_orders(complaint_id);
+CREATE INDEX IF NOT EXISTS idx_work_orders_property_id ON work_orders(property_id, status);
+CREATE INDEX IF NOT EXISTS idx_work_orders_vendor_id ON work_orders(vendor_id);
+
+CREATE TRIGGER update_vendors_updated_at BEFORE UPDATE ON vendors FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_work_orders_updated_at BEFORE UPDATE ON work_orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
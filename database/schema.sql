@@ -8,8 +8,20 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE TYPE user_role AS ENUM ('owner', 'tenant', 'admin');
 CREATE TYPE verification_status AS ENUM ('pending', 'approved', 'rejected');
 CREATE TYPE room_status AS ENUM ('available', 'occupied', 'reserved', 'maintenance');
-CREATE TYPE booking_status AS ENUM ('pending', 'approved', 'rejected', 'cancelled');
+CREATE TYPE booking_status AS ENUM ('pending', 'approved', 'active', 'checked_out', 'rejected', 'cancelled', 'expired');
 CREATE TYPE complaint_status AS ENUM ('pending', 'in_progress', 'resolved', 'closed');
+CREATE TYPE invoice_status AS ENUM ('open', 'partially_paid', 'paid', 'void');
+
+-- Roles table (named permission sets; system roles mirror the base user roles)
+CREATE TABLE roles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description TEXT,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    is_system BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
 
 -- Users table (for authentication)
 CREATE TABLE users (
@@ -17,10 +29,16 @@ CREATE TABLE users (
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
     role user_role NOT NULL,
+    role_id UUID REFERENCES roles(id) ON DELETE SET NULL, -- optional custom role overriding the default permissions
     verification_status verification_status DEFAULT 'pending',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     last_login TIMESTAMP WITH TIME ZONE,
+    email_verified_at TIMESTAMP WITH TIME ZONE,
+    two_factor_enabled BOOLEAN DEFAULT false,
+    two_factor_secret VARCHAR(64), -- base32 TOTP secret
+    two_factor_pending_secret VARCHAR(64), -- secret awaiting confirmation during enrollment
+    two_factor_last_step BIGINT, -- last accepted TOTP time step, prevents code replay
     is_active BOOLEAN DEFAULT true
 );
 
@@ -76,11 +94,14 @@ CREATE TABLE rooms (
     room_type VARCHAR(100) NOT NULL, -- Single, Double, Triple, etc.
     rent_amount DECIMAL(10,2) NOT NULL,
     deposit_amount DECIMAL(10,2) DEFAULT 0,
+    capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity >= 1), -- number of beds
+    rent_per_bed BOOLEAN DEFAULT false, -- rent and deposit are charged per bed; otherwise a booking takes the whole room
     amenities JSONB, -- Room-specific amenities
     images JSONB, -- Room images
     latitude DECIMAL(10, 8), -- Latitude coordinate for location-based search
     longitude DECIMAL(11, 8), -- Longitude coordinate for location-based search
     status room_status DEFAULT 'available',
+    beds_taken INTEGER NOT NULL DEFAULT 0, -- beds held by current and pending bookings, kept by refresh_room_status()
     last_updated TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -97,8 +118,214 @@ CREATE TABLE bookings (
     move_in_date DATE,
     move_out_date DATE,
     status booking_status DEFAULT 'pending',
+    beds INTEGER NOT NULL DEFAULT 1 CHECK (beds >= 1), -- beds held in the room; whole-room bookings hold all of them
     owner_notes TEXT,
     tenant_notes TEXT,
+    hold_expires_at TIMESTAMP WITH TIME ZONE, -- pending bookings expire after this
+    previous_booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL, -- booking this one continues after a room transfer
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Invoices table (monthly rent and one-off deposit charges per booking)
+CREATE TABLE invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    invoice_type VARCHAR(20) NOT NULL DEFAULT 'rent', -- rent, deposit, settlement
+    period_start DATE NOT NULL, -- deposit invoices use the move-in date
+    period_end DATE NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0,
+    amount_refunded DECIMAL(10,2) NOT NULL DEFAULT 0, -- deposit returned to the tenant
+    amount_retained DECIMAL(10,2) NOT NULL DEFAULT 0, -- deposit kept for move-out deductions or rent
+    due_date DATE NOT NULL,
+    status invoice_status DEFAULT 'open',
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(booking_id, invoice_type, period_start)
+);
+
+-- Ledger entries table (payments against invoices, refunds and deposit refunds)
+CREATE TABLE ledger_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID REFERENCES invoices(id) ON DELETE CASCADE,
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    entry_type VARCHAR(20) NOT NULL, -- payment, refund, deposit_refund, deposit_deduction
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    method VARCHAR(50), -- cash, bank_transfer, upi, card, online, deposit, other
+    reference VARCHAR(255),
+    notes TEXT,
+    recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Online payments table (one row per checkout started with the payment provider)
+CREATE TABLE online_payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID REFERENCES invoices(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_payment_id VARCHAR(255),
+    provider_refund_id VARCHAR(255),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending', -- pending, succeeded, failed, requires_refund, refund_pending, refunded
+    checkout_url TEXT,
+    ledger_entry_id UUID REFERENCES ledger_entries(id) ON DELETE SET NULL,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    refunded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(provider, provider_payment_id)
+);
+
+-- Payment webhook events table (provider event ids already processed, for idempotency)
+CREATE TABLE payment_webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(provider, event_id)
+);
+
+-- Lease templates table (per-owner lease text with {{placeholder}} fields)
+CREATE TABLE lease_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES owners(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    is_default BOOLEAN DEFAULT false, -- rendered on approval; at most one per owner
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Leases table (PDF lease rendered for a booking on approval, accepted by both parties)
+CREATE TABLE leases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    template_id UUID REFERENCES lease_templates(id) ON DELETE SET NULL, -- NULL for the built-in template
+    content TEXT NOT NULL, -- lease text as rendered into the PDF
+    file_name VARCHAR(255) NOT NULL, -- PDF under UPLOAD_PATH/leases
+    file_size BIGINT NOT NULL,
+    checksum VARCHAR(64) NOT NULL, -- sha256 of the PDF
+    status VARCHAR(20) DEFAULT 'pending', -- pending, accepted
+    tenant_accepted_at TIMESTAMP WITH TIME ZONE,
+    tenant_accepted_ip INET,
+    owner_accepted_at TIMESTAMP WITH TIME ZONE,
+    owner_accepted_ip INET,
+    owner_accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Move-outs table (tenant move-out request, owner inspection and deposit settlement)
+CREATE TABLE move_outs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    requested_date DATE NOT NULL, -- move-out date the tenant asked for
+    approved_date DATE, -- move-out date the owner agreed to
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'requested', -- requested, approved, rejected, cancelled, inspected, settled
+    owner_notes TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    checklist JSONB, -- [{ item, condition, notes }]
+    inspection_notes TEXT,
+    photos JSONB DEFAULT '[]', -- uploaded inspection photos under UPLOAD_PATH
+    inspected_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    inspected_at TIMESTAMP WITH TIME ZONE,
+    deductions JSONB, -- [{ reason, amount }] taken from the deposit
+    total_deductions DECIMAL(10,2),
+    deposit_held DECIMAL(10,2), -- deposit held when the move-out was settled
+    rent_applied DECIMAL(10,2), -- deposit used to pay outstanding rent
+    refund_amount DECIMAL(10,2), -- deposit returned to the tenant
+    balance_due DECIMAL(10,2), -- deductions beyond the deposit, invoiced to the tenant
+    settlement_invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+    settled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    settled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Waitlist entries table (tenants queued for a property, optionally for one room type)
+CREATE TABLE waitlist_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    room_type VARCHAR(100), -- NULL for any room type
+    desired_move_in_date DATE,
+    notes TEXT,
+    status VARCHAR(20) DEFAULT 'waiting', -- waiting, notified, booked, left
+    notified_room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    notified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Room transfers table (tenant moving to another room of the same owner, approved by the owner)
+CREATE TABLE room_transfers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE, -- booking the tenant is moving out of
+    new_booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL, -- booking created for the new room
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    from_room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    to_room_id UUID REFERENCES rooms(id) ON DELETE CASCADE,
+    from_property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    to_property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    preferred_date DATE,
+    transfer_date DATE, -- day the tenant moved
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'requested', -- requested, approved, rejected, cancelled
+    owner_notes TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Booking amendments table (tenant-proposed date or note changes, approved by the owner)
+CREATE TABLE booking_amendments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    previous_move_in_date DATE, -- booking dates when the change was requested
+    previous_move_out_date DATE,
+    proposed_move_in_date DATE,
+    proposed_move_out_date DATE, -- NULL keeps the booking open-ended
+    proposed_notes TEXT, -- replaces the booking's tenant notes when set
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'requested', -- requested, approved, rejected, cancelled
+    owner_notes TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Property staff table (owner-delegated access to a property)
+CREATE TABLE property_staff (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    scopes TEXT[] NOT NULL DEFAULT '{}', -- manage_property, manage_rooms, approve_bookings, respond_complaints, manage_payments
+    status VARCHAR(20) DEFAULT 'pending', -- pending, active, declined, revoked
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -117,6 +344,84 @@ CREATE TABLE complaints (
     owner_response TEXT,
     admin_notes TEXT,
     resolved_at TIMESTAMP WITH TIME ZONE,
+    response_due_at TIMESTAMP WITH TIME ZONE, -- SLA deadlines, from the complaint_sla_* settings when filed
+    resolution_due_at TIMESTAMP WITH TIME ZONE,
+    first_response_at TIMESTAMP WITH TIME ZONE, -- first reply or status change by the owner or staff
+    response_breached_at TIMESTAMP WITH TIME ZONE, -- set by the SLA job when a deadline is missed
+    resolution_breached_at TIMESTAMP WITH TIME ZONE,
+    escalated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Complaint comments table (conversation between tenant, owner and admins)
+CREATE TABLE complaint_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    complaint_id UUID REFERENCES complaints(id) ON DELETE CASCADE,
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    author_role VARCHAR(20) NOT NULL, -- tenant, owner, staff, admin
+    body TEXT NOT NULL,
+    is_internal BOOLEAN DEFAULT false, -- hidden from the tenant
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Complaint attachments table (photos and videos uploaded with a complaint or comment)
+CREATE TABLE complaint_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    complaint_id UUID REFERENCES complaints(id) ON DELETE CASCADE,
+    comment_id UUID REFERENCES complaint_comments(id) ON DELETE CASCADE, -- NULL for files filed with the complaint
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    file_name VARCHAR(255) NOT NULL, -- stored under UPLOAD_PATH/complaints
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100),
+    file_size INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Complaint status history table (every status change, oldest first)
+CREATE TABLE complaint_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    complaint_id UUID REFERENCES complaints(id) ON DELETE CASCADE,
+    from_status complaint_status, -- NULL when the complaint was filed
+    to_status complaint_status NOT NULL,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20), -- tenant, owner, staff, admin
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Vendors table (tradespeople an owner dispatches maintenance work to)
+CREATE TABLE vendors (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES owners(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    trade VARCHAR(100) NOT NULL, -- plumber, electrician, carpenter, etc.
+    phone VARCHAR(20),
+    email VARCHAR(255),
+    notes TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Work orders table (maintenance jobs dispatched for a complaint)
+CREATE TABLE work_orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    complaint_id UUID REFERENCES complaints(id) ON DELETE SET NULL, -- kept for expense reports if the complaint goes
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    vendor_id UUID REFERENCES vendors(id) ON DELETE SET NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) DEFAULT 'open', -- open, scheduled, in_progress, completed, cancelled
+    scheduled_start TIMESTAMP WITH TIME ZONE,
+    scheduled_end TIMESTAMP WITH TIME ZONE,
+    estimated_cost DECIMAL(10,2) CHECK (estimated_cost >= 0),
+    cost DECIMAL(10,2) CHECK (cost >= 0), -- actual cost, recorded on completion
+    completion_notes TEXT,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    cancellation_reason TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -145,6 +450,7 @@ CREATE TABLE audit_logs (
     new_values JSONB,
     ip_address INET,
     user_agent TEXT,
+    on_behalf_of UUID REFERENCES users(id) ON DELETE SET NULL, -- owner a staff member acted for
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -158,9 +464,90 @@ CREATE TABLE system_settings (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- User sessions table (refresh tokens, hashed)
+CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+    previous_token_hash VARCHAR(64),
+    ip_address INET,
+    user_agent TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Account tokens table (single-use password reset / email verification tokens, hashed)
+CREATE TABLE account_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(50) NOT NULL, -- password_reset, email_verification, tenant_invite
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE, -- set for tenant_invite
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Two-factor recovery codes table (single-use, hashed)
+CREATE TABLE user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Login attempts table (failed-login counters and lockouts per account and per IP)
+CREATE TABLE login_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    identifier_type VARCHAR(20) NOT NULL, -- account, ip
+    identifier VARCHAR(255) NOT NULL, -- lower-cased email or IP address
+    failed_count INTEGER DEFAULT 0,
+    lockout_count INTEGER DEFAULT 0, -- doubles the lockout duration on each repeat
+    first_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    locked_until TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(identifier_type, identifier)
+);
+
+-- Backups table (archives kept in the private BACKUP_BUCKET storage bucket; checksum is the sha256 of the file)
+CREATE TABLE backups (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    version BIGSERIAL UNIQUE, -- increases with every backup taken
+    file_name VARCHAR(255) UNIQUE NOT NULL,
+    file_size BIGINT NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    encrypted BOOLEAN DEFAULT false,
+    format_version INTEGER NOT NULL,
+    manifest JSONB NOT NULL, -- tables, row counts, columns and per-table checksums
+    label VARCHAR(255),
+    source VARCHAR(20) DEFAULT 'manual', -- manual, scheduled, pre_restore
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Job locks table (keeps background jobs to one server instance at a time)
+CREATE TABLE job_locks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_name VARCHAR(100) UNIQUE NOT NULL,
+    locked_by VARCHAR(255) NOT NULL, -- host:pid of the instance holding the lock
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(20), -- succeeded, failed
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
+CREATE INDEX idx_users_role_id ON users(role_id);
 CREATE INDEX idx_owners_user_id ON owners(user_id);
 CREATE INDEX idx_tenants_user_id ON tenants(user_id);
 CREATE INDEX idx_tenants_room_number ON tenants(room_number);
@@ -180,15 +567,58 @@ CREATE EXTENSION IF NOT EXISTS earthdistance;
 CREATE INDEX idx_rooms_coordinates ON rooms USING GIST (ll_to_earth(latitude::double precision, longitude::double precision));
 CREATE INDEX idx_bookings_tenant_id ON bookings(tenant_id);
 CREATE INDEX idx_bookings_room_id ON bookings(room_id);
+CREATE INDEX idx_bookings_room_dates ON bookings(room_id, move_in_date, move_out_date);
 CREATE INDEX idx_bookings_status ON bookings(status);
+CREATE INDEX idx_bookings_hold_expires_at ON bookings(hold_expires_at) WHERE status = 'pending';
+CREATE INDEX idx_bookings_previous_booking_id ON bookings(previous_booking_id);
+CREATE INDEX idx_invoices_tenant_id ON invoices(tenant_id);
+CREATE INDEX idx_invoices_property_id ON invoices(property_id);
+CREATE INDEX idx_invoices_status ON invoices(status);
+CREATE INDEX idx_ledger_entries_invoice_id ON ledger_entries(invoice_id);
+CREATE INDEX idx_ledger_entries_tenant_id ON ledger_entries(tenant_id);
+CREATE INDEX idx_online_payments_invoice_id ON online_payments(invoice_id);
+CREATE INDEX idx_online_payments_tenant_id ON online_payments(tenant_id);
+CREATE UNIQUE INDEX idx_lease_templates_owner_default ON lease_templates(owner_id) WHERE is_default;
+CREATE INDEX idx_leases_tenant_id ON leases(tenant_id);
+CREATE INDEX idx_leases_property_id ON leases(property_id);
+CREATE INDEX idx_move_outs_booking_id ON move_outs(booking_id);
+CREATE UNIQUE INDEX idx_move_outs_open_booking ON move_outs(booking_id) WHERE status NOT IN ('rejected', 'cancelled');
+CREATE INDEX idx_move_outs_property_id ON move_outs(property_id);
+CREATE INDEX idx_waitlist_entries_property_id ON waitlist_entries(property_id, created_at);
+CREATE INDEX idx_waitlist_entries_tenant_id ON waitlist_entries(tenant_id);
+CREATE UNIQUE INDEX idx_waitlist_entries_open ON waitlist_entries(tenant_id, property_id, COALESCE(room_type, '')) WHERE status IN ('waiting', 'notified');
+CREATE INDEX idx_room_transfers_booking_id ON room_transfers(booking_id);
+CREATE UNIQUE INDEX idx_room_transfers_open_booking ON room_transfers(booking_id) WHERE status = 'requested';
+CREATE INDEX idx_room_transfers_to_property_id ON room_transfers(to_property_id);
+CREATE INDEX idx_booking_amendments_booking_id ON booking_amendments(booking_id);
+CREATE UNIQUE INDEX idx_booking_amendments_open_booking ON booking_amendments(booking_id) WHERE status = 'requested';
+CREATE INDEX idx_booking_amendments_property_id ON booking_amendments(property_id);
+CREATE INDEX idx_complaint_comments_complaint_id ON complaint_comments(complaint_id, created_at);
+CREATE INDEX idx_complaint_attachments_complaint_id ON complaint_attachments(complaint_id);
+CREATE INDEX idx_complaint_status_history_complaint_id ON complaint_status_history(complaint_id, created_at);
+CREATE INDEX idx_vendors_owner_id ON vendors(owner_id);
+CREATE INDEX idx_work_orders_complaint_id ON work_orders(complaint_id);
+CREATE INDEX idx_work_orders_property_id ON work_orders(property_id, status);
+CREATE INDEX idx_work_orders_vendor_id ON work_orders(vendor_id);
+CREATE INDEX idx_property_staff_property_id ON property_staff(property_id);
+CREATE INDEX idx_property_staff_user_id ON property_staff(user_id);
 CREATE INDEX idx_complaints_tenant_id ON complaints(tenant_id);
 CREATE INDEX idx_complaints_property_id ON complaints(property_id);
 CREATE INDEX idx_complaints_status ON complaints(status);
+CREATE INDEX idx_complaints_response_due_at ON complaints(response_due_at) WHERE response_breached_at IS NULL;
+CREATE INDEX idx_complaints_resolution_due_at ON complaints(resolution_due_at) WHERE resolution_breached_at IS NULL;
 CREATE INDEX idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX idx_notifications_is_read ON notifications(is_read);
 CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
 CREATE INDEX idx_audit_logs_action ON audit_logs(action);
 CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX idx_user_sessions_previous_token_hash ON user_sessions(previous_token_hash);
+CREATE INDEX idx_account_tokens_user_purpose ON account_tokens(user_id, purpose);
+CREATE INDEX idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+CREATE INDEX idx_login_attempts_locked_until ON login_attempts(locked_until);
+CREATE INDEX idx_backups_created_at ON backups(created_at);
+CREATE INDEX idx_backups_source ON backups(source);
 
 -- Create triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -206,17 +636,1087 @@ CREATE TRIGGER update_properties_updated_at BEFORE UPDATE ON properties FOR EACH
 CREATE TRIGGER update_rooms_updated_at BEFORE UPDATE ON rooms FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_bookings_updated_at BEFORE UPDATE ON bookings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_complaints_updated_at BEFORE UPDATE ON complaints FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_vendors_updated_at BEFORE UPDATE ON vendors FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_work_orders_updated_at BEFORE UPDATE ON work_orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_system_settings_updated_at BEFORE UPDATE ON system_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_invoices_updated_at BEFORE UPDATE ON invoices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_online_payments_updated_at BEFORE UPDATE ON online_payments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_lease_templates_updated_at BEFORE UPDATE ON lease_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_leases_updated_at BEFORE UPDATE ON leases FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_move_outs_updated_at BEFORE UPDATE ON move_outs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_waitlist_entries_updated_at BEFORE UPDATE ON waitlist_entries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_room_transfers_updated_at BEFORE UPDATE ON room_transfers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_booking_amendments_updated_at BEFORE UPDATE ON booking_amendments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_property_staff_updated_at BEFORE UPDATE ON property_staff FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Atomically count a failed login and lock the identifier once it reaches the limit.
+-- Counters reset when the first failure falls outside the window; each repeated
+-- lockout doubles in length, capped at 24 hours.
+CREATE OR REPLACE FUNCTION record_login_failure(
+    p_identifier_type VARCHAR,
+    p_identifier VARCHAR,
+    p_window_minutes INTEGER,
+    p_max_attempts INTEGER,
+    p_lock_minutes INTEGER
+) RETURNS TABLE (
+    id UUID,
+    failed_count INTEGER,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    just_locked BOOLEAN
+) AS $$
+DECLARE
+    attempt login_attempts;
+    window_expired BOOLEAN;
+BEGIN
+    INSERT INTO login_attempts AS la (identifier_type, identifier, failed_count, first_failed_at, last_failed_at)
+    VALUES (p_identifier_type, p_identifier, 1, NOW(), NOW())
+    ON CONFLICT (identifier_type, identifier) DO UPDATE SET
+        failed_count = CASE
+            WHEN la.first_failed_at < NOW() - make_interval(mins => p_window_minutes)
+                 AND (la.locked_until IS NULL OR la.locked_until < NOW())
+            THEN 1 ELSE la.failed_count + 1 END,
+        first_failed_at = CASE
+            WHEN la.first_failed_at < NOW() - make_interval(mins => p_window_minutes)
+                 AND (la.locked_until IS NULL OR la.locked_until < NOW())
+            THEN NOW() ELSE la.first_failed_at END,
+        last_failed_at = NOW(),
+        updated_at = NOW()
+    RETURNING * INTO attempt;
+
+    IF attempt.failed_count >= p_max_attempts
+       AND (attempt.locked_until IS NULL OR attempt.locked_until < NOW()) THEN
+        UPDATE login_attempts la SET
+            locked_until = NOW() + LEAST(
+                make_interval(mins => p_lock_minutes) * POWER(2, la.lockout_count),
+                INTERVAL '24 hours'
+            ),
+            lockout_count = la.lockout_count + 1,
+            failed_count = 0,
+            first_failed_at = NOW()
+        WHERE la.id = attempt.id
+        RETURNING * INTO attempt;
+
+        RETURN QUERY SELECT attempt.id, p_max_attempts, attempt.locked_until, true;
+    ELSE
+        RETURN QUERY SELECT attempt.id, attempt.failed_count, attempt.locked_until, false;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Restore backup rows in a single transaction: rows missing from the backup are
+-- deleted children first, then backup rows are inserted or updated parents first.
+-- Only columns present in the backup are written. Any error rolls everything back.
+CREATE OR REPLACE FUNCTION restore_backup(
+    p_tables JSONB,
+    p_table_order TEXT[]
+) RETURNS JSONB AS $$
+DECLARE
+    tbl TEXT;
+    tbl_rows JSONB;
+    column_list TEXT;
+    update_list TEXT;
+    current_list TEXT;
+    excluded_list TEXT;
+    affected INTEGER;
+    summary JSONB := '{}'::jsonb;
+BEGIN
+    FOR i IN REVERSE array_upper(p_table_order, 1)..1 LOOP
+        tbl := p_table_order[i];
+        EXECUTE format(
+            'DELETE FROM %I WHERE id NOT IN (SELECT (r->>''id'')::uuid FROM jsonb_array_elements($1) r)',
+            tbl
+        ) USING COALESCE(p_tables->tbl, '[]'::jsonb);
+        GET DIAGNOSTICS affected = ROW_COUNT;
+        summary := summary || jsonb_build_object(tbl, jsonb_build_object('deleted', affected, 'upserted', 0));
+    END LOOP;
+
+    FOREACH tbl IN ARRAY p_table_order LOOP
+        tbl_rows := COALESCE(p_tables->tbl, '[]'::jsonb);
+        CONTINUE WHEN jsonb_array_length(tbl_rows) = 0;
+
+        SELECT
+            string_agg(quote_ident(c.column_name), ', ' ORDER BY c.ordinal_position),
+            string_agg(format('%I = EXCLUDED.%I', c.column_name, c.column_name), ', ' ORDER BY c.ordinal_position),
+            string_agg(format('%I.%I', tbl, c.column_name), ', ' ORDER BY c.ordinal_position),
+            string_agg(format('EXCLUDED.%I', c.column_name), ', ' ORDER BY c.ordinal_position)
+        INTO column_list, update_list, current_list, excluded_list
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND tbl_rows->0 ? c.column_name;
+
+        EXECUTE format(
+            'INSERT INTO %1$I (%2$s) SELECT %2$s FROM jsonb_populate_recordset(NULL::%1$I, $1)
+             ON CONFLICT (id) DO UPDATE SET %3$s WHERE ROW(%4$s) IS DISTINCT FROM ROW(%5$s)',
+            tbl, column_list, update_list, current_list, excluded_list
+        ) USING tbl_rows;
+        GET DIAGNOSTICS affected = ROW_COUNT;
+        summary := jsonb_set(summary, ARRAY[tbl, 'upserted'], to_jsonb(affected));
+    END LOOP;
+
+    RETURN summary;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Take a job lock if it is free, expired, or already held by the caller
+CREATE OR REPLACE FUNCTION acquire_job_lock(
+    p_job_name VARCHAR,
+    p_holder VARCHAR,
+    p_ttl_seconds INTEGER
+) RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO job_locks AS jl (job_name, locked_by, locked_until)
+    VALUES (p_job_name, p_holder, NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (job_name) DO UPDATE SET
+        locked_by = EXCLUDED.locked_by,
+        locked_until = EXCLUDED.locked_until,
+        updated_at = NOW()
+    WHERE jl.locked_until < NOW() OR jl.locked_by = EXCLUDED.locked_by;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Most beds held by approved and checked-in bookings on any one day of the
+-- range [p_start, p_end). NULL dates are unbounded. Occupancy only rises when a
+-- booking starts, so the peak falls on the range start or a booking's start.
+CREATE OR REPLACE FUNCTION room_beds_taken(
+    p_room_id UUID,
+    p_start DATE,
+    p_end DATE,
+    p_exclude_booking_id UUID DEFAULT NULL
+) RETURNS INTEGER AS $$
+    WITH overlapping AS (
+        SELECT beds, daterange(move_in_date, move_out_date, '[)') AS span
+        FROM bookings
+        WHERE room_id = p_room_id
+          AND status IN ('approved', 'active')
+          AND id IS DISTINCT FROM p_exclude_booking_id
+          AND daterange(move_in_date, move_out_date, '[)') && daterange(p_start, p_end, '[)')
+    ),
+    days AS (
+        SELECT COALESCE(GREATEST(lower(span), p_start), '-infinity'::DATE) AS day FROM overlapping
+        UNION
+        SELECT COALESCE(p_start, '-infinity'::DATE)
+    )
+    SELECT COALESCE(MAX(taken), 0)::INTEGER FROM (
+        SELECT SUM(o.beds) AS taken
+        FROM days d
+        JOIN overlapping o ON o.span @> d.day
+        GROUP BY d.day
+    ) per_day;
+$$ LANGUAGE sql STABLE;
+
+-- Database-level guard against double booking, for every write to bookings
+-- (status changes, amendments, transfers and backup restores alike). Shared rooms
+-- let bookings overlap, so the bookings_no_overlapping_approved exclusion
+-- constraint had to go, and an exclusion constraint cannot see rooms.rent_per_bed
+-- to keep it for whole rooms only. Instead: an approved or checked-in booking of a
+-- whole room may not overlap any other, and those of a per-bed room may not hold
+-- more beds than the room has on any day. Checked at commit, so a transaction
+-- (such as a restore) may pass through intermediate states. Errors: BK003.
+CREATE OR REPLACE FUNCTION check_booking_capacity()
+RETURNS TRIGGER AS $$
+DECLARE
+    booking bookings;
+    booked_room rooms;
+BEGIN
+    -- The row may have changed again since this event was queued
+    SELECT * INTO booking FROM bookings WHERE id = NEW.id;
+
+    IF NOT FOUND OR booking.status NOT IN ('approved', 'active') THEN
+        RETURN NULL;
+    END IF;
+
+    -- Lock the room so concurrent transactions are checked one after another
+    SELECT * INTO booked_room FROM rooms WHERE id = booking.room_id FOR UPDATE;
+
+    IF room_beds_taken(booking.room_id, booking.move_in_date, booking.move_out_date, booking.id)
+       + CASE WHEN booked_room.rent_per_bed THEN booking.beds ELSE booked_room.capacity END > booked_room.capacity THEN
+        RAISE EXCEPTION 'Not enough free beds in room % for these dates', booked_room.room_number USING ERRCODE = 'BK003';
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER check_booking_capacity
+    AFTER INSERT OR UPDATE OF status, room_id, move_in_date, move_out_date, beds ON bookings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_booking_capacity();
+
+-- Recompute a room's status from its bookings: occupied once checked-in tenants
+-- and approved bookings that have not ended fill every bed, reserved once pending
+-- requests take the remaining beds, otherwise available. beds_taken counts the
+-- beds held by all of them. Rooms under maintenance are left alone.
+CREATE OR REPLACE FUNCTION refresh_room_status(p_room_id UUID)
+RETURNS room_status AS $$
+DECLARE
+    room rooms;
+    occupied_beds INTEGER;
+    pending_beds INTEGER;
+    next_status room_status;
+BEGIN
+    SELECT * INTO room FROM rooms WHERE id = p_room_id FOR UPDATE;
+
+    IF NOT FOUND OR room.status = 'maintenance' THEN
+        RETURN room.status;
+    END IF;
+
+    SELECT COALESCE(SUM(beds), 0) INTO occupied_beds FROM bookings
+    WHERE room_id = p_room_id
+      AND (status = 'active'
+           OR (status = 'approved' AND (move_out_date IS NULL OR move_out_date > CURRENT_DATE)));
+
+    SELECT COALESCE(SUM(beds), 0) INTO pending_beds FROM bookings
+    WHERE room_id = p_room_id AND status = 'pending';
+
+    IF occupied_beds >= room.capacity THEN
+        next_status := 'occupied';
+    ELSIF occupied_beds + pending_beds >= room.capacity THEN
+        next_status := 'reserved';
+    ELSE
+        next_status := 'available';
+    END IF;
+
+    IF next_status <> room.status OR occupied_beds + pending_beds <> room.beds_taken THEN
+        UPDATE rooms SET
+            status = next_status,
+            beds_taken = occupied_beds + pending_beds,
+            last_updated = NOW()
+        WHERE id = p_room_id;
+    END IF;
+
+    RETURN next_status;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Move a booking to a new status and apply its room and tenant side effects in
+-- one transaction. Allowed transitions:
+--   pending  -> approved, rejected, cancelled, expired
+--   approved -> active (checked in), cancelled
+--   active   -> checked_out
+-- Approving or checking in needs enough free beds for the booking's dates.
+-- Errors: BK001 illegal transition, BK002 hold expired, BK003 not enough free beds.
+CREATE OR REPLACE FUNCTION transition_booking(
+    p_booking_id UUID,
+    p_status booking_status,
+    p_notes TEXT DEFAULT NULL
+) RETURNS bookings AS $$
+DECLARE
+    booking bookings;
+    previous_status booking_status;
+    booked_room rooms;
+BEGIN
+    SELECT * INTO booking FROM bookings WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    previous_status := booking.status;
+
+    IF NOT (
+        (previous_status = 'pending' AND p_status IN ('approved', 'rejected', 'cancelled', 'expired'))
+        OR (previous_status = 'approved' AND p_status IN ('active', 'cancelled'))
+        OR (previous_status = 'active' AND p_status = 'checked_out')
+    ) THEN
+        RAISE EXCEPTION 'Cannot change booking from % to %', previous_status, p_status USING ERRCODE = 'BK001';
+    END IF;
+
+    IF p_status = 'approved' AND booking.hold_expires_at < NOW() THEN
+        RAISE EXCEPTION 'Booking hold has expired' USING ERRCODE = 'BK002';
+    END IF;
+
+    IF p_status = 'expired' AND (booking.hold_expires_at IS NULL OR booking.hold_expires_at >= NOW()) THEN
+        RAISE EXCEPTION 'Booking hold has not expired' USING ERRCODE = 'BK001';
+    END IF;
+
+    -- Lock the room so concurrent approvals count each other's beds
+    SELECT * INTO booked_room FROM rooms WHERE id = booking.room_id FOR UPDATE;
+
+    IF p_status IN ('approved', 'active')
+       AND room_beds_taken(booking.room_id, booking.move_in_date, booking.move_out_date, booking.id) + booking.beds > booked_room.capacity THEN
+        RAISE EXCEPTION 'Not enough free beds in room % for these dates', booked_room.room_number USING ERRCODE = 'BK003';
+    END IF;
+
+    UPDATE bookings SET
+        status = p_status,
+        owner_notes = COALESCE(p_notes, owner_notes),
+        -- Checking out early ends the booking today so the dates free up
+        move_out_date = CASE
+            WHEN p_status = 'checked_out' AND (move_out_date IS NULL OR move_out_date > CURRENT_DATE)
+            THEN CURRENT_DATE ELSE move_out_date END,
+        updated_at = NOW()
+    WHERE id = p_booking_id
+    RETURNING * INTO booking;
+
+    IF p_status IN ('approved', 'active') THEN
+        UPDATE tenants SET room_number = booked_room.room_number, property_id = booking.property_id
+        WHERE id = booking.tenant_id;
+    ELSIF p_status IN ('cancelled', 'checked_out') AND previous_status IN ('approved', 'active') THEN
+        UPDATE tenants SET room_number = NULL
+        WHERE id = booking.tenant_id
+          AND room_number = booked_room.room_number
+          AND (property_id IS NULL OR property_id = booking.property_id);
+    END IF;
+
+    PERFORM refresh_room_status(booking.room_id);
+
+    RETURN booking;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record a (possibly partial) payment against an invoice and update its balance
+-- in one transaction. Errors: LD001 invoice closed, LD002 invalid amount.
+CREATE OR REPLACE FUNCTION record_payment(
+    p_invoice_id UUID,
+    p_amount DECIMAL,
+    p_method VARCHAR,
+    p_reference VARCHAR,
+    p_notes TEXT,
+    p_recorded_by UUID
+) RETURNS ledger_entries AS $$
+DECLARE
+    invoice invoices;
+    entry ledger_entries;
+BEGIN
+    SELECT * INTO invoice FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoice not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF invoice.status IN ('paid', 'void') THEN
+        RAISE EXCEPTION 'Invoice is already %', invoice.status USING ERRCODE = 'LD001';
+    END IF;
+
+    IF p_amount <= 0 OR p_amount > invoice.amount - invoice.amount_paid THEN
+        RAISE EXCEPTION 'Payment must be between 0 and the outstanding amount of %',
+            invoice.amount - invoice.amount_paid USING ERRCODE = 'LD002';
+    END IF;
+
+    INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+    VALUES (invoice.id, invoice.booking_id, invoice.tenant_id, invoice.property_id, 'payment', p_amount, p_method, p_reference, p_notes, p_recorded_by)
+    RETURNING * INTO entry;
+
+    UPDATE invoices SET
+        amount_paid = amount_paid + p_amount,
+        status = CASE WHEN amount_paid + p_amount >= amount THEN 'paid' ELSE 'partially_paid' END::invoice_status,
+        updated_at = NOW()
+    WHERE id = invoice.id;
+
+    RETURN entry;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Refund part or all of a paid deposit. Errors: LD001 not a deposit invoice,
+-- LD002 refund exceeds the deposit held.
+CREATE OR REPLACE FUNCTION record_deposit_refund(
+    p_invoice_id UUID,
+    p_amount DECIMAL,
+    p_method VARCHAR,
+    p_reference VARCHAR,
+    p_notes TEXT,
+    p_recorded_by UUID
+) RETURNS ledger_entries AS $$
+DECLARE
+    invoice invoices;
+    entry ledger_entries;
+BEGIN
+    SELECT * INTO invoice FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoice not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF invoice.invoice_type <> 'deposit' THEN
+        RAISE EXCEPTION 'Only deposits can be refunded' USING ERRCODE = 'LD001';
+    END IF;
+
+    IF p_amount <= 0 OR p_amount > invoice.amount_paid - invoice.amount_refunded - invoice.amount_retained THEN
+        RAISE EXCEPTION 'Refund must be between 0 and the deposit held of %',
+            invoice.amount_paid - invoice.amount_refunded - invoice.amount_retained USING ERRCODE = 'LD002';
+    END IF;
+
+    INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+    VALUES (invoice.id, invoice.booking_id, invoice.tenant_id, invoice.property_id, 'deposit_refund', p_amount, p_method, p_reference, p_notes, p_recorded_by)
+    RETURNING * INTO entry;
+
+    UPDATE invoices SET
+        amount_refunded = amount_refunded + p_amount,
+        updated_at = NOW()
+    WHERE id = invoice.id;
+
+    RETURN entry;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Return money paid against an invoice, reopening it. Errors: LD002 invalid amount.
+CREATE OR REPLACE FUNCTION record_refund(
+    p_invoice_id UUID,
+    p_amount DECIMAL,
+    p_method VARCHAR,
+    p_reference VARCHAR,
+    p_notes TEXT,
+    p_recorded_by UUID
+) RETURNS ledger_entries AS $$
+DECLARE
+    invoice invoices;
+    entry ledger_entries;
+BEGIN
+    SELECT * INTO invoice FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoice not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF p_amount <= 0 OR p_amount > invoice.amount_paid THEN
+        RAISE EXCEPTION 'Refund must be between 0 and the amount paid of %', invoice.amount_paid USING ERRCODE = 'LD002';
+    END IF;
+
+    INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+    VALUES (invoice.id, invoice.booking_id, invoice.tenant_id, invoice.property_id, 'refund', p_amount, p_method, p_reference, p_notes, p_recorded_by)
+    RETURNING * INTO entry;
+
+    UPDATE invoices SET
+        amount_paid = amount_paid - p_amount,
+        status = CASE WHEN amount_paid - p_amount = 0 THEN 'open' ELSE 'partially_paid' END::invoice_status,
+        updated_at = NOW()
+    WHERE id = invoice.id;
+
+    RETURN entry;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Apply a provider-confirmed online payment to its invoice. Idempotent: a
+-- payment that is no longer pending is returned unchanged. If the invoice can
+-- no longer take the amount, the payment is flagged requires_refund instead.
+CREATE OR REPLACE FUNCTION confirm_online_payment(
+    p_provider VARCHAR,
+    p_provider_payment_id VARCHAR
+) RETURNS online_payments AS $$
+DECLARE
+    payment online_payments;
+    invoice invoices;
+    entry ledger_entries;
+BEGIN
+    SELECT * INTO payment FROM online_payments
+    WHERE provider = p_provider AND provider_payment_id = p_provider_payment_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF payment.status <> 'pending' THEN
+        RETURN payment;
+    END IF;
+
+    SELECT * INTO invoice FROM invoices WHERE id = payment.invoice_id FOR UPDATE;
+
+    IF invoice.status IN ('paid', 'void') OR payment.amount > invoice.amount - invoice.amount_paid THEN
+        UPDATE online_payments SET status = 'requires_refund', paid_at = NOW(), updated_at = NOW()
+        WHERE id = payment.id
+        RETURNING * INTO payment;
+        RETURN payment;
+    END IF;
+
+    entry := record_payment(invoice.id, payment.amount, 'online', payment.provider_payment_id,
+        'Online payment via ' || payment.provider, NULL);
+
+    UPDATE online_payments SET status = 'succeeded', ledger_entry_id = entry.id, paid_at = NOW(), updated_at = NOW()
+    WHERE id = payment.id
+    RETURNING * INTO payment;
+
+    RETURN payment;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Outstanding balances per tenant and property (void invoices excluded)
+CREATE OR REPLACE VIEW tenant_balances AS
+SELECT
+    tenant_id,
+    property_id,
+    SUM(amount) AS total_invoiced,
+    SUM(amount_paid) AS total_paid,
+    SUM(amount - amount_paid) AS outstanding,
+    SUM(CASE WHEN due_date < CURRENT_DATE THEN amount - amount_paid ELSE 0 END) AS overdue,
+    SUM(CASE WHEN invoice_type = 'deposit' THEN amount_paid - amount_refunded - amount_retained ELSE 0 END) AS deposit_held
+FROM invoices
+WHERE status <> 'void'
+GROUP BY tenant_id, property_id;
+
+-- Arrears (overdue unpaid amounts) per property
+CREATE OR REPLACE VIEW property_arrears AS
+SELECT
+    property_id,
+    SUM(overdue) AS arrears,
+    SUM(outstanding) AS outstanding,
+    COUNT(*) FILTER (WHERE overdue > 0) AS tenants_in_arrears
+FROM tenant_balances
+GROUP BY property_id;
+
+-- Record the tenant's or owner's acceptance of a lease; the lease is accepted
+-- once both have. Errors: LS001 already accepted by this party.
+CREATE OR REPLACE FUNCTION accept_lease(
+    p_lease_id UUID,
+    p_party VARCHAR,
+    p_user_id UUID,
+    p_ip INET
+) RETURNS leases AS $$
+DECLARE
+    lease leases;
+BEGIN
+    SELECT * INTO lease FROM leases WHERE id = p_lease_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Lease not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF p_party = 'tenant' THEN
+        IF lease.tenant_accepted_at IS NOT NULL THEN
+            RAISE EXCEPTION 'Tenant has already accepted this lease' USING ERRCODE = 'LS001';
+        END IF;
+        UPDATE leases SET tenant_accepted_at = NOW(), tenant_accepted_ip = p_ip WHERE id = p_lease_id;
+    ELSIF p_party = 'owner' THEN
+        IF lease.owner_accepted_at IS NOT NULL THEN
+            RAISE EXCEPTION 'Owner has already accepted this lease' USING ERRCODE = 'LS001';
+        END IF;
+        UPDATE leases SET owner_accepted_at = NOW(), owner_accepted_ip = p_ip, owner_accepted_by = p_user_id WHERE id = p_lease_id;
+    ELSE
+        RAISE EXCEPTION 'Unknown lease party %', p_party;
+    END IF;
+
+    UPDATE leases
+    SET status = CASE WHEN tenant_accepted_at IS NOT NULL AND owner_accepted_at IS NOT NULL THEN 'accepted' ELSE 'pending' END,
+        updated_at = NOW()
+    WHERE id = p_lease_id
+    RETURNING * INTO lease;
+
+    RETURN lease;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Append inspection photos to a move-out in one statement, so concurrent
+-- uploads never overwrite each other. Returns no row once the move-out is no
+-- longer approved or inspected.
+CREATE OR REPLACE FUNCTION append_move_out_photos(
+    p_move_out_id UUID,
+    p_photos JSONB
+) RETURNS SETOF move_outs AS $$
+    UPDATE move_outs SET
+        photos = COALESCE(photos, '[]'::JSONB) || p_photos,
+        updated_at = NOW()
+    WHERE id = p_move_out_id
+      AND status IN ('approved', 'inspected')
+    RETURNING *;
+$$ LANGUAGE sql;
+
+-- Settle an inspected move-out in one transaction: keep the deductions from the
+-- deposit, optionally pay outstanding rent from what is left, refund the rest,
+-- invoice deductions the deposit does not cover, and check the tenant out,
+-- which clears their room and releases it.
+-- Errors: MO001 move-out not inspected, LD002 invalid deduction.
+CREATE OR REPLACE FUNCTION settle_move_out(
+    p_move_out_id UUID,
+    p_deductions JSONB,
+    p_apply_to_rent BOOLEAN,
+    p_method VARCHAR,
+    p_reference VARCHAR,
+    p_due_date DATE,
+    p_settled_by UUID
+) RETURNS move_outs AS $$
+DECLARE
+    move_out move_outs;
+    booking bookings;
+    deposit invoices;
+    rent invoices;
+    held DECIMAL := 0;
+    total DECIMAL := 0;
+    retained DECIMAL := 0;
+    remaining DECIMAL := 0;
+    applied DECIMAL := 0;
+    payment DECIMAL;
+    due DECIMAL := 0;
+    settlement_invoice UUID;
+BEGIN
+    SELECT * INTO move_out FROM move_outs WHERE id = p_move_out_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Move-out not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF move_out.status <> 'inspected' THEN
+        RAISE EXCEPTION 'Move-out must be inspected before it is settled' USING ERRCODE = 'MO001';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM jsonb_array_elements(COALESCE(p_deductions, '[]'::jsonb)) AS d
+        WHERE (d->>'amount')::DECIMAL <= 0
+    ) THEN
+        RAISE EXCEPTION 'Deductions must be greater than 0' USING ERRCODE = 'LD002';
+    END IF;
+
+    SELECT COALESCE(SUM((d->>'amount')::DECIMAL), 0) INTO total
+    FROM jsonb_array_elements(COALESCE(p_deductions, '[]'::jsonb)) AS d;
+
+    SELECT * INTO deposit FROM invoices
+    WHERE booking_id = move_out.booking_id AND invoice_type = 'deposit' AND status <> 'void'
+    FOR UPDATE;
+
+    IF FOUND THEN
+        held := deposit.amount_paid - deposit.amount_refunded - deposit.amount_retained;
+    END IF;
+
+    -- Deductions come out of the deposit first
+    retained := LEAST(total, held);
+    remaining := held - retained;
+    due := total - retained;
+
+    IF retained > 0 THEN
+        INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+        VALUES (deposit.id, deposit.booking_id, deposit.tenant_id, deposit.property_id, 'deposit_deduction', retained, 'deposit', p_reference,
+            'Move-out deductions', p_settled_by);
+    END IF;
+
+    -- Then, if asked, outstanding rent oldest first
+    IF p_apply_to_rent THEN
+        FOR rent IN
+            SELECT * FROM invoices
+            WHERE booking_id = move_out.booking_id AND invoice_type = 'rent' AND status IN ('open', 'partially_paid')
+            ORDER BY due_date
+        LOOP
+            EXIT WHEN remaining <= 0;
+            payment := LEAST(remaining, rent.amount - rent.amount_paid);
+            PERFORM record_payment(rent.id, payment, 'deposit', p_reference, 'Paid from deposit at move-out', p_settled_by);
+            remaining := remaining - payment;
+            applied := applied + payment;
+        END LOOP;
+    END IF;
+
+    IF retained + applied > 0 THEN
+        UPDATE invoices SET
+            amount_retained = amount_retained + retained + applied,
+            updated_at = NOW()
+        WHERE id = deposit.id;
+    END IF;
+
+    IF remaining > 0 THEN
+        PERFORM record_deposit_refund(deposit.id, remaining, p_method, p_reference, 'Deposit refund at move-out', p_settled_by);
+    END IF;
+
+    IF due > 0 THEN
+        INSERT INTO invoices (booking_id, tenant_id, property_id, room_id, invoice_type, period_start, period_end, amount, due_date, notes)
+        VALUES (move_out.booking_id, move_out.tenant_id, move_out.property_id, move_out.room_id, 'settlement',
+            CURRENT_DATE, CURRENT_DATE, due, p_due_date, 'Move-out deductions not covered by the deposit')
+        RETURNING id INTO settlement_invoice;
+    END IF;
+
+    SELECT * INTO booking FROM bookings WHERE id = move_out.booking_id;
+    IF booking.status = 'active' THEN
+        PERFORM transition_booking(booking.id, 'checked_out', 'Checked out at move-out settlement');
+    END IF;
+
+    UPDATE move_outs SET
+        status = 'settled',
+        deductions = COALESCE(p_deductions, '[]'::jsonb),
+        total_deductions = total,
+        deposit_held = held,
+        rent_applied = applied,
+        refund_amount = remaining,
+        balance_due = due,
+        settlement_invoice_id = settlement_invoice,
+        settled_by = p_settled_by,
+        settled_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_move_out_id
+    RETURNING * INTO move_out;
+
+    RETURN move_out;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Carry out an approved room transfer in one transaction: the current booking
+-- ends today and a checked-in booking for the new room starts today, linked to
+-- it through previous_booking_id. The tenant keeps their number of beds in a
+-- per-bed room and takes a whole room otherwise. The deposit moves to the new
+-- booking (topped up if the new room asks for more), the current month's rent
+-- for the old room is cut short (refunding anything paid beyond the shortened
+-- period), the tenant's room changes and both rooms' statuses are refreshed.
+-- Errors: RT001 transfer already reviewed, RT002 new room under maintenance,
+-- BK001 tenant not checked in, BK003 not enough free beds in the new room.
+CREATE OR REPLACE FUNCTION transfer_room(
+    p_transfer_id UUID,
+    p_reviewed_by UUID,
+    p_notes TEXT DEFAULT NULL
+) RETURNS room_transfers AS $$
+DECLARE
+    transfer room_transfers;
+    old_booking bookings;
+    new_booking bookings;
+    new_room rooms;
+    new_beds INTEGER;
+    new_deposit DECIMAL;
+    rent invoices;
+    kept_amount DECIMAL;
+BEGIN
+    SELECT * INTO transfer FROM room_transfers WHERE id = p_transfer_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Transfer not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF transfer.status <> 'requested' THEN
+        RAISE EXCEPTION 'Transfer has already been %', transfer.status USING ERRCODE = 'RT001';
+    END IF;
+
+    SELECT * INTO old_booking FROM bookings WHERE id = transfer.booking_id FOR UPDATE;
+
+    IF old_booking.status <> 'active' THEN
+        RAISE EXCEPTION 'Only checked-in tenants can be transferred' USING ERRCODE = 'BK001';
+    END IF;
+
+    SELECT * INTO new_room FROM rooms WHERE id = transfer.to_room_id FOR UPDATE;
+
+    IF new_room.status = 'maintenance' THEN
+        RAISE EXCEPTION 'Room % is under maintenance', new_room.room_number USING ERRCODE = 'RT002';
+    END IF;
+
+    new_beds := CASE WHEN new_room.rent_per_bed THEN old_booking.beds ELSE new_room.capacity END;
+    new_deposit := COALESCE(new_room.deposit_amount, 0) * CASE WHEN new_room.rent_per_bed THEN new_beds ELSE 1 END;
+
+    IF room_beds_taken(new_room.id, CURRENT_DATE,
+           CASE WHEN old_booking.move_out_date > CURRENT_DATE THEN old_booking.move_out_date END) + new_beds > new_room.capacity THEN
+        RAISE EXCEPTION 'Not enough free beds in room %', new_room.room_number USING ERRCODE = 'BK003';
+    END IF;
+
+    UPDATE bookings SET
+        status = 'checked_out',
+        move_out_date = CURRENT_DATE,
+        updated_at = NOW()
+    WHERE id = old_booking.id;
+
+    INSERT INTO bookings (tenant_id, room_id, property_id, move_in_date, move_out_date, status, beds, owner_notes, previous_booking_id)
+    VALUES (
+        old_booking.tenant_id, new_room.id, new_room.property_id, CURRENT_DATE,
+        CASE WHEN old_booking.move_out_date > CURRENT_DATE THEN old_booking.move_out_date END,
+        'active', new_beds, p_notes, old_booking.id
+    )
+    RETURNING * INTO new_booking;
+
+    UPDATE invoices SET
+        booking_id = new_booking.id,
+        property_id = new_booking.property_id,
+        room_id = new_booking.room_id,
+        amount = GREATEST(amount, new_deposit),
+        status = CASE
+            WHEN amount_paid >= GREATEST(amount, new_deposit) THEN 'paid'
+            WHEN amount_paid > 0 THEN 'partially_paid'
+            ELSE 'open'
+        END::invoice_status,
+        updated_at = NOW()
+    WHERE booking_id = old_booking.id AND invoice_type = 'deposit' AND status <> 'void';
+
+    -- Rent for the old room stops yesterday; the new booking is invoiced from today
+    FOR rent IN
+        SELECT * FROM invoices
+        WHERE booking_id = old_booking.id AND invoice_type = 'rent' AND status <> 'void'
+          AND period_end >= CURRENT_DATE
+        FOR UPDATE
+    LOOP
+        kept_amount := ROUND(rent.amount * GREATEST(CURRENT_DATE - rent.period_start, 0)
+            / (rent.period_end - rent.period_start + 1), 2);
+
+        UPDATE invoices SET
+            period_end = GREATEST(CURRENT_DATE - 1, period_start),
+            amount = kept_amount,
+            amount_paid = LEAST(amount_paid, kept_amount),
+            status = CASE
+                WHEN kept_amount = 0 THEN 'void'
+                WHEN amount_paid >= kept_amount THEN 'paid'
+                WHEN amount_paid > 0 THEN 'partially_paid'
+                ELSE 'open'
+            END::invoice_status,
+            notes = 'Shortened by room transfer',
+            updated_at = NOW()
+        WHERE id = rent.id;
+
+        -- Rent already paid for the rest of the period goes back to the tenant
+        IF rent.amount_paid > kept_amount THEN
+            INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+            VALUES (rent.id, rent.booking_id, rent.tenant_id, rent.property_id, 'refund', rent.amount_paid - kept_amount, 'other', NULL,
+                'Rent paid past the room transfer', p_reviewed_by);
+        END IF;
+    END LOOP;
+
+    UPDATE tenants SET room_number = new_room.room_number, property_id = new_room.property_id
+    WHERE id = old_booking.tenant_id;
+
+    PERFORM refresh_room_status(old_booking.room_id);
+    PERFORM refresh_room_status(new_room.id);
+
+    UPDATE room_transfers SET
+        status = 'approved',
+        new_booking_id = new_booking.id,
+        transfer_date = CURRENT_DATE,
+        owner_notes = p_notes,
+        reviewed_by = p_reviewed_by,
+        reviewed_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_transfer_id
+    RETURNING * INTO transfer;
+
+    RETURN transfer;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Apply an approved booking change in one transaction: the booking takes the
+-- proposed dates and notes, its deposit falls due on the new move-in date, rent
+-- already invoiced is prorated to the new move-out date (refunding anything paid
+-- beyond it) and the room's status is refreshed. Approved and checked-in bookings
+-- need enough free beds for the new dates. Errors: BA001 change already reviewed,
+-- BA002 booking dates changed since the request, BK001 booking or move-in date
+-- can no longer change, BK003 not enough free beds.
+CREATE OR REPLACE FUNCTION apply_booking_amendment(
+    p_amendment_id UUID,
+    p_reviewed_by UUID,
+    p_notes TEXT DEFAULT NULL
+) RETURNS booking_amendments AS $$
+DECLARE
+    amendment booking_amendments;
+    booking bookings;
+    booked_room rooms;
+    rent invoices;
+    new_end DATE;
+    kept_amount DECIMAL;
+BEGIN
+    SELECT * INTO amendment FROM booking_amendments WHERE id = p_amendment_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking change not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF amendment.status <> 'requested' THEN
+        RAISE EXCEPTION 'Booking change has already been %', amendment.status USING ERRCODE = 'BA001';
+    END IF;
+
+    SELECT * INTO booking FROM bookings WHERE id = amendment.booking_id FOR UPDATE;
+
+    IF booking.status NOT IN ('pending', 'approved', 'active') THEN
+        RAISE EXCEPTION 'A % booking cannot be changed', booking.status USING ERRCODE = 'BK001';
+    END IF;
+
+    IF booking.move_in_date IS DISTINCT FROM amendment.previous_move_in_date
+       OR booking.move_out_date IS DISTINCT FROM amendment.previous_move_out_date THEN
+        RAISE EXCEPTION 'Booking dates have changed since the request' USING ERRCODE = 'BA002';
+    END IF;
+
+    -- Once the tenant has moved in, or rent is being invoiced, only the move-out date can change
+    IF amendment.proposed_move_in_date IS DISTINCT FROM booking.move_in_date
+       AND (booking.status = 'active' OR booking.move_in_date <= CURRENT_DATE) THEN
+        RAISE EXCEPTION 'The move-in date can no longer change' USING ERRCODE = 'BK001';
+    END IF;
+
+    -- Lock the room so concurrent approvals count each other's beds
+    SELECT * INTO booked_room FROM rooms WHERE id = booking.room_id FOR UPDATE;
+
+    IF booking.status IN ('approved', 'active')
+       AND room_beds_taken(booking.room_id, amendment.proposed_move_in_date, amendment.proposed_move_out_date, booking.id)
+           + booking.beds > booked_room.capacity THEN
+        RAISE EXCEPTION 'Not enough free beds in room % for the new dates', booked_room.room_number USING ERRCODE = 'BK003';
+    END IF;
+
+    UPDATE bookings SET
+        move_in_date = amendment.proposed_move_in_date,
+        move_out_date = amendment.proposed_move_out_date,
+        tenant_notes = COALESCE(amendment.proposed_notes, tenant_notes),
+        updated_at = NOW()
+    WHERE id = booking.id
+    RETURNING * INTO booking;
+
+    IF amendment.proposed_move_in_date IS DISTINCT FROM amendment.previous_move_in_date THEN
+        UPDATE invoices SET
+            period_start = booking.move_in_date,
+            period_end = booking.move_in_date,
+            due_date = booking.move_in_date,
+            updated_at = NOW()
+        WHERE booking_id = booking.id AND invoice_type = 'deposit' AND status <> 'void';
+    END IF;
+
+    -- Each rent period runs to the end of its month or the day before move-out
+    FOR rent IN
+        SELECT * FROM invoices
+        WHERE booking_id = booking.id AND invoice_type = 'rent' AND status <> 'void'
+        FOR UPDATE
+    LOOP
+        new_end := (date_trunc('month', rent.period_start) + INTERVAL '1 month - 1 day')::DATE;
+        IF booking.move_out_date IS NOT NULL AND booking.move_out_date - 1 < new_end THEN
+            new_end := booking.move_out_date - 1;
+        END IF;
+
+        CONTINUE WHEN new_end = rent.period_end;
+
+        kept_amount := ROUND(rent.amount * GREATEST(new_end - rent.period_start + 1, 0)
+            / (rent.period_end - rent.period_start + 1), 2);
+
+        UPDATE invoices SET
+            period_end = GREATEST(new_end, period_start),
+            amount = kept_amount,
+            amount_paid = LEAST(amount_paid, kept_amount),
+            status = CASE
+                WHEN kept_amount = 0 THEN 'void'
+                WHEN amount_paid >= kept_amount THEN 'paid'
+                WHEN amount_paid > 0 THEN 'partially_paid'
+                ELSE 'open'
+            END::invoice_status,
+            notes = 'Adjusted by booking change',
+            updated_at = NOW()
+        WHERE id = rent.id;
+
+        -- Rent already paid past an earlier move-out goes back to the tenant
+        IF rent.amount_paid > kept_amount THEN
+            INSERT INTO ledger_entries (invoice_id, booking_id, tenant_id, property_id, entry_type, amount, method, reference, notes, recorded_by)
+            VALUES (rent.id, rent.booking_id, rent.tenant_id, rent.property_id, 'refund', rent.amount_paid - kept_amount, 'other', NULL,
+                'Rent paid past the new move-out date', p_reviewed_by);
+        END IF;
+    END LOOP;
+
+    PERFORM refresh_room_status(booking.room_id);
+
+    UPDATE booking_amendments SET
+        status = 'approved',
+        owner_notes = p_notes,
+        reviewed_by = p_reviewed_by,
+        reviewed_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_amendment_id
+    RETURNING * INTO amendment;
+
+    RETURN amendment;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Move a complaint to a new status and record it in its status history in one
+-- transaction. Allowed transitions:
+--   pending     -> in_progress, resolved, closed
+--   in_progress -> resolved, closed
+--   resolved    -> in_progress (reopened), closed
+-- Resolving stamps resolved_at; reopening clears it and gives the complaint a
+-- fresh resolution deadline from its priority's SLA, so the time it sat resolved
+-- does not count as a breach.
+-- Errors: CP001 illegal transition.
+CREATE OR REPLACE FUNCTION transition_complaint(
+    p_complaint_id UUID,
+    p_status complaint_status,
+    p_changed_by UUID,
+    p_actor_role VARCHAR,
+    p_note TEXT DEFAULT NULL
+) RETURNS complaints AS $$
+DECLARE
+    complaint complaints;
+    previous_status complaint_status;
+    reopen_hours NUMERIC;
+BEGIN
+    SELECT * INTO complaint FROM complaints WHERE id = p_complaint_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Complaint not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    previous_status := complaint.status;
+
+    IF NOT (
+        (previous_status = 'pending' AND p_status IN ('in_progress', 'resolved', 'closed'))
+        OR (previous_status = 'in_progress' AND p_status IN ('resolved', 'closed'))
+        OR (previous_status = 'resolved' AND p_status IN ('in_progress', 'closed'))
+    ) THEN
+        RAISE EXCEPTION 'Cannot change complaint from % to %', previous_status, p_status USING ERRCODE = 'CP001';
+    END IF;
+
+    IF previous_status = 'resolved' AND p_status = 'in_progress' THEN
+        SELECT setting_value::NUMERIC INTO reopen_hours FROM system_settings
+        WHERE setting_key = 'complaint_sla_' || complaint.priority || '_resolution_hours';
+
+        reopen_hours := COALESCE(reopen_hours, CASE complaint.priority
+            WHEN 'urgent' THEN 24 WHEN 'high' THEN 72 WHEN 'low' THEN 336 ELSE 168 END);
+    END IF;
+
+    UPDATE complaints SET
+        status = p_status,
+        resolved_at = CASE
+            WHEN p_status = 'resolved' THEN NOW()
+            WHEN p_status = 'in_progress' THEN NULL
+            ELSE resolved_at END,
+        resolution_due_at = CASE
+            WHEN reopen_hours IS NOT NULL THEN NOW() + INTERVAL '1 hour' * reopen_hours
+            ELSE resolution_due_at END,
+        resolution_breached_at = CASE
+            WHEN reopen_hours IS NOT NULL THEN NULL
+            ELSE resolution_breached_at END,
+        updated_at = NOW()
+    WHERE id = p_complaint_id
+    RETURNING * INTO complaint;
+
+    INSERT INTO complaint_status_history (complaint_id, from_status, to_status, changed_by, actor_role, note)
+    VALUES (p_complaint_id, previous_status, p_status, p_changed_by, p_actor_role, p_note);
+
+    RETURN complaint;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Insert default roles
+INSERT INTO roles (name, description, permissions, is_system) VALUES
+('admin', 'Full system administrator', ARRAY[
+    'dashboard:read', 'users:read', 'users:write', 'roles:read', 'roles:write',
+    'settings:read', 'settings:write', 'audit_logs:read', 'lockouts:read', 'lockouts:write',
+    'backups:read', 'backups:create', 'backups:restore', 'complaints:read', 'complaints:write',
+    'ledger:read', 'ledger:write', 'leases:read',
+    'notifications:read_own', 'notifications:send', 'notifications:stats'
+], true),
+('owner', 'Property owner', ARRAY['complaints:manage_property', 'notifications:read_own'], true),
+('tenant', 'Tenant', ARRAY['complaints:create', 'complaints:read_own', 'notifications:read_own'], true),
+('support_admin', 'Support staff: read-only access to complaints and users', ARRAY[
+    'dashboard:read', 'users:read', 'complaints:read', 'complaints:write', 'notifications:read_own'
+], false);
 
 -- Insert default admin user (password: admin123)
-INSERT INTO users (email, password_hash, role, verification_status) 
-VALUES ('admin@tenantflow.com', '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj4J/8Kz8Kz2', 'admin', 'approved');
+INSERT INTO users (email, password_hash, role, verification_status, email_verified_at) 
+VALUES ('admin@tenantflow.com', '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj4J/8Kz8Kz2', 'admin', 'approved', NOW());
 
 -- Insert default system settings
 INSERT INTO system_settings (setting_key, setting_value, description) VALUES
 ('system_name', 'TenantFlow', 'Name of the system'),
-('max_file_size', '5242880', 'Maximum file upload size in bytes'),
-('allowed_file_types', 'jpg,jpeg,png,pdf', 'Allowed file types for uploads'),
+('max_file_size', '26214400', 'Maximum file upload size in bytes'),
+('allowed_file_types', 'jpg,jpeg,png,pdf,mp4,mov,webm', 'Allowed file types for uploads'),
 ('booking_expiry_hours', '24', 'Hours after which pending bookings expire'),
 ('notification_email_enabled', 'true', 'Enable email notifications'),
-('notification_sms_enabled', 'false', 'Enable SMS notifications');
+('notification_sms_enabled', 'false', 'Enable SMS notifications'),
+('require_email_verification', 'false', 'Block login until the user has verified their email address'),
+('require_admin_2fa', 'false', 'Require two-factor authentication for admin accounts'),
+('lockout_max_attempts', '5', 'Failed logins per account before a temporary lockout'),
+('lockout_ip_max_attempts', '20', 'Failed logins per IP address before a temporary lockout'),
+('lockout_window_minutes', '15', 'Window in minutes in which failed logins are counted'),
+('lockout_duration_minutes', '15', 'Base lockout duration in minutes (doubles on each repeat lockout)'),
+('login_delay_base_ms', '250', 'Base delay in milliseconds added after a failed login (doubles per failure)'),
+('login_delay_max_ms', '4000', 'Maximum delay in milliseconds added to a login attempt'),
+('backup_schedule', 'off', 'Automatic backup schedule: off, daily or weekly'),
+('backup_retention_count', '7', 'Number of scheduled backups to keep'),
+('backup_encrypt', 'false', 'Encrypt scheduled backups (requires BACKUP_ENCRYPTION_KEY)'),
+('invoice_due_days', '5', 'Days after the start of a rent period that its invoice is due'),
+('waitlist_notify_count', '3', 'Waitlisted tenants notified each time a room frees up'),
+('waitlist_notify_window_hours', '48', 'Hours a notified waitlisted tenant has to book before rejoining the queue'),
+('complaint_sla_low_response_hours', '72', 'Hours to first respond to a low priority complaint'),
+('complaint_sla_low_resolution_hours', '336', 'Hours to resolve a low priority complaint'),
+('complaint_sla_medium_response_hours', '24', 'Hours to first respond to a medium priority complaint'),
+('complaint_sla_medium_resolution_hours', '168', 'Hours to resolve a medium priority complaint'),
+('complaint_sla_high_response_hours', '8', 'Hours to first respond to a high priority complaint'),
+('complaint_sla_high_resolution_hours', '72', 'Hours to resolve a high priority complaint'),
+('complaint_sla_urgent_response_hours', '2', 'Hours to first respond to an urgent complaint'),
+('complaint_sla_urgent_resolution_hours', '24', 'Hours to resolve an urgent complaint'),
+('complaint_reopen_window_days', '7', 'Days after resolution in which the tenant can reopen a complaint');
+
+-- Private Supabase Storage bucket for backup archives (BACKUP_BUCKET, default backups)
+INSERT INTO storage.buckets (id, name, public) VALUES ('backups', 'backups', false)
+ON CONFLICT (id) DO NOTHING;
@@ -33,7 +33,13 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so payment webhooks can verify their signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging
@@ -48,6 +54,13 @@ app.use('/api/properties', require('./routes/properties'));
 app.use('/api/bookings', require('./routes/bookings'));
 app.use('/api/complaints', require('./routes/complaints'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/ledger', require('./routes/ledger'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/leases', require('./routes/leases'));
+app.use('/api/move-outs', require('./routes/moveOuts'));
+app.use('/api/waitlist', require('./routes/waitlist'));
+app.use('/api/transfers', require('./routes/transfers'));
+app.use('/api/work-orders', require('./routes/workOrders'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -79,6 +92,9 @@ app.use('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
+
+  // Background jobs (scheduled backups, etc.)
+  require('./jobs').startJobs();
 });
 
 module.exports = app;
@@ -0,0 +1,90 @@
+const { supabase } = require('../config/supabase');
+const { logActivity } = require('../middleware/auth');
+const { getSettings } = require('../services/settings');
+const { createBackup, pruneBackups } = require('../services/backups');
+const { getJobStatus } = require('./scheduler');
+
+const JOB_NAME = 'scheduled_backup';
+
+const SCHEDULE_PERIOD_DAYS = {
+  daily: 1,
+  weekly: 7
+};
+
+// Wait this long after a failed run before trying again
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+
+const notifyAdminsOfFailure = async (error) => {
+  const { data: admins } = await supabase
+    .from('users')
+    .select('id')
+    .eq('role', 'admin')
+    .eq('is_active', true);
+
+  if (!admins || admins.length === 0) {
+    return;
+  }
+
+  await supabase
+    .from('notifications')
+    .insert(admins.map(admin => ({
+      user_id: admin.id,
+      title: 'Scheduled Backup Failed',
+      message: `The scheduled backup could not be completed: ${error.message}`,
+      type: 'system'
+    })));
+};
+
+// Take a scheduled backup when one is due, then prune old scheduled archives
+const runScheduledBackup = async () => {
+  const settings = await getSettings(['backup_schedule', 'backup_retention_count', 'backup_encrypt']);
+  const periodDays = SCHEDULE_PERIOD_DAYS[settings.backup_schedule];
+
+  if (!periodDays) {
+    return;
+  }
+
+  const lastRun = await getJobStatus(JOB_NAME);
+  if (lastRun && lastRun.last_status === 'failed' &&
+      Date.now() - new Date(lastRun.last_run_at).getTime() < RETRY_DELAY_MS) {
+    return;
+  }
+
+  const { data: latest } = await supabase
+    .from('backups')
+    .select('created_at')
+    .eq('source', 'scheduled')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (latest && latest.length > 0 &&
+      Date.now() - new Date(latest[0].created_at).getTime() < periodDays * 24 * 60 * 60 * 1000) {
+    return;
+  }
+
+  try {
+    const backup = await createBackup({
+      encrypted: settings.backup_encrypt === 'true',
+      label: `Scheduled ${settings.backup_schedule} backup`,
+      source: 'scheduled'
+    });
+
+    const retentionCount = parseInt(settings.backup_retention_count) || 7;
+    const pruned = await pruneBackups('scheduled', retentionCount);
+
+    await logActivity(null, 'create', 'backups', backup.id, null, {
+      version: backup.version,
+      checksum: backup.checksum,
+      encrypted: backup.encrypted,
+      pruned
+    });
+  } catch (error) {
+    await notifyAdminsOfFailure(error);
+    throw error;
+  }
+};
+
+module.exports = {
+  JOB_NAME,
+  runScheduledBackup
+};
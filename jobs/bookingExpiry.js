@@ -0,0 +1,71 @@
+const { supabase } = require('../config/supabase');
+const { logActivity } = require('../middleware/auth');
+const { transitionBooking } = require('../services/bookingStates');
+const { notifyWaitlist } = require('../services/waitlist');
+
+const JOB_NAME = 'booking_expiry';
+
+// Expire one stale pending booking and release its room in one transaction.
+// A booking the owner approved or the tenant cancelled in the meantime is
+// rejected by the state machine and left alone.
+const expireBooking = async (booking) => {
+  const { error } = await transitionBooking(booking.id, 'expired');
+
+  if (error) {
+    return false;
+  }
+
+  await supabase
+    .from('notifications')
+    .insert([
+      {
+        user_id: booking.tenants.user_id,
+        title: 'Booking Expired',
+        message: `Your booking request for room ${booking.rooms.room_number} at ${booking.properties.name} expired before it was approved.`,
+        type: 'booking'
+      },
+      {
+        user_id: booking.properties.owners.user_id,
+        title: 'Booking Expired',
+        message: `The booking request from ${booking.tenants.name} for room ${booking.rooms.room_number} expired and the hold on the room was released.`,
+        type: 'booking'
+      }
+    ]);
+
+  await notifyWaitlist(booking.room_id);
+
+  await logActivity(null, 'expire', 'bookings', booking.id, { status: 'pending' }, {
+    status: 'expired',
+    hold_expires_at: booking.hold_expires_at
+  });
+
+  return true;
+};
+
+// Expire pending bookings whose hold has run out
+const runBookingExpiry = async () => {
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select(`
+      id, room_id, hold_expires_at,
+      tenants!inner(name, user_id),
+      rooms!inner(room_number),
+      properties!inner(name, owners!inner(user_id))
+    `)
+    .eq('status', 'pending')
+    .lt('hold_expires_at', new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to fetch stale bookings: ${error.message}`);
+  }
+
+  // Each expiry is recorded in the activity log
+  for (const booking of bookings) {
+    await expireBooking(booking);
+  }
+};
+
+module.exports = {
+  JOB_NAME,
+  runBookingExpiry
+};
@@ -0,0 +1,101 @@
+const { supabase } = require('../config/supabase');
+const { logActivity } = require('../middleware/auth');
+const { OPEN_COMPLAINT_STATUSES } = require('../services/complaintSla');
+
+const JOB_NAME = 'complaint_sla';
+
+const SLA_TARGETS = ['response', 'resolution'];
+
+const COMPLAINT_SELECT = `
+  id, title, priority, response_due_at, resolution_due_at,
+  properties!inner(name, owners!inner(user_id))
+`;
+
+// Open complaints whose response or resolution deadline passed without being flagged
+const findBreaches = async (target, now) => {
+  let query = supabase
+    .from('complaints')
+    .select(COMPLAINT_SELECT)
+    .in('status', OPEN_COMPLAINT_STATUSES)
+    .is(`${target}_breached_at`, null)
+    .lt(`${target}_due_at`, now);
+
+  // A complaint the owner has answered can no longer miss its response deadline
+  if (target === 'response') {
+    query = query.is('first_response_at', null);
+  }
+
+  const { data: complaints, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch complaints past their ${target} deadline: ${error.message}`);
+  }
+
+  return complaints;
+};
+
+// Flag one breach and escalate it to the admins and the property owner.
+// The flag is claimed first so overlapping runs never escalate twice.
+const escalateBreach = async (complaint, target, adminIds, now) => {
+  const { data: claimed } = await supabase
+    .from('complaints')
+    .update({
+      [`${target}_breached_at`]: now,
+      escalated_at: now
+    })
+    .eq('id', complaint.id)
+    .is(`${target}_breached_at`, null)
+    .select('id');
+
+  if (!claimed || claimed.length === 0) {
+    return false;
+  }
+
+  const recipients = [...new Set([...adminIds, complaint.properties.owners.user_id])];
+
+  await supabase
+    .from('notifications')
+    .insert(recipients.map(userId => ({
+      user_id: userId,
+      title: 'Complaint SLA Breached',
+      message: `The ${complaint.priority} priority complaint "${complaint.title}" at ${complaint.properties.name} ` +
+        `missed its ${target} deadline of ${new Date(complaint[`${target}_due_at`]).toUTCString()}.`,
+      type: 'complaint'
+    })));
+
+  await logActivity(null, 'escalate', 'complaints', complaint.id, null, {
+    breach: target,
+    due_at: complaint[`${target}_due_at`]
+  });
+
+  return true;
+};
+
+// Flag complaints that missed their SLA and escalate them to admins
+const runComplaintSlaCheck = async () => {
+  const now = new Date().toISOString();
+
+  const { data: admins, error } = await supabase
+    .from('users')
+    .select('id')
+    .eq('role', 'admin')
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(`Failed to fetch admins: ${error.message}`);
+  }
+
+  const adminIds = admins.map(admin => admin.id);
+
+  // Each escalation is recorded in the activity log
+  for (const target of SLA_TARGETS) {
+    for (const complaint of await findBreaches(target, now)) {
+      await escalateBreach(complaint, target, adminIds, now);
+    }
+  }
+};
+
+module.exports = {
+  JOB_NAME,
+  runComplaintSlaCheck
+};
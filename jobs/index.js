@@ -0,0 +1,54 @@
+const { scheduleJob, stopJobs } = require('./scheduler');
+const backups = require('./backups');
+const bookingExpiry = require('./bookingExpiry');
+const complaintSla = require('./complaintSla');
+const rentInvoices = require('./rentInvoices');
+const waitlistExpiry = require('./waitlistExpiry');
+
+// Register the background jobs for this process. Set DISABLE_JOBS=true to run
+// an instance that only serves requests.
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    return;
+  }
+
+  scheduleJob({
+    name: backups.JOB_NAME,
+    intervalMs: 15 * 60 * 1000,
+    lockSeconds: 30 * 60,
+    run: backups.runScheduledBackup
+  });
+
+  scheduleJob({
+    name: bookingExpiry.JOB_NAME,
+    intervalMs: 5 * 60 * 1000,
+    lockSeconds: 5 * 60,
+    run: bookingExpiry.runBookingExpiry
+  });
+
+  scheduleJob({
+    name: complaintSla.JOB_NAME,
+    intervalMs: 15 * 60 * 1000,
+    lockSeconds: 10 * 60,
+    run: complaintSla.runComplaintSlaCheck
+  });
+
+  scheduleJob({
+    name: rentInvoices.JOB_NAME,
+    intervalMs: 6 * 60 * 60 * 1000,
+    lockSeconds: 15 * 60,
+    run: rentInvoices.runRentInvoicing
+  });
+
+  scheduleJob({
+    name: waitlistExpiry.JOB_NAME,
+    intervalMs: 15 * 60 * 1000,
+    lockSeconds: 5 * 60,
+    run: waitlistExpiry.runWaitlistExpiry
+  });
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,17 @@
+const { generateInvoices, notifyNewInvoices } = require('../services/ledger');
+
+const JOB_NAME = 'rent_invoicing';
+
+// Issue any rent and deposit invoices that have come due
+const runRentInvoicing = async () => {
+  const invoices = await generateInvoices();
+
+  if (invoices.length > 0) {
+    await notifyNewInvoices(invoices);
+  }
+};
+
+module.exports = {
+  JOB_NAME,
+  runRentInvoicing
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const os = require('os');
+const { supabase } = require('../config/supabase');
+
+// Identifies this server process as a lock holder
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const timers = [];
+
+// Take the named lock unless another instance holds an unexpired one
+const acquireJobLock = async (jobName, ttlSeconds) => {
+  const { data: acquired, error } = await supabase.rpc('acquire_job_lock', {
+    p_job_name: jobName,
+    p_holder: INSTANCE_ID,
+    p_ttl_seconds: ttlSeconds
+  });
+
+  if (error) {
+    throw new Error(`Failed to acquire lock for job ${jobName}: ${error.message}`);
+  }
+
+  return acquired === true;
+};
+
+// Release the lock and record how the run went
+const releaseJobLock = async (jobName, status, errorMessage = null) => {
+  const now = new Date().toISOString();
+  await supabase
+    .from('job_locks')
+    .update({
+      locked_until: now,
+      last_run_at: now,
+      last_status: status,
+      last_error: errorMessage,
+      updated_at: now
+    })
+    .eq('job_name', jobName)
+    .eq('locked_by', INSTANCE_ID);
+};
+
+// Last recorded run of a job, or null if it has never run
+const getJobStatus = async (jobName) => {
+  const { data: job } = await supabase
+    .from('job_locks')
+    .select('last_run_at, last_status, last_error')
+    .eq('job_name', jobName)
+    .single();
+
+  return job || null;
+};
+
+// Run a handler while holding the job's lock. Returns false when another
+// instance is already running the job.
+const runExclusive = async (jobName, ttlSeconds, handler) => {
+  if (!await acquireJobLock(jobName, ttlSeconds)) {
+    return false;
+  }
+
+  try {
+    await handler();
+    await releaseJobLock(jobName, 'succeeded');
+  } catch (error) {
+    await releaseJobLock(jobName, 'failed', error.message);
+    throw error;
+  }
+
+  return true;
+};
+
+// Run a job every intervalMs on every instance; the DB lock ensures only one
+// instance does the work at a time.
+const scheduleJob = ({ name, intervalMs, lockSeconds, run }) => {
+  const tick = async () => {
+    try {
+      await runExclusive(name, lockSeconds, run);
+    } catch (error) {
+      console.error(`Job ${name} error:`, error);
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  timers.push(timer);
+
+  // First run shortly after startup rather than a full interval later
+  const startup = setTimeout(tick, 30 * 1000);
+  startup.unref();
+  timers.push(startup);
+};
+
+const stopJobs = () => {
+  timers.forEach(timer => clearTimeout(timer));
+  timers.length = 0;
+};
+
+module.exports = {
+  INSTANCE_ID,
+  getJobStatus,
+  runExclusive,
+  scheduleJob,
+  stopJobs
+};
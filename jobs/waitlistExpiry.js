@@ -0,0 +1,13 @@
+const { expireWaitlistNotifications } = require('../services/waitlist');
+
+const JOB_NAME = 'waitlist_expiry';
+
+// Put waitlisted tenants who did not book a room they were told about back in the queue
+const runWaitlistExpiry = async () => {
+  await expireWaitlistNotifications();
+};
+
+module.exports = {
+  JOB_NAME,
+  runWaitlistExpiry
+};
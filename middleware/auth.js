@@ -1,16 +1,175 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { supabase } = require('../config/supabase');
 
-// Generate JWT token
-const generateToken = (userId, role) => {
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Generate JWT access token (short-lived, bound to a session)
+const generateToken = (userId, role, sessionId) => {
+  return jwt.sign(
+    { userId, role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Generate a short-lived challenge token for a pending login step (e.g. two-factor).
+// Challenge tokens carry no session id, so authenticateToken never accepts them.
+const generateChallengeToken = (userId, purpose) => {
   return jwt.sign(
-    { userId, role },
+    { userId, purpose },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.CHALLENGE_TOKEN_EXPIRES_IN || '5m' }
   );
 };
 
+// Verify a challenge token issued for the given purpose
+const verifyChallengeToken = (token, purpose) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== purpose || decoded.sid) {
+    throw new Error('Invalid token');
+  }
+  return decoded;
+};
+
+// Hash an opaque token (refresh tokens are never stored in plain text)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshTokenExpiry = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  return expiresAt.toISOString();
+};
+
+// Create a server-side session and issue an access/refresh token pair
+const createSession = async (user, req = null) => {
+  const refreshToken = generateRefreshToken();
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .insert({
+      user_id: user.id,
+      refresh_token_hash: hashToken(refreshToken),
+      ip_address: req ? req.ip : null,
+      user_agent: req ? req.get('User-Agent') : null,
+      expires_at: refreshTokenExpiry()
+    })
+    .select()
+    .single();
+
+  if (error || !session) {
+    throw new Error('Failed to create session');
+  }
+
+  return {
+    sessionId: session.id,
+    token: generateToken(user.id, user.role, session.id),
+    refreshToken
+  };
+};
+
+// Rotate a refresh token. Returns null when the token is unknown, expired or revoked.
+// Presenting an already-rotated token revokes the session, since it means the token leaked.
+const rotateSession = async (refreshToken, req = null) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const { data: session } = await supabase
+    .from('user_sessions')
+    .select('id, user_id, refresh_token_hash, previous_token_hash, expires_at, revoked_at, users!inner(id, role, is_active)')
+    .or(`refresh_token_hash.eq.${tokenHash},previous_token_hash.eq.${tokenHash}`)
+    .single();
+
+  if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) {
+    return null;
+  }
+
+  if (session.previous_token_hash === tokenHash) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    return null;
+  }
+
+  if (!session.users.is_active) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Only rotate if this token is still current: a concurrent refresh or a
+  // revocation since the lookup leaves no row to update
+  const { data: rotated, error } = await supabase
+    .from('user_sessions')
+    .update({
+      refresh_token_hash: hashToken(newRefreshToken),
+      previous_token_hash: tokenHash,
+      last_used_at: new Date().toISOString(),
+      ip_address: req ? req.ip : null,
+      user_agent: req ? req.get('User-Agent') : null,
+      expires_at: refreshTokenExpiry()
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', tokenHash)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error('Failed to rotate session');
+  }
+
+  if (!rotated || rotated.length === 0) {
+    return null;
+  }
+
+  return {
+    sessionId: session.id,
+    userId: session.user_id,
+    token: generateToken(session.user_id, session.users.role, session.id),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const { error } = await supabase
+    .from('user_sessions')
+    .update({
+      revoked_at: new Date().toISOString(),
+      revoked_reason: reason
+    })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) {
+    throw new Error('Failed to revoke session');
+  }
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  let query = supabase
+    .from('user_sessions')
+    .update({
+      revoked_at: new Date().toISOString(),
+      revoked_reason: reason
+    })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    throw new Error('Failed to revoke sessions');
+  }
+};
+
 // Verify JWT token
 const verifyToken = (token) => {
   try {
@@ -46,7 +205,7 @@ const authenticateToken = async (req, res, next) => {
     // Verify user still exists and is active
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, email, role, verification_status, is_active')
+      .select('id, email, role, role_id, verification_status, is_active')
       .eq('id', decoded.userId)
       .single();
 
@@ -54,7 +213,24 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid or expired token' });
     }
 
+    // Verify the session backing this token has not been revoked
+    if (!decoded.sid) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .select('id, revoked_at, expires_at')
+      .eq('id', decoded.sid)
+      .eq('user_id', user.id)
+      .single();
+
+    if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
@@ -102,7 +278,9 @@ const logActivity = async (userId, action, tableName, recordId, oldValues = null
         old_values: oldValues,
         new_values: newValues,
         ip_address: req ? req.ip : null,
-        user_agent: req ? req.get('User-Agent') : null
+        user_agent: req ? req.get('User-Agent') : null,
+        // Staff acting on a delegated property are attributed to the owner they act for
+        on_behalf_of: req && req.propertyAccess && req.propertyAccess.isStaff ? req.propertyAccess.ownerUserId : null
       });
   } catch (error) {
     console.error('Failed to log activity:', error);
@@ -144,6 +322,13 @@ const validatePassword = (password) => {
 module.exports = {
   generateToken,
   verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
   hashPassword,
   comparePassword,
   authenticateToken,
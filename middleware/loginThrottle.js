@@ -0,0 +1,165 @@
+const { validationResult } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { getSettings } = require('../services/settings');
+const { logActivity } = require('./auth');
+
+// Defaults used when a lockout setting is missing from system_settings
+const DEFAULT_LIMITS = {
+  lockout_max_attempts: 5,
+  lockout_ip_max_attempts: 20,
+  lockout_window_minutes: 15,
+  lockout_duration_minutes: 15,
+  login_delay_base_ms: 250,
+  login_delay_max_ms: 4000
+};
+
+const getLockoutLimits = async () => {
+  const settings = await getSettings(Object.keys(DEFAULT_LIMITS));
+  const limits = {};
+
+  Object.entries(DEFAULT_LIMITS).forEach(([key, defaultValue]) => {
+    const value = parseInt(settings[key]);
+    limits[key] = isNaN(value) ? defaultValue : value;
+  });
+
+  return limits;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const normalizeIdentifier = (email) => String(email || '').trim().toLowerCase();
+
+// The tracking row for one account or IP address, or null
+const fetchAttempt = async (identifierType, identifier) => {
+  const { data: attempt } = await supabase
+    .from('login_attempts')
+    .select('*')
+    .eq('identifier_type', identifierType)
+    .eq('identifier', identifier)
+    .maybeSingle();
+
+  return attempt;
+};
+
+// Fetch the tracking rows for an account and an IP address
+const getLoginAttempts = async (email, ip) => {
+  const attempts = [await fetchAttempt('ip', ip)];
+  if (email) {
+    attempts.push(await fetchAttempt('account', normalizeIdentifier(email)));
+  }
+
+  return attempts.filter(Boolean);
+};
+
+// Return the active lockout for an account or IP, if any
+const getActiveLockout = async (email, ip) => {
+  const attempts = await getLoginAttempts(email, ip);
+  const now = new Date();
+
+  return attempts
+    .filter(attempt => attempt.locked_until && new Date(attempt.locked_until) > now)
+    .sort((a, b) => new Date(b.locked_until) - new Date(a.locked_until))[0] || null;
+};
+
+const sendLockedResponse = (res, lockout) => {
+  const retryAfter = Math.max(1, Math.ceil((new Date(lockout.locked_until) - new Date()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many failed login attempts. Please try again later.',
+    retryAfter
+  });
+};
+
+// Login middleware: rejects locked accounts/IPs and slows down repeated failures.
+// Runs after the route's validators so only a valid email reaches the queries.
+const enforceLoginThrottle = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.body && req.body.email;
+    const attempts = await getLoginAttempts(email, req.ip);
+    const now = new Date();
+
+    const lockout = attempts.find(attempt => attempt.locked_until && new Date(attempt.locked_until) > now);
+    if (lockout) {
+      await logActivity(null, 'login_blocked', 'login_attempts', lockout.id, null, {
+        identifier_type: lockout.identifier_type,
+        email: normalizeIdentifier(email)
+      }, req);
+      return sendLockedResponse(res, lockout);
+    }
+
+    // Progressive delay: doubles with every recent failure, capped
+    const failures = Math.max(0, ...attempts.map(attempt => attempt.failed_count));
+    if (failures > 0) {
+      const limits = await getLockoutLimits();
+      await sleep(Math.min(limits.login_delay_base_ms * 2 ** (failures - 1), limits.login_delay_max_ms));
+    }
+
+    next();
+  } catch (error) {
+    console.error('Login throttle error:', error);
+    next();
+  }
+};
+
+// Record a failed login against the account and the IP address
+const recordFailedLogin = async (req, email, userId = null) => {
+  try {
+    const limits = await getLockoutLimits();
+    const identifiers = [
+      { type: 'ip', identifier: req.ip, maxAttempts: limits.lockout_ip_max_attempts }
+    ];
+    if (email) {
+      identifiers.push({ type: 'account', identifier: normalizeIdentifier(email), maxAttempts: limits.lockout_max_attempts });
+    }
+
+    for (const { type, identifier, maxAttempts } of identifiers) {
+      const { data: attempt, error } = await supabase.rpc('record_login_failure', {
+        p_identifier_type: type,
+        p_identifier: identifier,
+        p_window_minutes: limits.lockout_window_minutes,
+        p_max_attempts: maxAttempts,
+        p_lock_minutes: limits.lockout_duration_minutes
+      }).single();
+
+      if (error) {
+        console.error('Failed to record login failure:', error);
+        continue;
+      }
+
+      if (attempt && attempt.just_locked) {
+        await logActivity(userId, type === 'account' ? 'account_locked' : 'ip_locked', 'login_attempts', attempt.id, null, {
+          identifier: type === 'account' ? identifier : undefined,
+          failed_count: attempt.failed_count,
+          locked_until: attempt.locked_until
+        }, req);
+      }
+    }
+
+    await logActivity(userId, 'login_failed', 'users', userId, null, { email: normalizeIdentifier(email) }, req);
+  } catch (error) {
+    console.error('Record failed login error:', error);
+  }
+};
+
+// Reset the account counter after a successful login (the IP counter is left to expire,
+// otherwise logging into one account would reset an attacker's budget for others)
+const clearFailedLogins = async (email) => {
+  await supabase
+    .from('login_attempts')
+    .delete()
+    .eq('identifier_type', 'account')
+    .eq('identifier', normalizeIdentifier(email));
+};
+
+module.exports = {
+  enforceLoginThrottle,
+  recordFailedLogin,
+  clearFailedLogins,
+  getActiveLockout,
+  sendLockedResponse
+};
@@ -0,0 +1,125 @@
+const { supabase } = require('../config/supabase');
+
+// Catalog of named permissions. Roles are stored in the roles table as lists of these names.
+const PERMISSIONS = {
+  'dashboard:read': 'View the admin dashboard',
+  'users:read': 'List user accounts',
+  'users:write': 'Activate, deactivate and assign roles to user accounts',
+  'roles:read': 'View role definitions',
+  'roles:write': 'Create, edit and delete role definitions',
+  'settings:read': 'View system settings',
+  'settings:write': 'Change system settings',
+  'audit_logs:read': 'View audit logs',
+  'lockouts:read': 'View login lockouts',
+  'lockouts:write': 'Clear login lockouts',
+  'backups:read': 'List and download backups',
+  'backups:create': 'Create backups',
+  'backups:restore': 'Restore data from backups',
+  'ledger:read': 'View all invoices, payments and tenant balances',
+  'ledger:write': 'Generate rent invoices',
+  'leases:read': 'View all lease agreements',
+  'complaints:create': 'File complaints as a tenant',
+  'complaints:read_own': 'View own complaints as a tenant',
+  'complaints:manage_property': 'View and respond to complaints on owned properties',
+  'complaints:read': 'View all complaints and complaint statistics',
+  'complaints:write': 'Add admin notes and comments to complaints',
+  'notifications:read_own': 'Read and manage own notifications',
+  'notifications:send': 'Send notifications to users',
+  'notifications:stats': 'View notification statistics'
+};
+
+// Permissions implied by active property staff grants. Row-level checks in the
+// routes still restrict staff to the properties they were granted.
+const STAFF_SCOPE_PERMISSIONS = {
+  respond_complaints: ['complaints:manage_property']
+};
+
+// How long resolved role permissions are cached per process
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const clearPermissionCache = () => permissionCache.clear();
+
+const getRolePermissions = async (user) => {
+  const cacheKey = user.role_id ? `id:${user.role_id}` : `name:${user.role}`;
+  const cached = permissionCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  let query = supabase
+    .from('roles')
+    .select('permissions');
+
+  query = user.role_id ? query.eq('id', user.role_id) : query.eq('name', user.role).eq('is_system', true);
+
+  const { data: role, error } = await query.single();
+
+  const permissions = error || !role ? [] : role.permissions || [];
+  permissionCache.set(cacheKey, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+const getStaffPermissions = async (user) => {
+  const cacheKey = `staff:${user.id}`;
+  const cached = permissionCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const { data: grants } = await supabase
+    .from('property_staff')
+    .select('scopes')
+    .eq('user_id', user.id)
+    .eq('status', 'active');
+
+  const permissions = [];
+  (grants || []).forEach(grant => {
+    (grant.scopes || []).forEach(scope => permissions.push(...(STAFF_SCOPE_PERMISSIONS[scope] || [])));
+  });
+
+  permissionCache.set(cacheKey, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Resolve the permissions of a user: an assigned custom role wins, otherwise the
+// system role named after the user's base role (owner, tenant, admin) applies.
+// Active property staff grants add the permissions their scopes imply.
+const getUserPermissions = async (user) => {
+  const [rolePermissions, staffPermissions] = await Promise.all([
+    getRolePermissions(user),
+    getStaffPermissions(user)
+  ]);
+
+  return new Set([...rolePermissions, ...staffPermissions]);
+};
+
+// Permission-based authorization middleware. Passes when the user holds every listed permission.
+const requirePermission = (...required) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      const permissions = await getUserPermissions(req.user);
+
+      if (!required.every(permission => permissions.has(permission))) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      req.permissions = permissions;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+};
+
+module.exports = {
+  PERMISSIONS,
+  getUserPermissions,
+  requirePermission,
+  clearPermissionCache
+};
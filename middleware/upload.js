@@ -0,0 +1,81 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+const { getSettings } = require('../services/settings');
+
+const DEFAULT_MAX_FILE_SIZE = 25 * 1024 * 1024; // 25MB, room for short complaint videos
+const DEFAULT_FILE_TYPES = 'jpg,jpeg,png,pdf,mp4,mov,webm';
+
+const formatFileSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${Math.round(bytes / 1024 / 1024 * 10) / 10}MB`
+  : `${Math.ceil(bytes / 1024)}KB`);
+
+// Store uploads under UPLOAD_PATH (or a subdirectory of it) with unique names
+const createStorage = (subdirectory = '') => multer.diskStorage({
+  destination: async (req, file, cb) => {
+    const uploadPath = path.join(process.env.UPLOAD_PATH || './uploads', subdirectory);
+    try {
+      await fs.mkdir(uploadPath, { recursive: true });
+      cb(null, uploadPath);
+    } catch (error) {
+      cb(error);
+    }
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+// Accept up to maxCount files in one field, limited by the max_file_size and
+// allowed_file_types system settings (read on every request so admins can
+// change them). Requests that are not multipart pass straight through.
+const settingsUpload = (field, maxCount, { subdirectory = '' } = {}) => async (req, res, next) => {
+  try {
+    const settings = await getSettings(['max_file_size', 'allowed_file_types']);
+    const maxFileSize = parseInt(settings.max_file_size) || DEFAULT_MAX_FILE_SIZE;
+    const allowedTypes = (settings.allowed_file_types || DEFAULT_FILE_TYPES)
+      .split(',')
+      .map(type => type.trim().toLowerCase().replace(/^\./, ''))
+      .filter(Boolean);
+
+    const upload = multer({
+      storage: createStorage(subdirectory),
+      limits: { fileSize: maxFileSize },
+      fileFilter: (req, file, cb) => {
+        if (allowedTypes.includes(path.extname(file.originalname).slice(1).toLowerCase())) {
+          cb(null, true);
+        } else {
+          cb(new Error(`Invalid file type. Allowed types: ${allowedTypes.join(', ')}`));
+        }
+      }
+    }).array(field, maxCount);
+
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ error: `Files must be ${formatFileSize(maxFileSize)} or smaller` });
+      }
+      if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({ error: `Upload at most ${maxCount} files in the ${field} field` });
+      }
+      res.status(400).json({ error: error.message });
+    });
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Delete files multer saved for a request that was then refused
+const removeUploadedFiles = async (files) => {
+  await Promise.all((files || []).map(file => fs.unlink(file.path).catch(() => {})));
+};
+
+module.exports = {
+  createStorage,
+  settingsUpload,
+  removeUploadedFiles
+};
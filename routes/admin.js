@@ -1,12 +1,22 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/supabase');
-const { authenticateToken, authorizeRole, logActivity } = require('../middleware/auth');
+const { authenticateToken, logActivity } = require('../middleware/auth');
+const { PERMISSIONS, requirePermission, clearPermissionCache } = require('../middleware/permissions');
+const {
+  isEncryptionAvailable,
+  createBackup,
+  readBackupFile,
+  loadBackupArchive,
+  diffBackup,
+  applyBackup
+} = require('../services/backups');
+const { SLA_SETTING_KEYS } = require('../services/complaintSla');
 
 const router = express.Router();
 
 // Get system statistics
-router.get('/dashboard', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+router.get('/dashboard', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
   try {
     // Get user counts by role
     const { data: userStats } = await supabase
@@ -96,7 +106,7 @@ router.get('/dashboard', authenticateToken, authorizeRole(['admin']), async (req
 });
 
 // Get all users
-router.get('/users', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+router.get('/users', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, role, verificationStatus, search } = req.query;
     const offset = (page - 1) * limit;
@@ -150,7 +160,7 @@ router.get('/users', authenticateToken, authorizeRole(['admin']), async (req, re
 });
 
 // Update user status
-router.put('/user/:userId/status', authenticateToken, authorizeRole(['admin']), [
+router.put('/user/:userId/status', authenticateToken, requirePermission('users:write'), [
   body('isActive').isBoolean(),
   body('notes').optional().trim()
 ], async (req, res) => {
@@ -216,48 +226,42 @@ router.put('/user/:userId/status', authenticateToken, authorizeRole(['admin']),
 });
 
 // Create backup
-router.post('/backup', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+router.post('/backup', authenticateToken, requirePermission('backups:create'), [
+  body('encrypt').optional().isBoolean(),
+  body('label').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
   try {
-    const backupData = {
-      timestamp: new Date().toISOString(),
-      version: '1.0.0',
-      tables: {}
-    };
-
-    // Backup all tables
-    const tables = ['users', 'owners', 'tenants', 'properties', 'rooms', 'bookings', 'complaints', 'notifications', 'audit_logs', 'system_settings'];
-    
-    for (const table of tables) {
-      const { data, error } = await supabase
-        .from(table)
-        .select('*');
-      
-      if (error) {
-        console.error(`Error backing up table ${table}:`, error);
-        continue;
-      }
-      
-      backupData.tables[table] = data;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const encrypted = String(req.body.encrypt) === 'true';
+    if (encrypted && !isEncryptionAvailable()) {
+      return res.status(400).json({ error: 'Encrypted backups are not configured on this server' });
     }
 
-    // In a real implementation, you would:
-    // 1. Encrypt the backup data
-    // 2. Store it in a secure location (cloud storage, etc.)
-    // 3. Generate a backup file ID for tracking
-    
-    const backupId = `backup_${Date.now()}`;
-    
+    const backup = await createBackup({
+      createdBy: req.user.id,
+      encrypted,
+      label: req.body.label || null
+    });
+
     // Log backup creation
-    await logActivity(req.user.id, 'create', 'backups', backupId, null, { 
-      tables: tables.length,
-      timestamp: backupData.timestamp 
+    await logActivity(req.user.id, 'create', 'backups', backup.id, null, {
+      version: backup.version,
+      checksum: backup.checksum,
+      encrypted: backup.encrypted
     }, req);
 
-    res.json({
+    res.status(201).json({
       message: 'Backup created successfully',
-      backupId,
-      timestamp: backupData.timestamp,
-      tablesBackedUp: tables.length
+      backupId: backup.id,
+      version: backup.version,
+      timestamp: backup.created_at,
+      checksum: backup.checksum,
+      encrypted: backup.encrypted,
+      tablesBackedUp: Object.keys(backup.manifest.tables).length
     });
   } catch (error) {
     console.error('Create backup error:', error);
@@ -265,10 +269,105 @@ router.post('/backup', authenticateToken, authorizeRole(['admin']), async (req,
   }
 });
 
-// Restore from backup
-router.post('/restore', authenticateToken, authorizeRole(['admin']), [
-  body('backupData').isObject(),
-  body('confirmRestore').equals('true')
+// List backups
+router.get('/backups', authenticateToken, requirePermission('backups:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, source } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('backups')
+      .select(`
+        id, version, file_name, file_size, checksum, encrypted, format_version, label, source, created_at,
+        users(email)
+      `)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (source) {
+      query = query.eq('source', source);
+    }
+
+    const { data: backups, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch backups' });
+    }
+
+    // Get total count
+    const { count } = await supabase
+      .from('backups')
+      .select('*', { count: 'exact', head: true });
+
+    res.json({
+      backups,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get backups error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get backup details including its manifest
+router.get('/backups/:backupId', authenticateToken, requirePermission('backups:read'), async (req, res) => {
+  try {
+    const { data: backup, error } = await supabase
+      .from('backups')
+      .select('*, users(email)')
+      .eq('id', req.params.backupId)
+      .single();
+
+    if (error || !backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    res.json({ backup });
+  } catch (error) {
+    console.error('Get backup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download backup archive
+router.get('/backups/:backupId/download', authenticateToken, requirePermission('backups:read'), async (req, res) => {
+  try {
+    const { data: backup, error } = await supabase
+      .from('backups')
+      .select('*')
+      .eq('id', req.params.backupId)
+      .single();
+
+    if (error || !backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    const archive = await readBackupFile(backup);
+    if (!archive) {
+      return res.status(404).json({ error: 'Backup file is missing from storage' });
+    }
+
+    await logActivity(req.user.id, 'download', 'backups', backup.id, null, null, req);
+
+    res.set('X-Backup-Checksum', backup.checksum);
+    res.attachment(backup.file_name);
+    res.send(archive);
+  } catch (error) {
+    console.error('Download backup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore from backup. Always computes a dry-run diff first; changes are only
+// applied when confirmRestore is "true".
+router.post('/restore', authenticateToken, requirePermission('backups:restore'), [
+  body('backupId').isUUID(),
+  body('confirmRestore').optional().isIn(['true', 'false', true, false])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -276,36 +375,76 @@ router.post('/restore', authenticateToken, authorizeRole(['admin']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { backupData, confirmRestore } = req.body;
+    const { backupId, confirmRestore } = req.body;
+
+    const { data: backup, error: fetchError } = await supabase
+      .from('backups')
+      .select('*')
+      .eq('id', backupId)
+      .single();
+
+    if (fetchError || !backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    // Validate backup integrity
+    let archive;
+    try {
+      archive = await loadBackupArchive(backup);
+    } catch (integrityError) {
+      return res.status(422).json({ error: 'Backup failed integrity check', details: integrityError.message });
+    }
+
+    const diff = await diffBackup(archive);
 
-    if (!confirmRestore) {
-      return res.status(400).json({ error: 'Restore confirmation required' });
+    if (String(confirmRestore) !== 'true') {
+      return res.json({
+        message: 'Dry run only; no changes were made. Send confirmRestore "true" to apply this restore.',
+        dryRun: true,
+        backupId: backup.id,
+        version: backup.version,
+        backupTimestamp: backup.created_at,
+        diff
+      });
     }
 
-    // Validate backup data structure
-    if (!backupData.timestamp || !backupData.tables) {
-      return res.status(400).json({ error: 'Invalid backup data format' });
+    // Snapshot the current data so the restore itself can be undone
+    const rollbackPoint = await createBackup({
+      createdBy: req.user.id,
+      encrypted: backup.encrypted,
+      label: `Before restoring backup #${backup.version}`,
+      source: 'pre_restore'
+    });
+
+    let summary;
+    try {
+      summary = await applyBackup(archive);
+    } catch (restoreError) {
+      console.error('Restore data error:', restoreError);
+      return res.status(500).json({
+        error: 'Restore failed; all changes were rolled back',
+        rollbackBackupId: rollbackPoint.id
+      });
     }
 
-    // In a real implementation, you would:
-    // 1. Validate backup integrity
-    // 2. Create a rollback point
-    // 3. Restore data table by table
-    // 4. Verify data integrity after restore
+    // Roles may have changed
+    clearPermissionCache();
 
-    const restoreId = `restore_${Date.now()}`;
-    
     // Log restore operation
-    await logActivity(req.user.id, 'restore', 'system', restoreId, null, { 
-      backupTimestamp: backupData.timestamp,
-      tablesRestored: Object.keys(backupData.tables).length 
+    await logActivity(req.user.id, 'restore', 'backups', backup.id, null, {
+      version: backup.version,
+      rollbackBackupId: rollbackPoint.id,
+      summary
     }, req);
 
     res.json({
       message: 'Data restore completed successfully',
-      restoreId,
-      backupTimestamp: backupData.timestamp,
-      tablesRestored: Object.keys(backupData.tables).length
+      backupId: backup.id,
+      backupTimestamp: backup.created_at,
+      rollbackBackupId: rollbackPoint.id,
+      tablesRestored: Object.keys(summary).length,
+      diff,
+      summary
     });
   } catch (error) {
     console.error('Restore data error:', error);
@@ -314,7 +453,7 @@ router.post('/restore', authenticateToken, authorizeRole(['admin']), [
 });
 
 // Get system settings
-router.get('/settings', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+router.get('/settings', authenticateToken, requirePermission('settings:read'), async (req, res) => {
   try {
     const { data: settings, error } = await supabase
       .from('system_settings')
@@ -342,8 +481,14 @@ router.get('/settings', authenticateToken, authorizeRole(['admin']), async (req,
 });
 
 // Update system settings
-router.put('/settings', authenticateToken, authorizeRole(['admin']), [
-  body('settings').isObject()
+router.put('/settings', authenticateToken, requirePermission('settings:write'), [
+  body('settings').isObject(),
+  body('settings.backup_schedule').optional().isIn(['off', 'daily', 'weekly']),
+  body('settings.backup_retention_count').optional().isInt({ min: 1 }),
+  body('settings.waitlist_notify_count').optional().isInt({ min: 1, max: 50 }),
+  body('settings.waitlist_notify_window_hours').optional().isInt({ min: 1, max: 720 }),
+  body('settings.complaint_reopen_window_days').optional().isInt({ min: 0, max: 90 }),
+  ...SLA_SETTING_KEYS.map(key => body(`settings.${key}`).optional().isFloat({ min: 0.5, max: 8760 }))
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -381,8 +526,325 @@ router.put('/settings', authenticateToken, authorizeRole(['admin']), [
   }
 });
 
+// Get login lockouts and failed-login counters
+router.get('/lockouts', authenticateToken, requirePermission('lockouts:read'), async (req, res) => {
+  try {
+    const { activeOnly, identifierType } = req.query;
+
+    let query = supabase
+      .from('login_attempts')
+      .select('*')
+      .order('last_failed_at', { ascending: false });
+
+    if (activeOnly === 'true') {
+      query = query.gt('locked_until', new Date().toISOString());
+    }
+
+    if (identifierType) {
+      query = query.eq('identifier_type', identifierType);
+    }
+
+    const { data: lockouts, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch lockouts' });
+    }
+
+    const now = new Date();
+    res.json({
+      lockouts: lockouts.map(lockout => ({
+        ...lockout,
+        is_locked: Boolean(lockout.locked_until && new Date(lockout.locked_until) > now)
+      }))
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Clear a lockout
+router.delete('/lockouts/:lockoutId', authenticateToken, requirePermission('lockouts:write'), async (req, res) => {
+  try {
+    const { lockoutId } = req.params;
+
+    const { data: lockout, error } = await supabase
+      .from('login_attempts')
+      .delete()
+      .eq('id', lockoutId)
+      .select()
+      .single();
+
+    if (error || !lockout) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'lockout_cleared', 'login_attempts', lockoutId, lockout, null, req);
+
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the permission catalog
+router.get('/permissions', authenticateToken, requirePermission('roles:read'), (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// Get role definitions
+router.get('/roles', authenticateToken, requirePermission('roles:read'), async (req, res) => {
+  try {
+    const { data: roles, error } = await supabase
+      .from('roles')
+      .select('*')
+      .order('name');
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch roles' });
+    }
+
+    res.json({ roles });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const permissionListValidator = () => body('permissions').isArray().custom(permissions => {
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+  return true;
+});
+
+// Create a role
+router.post('/roles', authenticateToken, requirePermission('roles:write'), [
+  body('name').trim().matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('name must be lower_snake_case'),
+  body('description').optional().trim(),
+  permissionListValidator()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const { data: role, error } = await supabase
+      .from('roles')
+      .insert({
+        name,
+        description,
+        permissions: [...new Set(permissions)],
+        is_system: false
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to create role', details: error.message });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'roles', role.id, null, role, req);
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a role's description or permissions
+router.put('/roles/:roleId', authenticateToken, requirePermission('roles:write'), [
+  body('description').optional().trim(),
+  permissionListValidator().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { roleId } = req.params;
+    const { description, permissions } = req.body;
+
+    const { data: currentRole } = await supabase
+      .from('roles')
+      .select('*')
+      .eq('id', roleId)
+      .single();
+
+    if (!currentRole) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    // Keep the built-in admin role able to manage roles, or nobody could undo the change
+    if (currentRole.is_system && currentRole.name === 'admin' && permissions && !permissions.includes('roles:write')) {
+      return res.status(400).json({ error: 'The admin role must keep the roles:write permission' });
+    }
+
+    const updateData = {};
+    if (description !== undefined) {
+      updateData.description = description;
+    }
+    if (permissions !== undefined) {
+      updateData.permissions = [...new Set(permissions)];
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const { data: role, error } = await supabase
+      .from('roles')
+      .update(updateData)
+      .eq('id', roleId)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update role' });
+    }
+
+    clearPermissionCache();
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'roles', roleId, currentRole, role, req);
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a custom role
+router.delete('/roles/:roleId', authenticateToken, requirePermission('roles:write'), async (req, res) => {
+  try {
+    const { roleId } = req.params;
+
+    const { data: role } = await supabase
+      .from('roles')
+      .select('*')
+      .eq('id', roleId)
+      .single();
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({ error: 'System roles cannot be deleted' });
+    }
+
+    const { count: assignedUsers } = await supabase
+      .from('users')
+      .select('*', { count: 'exact', head: true })
+      .eq('role_id', roleId);
+
+    if (assignedUsers > 0) {
+      return res.status(400).json({ error: 'Role is still assigned to users' });
+    }
+
+    const { error } = await supabase
+      .from('roles')
+      .delete()
+      .eq('id', roleId);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to delete role' });
+    }
+
+    clearPermissionCache();
+
+    // Log activity
+    await logActivity(req.user.id, 'delete', 'roles', roleId, role, null, req);
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Assign a custom role to a user (null restores the default for their base role)
+router.put('/user/:userId/role', authenticateToken, requirePermission('users:write', 'roles:write'), [
+  body('roleId').optional({ nullable: true }).isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+    const roleId = req.body.roleId || null;
+
+    const { data: currentUser } = await supabase
+      .from('users')
+      .select('id, role, role_id')
+      .eq('id', userId)
+      .single();
+
+    if (!currentUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (roleId) {
+      const { data: role } = await supabase
+        .from('roles')
+        .select('id, is_system')
+        .eq('id', roleId)
+        .single();
+
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+    }
+
+    const { data: updatedUser, error } = await supabase
+      .from('users')
+      .update({ role_id: roleId })
+      .eq('id', userId)
+      .select('id, email, role, role_id')
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to assign role' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'users', userId,
+      { role_id: currentUser.role_id },
+      { role_id: roleId },
+      req);
+
+    res.json({
+      message: 'Role assigned successfully',
+      user: updatedUser
+    });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get audit logs
-router.get('/audit-logs', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+router.get('/audit-logs', authenticateToken, requirePermission('audit_logs:read'), async (req, res) => {
   try {
     const { page = 1, limit = 50, action, userId, startDate, endDate } = req.query;
     const offset = (page - 1) * limit;
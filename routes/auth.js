@@ -2,16 +2,121 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/supabase');
 const { 
-  generateToken, 
   hashPassword, 
   comparePassword, 
   authenticateToken,
+  createSession,
+  rotateSession,
+  generateChallengeToken,
+  verifyChallengeToken,
+  revokeSession,
+  revokeUserSessions,
   logActivity,
   validatePassword 
 } = require('../middleware/auth');
+const { buildFrontendLink, issueAccountToken, consumeAccountToken } = require('../services/accountTokens');
+const { getBooleanSetting } = require('../services/settings');
+const { generateSecret, verifyCode, buildProvisioningUri } = require('../services/totp');
+const { verifySecondFactor, replaceRecoveryCodes } = require('../services/twoFactor');
+const {
+  enforceLoginThrottle,
+  recordFailedLogin,
+  clearFailedLogins,
+  getActiveLockout,
+  sendLockedResponse
+} = require('../middleware/loginThrottle');
+const { sendEmailNotification } = require('./notifications');
 
 const router = express.Router();
 
+// Send an email verification link to a user
+const sendVerificationEmail = async (user) => {
+  const { token } = await issueAccountToken(user.id, 'email_verification');
+  const link = buildFrontendLink('/verify-email', { token });
+
+  return sendEmailNotification(
+    user.email,
+    'Verify your TenantFlow email address',
+    `Please confirm your email address by opening this link: ${link}\n\nThe link expires in 24 hours.`
+  );
+};
+
+// Reject a login attempt and count it towards the account and IP lockout limits
+const rejectLogin = async (req, res, email, userId = null) => {
+  await recordFailedLogin(req, email, userId);
+  return res.status(401).json({ error: 'Invalid credentials' });
+};
+
+// Block login for unverified emails when the system requires verification
+const isEmailVerificationBlocking = async (user) => {
+  if (user.email_verified_at) {
+    return false;
+  }
+  return getBooleanSetting('require_email_verification', false);
+};
+
+const isTwoFactorMandatory = async (user) => {
+  return user.role === 'admin' && getBooleanSetting('require_admin_2fa', false);
+};
+
+// Decide whether a password-verified login needs a second step.
+// Returns the challenge response to send, or null to complete the login directly.
+const beginTwoFactorLogin = async (user, req) => {
+  if (user.two_factor_enabled) {
+    await logActivity(user.id, '2fa_challenge', 'users', user.id, null, null, req);
+    return {
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user.id, 'two_factor_login')
+    };
+  }
+
+  if (await isTwoFactorMandatory(user)) {
+    return {
+      message: 'Two-factor authentication must be set up before logging in',
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken(user.id, 'two_factor_setup')
+    };
+  }
+
+  return null;
+};
+
+// Authenticate two-factor management requests. Accepts a normal access token, or the
+// setup challenge token handed out when 2FA is mandatory and not yet enrolled.
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken, 'two_factor_setup');
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, role, verification_status, is_active')
+      .eq('id', decoded.userId)
+      .single();
+
+    if (error || !user || !user.is_active) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired challenge token' });
+  }
+};
+
+const requireTwoFactorRole = (req, res, next) => {
+  if (!['admin', 'owner'].includes(req.user.role)) {
+    return res.status(403).json({ error: 'Two-factor authentication is available for admins and owners' });
+  }
+  next();
+};
+
 // Owner Registration
 router.post('/register/owner', [
   body('email').isEmail().normalizeEmail(),
@@ -91,6 +196,8 @@ router.post('/register/owner', [
     // Log registration activity
     await logActivity(user.id, 'register', 'users', user.id, null, { email, role: 'owner' }, req);
 
+    await sendVerificationEmail(user);
+
     res.status(201).json({
       message: 'Owner registration successful. Account pending verification.',
       userId: user.id,
@@ -107,7 +214,7 @@ router.post('/register/owner', [
 router.post('/login/owner', [
   body('email').isEmail().normalizeEmail(),
   body('password').notEmpty()
-], async (req, res) => {
+], enforceLoginThrottle, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -120,7 +227,7 @@ router.post('/login/owner', [
     const { data: user, error } = await supabase
       .from('users')
       .select(`
-        id, email, password_hash, role, verification_status, is_active, last_login,
+        id, email, password_hash, role, verification_status, is_active, last_login, email_verified_at, two_factor_enabled,
         owners!inner(id, name, phone, business_name)
       `)
       .eq('email', email)
@@ -128,7 +235,7 @@ router.post('/login/owner', [
       .single();
 
     if (error || !user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return rejectLogin(req, res, email);
     }
 
     if (!user.is_active) {
@@ -138,17 +245,29 @@ router.post('/login/owner', [
     // Verify password
     const isPasswordValid = await comparePassword(password, user.password_hash);
     if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return rejectLogin(req, res, email, user.id);
+    }
+
+    if (await isEmailVerificationBlocking(user)) {
+      return res.status(403).json({ error: 'Email address not verified' });
+    }
+
+    // Second factor
+    const twoFactorChallenge = await beginTwoFactorLogin(user, req);
+    if (twoFactorChallenge) {
+      return res.json(twoFactorChallenge);
     }
 
+    await clearFailedLogins(email);
+
     // Update last login
     await supabase
       .from('users')
       .update({ last_login: new Date().toISOString() })
       .eq('id', user.id);
 
-    // Generate token
-    const token = generateToken(user.id, user.role);
+    // Create session and issue tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     // Log login activity
     await logActivity(user.id, 'login', 'users', user.id, null, { login_time: new Date() }, req);
@@ -156,6 +275,7 @@ router.post('/login/owner', [
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
@@ -171,84 +291,69 @@ router.post('/login/owner', [
   }
 });
 
-// Tenant Login (two types: with room number or with password)
+// Tenant Login
 router.post('/login/tenant', [
   body('email').isEmail().normalizeEmail(),
-  body('hasBookedRoom').isBoolean()
-], async (req, res) => {
+  body('password').optional().isString(),
+  body('hasBookedRoom').optional().isBoolean()
+], enforceLoginThrottle, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, roomNumber, password, hasBookedRoom } = req.body;
+    const { email, password, roomNumber } = req.body;
 
-    let tenant, error;
-
-    if (hasBookedRoom) {
-      // Login with room number (for tenants who have booked a room)
-      if (!roomNumber) {
-        return res.status(400).json({ error: 'Room number is required for booked tenants' });
-      }
+    // Room-number login has been retired; booked tenants activate their account
+    // through the owner's invite link or the forgot-password flow instead.
+    if (!password) {
+      return res.status(400).json({
+        error: 'Password is required',
+        details: roomNumber
+          ? 'Room number login is no longer supported. Use the invite link from your owner or reset your password.'
+          : undefined
+      });
+    }
 
-      const result = await supabase
-        .from('tenants')
-        .select(`
-          id, name, phone, room_number,
-          users!inner(id, email, password_hash, role, verification_status, is_active, last_login)
-        `)
-        .eq('users.email', email)
-        .eq('room_number', roomNumber)
-        .eq('users.role', 'tenant')
-        .single();
-      
-      tenant = result.data;
-      error = result.error;
-    } else {
-      // Login with password (for tenants who haven't booked a room yet)
-      if (!password) {
-        return res.status(400).json({ error: 'Password is required for non-booked tenants' });
-      }
+    const { data: tenant, error } = await supabase
+      .from('tenants')
+      .select(`
+        id, name, phone, room_number,
+        users!inner(id, email, password_hash, role, verification_status, is_active, last_login, email_verified_at)
+      `)
+      .eq('users.email', email)
+      .eq('users.role', 'tenant')
+      .single();
 
-      const result = await supabase
-        .from('tenants')
-        .select(`
-          id, name, phone, room_number,
-          users!inner(id, email, password_hash, role, verification_status, is_active, last_login)
-        `)
-        .eq('users.email', email)
-        .eq('users.role', 'tenant')
-        .single();
-      
-      tenant = result.data;
-      error = result.error;
-
-      // Verify password for non-booked tenants
-      if (tenant && !error) {
-        const isPasswordValid = await comparePassword(password, tenant.users.password_hash);
-        if (!isPasswordValid) {
-          return res.status(401).json({ error: 'Invalid credentials' });
-        }
-      }
+    if (error || !tenant) {
+      return rejectLogin(req, res, email);
     }
 
-    if (error || !tenant) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Verify password
+    const isPasswordValid = await comparePassword(password, tenant.users.password_hash);
+    if (!isPasswordValid) {
+      return rejectLogin(req, res, email, tenant.users.id);
     }
 
     if (!tenant.users.is_active) {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
+    if (await isEmailVerificationBlocking(tenant.users)) {
+      return res.status(403).json({ error: 'Email address not verified' });
+    }
+
+    await clearFailedLogins(email);
+
     // Update last login
     await supabase
       .from('users')
       .update({ last_login: new Date().toISOString() })
       .eq('id', tenant.users.id);
 
-    // Generate token
-    const token = generateToken(tenant.users.id, tenant.users.role);
+    // Create session and issue tokens
+    const { token, refreshToken } = await createSession(tenant.users, req);
 
     // Log login activity
     await logActivity(tenant.users.id, 'login', 'users', tenant.users.id, null, { login_time: new Date() }, req);
@@ -256,6 +361,7 @@ router.post('/login/tenant', [
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: tenant.users.id,
         email: tenant.users.email,
@@ -280,7 +386,7 @@ router.post('/login/tenant', [
 router.post('/login/admin', [
   body('email').isEmail().normalizeEmail(),
   body('password').notEmpty()
-], async (req, res) => {
+], enforceLoginThrottle, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -292,13 +398,13 @@ router.post('/login/admin', [
     // Get admin user
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, email, password_hash, role, verification_status, is_active, last_login')
+      .select('id, email, password_hash, role, verification_status, is_active, last_login, email_verified_at, two_factor_enabled')
       .eq('email', email)
       .eq('role', 'admin')
       .single();
 
     if (error || !user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return rejectLogin(req, res, email);
     }
 
     if (!user.is_active) {
@@ -308,17 +414,29 @@ router.post('/login/admin', [
     // Verify password
     const isPasswordValid = await comparePassword(password, user.password_hash);
     if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return rejectLogin(req, res, email, user.id);
+    }
+
+    if (await isEmailVerificationBlocking(user)) {
+      return res.status(403).json({ error: 'Email address not verified' });
     }
 
+    // Second factor
+    const twoFactorChallenge = await beginTwoFactorLogin(user, req);
+    if (twoFactorChallenge) {
+      return res.json(twoFactorChallenge);
+    }
+
+    await clearFailedLogins(email);
+
     // Update last login
     await supabase
       .from('users')
       .update({ last_login: new Date().toISOString() })
       .eq('id', user.id);
 
-    // Generate token
-    const token = generateToken(user.id, user.role);
+    // Create session and issue tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     // Log login activity
     await logActivity(user.id, 'login', 'users', user.id, null, { login_time: new Date() }, req);
@@ -326,6 +444,7 @@ router.post('/login/admin', [
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
@@ -340,6 +459,314 @@ router.post('/login/admin', [
   }
 });
 
+// Complete a login with the second factor
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'A verification code or recovery code is required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken, 'two_factor_login');
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select(`
+        id, email, role, verification_status, is_active,
+        two_factor_enabled, two_factor_secret, two_factor_last_step,
+        owners(id, name, phone, business_name)
+      `)
+      .eq('id', decoded.userId)
+      .single();
+
+    if (error || !user || !user.is_active || !user.two_factor_enabled) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const lockout = await getActiveLockout(user.email, req.ip);
+    if (lockout) {
+      return sendLockedResponse(res, lockout);
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await logActivity(user.id, '2fa_failed', 'users', user.id, null, null, req);
+      await recordFailedLogin(req, user.email, user.id);
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    await clearFailedLogins(user.email);
+
+    // Update last login
+    await supabase
+      .from('users')
+      .update({ last_login: new Date().toISOString() })
+      .eq('id', user.id);
+
+    // Create session and issue tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    // Log login activity
+    await logActivity(user.id, 'login', 'users', user.id, null, { login_time: new Date(), two_factor_method: method }, req);
+
+    const owner = Array.isArray(user.owners) ? user.owners[0] : user.owners;
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        verificationStatus: user.verification_status,
+        ...(owner ? { owner } : {})
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start two-factor enrollment (returns the secret and provisioning URI for the QR code)
+router.post('/2fa/setup', authenticateTwoFactorSetup, requireTwoFactorRole, async (req, res) => {
+  try {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, two_factor_enabled')
+      .eq('id', req.user.id)
+      .single();
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    const { error } = await supabase
+      .from('users')
+      .update({ two_factor_pending_secret: secret })
+      .eq('id', user.id);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+
+    await logActivity(user.id, '2fa_setup_started', 'users', user.id, null, null, req);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildProvisioningUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm two-factor enrollment with a code from the authenticator app
+router.post('/2fa/enable', authenticateTwoFactorSetup, requireTwoFactorRole, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, role, verification_status, two_factor_enabled, two_factor_pending_secret')
+      .eq('id', req.user.id)
+      .single();
+
+    if (!user || !user.two_factor_pending_secret) {
+      return res.status(400).json({ error: 'Two-factor setup has not been started' });
+    }
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const step = verifyCode(user.two_factor_pending_secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({
+        two_factor_enabled: true,
+        two_factor_secret: user.two_factor_pending_secret,
+        two_factor_pending_secret: null,
+        two_factor_last_step: step
+      })
+      .eq('id', user.id);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+    await logActivity(user.id, '2fa_enabled', 'users', user.id, { two_factor_enabled: false }, { two_factor_enabled: true }, req);
+
+    const response = {
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes
+    };
+
+    // Mandatory enrollment during login finishes the login as well
+    if (req.twoFactorSetupChallenge) {
+      await supabase
+        .from('users')
+        .update({ last_login: new Date().toISOString() })
+        .eq('id', user.id);
+
+      const { token, refreshToken } = await createSession(user, req);
+      await logActivity(user.id, 'login', 'users', user.id, null, { login_time: new Date(), two_factor_method: 'enrollment' }, req);
+
+      Object.assign(response, {
+        token,
+        refreshToken,
+        user: {
+          id: user.id,
+          email: user.email,
+          role: user.role,
+          verificationStatus: user.verification_status
+        }
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/2fa/disable', authenticateToken, requireTwoFactorRole, [
+  body('password').notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    if (await isTwoFactorMandatory(req.user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is mandatory for admins' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, password_hash, two_factor_enabled, two_factor_secret, two_factor_last_step')
+      .eq('id', req.user.id)
+      .single();
+
+    if (!user || !user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isPasswordValid = await comparePassword(password, user.password_hash);
+    const method = isPasswordValid && await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await logActivity(user.id, '2fa_failed', 'users', user.id, null, { action: 'disable' }, req);
+      return res.status(401).json({ error: 'Invalid password or verification code' });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({
+        two_factor_enabled: false,
+        two_factor_secret: null,
+        two_factor_pending_secret: null,
+        two_factor_last_step: null
+      })
+      .eq('id', user.id);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+
+    await supabase
+      .from('user_recovery_codes')
+      .delete()
+      .eq('user_id', user.id);
+
+    await logActivity(user.id, '2fa_disabled', 'users', user.id, { two_factor_enabled: true }, { two_factor_enabled: false }, req);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Regenerate recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, requireTwoFactorRole, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, two_factor_enabled, two_factor_secret, two_factor_last_step')
+      .eq('id', req.user.id)
+      .single();
+
+    if (!user || !user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!await verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+    await logActivity(user.id, '2fa_recovery_codes_regenerated', 'users', user.id, null, null, req);
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Tenant Registration
 router.post('/register/tenant', [
   body('email').isEmail().normalizeEmail(),
@@ -404,6 +831,8 @@ router.post('/register/tenant', [
     // Log registration activity
     await logActivity(user.id, 'register', 'users', user.id, null, { email, role: 'tenant' }, req);
 
+    await sendVerificationEmail(user);
+
     res.status(201).json({
       message: 'Tenant registration successful. Account pending verification.',
       userId: user.id,
@@ -459,6 +888,8 @@ router.post('/register/admin', [
       return res.status(500).json({ error: 'Failed to create admin account' });
     }
 
+    await sendVerificationEmail(user);
+
     res.status(201).json({
       message: 'Admin registration successful.',
       userId: user.id
@@ -477,9 +908,129 @@ router.get('/verify', authenticateToken, (req, res) => {
   });
 });
 
-// Logout (client-side token removal)
+// Activate a booked tenant's account with an owner-issued invite code
+router.post('/tenant/activate', [
+  body('email').isEmail().normalizeEmail(),
+  body('code').isString().notEmpty(),
+  body('password').isLength({ min: 8 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, code, password } = req.body;
+
+    // Validate password strength
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({ 
+        error: 'Password does not meet requirements',
+        details: passwordValidation.errors 
+      });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, role, verification_status, is_active')
+      .eq('email', email)
+      .eq('role', 'tenant')
+      .single();
+
+    if (!user || !user.is_active) {
+      return res.status(400).json({ error: 'Invalid or expired invite code' });
+    }
+
+    const invite = await consumeAccountToken(code, 'tenant_invite', user.id);
+    if (!invite) {
+      return res.status(400).json({ error: 'Invalid or expired invite code' });
+    }
+
+    // The invite is only good while its booking is still approved
+    const { data: booking } = await supabase
+      .from('bookings')
+      .select('id, status, tenants!inner(user_id)')
+      .eq('id', invite.booking_id)
+      .eq('tenants.user_id', user.id)
+      .single();
+
+    if (!booking || !['approved', 'active'].includes(booking.status)) {
+      return res.status(400).json({ error: 'The booking for this invite is no longer active' });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    // Receiving the invite email proves ownership of the address
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        password_hash: passwordHash,
+        email_verified_at: new Date().toISOString(),
+        last_login: new Date().toISOString()
+      })
+      .eq('id', user.id);
+
+    if (updateError) {
+      return res.status(500).json({ error: 'Failed to activate account' });
+    }
+
+    // Any session opened before activation is no longer trusted
+    await revokeUserSessions(user.id, 'tenant_activation');
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    await logActivity(user.id, 'tenant_activated', 'users', user.id, null, { booking_id: booking.id }, req);
+
+    res.json({
+      message: 'Account activated successfully',
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        verificationStatus: user.verification_status
+      }
+    });
+  } catch (error) {
+    console.error('Tenant activation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Refresh access token (rotates the refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await rotateSession(req.body.refreshToken, req);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout (revokes the current session)
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
+    await revokeSession(req.sessionId, 'logout');
+
     // Log logout activity
     await logActivity(req.user.id, 'logout', 'users', req.user.id, null, { logout_time: new Date() }, req);
     
@@ -490,6 +1041,230 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// Request a password reset email
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, is_active')
+      .eq('email', email)
+      .single();
+
+    // Only send when the account exists, but always answer the same way
+    if (user && user.is_active) {
+      const { token } = await issueAccountToken(user.id, 'password_reset');
+      const link = buildFrontendLink('/reset-password', { token });
+
+      await sendEmailNotification(
+        user.email,
+        'Reset your TenantFlow password',
+        `A password reset was requested for your account. Open this link to choose a new password: ${link}\n\nThe link expires in 1 hour. If you did not request this, you can ignore this email.`
+      );
+
+      await logActivity(user.id, 'password_reset_requested', 'users', user.id, null, null, req);
+    }
+
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset password with a reset token
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 8 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    // Validate password strength
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({ 
+        error: 'Password does not meet requirements',
+        details: passwordValidation.errors 
+      });
+    }
+
+    const resetToken = await consumeAccountToken(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const userId = resetToken.user_id;
+
+    const passwordHash = await hashPassword(password);
+
+    // A working reset link also proves ownership of the email address
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ password_hash: passwordHash, email_verified_at: new Date().toISOString() })
+      .eq('id', userId)
+      .select('id')
+      .single();
+
+    if (error || !user) {
+      return res.status(500).json({ error: 'Failed to reset password' });
+    }
+
+    // Sign out everywhere after a password change
+    await revokeUserSessions(userId, 'password_reset');
+
+    await logActivity(userId, 'password_reset', 'users', userId, null, null, req);
+
+    res.json({ message: 'Password reset successful. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify email address with a verification token
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const verificationToken = await consumeAccountToken(req.body.token, 'email_verification');
+    if (!verificationToken) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const userId = verificationToken.user_id;
+
+    const { error } = await supabase
+      .from('users')
+      .update({ email_verified_at: new Date().toISOString() })
+      .eq('id', userId);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to verify email' });
+    }
+
+    await logActivity(userId, 'email_verified', 'users', userId, null, null, req);
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resend the email verification link
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, email_verified_at')
+      .eq('email', req.body.email)
+      .single();
+
+    if (user && !user.email_verified_at) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({ message: 'If the email is registered and unverified, a verification link has been sent.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List my active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { data: sessions, error } = await supabase
+      .from('user_sessions')
+      .select('id, ip_address, user_agent, created_at, last_used_at, expires_at')
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke all of my sessions except the current one
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id, 'revoked_by_user', req.sessionId);
+
+    await logActivity(req.user.id, 'revoke_sessions', 'user_sessions', null, null, { kept_session: req.sessionId }, req);
+
+    res.json({ message: 'All other sessions revoked successfully' });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke one of my sessions
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .select('id, revoked_at')
+      .eq('id', sessionId)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (!session || session.revoked_at) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(sessionId, 'revoked_by_user');
+
+    await logActivity(req.user.id, 'revoke_session', 'user_sessions', sessionId, null, null, req);
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Fetch pending owner approval requests
 router.get('/approval-requests', authenticateToken, async (req, res) => {
   try {
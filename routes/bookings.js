@@ -2,14 +2,40 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/supabase');
 const { authenticateToken, authorizeRole, logActivity } = require('../middleware/auth');
+const { buildFrontendLink, issueAccountToken } = require('../services/accountTokens');
+const { getPropertyAccess, getAccessiblePropertyIds } = require('../services/propertyAccess');
+const { getNumberSetting } = require('../services/settings');
+const { toDateString, bedsNeeded, countFreeBeds, findConflictingBookings, refreshRoomStatus } = require('../services/availability');
+const { canTransition, transitionBooking } = require('../services/bookingStates');
+const { applyBookingAmendment } = require('../services/bookingAmendments');
+const { refundBookingPayments } = require('../services/payments');
+const { bookingCharges } = require('../services/ledger');
+const { generateLease } = require('../services/leases');
+const { notifyWaitlist, markWaitlistBooked } = require('../services/waitlist');
+const { sendEmailNotification } = require('./notifications');
 
 const router = express.Router();
 
+// Email a one-time account activation invite to the tenant of an approved booking
+const sendTenantInvite = async (booking) => {
+  const { token, expiresAt } = await issueAccountToken(booking.tenants.user_id, 'tenant_invite', { bookingId: booking.id });
+  const link = buildFrontendLink('/tenant-activate', { code: token, email: booking.tenants.users.email });
+
+  const emailResult = await sendEmailNotification(
+    booking.tenants.users.email,
+    'Activate your TenantFlow tenant account',
+    `Hi ${booking.tenants.name}, your booking for room ${booking.rooms.room_number} has been approved. ` +
+    `Open this link to set your password and access your account: ${link}\n\nThe link expires in 72 hours and can be used once.`
+  );
+
+  return { expiresAt, emailSent: emailResult.success };
+};
+
 // Book a room (Tenant)
 router.post('/book-room', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
   try {
     // Accept both camelCase and snake_case payloads
-    let { roomId, moveInDate, moveOutDate, notes } = req.body || {};
+    let { roomId, moveInDate, moveOutDate, notes, beds } = req.body || {};
     if (!roomId && req.body.room_id) roomId = req.body.room_id;
     if (!moveInDate && req.body.move_in_date) moveInDate = req.body.move_in_date;
     if (!moveOutDate && req.body.move_out_date) moveOutDate = req.body.move_out_date;
@@ -21,6 +47,11 @@ router.post('/book-room', authenticateToken, authorizeRole(['tenant']), async (r
     if (!roomId || !uuidRegex.test(String(roomId))) {
       errors.push({ param: 'roomId', msg: 'roomId is required and must be a UUID' });
     }
+    // beds only matters for rooms let per bed; defaults to one
+    const requestedBeds = beds === undefined || beds === null || beds === '' ? 1 : Number(beds);
+    if (!Number.isInteger(requestedBeds) || requestedBeds < 1) {
+      errors.push({ param: 'beds', msg: 'beds must be a whole number of at least 1' });
+    }
     // moveInDate is required; accept ISO date or YYYY-MM-DD
     let parsedMoveIn = null;
     if (!moveInDate) {
@@ -40,6 +71,11 @@ router.post('/book-room', authenticateToken, authorizeRole(['tenant']), async (r
       }
     }
 
+    if (parsedMoveIn && parsedMoveOut && !isNaN(parsedMoveIn.getTime()) && !isNaN(parsedMoveOut.getTime()) &&
+        parsedMoveOut <= parsedMoveIn) {
+      errors.push({ param: 'moveOutDate', msg: 'moveOutDate must be after moveInDate' });
+    }
+
     if (errors.length > 0) {
       return res.status(400).json({ errors });
     }
@@ -66,14 +102,14 @@ router.post('/book-room', authenticateToken, authorizeRole(['tenant']), async (r
       .from('bookings')
       .select('id')
       .eq('tenant_id', tenant.id)
-      .in('status', ['pending', 'approved'])
+      .in('status', ['pending', 'approved', 'active'])
       .single();
 
     if (existingBooking) {
       return res.status(400).json({ error: 'You already have an active booking' });
     }
 
-    // Verify room is available
+    // Get room
     const { data: room, error: roomError } = await supabase
       .from('rooms')
       .select(`
@@ -84,13 +120,40 @@ router.post('/book-room', authenticateToken, authorizeRole(['tenant']), async (r
         )
       `)
       .eq('id', roomId)
-      .eq('status', 'available')
       .single();
 
-    if (roomError || !room) {
+    if (roomError || !room || room.status === 'maintenance') {
       return res.status(400).json({ error: 'Room not available for booking' });
     }
 
+    // A per-bed room lets the tenant choose beds; any other room is booked whole
+    const bookedBeds = bedsNeeded(room, requestedBeds);
+    if (bookedBeds > room.capacity) {
+      return res.status(400).json({ error: `Room has only ${room.capacity} bed(s)` });
+    }
+
+    // Verify enough beds are free for the requested dates (the room may be
+    // occupied now and still bookable from the current tenant's move-out date)
+    const conflicts = await findConflictingBookings(roomId, normalizedMoveIn, normalizedMoveOut);
+    const freeBeds = countFreeBeds(room, conflicts, normalizedMoveIn, normalizedMoveOut);
+    if (freeBeds < bookedBeds) {
+      return res.status(409).json({
+        error: room.rent_per_bed
+          ? `Only ${freeBeds} bed(s) free for the requested dates`
+          : 'Room is already booked for the requested dates',
+        freeBeds,
+        conflicts: conflicts.map(conflict => ({
+          start: toDateString(conflict.move_in_date),
+          end: toDateString(conflict.move_out_date),
+          beds: conflict.beds
+        }))
+      });
+    }
+
+    // The room is held for the tenant until the owner responds or the hold expires
+    const expiryHours = await getNumberSetting('booking_expiry_hours', 24);
+    const holdExpiresAt = new Date(Date.now() + expiryHours * 60 * 60 * 1000).toISOString();
+
     // Create booking
     const { data: booking, error: bookingError } = await supabase
       .from('bookings')
@@ -101,7 +164,9 @@ router.post('/book-room', authenticateToken, authorizeRole(['tenant']), async (r
         move_in_date: normalizedMoveIn,
         move_out_date: normalizedMoveOut,
         status: 'pending',
-        tenant_notes: notes
+        beds: bookedBeds,
+        tenant_notes: notes,
+        hold_expires_at: holdExpiresAt
       })
       .select()
       .single();
@@ -110,14 +175,11 @@ router.post('/book-room', authenticateToken, authorizeRole(['tenant']), async (r
       return res.status(500).json({ error: 'Failed to create booking request' });
     }
 
-    // Update room status to reserved
-    await supabase
-      .from('rooms')
-      .update({ 
-        status: 'reserved',
-        last_updated: new Date().toISOString()
-      })
-      .eq('id', roomId);
+    // Update room status (reserved once no beds are left, unless it is still occupied)
+    await refreshRoomStatus(roomId);
+
+    // Booking here takes the tenant off this property's waitlist
+    await markWaitlistBooked(tenant.id, room.properties.id);
 
     // Create notification for owner
     await supabase
@@ -139,8 +201,10 @@ router.post('/book-room', authenticateToken, authorizeRole(['tenant']), async (r
         room: {
           room_number: room.room_number,
           room_type: room.room_type,
-          rent_amount: room.rent_amount
+          rent_amount: room.rent_amount,
+          rent_per_bed: room.rent_per_bed
         },
+        charges: bookingCharges(room, bookedBeds),
         property: {
           name: room.properties.name,
           address: room.properties.address
@@ -172,8 +236,9 @@ router.get('/my-bookings', authenticateToken, authorizeRole(['tenant']), async (
       .from('bookings')
       .select(`
         *,
-        rooms(room_number, room_type, rent_amount),
-        properties(name, address, city)
+        rooms(room_number, room_type, rent_amount, capacity, rent_per_bed),
+        properties(name, address, city),
+        booking_amendments(id, status, proposed_move_in_date, proposed_move_out_date, created_at)
       `)
       .eq('tenant_id', tenant.id)
       .order('created_at', { ascending: false });
@@ -190,29 +255,26 @@ router.get('/my-bookings', authenticateToken, authorizeRole(['tenant']), async (
 });
 
 // Get owner's booking requests
-router.get('/owner-bookings', authenticateToken, authorizeRole(['owner']), async (req, res) => {
+router.get('/owner-bookings', authenticateToken, async (req, res) => {
   try {
-    // Get owner ID
-    const { data: owner } = await supabase
-      .from('owners')
-      .select('id')
-      .eq('user_id', req.user.id)
-      .single();
+    // Properties the user owns, or approves bookings for as staff
+    const propertyIds = await getAccessiblePropertyIds(req.user, 'approve_bookings');
 
-    if (!owner) {
-      return res.status(404).json({ error: 'Owner profile not found' });
+    if (propertyIds.length === 0 && req.user.role !== 'owner') {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Get bookings for owner's properties
+    // Get bookings for those properties
     const { data: bookings, error } = await supabase
       .from('bookings')
       .select(`
         *,
         tenants(name, phone, emergency_contact),
-        rooms(room_number, room_type, rent_amount),
-        properties(name, address)
+        rooms(room_number, room_type, rent_amount, capacity, rent_per_bed),
+        properties(name, address),
+        booking_amendments(id, status, proposed_move_in_date, proposed_move_out_date, created_at)
       `)
-      .eq('properties.owner_id', owner.id)
+      .in('property_id', propertyIds)
       .order('created_at', { ascending: false });
 
     if (error) {
@@ -227,7 +289,7 @@ router.get('/owner-bookings', authenticateToken, authorizeRole(['owner']), async
 });
 
 // Approve/Reject booking (Owner)
-router.put('/booking/:bookingId/status', authenticateToken, authorizeRole(['owner']), [
+router.put('/booking/:bookingId/status', authenticateToken, [
   body('status').isIn(['approved', 'rejected']),
   body('notes').optional().trim()
 ], async (req, res) => {
@@ -240,18 +302,7 @@ router.put('/booking/:bookingId/status', authenticateToken, authorizeRole(['owne
     const { bookingId } = req.params;
     const { status, notes } = req.body;
 
-    // Get owner ID
-    const { data: owner } = await supabase
-      .from('owners')
-      .select('id')
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (!owner) {
-      return res.status(404).json({ error: 'Owner profile not found' });
-    }
-
-    // Get booking with verification
+    // Get booking, then verify ownership or delegated staff access
     const { data: booking, error: fetchError } = await supabase
       .from('bookings')
       .select(`
@@ -261,10 +312,9 @@ router.put('/booking/:bookingId/status', authenticateToken, authorizeRole(['owne
         properties!inner(owner_id)
       `)
       .eq('id', bookingId)
-      .eq('properties.owner_id', owner.id)
       .single();
 
-    if (fetchError || !booking) {
+    if (fetchError || !booking || !await getPropertyAccess(req, booking.property_id, 'approve_bookings')) {
       return res.status(404).json({ error: 'Booking not found or access denied' });
     }
 
@@ -272,46 +322,28 @@ router.put('/booking/:bookingId/status', authenticateToken, authorizeRole(['owne
       return res.status(400).json({ error: 'Booking has already been processed' });
     }
 
-    // Update booking status
-    const { data: updatedBooking, error } = await supabase
-      .from('bookings')
-      .update({
-        status,
-        owner_notes: notes,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', bookingId)
-      .select()
-      .single();
+    // Update booking, room status and tenant's room number in one transaction
+    const { booking: updatedBooking, error } = await transitionBooking(bookingId, status, { notes });
 
     if (error) {
-      return res.status(500).json({ error: 'Failed to update booking status' });
+      return res.status(error.status).json({ error: error.message });
     }
 
-    // Update room status based on approval
+    // Attach the lease PDF to approved bookings. The approval stands if this
+    // fails; the owner can regenerate the lease later.
+    let lease = null;
     if (status === 'approved') {
-      await supabase
-        .from('rooms')
-        .update({ 
-          status: 'occupied',
-          last_updated: new Date().toISOString()
-        })
-        .eq('id', booking.room_id);
-
-      // Update tenant's room number
-      await supabase
-        .from('tenants')
-        .update({ room_number: booking.rooms.room_number })
-        .eq('id', booking.tenant_id);
+      try {
+        const result = await generateLease(bookingId);
+        lease = result.lease;
+        if (result.error) {
+          console.error('Generate lease on approval error:', result.error.message);
+        }
+      } catch (leaseError) {
+        console.error('Generate lease on approval error:', leaseError);
+      }
     } else {
-      // Rejected - make room available again
-      await supabase
-        .from('rooms')
-        .update({ 
-          status: 'available',
-          last_updated: new Date().toISOString()
-        })
-        .eq('id', booking.room_id);
+      await notifyWaitlist(booking.room_id);
     }
 
     // Create notification for tenant
@@ -320,7 +352,8 @@ router.put('/booking/:bookingId/status', authenticateToken, authorizeRole(['owne
       .insert({
         user_id: booking.tenants.user_id,
         title: `Booking ${status === 'approved' ? 'Approved' : 'Rejected'}`,
-        message: `Your booking request for room ${booking.rooms.room_number} has been ${status === 'approved' ? 'approved' : 'rejected'}.`,
+        message: `Your booking request for room ${booking.rooms.room_number} has been ${status === 'approved' ? 'approved' : 'rejected'}.` +
+          (lease ? ' Please review and accept your lease agreement.' : ''),
         type: 'booking'
       });
 
@@ -329,7 +362,8 @@ router.put('/booking/:bookingId/status', authenticateToken, authorizeRole(['owne
 
     res.json({
       message: `Booking ${status} successfully`,
-      booking: updatedBooking
+      booking: updatedBooking,
+      lease
     });
   } catch (error) {
     console.error('Update booking status error:', error);
@@ -337,6 +371,259 @@ router.put('/booking/:bookingId/status', authenticateToken, authorizeRole(['owne
   }
 });
 
+// Check a tenant in or out of an approved booking (Owner)
+const updateOccupancy = async (req, res, status) => {
+  const { bookingId } = req.params;
+
+  // Get booking, then verify ownership or delegated staff access
+  const { data: booking, error: fetchError } = await supabase
+    .from('bookings')
+    .select(`
+      *,
+      tenants!inner(name, user_id),
+      rooms!inner(room_number)
+    `)
+    .eq('id', bookingId)
+    .single();
+
+  if (fetchError || !booking || !await getPropertyAccess(req, booking.property_id, 'approve_bookings')) {
+    return res.status(404).json({ error: 'Booking not found or access denied' });
+  }
+
+  if (!canTransition(booking.status, status)) {
+    return res.status(400).json({ error: `Cannot change a ${booking.status} booking to ${status}` });
+  }
+
+  const { booking: updatedBooking, error } = await transitionBooking(bookingId, status, { notes: req.body.notes });
+
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  const checkedIn = status === 'active';
+
+  if (!checkedIn) {
+    await notifyWaitlist(booking.room_id);
+  }
+
+  // Create notification for tenant
+  await supabase
+    .from('notifications')
+    .insert({
+      user_id: booking.tenants.user_id,
+      title: checkedIn ? 'Checked In' : 'Checked Out',
+      message: checkedIn
+        ? `You have been checked in to room ${booking.rooms.room_number}.`
+        : `You have been checked out of room ${booking.rooms.room_number}.`,
+      type: 'booking'
+    });
+
+  // Log activity
+  await logActivity(req.user.id, 'update', 'bookings', bookingId, { status: booking.status }, { status }, req);
+
+  res.json({
+    message: checkedIn ? 'Tenant checked in successfully' : 'Tenant checked out successfully',
+    booking: updatedBooking
+  });
+};
+
+// Check in the tenant of an approved booking (Owner)
+router.put('/booking/:bookingId/check-in', authenticateToken, [
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await updateOccupancy(req, res, 'active');
+  } catch (error) {
+    console.error('Check in booking error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check out the tenant of an active booking (Owner)
+router.put('/booking/:bookingId/check-out', authenticateToken, [
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await updateOccupancy(req, res, 'checked_out');
+  } catch (error) {
+    console.error('Check out booking error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Extend the hold on a pending booking (Owner)
+router.put('/booking/:bookingId/extend-hold', authenticateToken, [
+  body('hours').optional().isInt({ min: 1, max: 168 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookingId } = req.params;
+
+    // Get booking, then verify ownership or delegated staff access
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select(`
+        *,
+        tenants!inner(name, user_id),
+        rooms!inner(room_number)
+      `)
+      .eq('id', bookingId)
+      .single();
+
+    if (fetchError || !booking || !await getPropertyAccess(req, booking.property_id, 'approve_bookings')) {
+      return res.status(404).json({ error: 'Booking not found or access denied' });
+    }
+
+    if (booking.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending bookings can be extended' });
+    }
+
+    const hours = req.body.hours ? parseInt(req.body.hours) : await getNumberSetting('booking_expiry_hours', 24);
+
+    // Extend from the current expiry, or from now if the hold has already lapsed
+    const currentExpiry = booking.hold_expires_at ? new Date(booking.hold_expires_at) : new Date();
+    const base = Math.max(currentExpiry.getTime(), Date.now());
+    const holdExpiresAt = new Date(base + hours * 60 * 60 * 1000).toISOString();
+
+    const { data: updatedBooking, error } = await supabase
+      .from('bookings')
+      .update({
+        hold_expires_at: holdExpiresAt,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', bookingId)
+      .eq('status', 'pending')
+      .select()
+      .single();
+
+    if (error || !updatedBooking) {
+      return res.status(409).json({ error: 'Booking is no longer pending' });
+    }
+
+    // Create notification for tenant
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: booking.tenants.user_id,
+        title: 'Booking Hold Extended',
+        message: `The hold on room ${booking.rooms.room_number} has been extended until ${new Date(holdExpiresAt).toLocaleString()}.`,
+        type: 'booking'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'extend_hold', 'bookings', bookingId,
+      { hold_expires_at: booking.hold_expires_at }, { hold_expires_at: holdExpiresAt }, req);
+
+    res.json({
+      message: 'Booking hold extended successfully',
+      booking: updatedBooking
+    });
+  } catch (error) {
+    console.error('Extend booking hold error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send an account activation invite to a booked tenant (Owner)
+router.post('/booking/:bookingId/tenant-invite', authenticateToken, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select(`
+        id, status, property_id,
+        tenants!inner(name, user_id, users!inner(email)),
+        rooms!inner(room_number)
+      `)
+      .eq('id', bookingId)
+      .single();
+
+    if (fetchError || !booking || !await getPropertyAccess(req, booking.property_id, 'approve_bookings')) {
+      return res.status(404).json({ error: 'Booking not found or access denied' });
+    }
+
+    if (!['approved', 'active'].includes(booking.status)) {
+      return res.status(400).json({ error: 'Invites can only be sent for approved bookings' });
+    }
+
+    const invite = await sendTenantInvite(booking);
+
+    // Log activity
+    await logActivity(req.user.id, 'tenant_invite', 'bookings', bookingId, null, { expires_at: invite.expiresAt }, req);
+
+    res.status(201).json({
+      message: 'Tenant invite sent successfully',
+      expiresAt: invite.expiresAt,
+      emailSent: invite.emailSent
+    });
+  } catch (error) {
+    console.error('Send tenant invite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send activation invites to every tenant with an approved booking (Owner)
+// Migration path for tenants who used to log in with their room number.
+router.post('/tenant-invites', authenticateToken, async (req, res) => {
+  try {
+    // Properties the user owns, or approves bookings for as staff
+    const propertyIds = await getAccessiblePropertyIds(req.user, 'approve_bookings');
+
+    if (propertyIds.length === 0 && req.user.role !== 'owner') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { data: bookings, error } = await supabase
+      .from('bookings')
+      .select(`
+        id, status,
+        tenants!inner(name, user_id, users!inner(email)),
+        rooms!inner(room_number)
+      `)
+      .in('property_id', propertyIds)
+      .in('status', ['approved', 'active']);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch approved bookings' });
+    }
+
+    let sent = 0;
+    for (const booking of bookings) {
+      const invite = await sendTenantInvite(booking);
+      if (invite.emailSent) {
+        sent++;
+      }
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'tenant_invite', 'bookings', null, null, { bulk: true, invites: bookings.length, emails_sent: sent }, req);
+
+    res.status(201).json({
+      message: 'Tenant invites sent successfully',
+      invitesCreated: bookings.length,
+      emailsSent: sent
+    });
+  } catch (error) {
+    console.error('Send tenant invites error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Cancel booking (Tenant)
 router.put('/booking/:bookingId/cancel', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
   try {
@@ -359,7 +646,7 @@ router.put('/booking/:bookingId/cancel', authenticateToken, authorizeRole(['tena
       .select(`
         *,
         rooms!inner(room_number, room_type),
-        properties!inner(name, owner_id)
+        properties!inner(name, owners!inner(user_id))
       `)
       .eq('id', bookingId)
       .eq('tenant_id', tenant.id)
@@ -373,35 +660,28 @@ router.put('/booking/:bookingId/cancel', authenticateToken, authorizeRole(['tena
       return res.status(400).json({ error: 'Booking is already cancelled' });
     }
 
-    // Update booking status
-    const { data: updatedBooking, error } = await supabase
-      .from('bookings')
-      .update({
-        status: 'cancelled',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', bookingId)
-      .select()
-      .single();
+    if (!canTransition(booking.status, 'cancelled')) {
+      return res.status(400).json({ error: `A ${booking.status} booking cannot be cancelled` });
+    }
+
+    // Cancel the booking and release the room in one transaction
+    const { booking: updatedBooking, error } = await transitionBooking(bookingId, 'cancelled');
 
     if (error) {
-      return res.status(500).json({ error: 'Failed to cancel booking' });
+      return res.status(error.status).json({ error: error.message });
     }
 
-    // Make room available again
-    await supabase
-      .from('rooms')
-      .update({ 
-        status: 'available',
-        last_updated: new Date().toISOString()
-      })
-      .eq('id', booking.room_id);
+    // Refund online payments made for this booking through the payment provider
+    const refunds = await refundBookingPayments(bookingId, req.user.id);
+
+    // Let waitlisted tenants know the room is free again
+    await notifyWaitlist(booking.room_id);
 
     // Create notification for owner
     await supabase
       .from('notifications')
       .insert({
-        user_id: booking.properties.owner_id,
+        user_id: booking.properties.owners.user_id,
         title: 'Booking Cancelled',
         message: `Booking for room ${booking.rooms.room_number} has been cancelled.`,
         type: 'booking'
@@ -412,7 +692,8 @@ router.put('/booking/:bookingId/cancel', authenticateToken, authorizeRole(['tena
 
     res.json({
       message: 'Booking cancelled successfully',
-      booking: updatedBooking
+      booking: updatedBooking,
+      refunds
     });
   } catch (error) {
     console.error('Cancel booking error:', error);
@@ -420,6 +701,385 @@ router.put('/booking/:bookingId/cancel', authenticateToken, authorizeRole(['tena
   }
 });
 
+// Bookings whose beds leave too few free for a booking's proposed dates
+const findAmendmentConflicts = async (booking, moveIn, moveOut) => {
+  const conflicts = await findConflictingBookings(booking.room_id, moveIn, moveOut, { excludeBookingId: booking.id });
+  return countFreeBeds(booking.rooms, conflicts, moveIn, moveOut) < booking.beds ? conflicts : [];
+};
+
+const AMENDMENT_SELECT = `
+  *,
+  bookings!inner(status, room_id, move_in_date, move_out_date, beds, rooms!inner(room_number, capacity)),
+  tenants!inner(name, user_id)
+`;
+
+// Propose new dates or notes for a booking (Tenant)
+router.post('/booking/:bookingId/amendments', authenticateToken, authorizeRole(['tenant']), [
+  body('moveInDate').optional().isISO8601(),
+  body('moveOutDate').optional().isISO8601(),
+  body('notes').optional().trim(),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookingId } = req.params;
+    const { moveInDate, moveOutDate, notes, reason } = req.body;
+
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select(`
+        *,
+        tenants!inner(name, user_id),
+        rooms!inner(room_number, capacity),
+        properties!inner(owners!inner(user_id))
+      `)
+      .eq('id', bookingId)
+      .single();
+
+    if (fetchError || !booking || booking.tenants.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Booking not found or access denied' });
+    }
+
+    if (!['pending', 'approved', 'active'].includes(booking.status)) {
+      return res.status(400).json({ error: `A ${booking.status} booking cannot be changed` });
+    }
+
+    const today = toDateString(new Date());
+    const currentMoveIn = toDateString(booking.move_in_date);
+    const currentMoveOut = toDateString(booking.move_out_date);
+    const proposedMoveIn = moveInDate ? toDateString(moveInDate) : currentMoveIn;
+    const proposedMoveOut = moveOutDate ? toDateString(moveOutDate) : currentMoveOut;
+    const datesChanged = proposedMoveIn !== currentMoveIn || proposedMoveOut !== currentMoveOut;
+
+    if (!datesChanged && !notes) {
+      return res.status(400).json({ error: 'Propose a new move-in date, move-out date or notes' });
+    }
+
+    // Once the tenant has moved in, or rent is being invoiced, only the move-out date can change
+    if (proposedMoveIn !== currentMoveIn) {
+      if (booking.status === 'active' || currentMoveIn <= today) {
+        return res.status(400).json({ error: 'The move-in date can no longer change' });
+      }
+      if (proposedMoveIn < today) {
+        return res.status(400).json({ error: 'Move-in date cannot be in the past' });
+      }
+    }
+
+    if (proposedMoveOut !== currentMoveOut && proposedMoveOut <= today) {
+      return res.status(400).json({ error: 'Move-out date must be in the future' });
+    }
+
+    if (proposedMoveOut && proposedMoveOut <= proposedMoveIn) {
+      return res.status(400).json({ error: 'Move-out date must be after the move-in date' });
+    }
+
+    if (datesChanged) {
+      const conflicts = await findAmendmentConflicts(booking, proposedMoveIn, proposedMoveOut);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          error: 'Room is already booked for the new dates',
+          conflicts: conflicts.map(conflict => ({
+            start: toDateString(conflict.move_in_date),
+            end: toDateString(conflict.move_out_date),
+            beds: conflict.beds
+          }))
+        });
+      }
+    }
+
+    // A move-out already fixes the booking's last day
+    const { data: moveOut } = await supabase
+      .from('move_outs')
+      .select('id')
+      .eq('booking_id', bookingId)
+      .in('status', ['requested', 'approved', 'inspected'])
+      .maybeSingle();
+
+    if (moveOut) {
+      return res.status(409).json({ error: 'A move-out is already in progress for this booking' });
+    }
+
+    const { data: amendment, error } = await supabase
+      .from('booking_amendments')
+      .insert({
+        booking_id: bookingId,
+        tenant_id: booking.tenant_id,
+        property_id: booking.property_id,
+        previous_move_in_date: currentMoveIn,
+        previous_move_out_date: currentMoveOut,
+        proposed_move_in_date: proposedMoveIn,
+        proposed_move_out_date: proposedMoveOut,
+        proposed_notes: notes || null,
+        reason
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A change is already pending for this booking' });
+      }
+      return res.status(500).json({ error: 'Failed to request booking change' });
+    }
+
+    // Create notification for owner
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: booking.properties.owners.user_id,
+        title: 'Booking Change Requested',
+        message: datesChanged
+          ? `${booking.tenants.name} has asked to change their booking for room ${booking.rooms.room_number} ` +
+            `to move in on ${proposedMoveIn} and ${proposedMoveOut ? `move out on ${proposedMoveOut}` : 'stay open-ended'}.`
+          : `${booking.tenants.name} has asked to update the notes on their booking for room ${booking.rooms.room_number}.`,
+        type: 'booking'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'booking_amendments', amendment.id, null, amendment, req);
+
+    res.status(201).json({
+      message: 'Booking change requested successfully',
+      amendment
+    });
+  } catch (error) {
+    console.error('Request booking change error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a booking's change history
+router.get('/booking/:bookingId/amendments', authenticateToken, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('id, property_id, tenants!inner(user_id)')
+      .eq('id', bookingId)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({ error: 'Booking not found or access denied' });
+    }
+
+    if (booking.tenants.user_id !== req.user.id && req.user.role !== 'admin' &&
+        !await getPropertyAccess(req, booking.property_id, 'approve_bookings')) {
+      return res.status(404).json({ error: 'Booking not found or access denied' });
+    }
+
+    const { data: amendments, error } = await supabase
+      .from('booking_amendments')
+      .select('*')
+      .eq('booking_id', bookingId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch booking changes' });
+    }
+
+    res.json({ amendments });
+  } catch (error) {
+    console.error('Get booking changes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get change requests for owner's bookings
+router.get('/owner-amendments', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    // Properties the user owns, or approves bookings for as staff
+    const propertyIds = await getAccessiblePropertyIds(req.user, 'approve_bookings');
+
+    let query = supabase
+      .from('booking_amendments')
+      .select(`
+        *,
+        tenants(name, phone),
+        bookings(status, beds, rooms(room_number, room_type)),
+        properties(name)
+      `)
+      .in('property_id', propertyIds)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: amendments, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch booking changes' });
+    }
+
+    res.json({ amendments });
+  } catch (error) {
+    console.error('Get owner booking changes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Withdraw a pending change request (Tenant)
+router.put('/amendment/:amendmentId/cancel', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const { amendmentId } = req.params;
+
+    // Get tenant ID
+    const { data: tenant } = await supabase
+      .from('tenants')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: amendment, error } = await supabase
+      .from('booking_amendments')
+      .update({
+        status: 'cancelled',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', amendmentId)
+      .eq('tenant_id', tenant.id)
+      .eq('status', 'requested')
+      .select()
+      .single();
+
+    if (error || !amendment) {
+      return res.status(404).json({ error: 'Pending booking change not found or access denied' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'cancel', 'booking_amendments', amendmentId, { status: 'requested' }, { status: 'cancelled' }, req);
+
+    res.json({
+      message: 'Booking change cancelled successfully',
+      amendment
+    });
+  } catch (error) {
+    console.error('Cancel booking change error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept or reject a change request (Owner)
+router.put('/amendment/:amendmentId/review', authenticateToken, [
+  body('status').isIn(['approved', 'rejected']),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { amendmentId } = req.params;
+    const { status, notes } = req.body;
+
+    const { data: amendment, error: fetchError } = await supabase
+      .from('booking_amendments')
+      .select(AMENDMENT_SELECT)
+      .eq('id', amendmentId)
+      .single();
+
+    if (fetchError || !amendment || !await getPropertyAccess(req, amendment.property_id, 'approve_bookings')) {
+      return res.status(404).json({ error: 'Booking change not found or access denied' });
+    }
+
+    const booking = amendment.bookings;
+    const datesChanged = amendment.proposed_move_in_date !== amendment.previous_move_in_date ||
+      amendment.proposed_move_out_date !== amendment.previous_move_out_date;
+
+    let updatedAmendment;
+    if (status === 'approved') {
+      // Pending requests for the room count too, as they do when booking
+      if (datesChanged) {
+        const conflicts = await findAmendmentConflicts({ ...booking, id: amendment.booking_id },
+          amendment.proposed_move_in_date, amendment.proposed_move_out_date);
+        if (conflicts.length > 0) {
+          return res.status(409).json({ error: 'Room is already booked for the new dates' });
+        }
+      }
+
+      const result = await applyBookingAmendment(amendmentId, { reviewedBy: req.user.id, notes });
+      if (result.error) {
+        return res.status(result.error.status).json({ error: result.error.message });
+      }
+      updatedAmendment = result.amendment;
+    } else {
+      const { data: rejected, error } = await supabase
+        .from('booking_amendments')
+        .update({
+          status: 'rejected',
+          owner_notes: notes,
+          reviewed_by: req.user.id,
+          reviewed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', amendmentId)
+        .eq('status', 'requested')
+        .select()
+        .single();
+
+      if (error || !rejected) {
+        return res.status(409).json({ error: 'Booking change has already been reviewed' });
+      }
+      updatedAmendment = rejected;
+    }
+
+    let lease = null;
+    if (status === 'approved' && datesChanged) {
+      // An unaccepted lease is redrawn with the new dates; an accepted one stays as signed
+      if (['approved', 'active'].includes(booking.status)) {
+        try {
+          const result = await generateLease(amendment.booking_id);
+          lease = result.lease;
+        } catch (leaseError) {
+          console.error('Generate lease on booking change error:', leaseError);
+        }
+      }
+
+      // Shorter dates may free beds for tenants waiting on the room
+      await notifyWaitlist(booking.room_id);
+    }
+
+    // Create notification for tenant
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: amendment.tenants.user_id,
+        title: `Booking Change ${status === 'approved' ? 'Approved' : 'Rejected'}`,
+        message: `Your requested change to the booking for room ${booking.rooms.room_number} has been ${status}.` +
+          (notes ? ` ${notes}` : ''),
+        type: 'booking'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'booking_amendments', amendmentId, { status: amendment.status }, {
+      status,
+      move_in_date: amendment.proposed_move_in_date,
+      move_out_date: amendment.proposed_move_out_date
+    }, req);
+
+    res.json({
+      message: `Booking change ${status} successfully`,
+      amendment: updatedAmendment,
+      lease
+    });
+  } catch (error) {
+    console.error('Review booking change error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get all bookings (Admin)
 router.get('/all-bookings', authenticateToken, authorizeRole(['admin']), async (req, res) => {
   try {
@@ -431,7 +1091,7 @@ router.get('/all-bookings', authenticateToken, authorizeRole(['admin']), async (
       .select(`
         *,
         tenants(name, phone),
-        rooms(room_number, room_type, rent_amount),
+        rooms(room_number, room_type, rent_amount, capacity, rent_per_bed),
         properties(name, address, city),
         owners(name, business_name)
       `)
@@ -1,16 +1,128 @@
 const express = require('express');
+const path = require('path');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/supabase');
-const { authenticateToken, authorizeRole, logActivity } = require('../middleware/auth');
+const { authenticateToken, logActivity } = require('../middleware/auth');
+const { requirePermission, getUserPermissions } = require('../middleware/permissions');
+const { getPropertyAccess, getAccessiblePropertyIds } = require('../services/propertyAccess');
+const { settingsUpload, removeUploadedFiles } = require('../middleware/upload');
+const { COMPLAINT_PRIORITIES, getSlaDeadlines, recordFirstResponse, summarizeSla } = require('../services/complaintSla');
+const { canTransition, getReopenDeadline, transitionComplaint } = require('../services/complaintStates');
 
 const router = express.Router();
 
+// Photos and videos filed with a complaint or comment, kept out of the public upload folder
+const complaintUpload = settingsUpload('attachments', 5, { subdirectory: 'complaints' });
+
+const attachmentPath = (fileName) => path.join(process.env.UPLOAD_PATH || './uploads', 'complaints', path.basename(fileName));
+
+// Respond with an error and drop the files uploaded with the refused request
+const rejectUpload = async (req, res, status, body) => {
+  await removeUploadedFiles(req.files);
+  return res.status(status).json(body);
+};
+
+// Record the files uploaded with a complaint or one of its comments
+const saveAttachments = async (complaintId, files, { commentId = null, uploadedBy }) => {
+  if (!files || files.length === 0) {
+    return [];
+  }
+
+  const { data: attachments, error } = await supabase
+    .from('complaint_attachments')
+    .insert(files.map(file => ({
+      complaint_id: complaintId,
+      comment_id: commentId,
+      uploaded_by: uploadedBy,
+      file_name: file.filename,
+      original_name: file.originalname,
+      mime_type: file.mimetype,
+      file_size: file.size
+    })))
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to save complaint attachments: ${error.message}`);
+  }
+
+  return attachments;
+};
+
+// How the requesting user relates to a complaint: its tenant, the property
+// owner, staff responding to complaints on the property, an admin, or null
+const getComplaintAccess = async (req, complaint) => {
+  if (complaint.tenants.user_id === req.user.id) {
+    return 'tenant';
+  }
+
+  const access = await getPropertyAccess(req, complaint.property_id, 'respond_complaints');
+  if (access) {
+    return access.isOwner ? 'owner' : 'staff';
+  }
+
+  const permissions = await getUserPermissions(req.user);
+  return permissions.has('complaints:read') ? 'admin' : null;
+};
+
+// Record a comment on a complaint and, unless notify is false, notify everyone
+// else in the conversation: the tenant (unless the comment is internal), the
+// owner and anyone who has commented before
+const addComplaintComment = async (complaint, { authorId, authorRole, body, isInternal = false, notify = true }) => {
+  const { data: comment, error } = await supabase
+    .from('complaint_comments')
+    .insert({
+      complaint_id: complaint.id,
+      author_id: authorId,
+      author_role: authorRole,
+      body,
+      is_internal: isInternal
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to add complaint comment: ${error.message}`);
+  }
+
+  if (!notify) {
+    return comment;
+  }
+
+  const { data: previous } = await supabase
+    .from('complaint_comments')
+    .select('author_id, author_role')
+    .eq('complaint_id', complaint.id)
+    .not('author_id', 'is', null);
+
+  const recipients = new Set([complaint.properties.owners.user_id]);
+  if (!isInternal) {
+    recipients.add(complaint.tenants.user_id);
+  }
+  (previous || [])
+    .filter(participant => !isInternal || participant.author_role !== 'tenant')
+    .forEach(participant => recipients.add(participant.author_id));
+  recipients.delete(authorId);
+
+  if (recipients.size > 0) {
+    await supabase
+      .from('notifications')
+      .insert([...recipients].map(userId => ({
+        user_id: userId,
+        title: isInternal ? 'New Internal Note on Complaint' : 'New Comment on Complaint',
+        message: `New ${isInternal ? 'internal note' : 'comment'} on complaint "${complaint.title}".`,
+        type: 'complaint'
+      })));
+  }
+
+  return comment;
+};
+
 // File a complaint (Tenant)
-router.post('/file-complaint', authenticateToken, authorizeRole(['tenant']), [
+router.post('/file-complaint', authenticateToken, requirePermission('complaints:create'), complaintUpload, [
   body('complaintType').trim().isLength({ min: 2 }),
   body('title').trim().isLength({ min: 5, max: 255 }),
   body('description').trim().isLength({ min: 10 }),
-  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  body('priority').optional().isIn(COMPLAINT_PRIORITIES),
   // roomId and propertyName are now required
   body('roomId').isUUID().withMessage('roomId is required and must be a valid UUID'),
   body('propertyName').trim().isLength({ min: 2 }).withMessage('propertyName is required')
@@ -18,7 +130,7 @@ router.post('/file-complaint', authenticateToken, authorizeRole(['tenant']), [
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      return rejectUpload(req, res, 400, { errors: errors.array() });
     }
 
     const { complaintType, title, description, priority = 'medium', roomId, propertyName } = req.body;
@@ -34,18 +146,18 @@ router.post('/file-complaint', authenticateToken, authorizeRole(['tenant']), [
       .single();
 
     if (tenantError || !tenant) {
-      return res.status(404).json({ error: 'Tenant profile not found' });
+      return rejectUpload(req, res, 404, { error: 'Tenant profile not found' });
     }
 
       // Verify the property exists
       const { data: propertyRecord, error: propErr } = await supabase
         .from('properties')
-        .select('id, name, owner_id')
-        .eq('id', propertyId)
+        .select('id, name, owner_id, owners!inner(user_id)')
+        .eq('id', tenant.properties.id)
         .single();
 
       if (propErr || !propertyRecord) {
-        return res.status(400).json({ error: 'Property not found' });
+        return rejectUpload(req, res, 400, { error: 'Property not found' });
       }
 
       // Verify the room exists and belongs to the provided property
@@ -56,11 +168,11 @@ router.post('/file-complaint', authenticateToken, authorizeRole(['tenant']), [
         .single();
 
       if (roomFetchError || !roomRecord) {
-        return res.status(400).json({ error: 'Room not found' });
+        return rejectUpload(req, res, 400, { error: 'Room not found' });
       }
 
       if (roomRecord.property_id !== propertyRecord.id) {
-        return res.status(400).json({ error: 'Room does not belong to the specified property' });
+        return rejectUpload(req, res, 400, { error: 'Room does not belong to the specified property' });
       }
 
     // Create complaint using the tenant's property id and validated room id
@@ -74,20 +186,39 @@ router.post('/file-complaint', authenticateToken, authorizeRole(['tenant']), [
         title,
         description,
         priority,
-        status: 'pending'
+        status: 'pending',
+        ...await getSlaDeadlines(priority)
       })
       .select()
       .single();
 
     if (complaintError) {
-      return res.status(500).json({ error: 'Failed to file complaint' });
+      return rejectUpload(req, res, 500, { error: 'Failed to file complaint' });
+    }
+
+    await supabase
+      .from('complaint_status_history')
+      .insert({
+        complaint_id: complaint.id,
+        to_status: 'pending',
+        changed_by: req.user.id,
+        actor_role: 'tenant'
+      });
+
+    let attachments;
+    try {
+      attachments = await saveAttachments(complaint.id, req.files, { uploadedBy: req.user.id });
+    } catch (error) {
+      // Drop the complaint (and its history) so a retry does not file it twice
+      await supabase.from('complaints').delete().eq('id', complaint.id);
+      throw error;
     }
 
     // Create notification for property's owner
     await supabase
       .from('notifications')
       .insert({
-        user_id: propertyRecord.owner_id,
+        user_id: propertyRecord.owners.user_id,
         title: 'New Complaint Filed',
         message: `New complaint from ${tenant.name}: ${title}`,
         type: 'complaint'
@@ -98,16 +229,18 @@ router.post('/file-complaint', authenticateToken, authorizeRole(['tenant']), [
 
     res.status(201).json({
       message: 'Complaint filed successfully',
-      complaint
+      complaint,
+      attachments
     });
   } catch (error) {
     console.error('File complaint error:', error);
+    await removeUploadedFiles(req.files);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Get tenant's complaints
-router.get('/my-complaints', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+router.get('/my-complaints', authenticateToken, requirePermission('complaints:read_own'), async (req, res) => {
   try {
     // Get tenant ID
     const { data: tenant } = await supabase
@@ -143,20 +276,12 @@ router.get('/my-complaints', authenticateToken, authorizeRole(['tenant']), async
 });
 
 // Get owner's complaints
-router.get('/owner-complaints', authenticateToken, authorizeRole(['owner']), async (req, res) => {
+router.get('/owner-complaints', authenticateToken, requirePermission('complaints:manage_property'), async (req, res) => {
   try {
-    // Get owner ID
-    const { data: owner } = await supabase
-      .from('owners')
-      .select('id')
-      .eq('user_id', req.user.id)
-      .single();
+    // Properties the user owns, or responds to complaints for as staff
+    const propertyIds = await getAccessiblePropertyIds(req.user, 'respond_complaints');
 
-    if (!owner) {
-      return res.status(404).json({ error: 'Owner profile not found' });
-    }
-
-    // Get complaints for owner's properties
+    // Get complaints for those properties
     const { data: complaints, error } = await supabase
       .from('complaints')
       .select(`
@@ -165,7 +290,7 @@ router.get('/owner-complaints', authenticateToken, authorizeRole(['owner']), asy
         properties(name, address),
         rooms(room_number, room_type)
       `)
-      .eq('properties.owner_id', owner.id)
+      .in('property_id', propertyIds)
       .order('created_at', { ascending: false });
 
     if (error) {
@@ -179,8 +304,259 @@ router.get('/owner-complaints', authenticateToken, authorizeRole(['owner']), asy
   }
 });
 
+const COMMENT_COMPLAINT_SELECT = `
+  *,
+  tenants!inner(name, user_id),
+  properties!inner(owner_id, owners!inner(user_id))
+`;
+
+const DETAIL_COMPLAINT_SELECT = `
+  *,
+  tenants!inner(name, phone, room_number, user_id),
+  properties!inner(name, address, owner_id, owners!inner(user_id)),
+  rooms(room_number, room_type)
+`;
+
+// Get a complaint with its full status history and work orders (Tenant, Owner, Admin)
+router.get('/complaint/:complaintId', authenticateToken, async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+
+    const { data: complaint, error: fetchError } = await supabase
+      .from('complaints')
+      .select(DETAIL_COMPLAINT_SELECT)
+      .eq('id', complaintId)
+      .single();
+
+    const role = !fetchError && complaint ? await getComplaintAccess(req, complaint) : null;
+    if (!role) {
+      return res.status(404).json({ error: 'Complaint not found or access denied' });
+    }
+
+    const { data: statusHistory, error } = await supabase
+      .from('complaint_status_history')
+      .select('*')
+      .eq('complaint_id', complaintId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch complaint history' });
+    }
+
+    // Tenants see when work is happening but not what it costs
+    const { data: workOrders } = await supabase
+      .from('work_orders')
+      .select(role === 'tenant'
+        ? 'id, title, status, scheduled_start, scheduled_end, completed_at, vendors(name, trade)'
+        : '*, vendors(name, trade, phone)')
+      .eq('complaint_id', complaintId)
+      .order('created_at', { ascending: true });
+
+    // Admin notes are internal, like internal comments
+    if (role === 'tenant') {
+      delete complaint.admin_notes;
+    }
+
+    const reopenDeadline = await getReopenDeadline(complaint);
+
+    res.json({
+      complaint,
+      statusHistory,
+      workOrders: workOrders || [],
+      reopenDeadline: reopenDeadline && reopenDeadline > new Date() ? reopenDeadline.toISOString() : null
+    });
+  } catch (error) {
+    console.error('Get complaint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a complaint's comment thread (internal notes are hidden from the tenant)
+router.get('/complaint/:complaintId/comments', authenticateToken, async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+
+    const { data: complaint, error: fetchError } = await supabase
+      .from('complaints')
+      .select(COMMENT_COMPLAINT_SELECT)
+      .eq('id', complaintId)
+      .single();
+
+    const role = !fetchError && complaint ? await getComplaintAccess(req, complaint) : null;
+    if (!role) {
+      return res.status(404).json({ error: 'Complaint not found or access denied' });
+    }
+
+    let query = supabase
+      .from('complaint_comments')
+      .select('*, complaint_attachments(id, original_name, mime_type, file_size, created_at)')
+      .eq('complaint_id', complaintId)
+      .order('created_at', { ascending: true });
+
+    if (role === 'tenant') {
+      query = query.eq('is_internal', false);
+    }
+
+    const { data: comments, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+
+    res.json({ comments });
+  } catch (error) {
+    console.error('Get complaint comments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Post a comment on a complaint (Tenant, Owner, Admin)
+router.post('/complaint/:complaintId/comments', authenticateToken, complaintUpload, [
+  body('body').optional().trim().isLength({ max: 5000 }),
+  body('isInternal').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return rejectUpload(req, res, 400, { errors: errors.array() });
+    }
+
+    if (!req.body.body && (!req.files || req.files.length === 0)) {
+      return rejectUpload(req, res, 400, { error: 'Write a comment or attach a file' });
+    }
+
+    const { complaintId } = req.params;
+    const isInternal = req.body.isInternal === true || req.body.isInternal === 'true';
+
+    const { data: complaint, error: fetchError } = await supabase
+      .from('complaints')
+      .select(COMMENT_COMPLAINT_SELECT)
+      .eq('id', complaintId)
+      .single();
+
+    const role = !fetchError && complaint ? await getComplaintAccess(req, complaint) : null;
+    if (!role) {
+      return rejectUpload(req, res, 404, { error: 'Complaint not found or access denied' });
+    }
+
+    if (role === 'tenant' && isInternal) {
+      return rejectUpload(req, res, 403, { error: 'Tenants cannot post internal notes' });
+    }
+
+    // Admins comment with the same permission they add notes with
+    if (role === 'admin' && !(await getUserPermissions(req.user)).has('complaints:write')) {
+      return rejectUpload(req, res, 403, { error: 'Insufficient permissions' });
+    }
+
+    if (complaint.status === 'closed') {
+      return rejectUpload(req, res, 409, { error: 'Complaint is closed' });
+    }
+
+    const comment = await addComplaintComment(complaint, {
+      authorId: req.user.id,
+      authorRole: role,
+      body: req.body.body || '',
+      isInternal
+    });
+
+    const attachments = await saveAttachments(complaint.id, req.files, { commentId: comment.id, uploadedBy: req.user.id });
+
+    // A visible reply from the property side answers the complaint for its SLA
+    if ((role === 'owner' || role === 'staff') && !isInternal) {
+      await recordFirstResponse(complaint.id);
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'complaint_comments', comment.id, null, comment, req);
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment: { ...comment, complaint_attachments: attachments }
+    });
+  } catch (error) {
+    console.error('Add complaint comment error:', error);
+    await removeUploadedFiles(req.files);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a complaint's attachments (files on internal notes are hidden from the tenant)
+router.get('/complaint/:complaintId/attachments', authenticateToken, async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+
+    const { data: complaint, error: fetchError } = await supabase
+      .from('complaints')
+      .select(COMMENT_COMPLAINT_SELECT)
+      .eq('id', complaintId)
+      .single();
+
+    const role = !fetchError && complaint ? await getComplaintAccess(req, complaint) : null;
+    if (!role) {
+      return res.status(404).json({ error: 'Complaint not found or access denied' });
+    }
+
+    const { data: attachments, error } = await supabase
+      .from('complaint_attachments')
+      .select('id, comment_id, original_name, mime_type, file_size, created_at, complaint_comments(is_internal)')
+      .eq('complaint_id', complaintId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch attachments' });
+    }
+
+    res.json({
+      attachments: attachments
+        .filter(attachment => role !== 'tenant' || !attachment.complaint_comments || !attachment.complaint_comments.is_internal)
+        .map(({ complaint_comments: comment, ...attachment }) => ({ ...attachment, is_internal: comment ? comment.is_internal : false }))
+    });
+  } catch (error) {
+    console.error('Get complaint attachments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download a complaint attachment (complaint's tenant, owner and admins)
+router.get('/attachment/:attachmentId/download', authenticateToken, async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+
+    const { data: attachment, error: fetchError } = await supabase
+      .from('complaint_attachments')
+      .select('*, complaint_comments(is_internal)')
+      .eq('id', attachmentId)
+      .single();
+
+    if (fetchError || !attachment) {
+      return res.status(404).json({ error: 'Attachment not found or access denied' });
+    }
+
+    const { data: complaint } = await supabase
+      .from('complaints')
+      .select(COMMENT_COMPLAINT_SELECT)
+      .eq('id', attachment.complaint_id)
+      .single();
+
+    const role = complaint ? await getComplaintAccess(req, complaint) : null;
+    const internal = attachment.complaint_comments && attachment.complaint_comments.is_internal;
+    if (!role || (role === 'tenant' && internal)) {
+      return res.status(404).json({ error: 'Attachment not found or access denied' });
+    }
+
+    res.download(attachmentPath(attachment.file_name), attachment.original_name || attachment.file_name, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Attachment file not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Download complaint attachment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update complaint status (Owner)
-router.put('/complaint/:complaintId/status', authenticateToken, authorizeRole(['owner']), [
+router.put('/complaint/:complaintId/status', authenticateToken, requirePermission('complaints:manage_property'), [
   body('status').isIn(['pending', 'in_progress', 'resolved', 'closed']),
   body('response').optional().trim()
 ], async (req, res) => {
@@ -193,18 +569,7 @@ router.put('/complaint/:complaintId/status', authenticateToken, authorizeRole(['
     const { complaintId } = req.params;
     const { status, response } = req.body;
 
-    // Get owner ID
-    const { data: owner } = await supabase
-      .from('owners')
-      .select('id')
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (!owner) {
-      return res.status(404).json({ error: 'Owner profile not found' });
-    }
-
-    // Get complaint with verification
+    // Get complaint, then verify ownership or delegated staff access
     const { data: complaint, error: fetchError } = await supabase
       .from('complaints')
       .select(`
@@ -213,16 +578,41 @@ router.put('/complaint/:complaintId/status', authenticateToken, authorizeRole(['
         properties!inner(owner_id)
       `)
       .eq('id', complaintId)
-      .eq('properties.owner_id', owner.id)
       .single();
 
-    if (fetchError || !complaint) {
+    const access = !fetchError && complaint ? await getPropertyAccess(req, complaint.property_id, 'respond_complaints') : null;
+    if (!access) {
       return res.status(404).json({ error: 'Complaint not found or access denied' });
     }
 
-    // Update complaint
+    if (complaint.status === 'closed') {
+      return res.status(409).json({ error: 'Complaint is closed' });
+    }
+
+    const actorRole = access.isOwner ? 'owner' : 'staff';
+
+    // A reply can go out without moving the complaint on
+    if (status !== complaint.status) {
+      if (!canTransition(complaint.status, status)) {
+        return res.status(409).json({ error: `Cannot change complaint from ${complaint.status} to ${status}` });
+      }
+
+      // Until the reopen window runs out only the tenant can close a resolved complaint
+      const reopenDeadline = await getReopenDeadline(complaint);
+      if (status === 'closed' && reopenDeadline && reopenDeadline > new Date()) {
+        return res.status(409).json({
+          error: 'The tenant can still confirm or reopen this complaint',
+          reopenDeadline: reopenDeadline.toISOString()
+        });
+      }
+
+      const result = await transitionComplaint(complaintId, status, { changedBy: req.user.id, actorRole, note: response });
+      if (result.error) {
+        return res.status(result.error.status).json({ error: result.error.message });
+      }
+    }
+
     const updateData = {
-      status,
       updated_at: new Date().toISOString()
     };
 
@@ -230,8 +620,9 @@ router.put('/complaint/:complaintId/status', authenticateToken, authorizeRole(['
       updateData.owner_response = response;
     }
 
-    if (status === 'resolved') {
-      updateData.resolved_at = new Date().toISOString();
+    // Replying or moving the complaint on answers it for its response SLA
+    if (!complaint.first_response_at && (response || status !== 'pending')) {
+      updateData.first_response_at = new Date().toISOString();
     }
 
     const { data: updatedComplaint, error } = await supabase
@@ -245,6 +636,17 @@ router.put('/complaint/:complaintId/status', authenticateToken, authorizeRole(['
       return res.status(500).json({ error: 'Failed to update complaint status' });
     }
 
+    // owner_response only holds the latest reply; the thread keeps them all.
+    // The status notification below already tells the tenant.
+    if (response) {
+      await addComplaintComment(complaint, {
+        authorId: req.user.id,
+        authorRole: actorRole,
+        body: response,
+        notify: false
+      });
+    }
+
     // Create notification for tenant
     await supabase
       .from('notifications')
@@ -268,8 +670,142 @@ router.put('/complaint/:complaintId/status', authenticateToken, authorizeRole(['
   }
 });
 
+// Confirm that a resolved complaint is fixed, closing it (Tenant)
+router.put('/complaint/:complaintId/confirm-resolution', authenticateToken, requirePermission('complaints:read_own'), [
+  body('feedback').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { complaintId } = req.params;
+    const { feedback } = req.body;
+
+    const { data: complaint, error: fetchError } = await supabase
+      .from('complaints')
+      .select(COMMENT_COMPLAINT_SELECT)
+      .eq('id', complaintId)
+      .single();
+
+    if (fetchError || !complaint || complaint.tenants.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Complaint not found or access denied' });
+    }
+
+    if (complaint.status !== 'resolved') {
+      return res.status(409).json({ error: 'Only resolved complaints can be confirmed' });
+    }
+
+    const { complaint: updatedComplaint, error } = await transitionComplaint(complaintId, 'closed', {
+      changedBy: req.user.id,
+      actorRole: 'tenant',
+      note: feedback
+    });
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // Create notification for property's owner
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: complaint.properties.owners.user_id,
+        title: 'Complaint Resolution Confirmed',
+        message: `${complaint.tenants.name} confirmed that the complaint "${complaint.title}" is resolved.` +
+          (feedback ? ` ${feedback}` : ''),
+        type: 'complaint'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'complaints', complaintId, { status: 'resolved' }, { status: 'closed' }, req);
+
+    res.json({
+      message: 'Complaint resolution confirmed successfully',
+      complaint: updatedComplaint
+    });
+  } catch (error) {
+    console.error('Confirm complaint resolution error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reopen a resolved complaint within the reopen window (Tenant)
+router.put('/complaint/:complaintId/reopen', authenticateToken, requirePermission('complaints:read_own'), [
+  body('reason').trim().isLength({ min: 5, max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { complaintId } = req.params;
+    const { reason } = req.body;
+
+    const { data: complaint, error: fetchError } = await supabase
+      .from('complaints')
+      .select(COMMENT_COMPLAINT_SELECT)
+      .eq('id', complaintId)
+      .single();
+
+    if (fetchError || !complaint || complaint.tenants.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Complaint not found or access denied' });
+    }
+
+    if (complaint.status !== 'resolved') {
+      return res.status(409).json({ error: 'Only resolved complaints can be reopened' });
+    }
+
+    const reopenDeadline = await getReopenDeadline(complaint);
+    if (reopenDeadline <= new Date()) {
+      return res.status(409).json({ error: 'The window for reopening this complaint has passed' });
+    }
+
+    const { complaint: updatedComplaint, error } = await transitionComplaint(complaintId, 'in_progress', {
+      changedBy: req.user.id,
+      actorRole: 'tenant',
+      note: reason
+    });
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // Keep the reason in the thread; the owner is notified below
+    await addComplaintComment(complaint, {
+      authorId: req.user.id,
+      authorRole: 'tenant',
+      body: reason,
+      notify: false
+    });
+
+    // Create notification for property's owner
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: complaint.properties.owners.user_id,
+        title: 'Complaint Reopened',
+        message: `${complaint.tenants.name} reopened the complaint "${complaint.title}": ${reason}`,
+        type: 'complaint'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'complaints', complaintId, { status: 'resolved' }, { status: 'in_progress', reason }, req);
+
+    res.json({
+      message: 'Complaint reopened successfully',
+      complaint: updatedComplaint
+    });
+  } catch (error) {
+    console.error('Reopen complaint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get all complaints (Admin)
-router.get('/all-complaints', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+router.get('/all-complaints', authenticateToken, requirePermission('complaints:read'), async (req, res) => {
   try {
     const { status, priority, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
@@ -321,7 +857,7 @@ router.get('/all-complaints', authenticateToken, authorizeRole(['admin']), async
 });
 
 // Add admin notes to complaint
-router.put('/complaint/:complaintId/admin-notes', authenticateToken, authorizeRole(['admin']), [
+router.put('/complaint/:complaintId/admin-notes', authenticateToken, requirePermission('complaints:write'), [
   body('notes').trim().isLength({ min: 5 })
 ], async (req, res) => {
   try {
@@ -348,6 +884,15 @@ router.put('/complaint/:complaintId/admin-notes', authenticateToken, authorizeRo
       return res.status(500).json({ error: 'Failed to update complaint notes' });
     }
 
+    // Keep earlier notes in the thread as internal comments
+    await addComplaintComment(updatedComplaint, {
+      authorId: req.user.id,
+      authorRole: 'admin',
+      body: notes,
+      isInternal: true,
+      notify: false
+    });
+
     // Log activity
     await logActivity(req.user.id, 'update', 'complaints', complaintId, null, { admin_notes: notes }, req);
 
@@ -362,7 +907,7 @@ router.put('/complaint/:complaintId/admin-notes', authenticateToken, authorizeRo
 });
 
 // Get complaint statistics
-router.get('/complaint-stats', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+router.get('/complaint-stats', authenticateToken, requirePermission('complaints:read'), async (req, res) => {
   try {
     // Get complaint counts by status
     const { data: statusCounts } = await supabase
@@ -397,11 +942,49 @@ router.get('/complaint-stats', authenticateToken, authorizeRole(['admin']), asyn
       .select('id')
       .gte('created_at', thirtyDaysAgo.toISOString());
 
+    // SLA compliance and time to resolution, overall and per owner and property
+    const { data: slaComplaints, error: slaError } = await supabase
+      .from('complaints')
+      .select(`
+        property_id, created_at, resolved_at, response_due_at, resolution_due_at,
+        first_response_at, response_breached_at, resolution_breached_at,
+        properties!inner(name, owner_id, owners!inner(name, business_name))
+      `);
+
+    if (slaError) {
+      return res.status(500).json({ error: 'Failed to fetch complaint statistics' });
+    }
+
+    const summarizeGroups = (keyOf, describe) => {
+      const groups = new Map();
+      slaComplaints.forEach(complaint => {
+        const key = keyOf(complaint);
+        if (!groups.has(key)) {
+          groups.set(key, { ...describe(complaint), complaints: [] });
+        }
+        groups.get(key).complaints.push(complaint);
+      });
+
+      return [...groups.values()].map(({ complaints, ...group }) => ({ ...group, ...summarizeSla(complaints) }));
+    };
+
     res.json({
       statusCounts,
       priorityCounts,
       recentCount: recentComplaints.length,
-      totalCount: Object.values(statusCounts).reduce((sum, count) => sum + count, 0)
+      totalCount: Object.values(statusCounts).reduce((sum, count) => sum + count, 0),
+      sla: {
+        overall: summarizeSla(slaComplaints),
+        byOwner: summarizeGroups(complaint => complaint.properties.owner_id, complaint => ({
+          ownerId: complaint.properties.owner_id,
+          ownerName: complaint.properties.owners.business_name || complaint.properties.owners.name
+        })),
+        byProperty: summarizeGroups(complaint => complaint.property_id, complaint => ({
+          propertyId: complaint.property_id,
+          propertyName: complaint.properties.name,
+          ownerId: complaint.properties.owner_id
+        }))
+      }
     });
   } catch (error) {
     console.error('Get complaint stats error:', error);
@@ -0,0 +1,488 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { authenticateToken, authorizeRole, requireOwnerVerification, logActivity } = require('../middleware/auth');
+const { getUserPermissions } = require('../middleware/permissions');
+const { getPropertyAccess, getAccessiblePropertyIds } = require('../services/propertyAccess');
+const {
+  LEASE_PLACEHOLDERS,
+  DEFAULT_LEASE_TEMPLATE,
+  findUnknownPlaceholders,
+  getLeaseFilePath,
+  generateLease,
+  acceptLease
+} = require('../services/leases');
+
+const router = express.Router();
+
+const LEASE_SELECT = `
+  *,
+  tenants!inner(name, user_id),
+  bookings!inner(status, move_in_date, move_out_date, rooms(room_number)),
+  properties!inner(name, owners!inner(user_id))
+`;
+
+const templateValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 2, max: 255 }),
+    field('body').isString().trim().isLength({ min: 20 }),
+    body('isDefault').optional().isBoolean()
+  ];
+};
+
+const getOwnerId = async (userId) => {
+  const { data: owner } = await supabase
+    .from('owners')
+    .select('id')
+    .eq('user_id', userId)
+    .single();
+
+  return owner ? owner.id : null;
+};
+
+// How the requesting user relates to a lease: its tenant, the property owner,
+// staff approving bookings on the property, an admin, or null for no access
+const getLeaseAccess = async (req, lease) => {
+  if (lease.tenants.user_id === req.user.id) {
+    return 'tenant';
+  }
+
+  const access = await getPropertyAccess(req, lease.property_id, 'approve_bookings');
+  if (access) {
+    return access.isOwner ? 'owner' : 'staff';
+  }
+
+  const permissions = await getUserPermissions(req.user);
+  return permissions.has('leases:read') ? 'admin' : null;
+};
+
+// Only one template per owner can be the default
+const clearDefaultTemplate = async (ownerId) => {
+  await supabase
+    .from('lease_templates')
+    .update({ is_default: false })
+    .eq('owner_id', ownerId)
+    .eq('is_default', true);
+};
+
+// Get the placeholders templates can use and the built-in template (Owner)
+router.get('/placeholders', authenticateToken, requireOwnerVerification, (req, res) => {
+  res.json({
+    placeholders: LEASE_PLACEHOLDERS,
+    defaultTemplate: DEFAULT_LEASE_TEMPLATE
+  });
+});
+
+// Get owner's lease templates
+router.get('/templates', authenticateToken, requireOwnerVerification, async (req, res) => {
+  try {
+    const ownerId = await getOwnerId(req.user.id);
+
+    if (!ownerId) {
+      return res.status(404).json({ error: 'Owner profile not found' });
+    }
+
+    const { data: templates, error } = await supabase
+      .from('lease_templates')
+      .select('*')
+      .eq('owner_id', ownerId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch lease templates' });
+    }
+
+    res.json({ templates });
+  } catch (error) {
+    console.error('Get lease templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create lease template (Owner)
+router.post('/templates', authenticateToken, requireOwnerVerification, templateValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, body: templateBody, isDefault = false } = req.body;
+
+    const unknown = findUnknownPlaceholders(templateBody);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown placeholders: ${unknown.join(', ')}` });
+    }
+
+    const ownerId = await getOwnerId(req.user.id);
+
+    if (!ownerId) {
+      return res.status(404).json({ error: 'Owner profile not found' });
+    }
+
+    const makeDefault = isDefault === true || isDefault === 'true';
+    if (makeDefault) {
+      await clearDefaultTemplate(ownerId);
+    }
+
+    const { data: template, error } = await supabase
+      .from('lease_templates')
+      .insert({
+        owner_id: ownerId,
+        name,
+        body: templateBody,
+        is_default: makeDefault
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to create lease template' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'lease_templates', template.id, null, template, req);
+
+    res.status(201).json({
+      message: 'Lease template created successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Create lease template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update lease template (Owner)
+router.put('/templates/:templateId', authenticateToken, requireOwnerVerification, templateValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { templateId } = req.params;
+    const { name, body: templateBody, isDefault } = req.body;
+
+    if (templateBody !== undefined) {
+      const unknown = findUnknownPlaceholders(templateBody);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown placeholders: ${unknown.join(', ')}` });
+      }
+    }
+
+    const ownerId = await getOwnerId(req.user.id);
+
+    const { data: template, error: fetchError } = await supabase
+      .from('lease_templates')
+      .select('*')
+      .eq('id', templateId)
+      .eq('owner_id', ownerId)
+      .single();
+
+    if (fetchError || !template) {
+      return res.status(404).json({ error: 'Lease template not found or access denied' });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updateData.name = name;
+    if (templateBody !== undefined) updateData.body = templateBody;
+    if (isDefault !== undefined) {
+      updateData.is_default = isDefault === true || isDefault === 'true';
+      if (updateData.is_default && !template.is_default) {
+        await clearDefaultTemplate(ownerId);
+      }
+    }
+
+    const { data: updatedTemplate, error } = await supabase
+      .from('lease_templates')
+      .update(updateData)
+      .eq('id', templateId)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update lease template' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'lease_templates', templateId, template, updatedTemplate, req);
+
+    res.json({
+      message: 'Lease template updated successfully',
+      template: updatedTemplate
+    });
+  } catch (error) {
+    console.error('Update lease template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete lease template (Owner). Leases already generated from it keep their text and PDF.
+router.delete('/templates/:templateId', authenticateToken, requireOwnerVerification, async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const ownerId = await getOwnerId(req.user.id);
+
+    const { data: template, error } = await supabase
+      .from('lease_templates')
+      .delete()
+      .eq('id', templateId)
+      .eq('owner_id', ownerId)
+      .select()
+      .single();
+
+    if (error || !template) {
+      return res.status(404).json({ error: 'Lease template not found or access denied' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'delete', 'lease_templates', templateId, template, null, req);
+
+    res.json({ message: 'Lease template deleted successfully' });
+  } catch (error) {
+    console.error('Delete lease template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get tenant's leases
+router.get('/my-leases', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    // Get tenant ID
+    const { data: tenant } = await supabase
+      .from('tenants')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: leases, error } = await supabase
+      .from('leases')
+      .select(`
+        id, booking_id, status, checksum, tenant_accepted_at, owner_accepted_at, created_at,
+        bookings(move_in_date, move_out_date, rooms(room_number)),
+        properties(name, address)
+      `)
+      .eq('tenant_id', tenant.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch leases' });
+    }
+
+    res.json({ leases });
+  } catch (error) {
+    console.error('Get tenant leases error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get leases for owner's properties
+router.get('/owner-leases', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    // Properties the user owns, or approves bookings for as staff
+    const propertyIds = await getAccessiblePropertyIds(req.user, 'approve_bookings');
+
+    let query = supabase
+      .from('leases')
+      .select(`
+        id, booking_id, status, checksum, tenant_accepted_at, owner_accepted_at, created_at,
+        tenants(name, phone),
+        bookings(move_in_date, move_out_date, rooms(room_number)),
+        properties(name)
+      `)
+      .in('property_id', propertyIds)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: leases, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch leases' });
+    }
+
+    res.json({ leases });
+  } catch (error) {
+    console.error('Get owner leases error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the lease attached to a booking
+router.get('/booking/:bookingId', authenticateToken, async (req, res) => {
+  try {
+    const { data: lease, error } = await supabase
+      .from('leases')
+      .select(LEASE_SELECT)
+      .eq('booking_id', req.params.bookingId)
+      .single();
+
+    if (error || !lease || !await getLeaseAccess(req, lease)) {
+      return res.status(404).json({ error: 'Lease not found or access denied' });
+    }
+
+    res.json({ lease });
+  } catch (error) {
+    console.error('Get booking lease error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download a lease PDF
+router.get('/lease/:leaseId/download', authenticateToken, async (req, res) => {
+  try {
+    const { data: lease, error } = await supabase
+      .from('leases')
+      .select(LEASE_SELECT)
+      .eq('id', req.params.leaseId)
+      .single();
+
+    if (error || !lease || !await getLeaseAccess(req, lease)) {
+      return res.status(404).json({ error: 'Lease not found or access denied' });
+    }
+
+    res.set('X-Lease-Checksum', lease.checksum);
+    res.download(getLeaseFilePath(lease.file_name), `lease-${lease.booking_id}.pdf`, (downloadError) => {
+      if (downloadError && !res.headersSent) {
+        console.error('Download lease error:', downloadError);
+        res.status(404).json({ error: 'Lease file not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Download lease error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Regenerate a booking's lease, e.g. after editing a template (Owner)
+router.post('/booking/:bookingId/generate', authenticateToken, [
+  body('templateId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookingId } = req.params;
+
+    // Get booking, then verify ownership or delegated staff access
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('id, property_id, tenants!inner(user_id)')
+      .eq('id', bookingId)
+      .single();
+
+    if (fetchError || !booking || !await getPropertyAccess(req, booking.property_id, 'approve_bookings')) {
+      return res.status(404).json({ error: 'Booking not found or access denied' });
+    }
+
+    const { lease, error } = await generateLease(bookingId, { templateId: req.body.templateId });
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // Create notification for tenant
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: booking.tenants.user_id,
+        title: 'Lease Updated',
+        message: 'Your lease agreement has been updated. Please review and accept it.',
+        type: 'booking'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'generate', 'leases', lease.id, null, { booking_id: bookingId, checksum: lease.checksum }, req);
+
+    res.status(201).json({
+      message: 'Lease generated successfully',
+      lease
+    });
+  } catch (error) {
+    console.error('Generate lease error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept a lease electronically (Tenant or Owner)
+router.post('/lease/:leaseId/accept', authenticateToken, async (req, res) => {
+  try {
+    const { leaseId } = req.params;
+
+    const { data: lease, error: fetchError } = await supabase
+      .from('leases')
+      .select(LEASE_SELECT)
+      .eq('id', leaseId)
+      .single();
+
+    if (fetchError || !lease) {
+      return res.status(404).json({ error: 'Lease not found or access denied' });
+    }
+
+    // Only the tenant and the owner themselves can accept; staff and admins cannot sign for them
+    const party = await getLeaseAccess(req, lease);
+    if (party !== 'tenant' && party !== 'owner') {
+      return res.status(404).json({ error: 'Lease not found or access denied' });
+    }
+
+    if (!['approved', 'active'].includes(lease.bookings.status)) {
+      return res.status(409).json({ error: `Cannot accept the lease of a ${lease.bookings.status} booking` });
+    }
+
+    const { lease: acceptedLease, error } = await acceptLease(leaseId, party, { userId: req.user.id, ip: req.ip });
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const acceptedAt = party === 'tenant' ? acceptedLease.tenant_accepted_at : acceptedLease.owner_accepted_at;
+    const roomNumber = lease.bookings.rooms ? lease.bookings.rooms.room_number : '';
+
+    // Notify the other party, or both once the lease is fully accepted
+    const fullyAccepted = acceptedLease.status === 'accepted';
+    const recipients = fullyAccepted
+      ? [lease.tenants.user_id, lease.properties.owners.user_id]
+      : [party === 'tenant' ? lease.properties.owners.user_id : lease.tenants.user_id];
+
+    await supabase
+      .from('notifications')
+      .insert(recipients.map(userId => ({
+        user_id: userId,
+        title: fullyAccepted ? 'Lease Accepted' : 'Lease Awaiting Your Acceptance',
+        message: fullyAccepted
+          ? `The lease for room ${roomNumber} at ${lease.properties.name} has been accepted by both parties.`
+          : `${party === 'tenant' ? lease.tenants.name : 'The owner'} has accepted the lease for room ${roomNumber}. Please review and accept it.`,
+        type: 'booking'
+      })));
+
+    // Log activity; the audit entry records the acceptance time and the caller's IP
+    await logActivity(req.user.id, 'accept', 'leases', leaseId, { status: lease.status }, {
+      party,
+      accepted_at: acceptedAt,
+      checksum: acceptedLease.checksum,
+      status: acceptedLease.status
+    }, req);
+
+    res.json({
+      message: 'Lease accepted successfully',
+      lease: acceptedLease
+    });
+  } catch (error) {
+    console.error('Accept lease error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
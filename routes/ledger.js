@@ -0,0 +1,412 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { authenticateToken, authorizeRole, logActivity } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { getPropertyAccess, getAccessiblePropertyIds } = require('../services/propertyAccess');
+const {
+  PAYMENT_METHODS,
+  generateInvoices,
+  notifyNewInvoices,
+  recordPayment,
+  recordDepositRefund,
+  summarizeBalances,
+  getPropertyArrears
+} = require('../services/ledger');
+
+const router = express.Router();
+
+const ledgerEntryValidators = () => [
+  body('amount').isFloat({ gt: 0 }),
+  body('method').optional().isIn(PAYMENT_METHODS),
+  body('reference').optional().trim().isLength({ max: 255 }),
+  body('notes').optional().trim()
+];
+
+// Get tenant's invoices, payments and balance
+router.get('/my-ledger', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    // Get tenant ID
+    const { data: tenant } = await supabase
+      .from('tenants')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: invoices, error } = await supabase
+      .from('invoices')
+      .select(`
+        *,
+        properties(name),
+        rooms(room_number)
+      `)
+      .eq('tenant_id', tenant.id)
+      .order('period_start', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch invoices' });
+    }
+
+    const { data: entries } = await supabase
+      .from('ledger_entries')
+      .select('id, invoice_id, entry_type, amount, method, reference, created_at')
+      .eq('tenant_id', tenant.id)
+      .order('created_at', { ascending: false });
+
+    const { data: balances } = await supabase
+      .from('tenant_balances')
+      .select('*')
+      .eq('tenant_id', tenant.id);
+
+    res.json({
+      invoices,
+      entries,
+      balance: summarizeBalances(balances)
+    });
+  } catch (error) {
+    console.error('Get tenant ledger error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get invoices for owner's properties
+router.get('/owner-invoices', authenticateToken, async (req, res) => {
+  try {
+    const { propertyId, status } = req.query;
+
+    // Properties the user owns, or manages payments for as staff
+    let propertyIds = await getAccessiblePropertyIds(req.user, 'manage_payments');
+    if (propertyId) {
+      propertyIds = propertyIds.filter(id => id === propertyId);
+    }
+
+    let query = supabase
+      .from('invoices')
+      .select(`
+        *,
+        tenants(name, phone),
+        properties(name),
+        rooms(room_number)
+      `)
+      .in('property_id', propertyIds)
+      .order('due_date', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: invoices, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch invoices' });
+    }
+
+    res.json({ invoices });
+  } catch (error) {
+    console.error('Get owner invoices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get arrears per property (Owner)
+router.get('/owner-arrears', authenticateToken, async (req, res) => {
+  try {
+    const propertyIds = await getAccessiblePropertyIds(req.user, 'manage_payments');
+    const arrears = await getPropertyArrears(propertyIds);
+
+    const { data: properties } = await supabase
+      .from('properties')
+      .select('id, name')
+      .in('id', propertyIds);
+
+    const names = new Map((properties || []).map(property => [property.id, property.name]));
+
+    // Tenants behind on payments, for the per-property breakdown
+    const { data: balances } = await supabase
+      .from('tenant_balances')
+      .select('*')
+      .in('property_id', propertyIds)
+      .gt('overdue', 0);
+
+    res.json({
+      properties: arrears.map(row => ({ ...row, property_name: names.get(row.property_id) || null })),
+      tenantsInArrears: balances || []
+    });
+  } catch (error) {
+    console.error('Get owner arrears error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a payment against an invoice (Owner)
+router.post('/invoice/:invoiceId/payments', authenticateToken, ledgerEntryValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { invoiceId } = req.params;
+    const { amount, method, reference, notes } = req.body;
+
+    // Get invoice, then verify ownership or delegated staff access
+    const { data: invoice, error: fetchError } = await supabase
+      .from('invoices')
+      .select('*, tenants!inner(user_id)')
+      .eq('id', invoiceId)
+      .single();
+
+    if (fetchError || !invoice || !await getPropertyAccess(req, invoice.property_id, 'manage_payments')) {
+      return res.status(404).json({ error: 'Invoice not found or access denied' });
+    }
+
+    // Record the payment and update the invoice balance in one transaction
+    const { entry, error } = await recordPayment(invoiceId, {
+      amount: parseFloat(amount),
+      method,
+      reference,
+      notes,
+      recordedBy: req.user.id
+    });
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // Create notification for tenant
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: invoice.tenants.user_id,
+        title: 'Payment Received',
+        message: `A payment of ${entry.amount} was recorded against your invoice due ${invoice.due_date}.`,
+        type: 'payment'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'ledger_entries', entry.id, null, entry, req);
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      entry
+    });
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Refund a booking's deposit, in full or in part (Owner)
+router.post('/booking/:bookingId/deposit-refund', authenticateToken, ledgerEntryValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookingId } = req.params;
+    const { amount, method, reference, notes } = req.body;
+
+    const { data: invoice, error: fetchError } = await supabase
+      .from('invoices')
+      .select('*, tenants!inner(user_id)')
+      .eq('booking_id', bookingId)
+      .eq('invoice_type', 'deposit')
+      .single();
+
+    if (fetchError || !invoice || !await getPropertyAccess(req, invoice.property_id, 'manage_payments')) {
+      return res.status(404).json({ error: 'Deposit not found or access denied' });
+    }
+
+    const { entry, error } = await recordDepositRefund(invoice.id, {
+      amount: parseFloat(amount),
+      method,
+      reference,
+      notes,
+      recordedBy: req.user.id
+    });
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // Create notification for tenant
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: invoice.tenants.user_id,
+        title: 'Deposit Refunded',
+        message: `${entry.amount} of your deposit has been refunded.`,
+        type: 'payment'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'ledger_entries', entry.id, null, entry, req);
+
+    res.status(201).json({
+      message: 'Deposit refund recorded successfully',
+      entry
+    });
+  } catch (error) {
+    console.error('Record deposit refund error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Void an unpaid invoice (Owner)
+router.put('/invoice/:invoiceId/void', authenticateToken, [
+  body('reason').trim().isLength({ min: 3 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { invoiceId } = req.params;
+    const { reason } = req.body;
+
+    const { data: invoice, error: fetchError } = await supabase
+      .from('invoices')
+      .select('*')
+      .eq('id', invoiceId)
+      .single();
+
+    if (fetchError || !invoice || !await getPropertyAccess(req, invoice.property_id, 'manage_payments')) {
+      return res.status(404).json({ error: 'Invoice not found or access denied' });
+    }
+
+    // Only invoices with nothing paid against them can be voided
+    const { data: updatedInvoice, error } = await supabase
+      .from('invoices')
+      .update({
+        status: 'void',
+        notes: reason,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', invoiceId)
+      .eq('status', 'open')
+      .eq('amount_paid', 0)
+      .select()
+      .single();
+
+    if (error || !updatedInvoice) {
+      return res.status(409).json({ error: 'Only unpaid open invoices can be voided' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'void', 'invoices', invoiceId, { status: invoice.status }, { status: 'void', notes: reason }, req);
+
+    res.json({
+      message: 'Invoice voided successfully',
+      invoice: updatedInvoice
+    });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all invoices (Admin)
+router.get('/all-invoices', authenticateToken, requirePermission('ledger:read'), async (req, res) => {
+  try {
+    const { status, propertyId, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('invoices')
+      .select(`
+        *,
+        tenants(name, phone),
+        properties(name, city),
+        rooms(room_number)
+      `, { count: 'exact' })
+      .order('due_date', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (propertyId) {
+      query = query.eq('property_id', propertyId);
+    }
+
+    const { data: invoices, count, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch invoices' });
+    }
+
+    res.json({
+      invoices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get all invoices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get outstanding balances per tenant (Admin)
+router.get('/balances', authenticateToken, requirePermission('ledger:read'), async (req, res) => {
+  try {
+    const { data: balances, error } = await supabase
+      .from('tenant_balances')
+      .select('*')
+      .gt('outstanding', 0)
+      .order('overdue', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch balances' });
+    }
+
+    const { data: tenants } = await supabase
+      .from('tenants')
+      .select('id, name, phone')
+      .in('id', [...new Set(balances.map(balance => balance.tenant_id))]);
+
+    const tenantsById = new Map((tenants || []).map(tenant => [tenant.id, tenant]));
+
+    res.json({
+      balances: balances.map(balance => ({ ...balance, tenant: tenantsById.get(balance.tenant_id) || null })),
+      totals: summarizeBalances(balances)
+    });
+  } catch (error) {
+    console.error('Get balances error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Issue any invoices that have come due now rather than waiting for the job (Admin)
+router.post('/generate-invoices', authenticateToken, requirePermission('ledger:write'), async (req, res) => {
+  try {
+    const invoices = await generateInvoices();
+
+    if (invoices.length > 0) {
+      await notifyNewInvoices(invoices);
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'generate', 'invoices', null, null, { created: invoices.length }, req);
+
+    res.json({
+      message: 'Invoices generated successfully',
+      created: invoices.length
+    });
+  } catch (error) {
+    console.error('Generate invoices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
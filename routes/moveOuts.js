@@ -0,0 +1,555 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { authenticateToken, authorizeRole, logActivity } = require('../middleware/auth');
+const { settingsUpload, removeUploadedFiles } = require('../middleware/upload');
+const { getPropertyAccess, getAccessiblePropertyIds } = require('../services/propertyAccess');
+const { toDateString } = require('../services/availability');
+const { PAYMENT_METHODS } = require('../services/ledger');
+const { MOVE_OUT_CHECKLIST, CHECKLIST_CONDITIONS, settleMoveOut } = require('../services/moveOuts');
+const { notifyWaitlist } = require('../services/waitlist');
+
+const router = express.Router();
+
+// Inspection photos, limited by the upload system settings
+const photoUpload = settingsUpload('photos', 10);
+
+const MOVE_OUT_SELECT = `
+  *,
+  tenants!inner(name, phone, user_id),
+  rooms(room_number),
+  properties!inner(name, owners!inner(user_id)),
+  bookings!inner(status, move_in_date, move_out_date)
+`;
+
+// Load a move-out the user may act on: its tenant, or the owner / staff holding scope
+const getMoveOut = async (req, moveOutId, scope) => {
+  const { data: moveOut, error } = await supabase
+    .from('move_outs')
+    .select(MOVE_OUT_SELECT)
+    .eq('id', moveOutId)
+    .single();
+
+  if (error || !moveOut) {
+    return null;
+  }
+
+  if (moveOut.tenants.user_id === req.user.id) {
+    return { moveOut, isTenant: true };
+  }
+
+  if (await getPropertyAccess(req, moveOut.property_id, scope)) {
+    return { moveOut, isTenant: false };
+  }
+
+  return null;
+};
+
+// Get the default inspection checklist
+router.get('/checklist', authenticateToken, (req, res) => {
+  res.json({
+    items: MOVE_OUT_CHECKLIST,
+    conditions: CHECKLIST_CONDITIONS
+  });
+});
+
+// Request to move out of a checked-in booking (Tenant)
+router.post('/booking/:bookingId/request', authenticateToken, authorizeRole(['tenant']), [
+  body('moveOutDate').isISO8601(),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookingId } = req.params;
+    const { reason } = req.body;
+    const moveOutDate = toDateString(req.body.moveOutDate);
+
+    if (moveOutDate < toDateString(new Date())) {
+      return res.status(400).json({ error: 'Move-out date cannot be in the past' });
+    }
+
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select(`
+        *,
+        tenants!inner(name, user_id),
+        rooms!inner(room_number),
+        properties!inner(name, owners!inner(user_id))
+      `)
+      .eq('id', bookingId)
+      .single();
+
+    if (fetchError || !booking || booking.tenants.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Booking not found or access denied' });
+    }
+
+    if (booking.status !== 'active') {
+      return res.status(400).json({ error: 'Only checked-in bookings can be moved out of' });
+    }
+
+    const { data: moveOut, error } = await supabase
+      .from('move_outs')
+      .insert({
+        booking_id: booking.id,
+        tenant_id: booking.tenant_id,
+        property_id: booking.property_id,
+        room_id: booking.room_id,
+        requested_date: moveOutDate,
+        reason
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A move-out is already in progress for this booking' });
+      }
+      return res.status(500).json({ error: 'Failed to create move-out request' });
+    }
+
+    // Create notification for property's owner
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: booking.properties.owners.user_id,
+        title: 'Move-out Requested',
+        message: `${booking.tenants.name} has asked to move out of room ${booking.rooms.room_number} on ${moveOutDate}.`,
+        type: 'booking'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'move_outs', moveOut.id, null, moveOut, req);
+
+    res.status(201).json({
+      message: 'Move-out requested successfully',
+      moveOut
+    });
+  } catch (error) {
+    console.error('Request move-out error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get tenant's move-outs
+router.get('/my-move-outs', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    // Get tenant ID
+    const { data: tenant } = await supabase
+      .from('tenants')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: moveOuts, error } = await supabase
+      .from('move_outs')
+      .select(`
+        *,
+        rooms(room_number),
+        properties(name, address)
+      `)
+      .eq('tenant_id', tenant.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch move-outs' });
+    }
+
+    res.json({ moveOuts });
+  } catch (error) {
+    console.error('Get tenant move-outs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get move-outs for owner's properties
+router.get('/owner-move-outs', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    // Properties the user owns, or approves bookings for as staff
+    const propertyIds = await getAccessiblePropertyIds(req.user, 'approve_bookings');
+
+    let query = supabase
+      .from('move_outs')
+      .select(`
+        *,
+        tenants(name, phone),
+        rooms(room_number),
+        properties(name)
+      `)
+      .in('property_id', propertyIds)
+      .order('requested_date', { ascending: true });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: moveOuts, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch move-outs' });
+    }
+
+    res.json({ moveOuts });
+  } catch (error) {
+    console.error('Get owner move-outs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get move-out details
+router.get('/move-out/:moveOutId', authenticateToken, async (req, res) => {
+  try {
+    const result = await getMoveOut(req, req.params.moveOutId, 'approve_bookings');
+
+    if (!result) {
+      return res.status(404).json({ error: 'Move-out not found or access denied' });
+    }
+
+    res.json({ moveOut: result.moveOut });
+  } catch (error) {
+    console.error('Get move-out error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Withdraw a move-out request the owner has not reviewed yet (Tenant)
+router.put('/move-out/:moveOutId/cancel', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const { moveOutId } = req.params;
+    const result = await getMoveOut(req, moveOutId, 'approve_bookings');
+
+    if (!result || !result.isTenant) {
+      return res.status(404).json({ error: 'Move-out not found or access denied' });
+    }
+
+    const { data: updatedMoveOut, error } = await supabase
+      .from('move_outs')
+      .update({
+        status: 'cancelled',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', moveOutId)
+      .eq('status', 'requested')
+      .select()
+      .single();
+
+    if (error || !updatedMoveOut) {
+      return res.status(409).json({ error: 'Only move-outs awaiting review can be cancelled' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'cancel', 'move_outs', moveOutId, { status: result.moveOut.status }, { status: 'cancelled' }, req);
+
+    res.json({
+      message: 'Move-out request cancelled successfully',
+      moveOut: updatedMoveOut
+    });
+  } catch (error) {
+    console.error('Cancel move-out error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve or reject a move-out request (Owner)
+router.put('/move-out/:moveOutId/review', authenticateToken, [
+  body('status').isIn(['approved', 'rejected']),
+  body('moveOutDate').optional().isISO8601(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { moveOutId } = req.params;
+    const { status, notes } = req.body;
+    const result = await getMoveOut(req, moveOutId, 'approve_bookings');
+
+    if (!result || result.isTenant) {
+      return res.status(404).json({ error: 'Move-out not found or access denied' });
+    }
+
+    const { moveOut } = result;
+    const approvedDate = status === 'approved'
+      ? toDateString(req.body.moveOutDate || moveOut.requested_date)
+      : null;
+
+    const { data: updatedMoveOut, error } = await supabase
+      .from('move_outs')
+      .update({
+        status,
+        approved_date: approvedDate,
+        owner_notes: notes,
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', moveOutId)
+      .eq('status', 'requested')
+      .select()
+      .single();
+
+    if (error || !updatedMoveOut) {
+      return res.status(409).json({ error: 'Move-out has already been reviewed' });
+    }
+
+    // Bring the booking's end forward so rent stops and the room can be booked from that date
+    const bookingEnd = moveOut.bookings.move_out_date;
+    if (approvedDate && (!bookingEnd || approvedDate < toDateString(bookingEnd))) {
+      await supabase
+        .from('bookings')
+        .update({ move_out_date: approvedDate, updated_at: new Date().toISOString() })
+        .eq('id', moveOut.booking_id);
+    }
+
+    // Create notification for tenant
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: moveOut.tenants.user_id,
+        title: `Move-out ${status === 'approved' ? 'Approved' : 'Rejected'}`,
+        message: status === 'approved'
+          ? `Your move-out from room ${moveOut.rooms ? moveOut.rooms.room_number : ''} has been approved for ${approvedDate}. The room will be inspected before your deposit is settled.`
+          : `Your move-out request has been rejected.${notes ? ` ${notes}` : ''}`,
+        type: 'booking'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'move_outs', moveOutId, { status: moveOut.status }, { status, approved_date: approvedDate }, req);
+
+    res.json({
+      message: `Move-out ${status} successfully`,
+      moveOut: updatedMoveOut
+    });
+  } catch (error) {
+    console.error('Review move-out error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const PHOTO_STATUSES = ['approved', 'inspected'];
+
+// Check the move-out before multer writes anything to disk
+const checkPhotoUpload = async (req, res, next) => {
+  try {
+    const result = await getMoveOut(req, req.params.moveOutId, 'approve_bookings');
+
+    if (!result || result.isTenant) {
+      return res.status(404).json({ error: 'Move-out not found or access denied' });
+    }
+
+    if (!PHOTO_STATUSES.includes(result.moveOut.status)) {
+      return res.status(400).json({ error: 'Photos can only be added to approved move-outs before settlement' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Upload move-out photos error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Upload inspection photos (Owner)
+router.post('/move-out/:moveOutId/photos', authenticateToken, checkPhotoUpload, photoUpload, async (req, res) => {
+  try {
+    const { moveOutId } = req.params;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No photos uploaded' });
+    }
+
+    const newPhotos = req.files.map(file => ({
+      filename: file.filename,
+      originalName: file.originalname,
+      size: file.size,
+      uploadedBy: req.user.id,
+      uploadedAt: new Date().toISOString()
+    }));
+
+    // Appended in the database so concurrent uploads all keep their photos
+    const { data: updatedMoveOut, error } = await supabase
+      .rpc('append_move_out_photos', {
+        p_move_out_id: moveOutId,
+        p_photos: newPhotos
+      })
+      .maybeSingle();
+
+    if (error) {
+      await removeUploadedFiles(req.files);
+      return res.status(500).json({ error: 'Failed to save inspection photos' });
+    }
+
+    // The move-out was settled or cancelled while the files uploaded
+    if (!updatedMoveOut) {
+      await removeUploadedFiles(req.files);
+      return res.status(400).json({ error: 'Photos can only be added to approved move-outs before settlement' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'move_outs', moveOutId, null, { added_photos: newPhotos }, req);
+
+    res.json({
+      message: 'Photos uploaded successfully',
+      photos: newPhotos
+    });
+  } catch (error) {
+    console.error('Upload move-out photos error:', error);
+    await removeUploadedFiles(req.files);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record the move-out inspection checklist (Owner)
+router.put('/move-out/:moveOutId/inspection', authenticateToken, [
+  body('checklist').isArray({ min: 1 }),
+  body('checklist.*.item').isString().trim().isLength({ min: 2, max: 255 }),
+  body('checklist.*.condition').isIn(CHECKLIST_CONDITIONS),
+  body('checklist.*.notes').optional().isString().trim(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { moveOutId } = req.params;
+    const result = await getMoveOut(req, moveOutId, 'approve_bookings');
+
+    if (!result || result.isTenant) {
+      return res.status(404).json({ error: 'Move-out not found or access denied' });
+    }
+
+    const { moveOut } = result;
+    const checklist = req.body.checklist.map(({ item, condition, notes }) => ({ item, condition, notes: notes || null }));
+
+    // The inspection can be redone until the move-out is settled
+    const { data: updatedMoveOut, error } = await supabase
+      .from('move_outs')
+      .update({
+        status: 'inspected',
+        checklist,
+        inspection_notes: req.body.notes,
+        inspected_by: req.user.id,
+        inspected_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', moveOutId)
+      .in('status', ['approved', 'inspected'])
+      .select()
+      .single();
+
+    if (error || !updatedMoveOut) {
+      return res.status(409).json({ error: 'Only approved move-outs can be inspected' });
+    }
+
+    const issues = checklist.filter(entry => entry.condition === 'damaged' || entry.condition === 'missing');
+
+    // Create notification for tenant
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: moveOut.tenants.user_id,
+        title: 'Move-out Inspection Completed',
+        message: issues.length > 0
+          ? `Your room inspection found ${issues.length} issue(s): ${issues.map(entry => entry.item).join(', ')}.`
+          : 'Your room inspection found no issues.',
+        type: 'booking'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'inspect', 'move_outs', moveOutId, { status: moveOut.status }, { status: 'inspected', checklist }, req);
+
+    res.json({
+      message: 'Inspection recorded successfully',
+      moveOut: updatedMoveOut
+    });
+  } catch (error) {
+    console.error('Record move-out inspection error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Settle the deposit and check the tenant out (Owner)
+router.post('/move-out/:moveOutId/settle', authenticateToken, [
+  body('deductions').optional().isArray(),
+  body('deductions.*.reason').isString().trim().isLength({ min: 2, max: 255 }),
+  body('deductions.*.amount').isFloat({ gt: 0 }),
+  body('applyToOutstandingRent').optional().isBoolean(),
+  body('method').optional().isIn(PAYMENT_METHODS),
+  body('reference').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { moveOutId } = req.params;
+    const { applyToOutstandingRent, method, reference } = req.body;
+
+    // Settling moves money, so staff need the payments scope
+    const result = await getMoveOut(req, moveOutId, 'manage_payments');
+
+    if (!result || result.isTenant) {
+      return res.status(404).json({ error: 'Move-out not found or access denied' });
+    }
+
+    const { moveOut } = result;
+    const deductions = (req.body.deductions || []).map(({ reason, amount }) => ({ reason, amount: parseFloat(amount) }));
+
+    const { moveOut: settledMoveOut, error } = await settleMoveOut(moveOutId, {
+      deductions,
+      applyToRent: applyToOutstandingRent === true || applyToOutstandingRent === 'true',
+      method,
+      reference,
+      settledBy: req.user.id
+    });
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // The room is free again; let waitlisted tenants know
+    if (settledMoveOut.room_id) {
+      await notifyWaitlist(settledMoveOut.room_id);
+    }
+
+    const refund = parseFloat(settledMoveOut.refund_amount);
+    const balanceDue = parseFloat(settledMoveOut.balance_due);
+
+    // Create notification for tenant
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: moveOut.tenants.user_id,
+        title: 'Move-out Settled',
+        message: `Your move-out has been settled. Deductions: ${settledMoveOut.total_deductions}, rent paid from deposit: ${settledMoveOut.rent_applied}, ` +
+          `refund: ${refund.toFixed(2)}.` + (balanceDue > 0 ? ` A balance of ${balanceDue.toFixed(2)} has been invoiced to you.` : ''),
+        type: 'payment'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'settle', 'move_outs', moveOutId, { status: moveOut.status }, settledMoveOut, req);
+
+    res.json({
+      message: 'Move-out settled successfully',
+      moveOut: settledMoveOut
+    });
+  } catch (error) {
+    console.error('Settle move-out error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -2,13 +2,14 @@ const express = require('express');
 const nodemailer = require('nodemailer');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/supabase');
-const { authenticateToken, authorizeRole, logActivity } = require('../middleware/auth');
+const { authenticateToken, logActivity } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
 // Configure email transporter
 const createEmailTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
     secure: false,
@@ -53,7 +54,7 @@ const sendSMSNotification = async (phoneNumber, message) => {
 };
 
 // Get user notifications
-router.get('/my-notifications', authenticateToken, async (req, res) => {
+router.get('/my-notifications', authenticateToken, requirePermission('notifications:read_own'), async (req, res) => {
   try {
     const { page = 1, limit = 20, isRead } = req.query;
     const offset = (page - 1) * limit;
@@ -97,7 +98,7 @@ router.get('/my-notifications', authenticateToken, async (req, res) => {
 });
 
 // Mark notification as read
-router.put('/notification/:notificationId/read', authenticateToken, async (req, res) => {
+router.put('/notification/:notificationId/read', authenticateToken, requirePermission('notifications:read_own'), async (req, res) => {
   try {
     const { notificationId } = req.params;
 
@@ -124,7 +125,7 @@ router.put('/notification/:notificationId/read', authenticateToken, async (req,
 });
 
 // Mark all notifications as read
-router.put('/mark-all-read', authenticateToken, async (req, res) => {
+router.put('/mark-all-read', authenticateToken, requirePermission('notifications:read_own'), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('notifications')
@@ -148,7 +149,7 @@ router.put('/mark-all-read', authenticateToken, async (req, res) => {
 });
 
 // Send notification (Admin)
-router.post('/send-notification', authenticateToken, authorizeRole(['admin']), [
+router.post('/send-notification', authenticateToken, requirePermission('notifications:send'), [
   body('userId').isUUID(),
   body('title').trim().isLength({ min: 1, max: 255 }),
   body('message').trim().isLength({ min: 1 }),
@@ -265,7 +266,7 @@ router.post('/send-notification', authenticateToken, authorizeRole(['admin']), [
 });
 
 // Send bulk notification (Admin)
-router.post('/send-bulk-notification', authenticateToken, authorizeRole(['admin']), [
+router.post('/send-bulk-notification', authenticateToken, requirePermission('notifications:send'), [
   body('userIds').isArray({ min: 1 }),
   body('title').trim().isLength({ min: 1, max: 255 }),
   body('message').trim().isLength({ min: 1 }),
@@ -394,7 +395,7 @@ router.post('/send-bulk-notification', authenticateToken, authorizeRole(['admin'
 });
 
 // Get notification statistics
-router.get('/notification-stats', authenticateToken, authorizeRole(['admin']), async (req, res) => {
+router.get('/notification-stats', authenticateToken, requirePermission('notifications:stats'), async (req, res) => {
   try {
     // Get notification counts by type
     const { data: typeStats } = await supabase
@@ -446,3 +447,4 @@ router.get('/notification-stats', authenticateToken, authorizeRole(['admin']), a
 });
 
 module.exports = router;
+module.exports.sendEmailNotification = sendEmailNotification;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/supabase');
 const { authenticateToken, authorizeRole, logActivity } = require('../middleware/auth');
+const { getPropertyArrears } = require('../services/ledger');
 
 const router = express.Router();
 
@@ -290,14 +291,22 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     const propertyIds = properties.map(p => p.id);
     // Room stats
     let roomsStats = { available:0, occupied:0, reserved:0, maintenance:0 };
+    let bedsStats = { total:0, taken:0 };
     let rooms = [];
     if (propertyIds.length > 0) {
-      const { data: roomRows, error: roomsError } = await supabase.from('rooms').select('status').in('property_id', propertyIds);
+      const { data: roomRows, error: roomsError } = await supabase.from('rooms').select('status, capacity, beds_taken').in('property_id', propertyIds);
       if (roomRows) {
         rooms = roomRows;
-        roomRows.forEach(r => { roomsStats[r.status] = (roomsStats[r.status]||0)+1; });
+        roomRows.forEach(r => {
+          roomsStats[r.status] = (roomsStats[r.status]||0)+1;
+          bedsStats.total += r.capacity;
+          bedsStats.taken += Math.min(r.beds_taken, r.capacity);
+        });
       }
     }
+    // Arrears (overdue unpaid rent) per property
+    const arrears = await getPropertyArrears(propertyIds);
+    const arrearsTotal = arrears.reduce((sum, row) => sum + parseFloat(row.arrears), 0);
     // Optionally, count pendingBookings, pendingComplaints (stub for now):
     let pendingBookings = 0;
     let pendingComplaints = 0;
@@ -307,9 +316,12 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
       stats: {
         propertiesCount,
         roomsStats,
+        bedsStats,
         pendingBookings,  // enhance if needed
-        pendingComplaints // enhance if needed
+        pendingComplaints, // enhance if needed
+        arrearsTotal: Math.round(arrearsTotal * 100) / 100
       },
+      arrearsByProperty: arrears,
       roomsCount: rooms.length,
       propertiesCount
     });
@@ -0,0 +1,233 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { authenticateToken, authorizeRole, logActivity } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { isTestEnvironment, getConfiguredProvider } = require('../services/paymentProviders');
+const { startPayment, handleWebhookEvent } = require('../services/payments');
+
+const router = express.Router();
+
+const getTenantId = async (userId) => {
+  const { data: tenant } = await supabase
+    .from('tenants')
+    .select('id')
+    .eq('user_id', userId)
+    .single();
+
+  return tenant ? tenant.id : null;
+};
+
+// Pay an invoice online (Tenant). Defaults to the full outstanding amount.
+router.post('/invoice/:invoiceId/pay', authenticateToken, authorizeRole(['tenant']), [
+  body('amount').optional().isFloat({ gt: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!getConfiguredProvider()) {
+      return res.status(503).json({ error: 'Online payments are not available' });
+    }
+
+    const tenantId = await getTenantId(req.user.id);
+    if (!tenantId) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: invoice, error: fetchError } = await supabase
+      .from('invoices')
+      .select('*')
+      .eq('id', req.params.invoiceId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (fetchError || !invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!['open', 'partially_paid'].includes(invoice.status)) {
+      return res.status(400).json({ error: `Invoice is already ${invoice.status}` });
+    }
+
+    const outstanding = Math.round((invoice.amount - invoice.amount_paid) * 100) / 100;
+    const amount = req.body.amount ? parseFloat(req.body.amount) : outstanding;
+
+    if (amount > outstanding) {
+      return res.status(400).json({ error: `Amount cannot exceed the outstanding ${outstanding}` });
+    }
+
+    const payment = await startPayment(invoice, amount);
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'online_payments', payment.id, null, {
+      invoice_id: invoice.id,
+      amount,
+      provider: payment.provider
+    }, req);
+
+    res.status(201).json({
+      message: 'Payment started',
+      payment,
+      checkoutUrl: payment.checkout_url
+    });
+  } catch (error) {
+    console.error('Start payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get tenant's online payments
+router.get('/my-payments', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const tenantId = await getTenantId(req.user.id);
+    if (!tenantId) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: payments, error } = await supabase
+      .from('online_payments')
+      .select(`
+        id, invoice_id, provider, amount, currency, status, checkout_url, paid_at, refunded_at, created_at,
+        invoices(invoice_type, period_start, period_end, due_date)
+      `)
+      .eq('tenant_id', tenantId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch payments' });
+    }
+
+    res.json({ payments });
+  } catch (error) {
+    console.error('Get tenant payments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Payment provider webhook (signed by the provider; no user authentication)
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const providerName = req.params.provider;
+
+    const configured = getConfiguredProvider();
+    if (!configured) {
+      return res.status(503).json({ error: 'Online payments are not available' });
+    }
+
+    if (configured.name !== providerName) {
+      return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    const { provider } = configured;
+
+    let event;
+    try {
+      event = provider.verifyWebhook(req.rawBody, req.headers);
+    } catch (verifyError) {
+      return res.status(400).json({ error: 'Invalid webhook' });
+    }
+
+    const processed = await handleWebhookEvent(providerName, event);
+
+    res.json({ received: true, duplicate: !processed });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Complete a fake-provider checkout by sending its signed webhook. Only
+// registered on development and test instances, where the fake provider exists.
+if (isTestEnvironment()) {
+  router.post('/fake/:paymentId/complete', authenticateToken, authorizeRole(['tenant']), [
+    body('outcome').optional().isIn(['succeeded', 'failed'])
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const configured = getConfiguredProvider();
+      if (!configured || configured.name !== 'fake') {
+        return res.status(404).json({ error: 'Route not found' });
+      }
+
+      const tenantId = await getTenantId(req.user.id);
+
+      const { data: payment } = await supabase
+        .from('online_payments')
+        .select('*')
+        .eq('id', req.params.paymentId)
+        .eq('tenant_id', tenantId)
+        .single();
+
+      if (!payment) {
+        return res.status(404).json({ error: 'Payment not found' });
+      }
+
+      const { provider } = configured;
+      const webhook = provider.buildWebhook(`payment.${req.body.outcome || 'succeeded'}`, payment.provider_payment_id);
+      const event = provider.verifyWebhook(Buffer.from(webhook.body), webhook.headers);
+
+      await handleWebhookEvent('fake', event);
+
+      const { data: updatedPayment } = await supabase
+        .from('online_payments')
+        .select('*')
+        .eq('id', payment.id)
+        .single();
+
+      res.json({ payment: updatedPayment });
+    } catch (error) {
+      console.error('Complete fake payment error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+}
+
+// Get all online payments (Admin)
+router.get('/all-payments', authenticateToken, requirePermission('ledger:read'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('online_payments')
+      .select(`
+        *,
+        tenants(name, phone),
+        invoices(invoice_type, period_start, property_id)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: payments, count, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch payments' });
+    }
+
+    res.json({
+      payments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get all payments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
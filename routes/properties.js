@@ -1,29 +1,34 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
 const { supabase } = require('../config/supabase');
 const { authenticateToken, requireOwnerVerification, logActivity } = require('../middleware/auth');
+const { createStorage } = require('../middleware/upload');
+const { STAFF_SCOPES, getPropertyAccess } = require('../services/propertyAccess');
+const { clearPermissionCache } = require('../middleware/permissions');
+const {
+  toDateString,
+  addDays,
+  bedsNeeded,
+  peakBedsTaken,
+  findConflictingBookings,
+  filterAvailableRooms,
+  getRoomCalendar,
+  refreshRoomStatus
+} = require('../services/availability');
+const { notifyWaitlist } = require('../services/waitlist');
 
 const router = express.Router();
 
+// Beds implied by a room type, for rooms added without an explicit capacity
+const defaultCapacity = (roomType) => {
+  if (/triple/i.test(roomType)) return 3;
+  if (/double/i.test(roomType)) return 2;
+  return 1;
+};
+
 // Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadPath = process.env.UPLOAD_PATH || './uploads';
-    try {
-      await fs.mkdir(uploadPath, { recursive: true });
-      cb(null, uploadPath);
-    } catch (error) {
-      cb(error);
-    }
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+const storage = createStorage();
 
 const upload = multer({
   storage,
@@ -75,6 +80,122 @@ router.get('/my-properties', authenticateToken, requireOwnerVerification, async
   }
 });
 
+// Get properties delegated to me as staff
+router.get('/staff-properties', authenticateToken, async (req, res) => {
+  try {
+    const { data: grants, error } = await supabase
+      .from('property_staff')
+      .select(`
+        id, scopes, accepted_at,
+        properties!inner(
+          *,
+          rooms(id, room_number, room_type, rent_amount, status, last_updated)
+        )
+      `)
+      .eq('user_id', req.user.id)
+      .eq('status', 'active')
+      .order('accepted_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch staff properties' });
+    }
+
+    res.json({
+      properties: grants.map(grant => ({
+        ...grant.properties,
+        staff: { id: grant.id, scopes: grant.scopes, accepted_at: grant.accepted_at }
+      }))
+    });
+  } catch (error) {
+    console.error('Get staff properties error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get my pending staff invitations
+router.get('/staff-invites', authenticateToken, async (req, res) => {
+  try {
+    const { data: invites, error } = await supabase
+      .from('property_staff')
+      .select(`
+        id, scopes, created_at,
+        properties!inner(id, name, address, city),
+        inviter:users!property_staff_invited_by_fkey(email)
+      `)
+      .eq('user_id', req.user.id)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch staff invites' });
+    }
+
+    res.json({ invites });
+  } catch (error) {
+    console.error('Get staff invites error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept or decline a staff invitation
+router.put('/staff-invites/:staffId/respond', authenticateToken, [
+  body('accept').isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { staffId } = req.params;
+    const accept = req.body.accept === true || req.body.accept === 'true';
+
+    const { data: grant, error } = await supabase
+      .from('property_staff')
+      .update({
+        status: accept ? 'active' : 'declined',
+        accepted_at: accept ? new Date().toISOString() : null
+      })
+      .eq('id', staffId)
+      .eq('user_id', req.user.id)
+      .eq('status', 'pending')
+      .select('*, properties!inner(name, owners!inner(user_id))')
+      .single();
+
+    if (error || !grant) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    clearPermissionCache();
+
+    // Create notification for owner
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: grant.properties.owners.user_id,
+        title: `Staff Invitation ${accept ? 'Accepted' : 'Declined'}`,
+        message: `${req.user.email} has ${accept ? 'accepted' : 'declined'} your staff invitation for ${grant.properties.name}.`,
+        type: 'system'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'property_staff', staffId, { status: 'pending' }, { status: grant.status }, req);
+
+    res.json({
+      message: `Invitation ${accept ? 'accepted' : 'declined'} successfully`,
+      staff: {
+        id: grant.id,
+        property_id: grant.property_id,
+        scopes: grant.scopes,
+        status: grant.status
+      }
+    });
+  } catch (error) {
+    console.error('Respond to staff invite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Add new property
 router.post('/add-property', authenticateToken, [
   body('name').trim().isLength({ min: 2 }),
@@ -169,7 +290,7 @@ router.post('/add-property', authenticateToken, [
 });
 
 // Update property details
-router.put('/update-property/:propertyId', authenticateToken, requireOwnerVerification, [
+router.put('/update-property/:propertyId', authenticateToken, [
   body('name').optional().trim().isLength({ min: 2 }),
   body('address').optional().trim().isLength({ min: 10 }),
   body('city').optional().trim().isLength({ min: 2 }),
@@ -186,15 +307,15 @@ router.put('/update-property/:propertyId', authenticateToken, requireOwnerVerifi
 
     const { propertyId } = req.params;
 
-    // Verify ownership
+    // Verify ownership or delegated staff access
+    if (!await getPropertyAccess(req, propertyId, 'manage_property')) {
+      return res.status(404).json({ error: 'Property not found or access denied' });
+    }
+
     const { data: property, error: fetchError } = await supabase
       .from('properties')
-      .select(`
-        *,
-        owners!inner(user_id)
-      `)
+      .select('*')
       .eq('id', propertyId)
-      .eq('owners.user_id', req.user.id)
       .single();
 
     if (fetchError || !property) {
@@ -239,12 +360,226 @@ router.put('/update-property/:propertyId', authenticateToken, requireOwnerVerifi
   }
 });
 
+// Get staff for a property (Owner)
+router.get('/property-staff/:propertyId', authenticateToken, requireOwnerVerification, async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+
+    const access = await getPropertyAccess(req, propertyId, 'manage_property');
+    if (!access || !access.isOwner) {
+      return res.status(404).json({ error: 'Property not found or access denied' });
+    }
+
+    const { data: staff, error } = await supabase
+      .from('property_staff')
+      .select('id, scopes, status, created_at, accepted_at, users!property_staff_user_id_fkey(id, email, role)')
+      .eq('property_id', propertyId)
+      .in('status', ['pending', 'active'])
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch property staff' });
+    }
+
+    res.json({ staff });
+  } catch (error) {
+    console.error('Get property staff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Invite a user to help manage a property (Owner)
+router.post('/invite-staff/:propertyId', authenticateToken, requireOwnerVerification, [
+  body('email').isEmail().normalizeEmail(),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(STAFF_SCOPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { propertyId } = req.params;
+    const { email, scopes } = req.body;
+
+    const access = await getPropertyAccess(req, propertyId, 'manage_property');
+    if (!access || !access.isOwner) {
+      return res.status(404).json({ error: 'Property not found or access denied' });
+    }
+
+    const { data: staffUser } = await supabase
+      .from('users')
+      .select('id, email, is_active')
+      .eq('email', email)
+      .single();
+
+    if (!staffUser || !staffUser.is_active) {
+      return res.status(404).json({ error: 'No active user with this email' });
+    }
+
+    if (staffUser.id === req.user.id) {
+      return res.status(400).json({ error: 'You already own this property' });
+    }
+
+    const { data: existingGrant } = await supabase
+      .from('property_staff')
+      .select('id')
+      .eq('property_id', propertyId)
+      .eq('user_id', staffUser.id)
+      .in('status', ['pending', 'active'])
+      .single();
+
+    if (existingGrant) {
+      return res.status(400).json({ error: 'User is already staff or invited for this property' });
+    }
+
+    const { data: staff, error } = await supabase
+      .from('property_staff')
+      .insert({
+        property_id: propertyId,
+        user_id: staffUser.id,
+        scopes: [...new Set(scopes)],
+        status: 'pending',
+        invited_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to invite staff' });
+    }
+
+    // Create notification for invited user
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: staffUser.id,
+        title: 'Property Staff Invitation',
+        message: `You have been invited to help manage a property (${scopes.join(', ')}).`,
+        type: 'system'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'property_staff', staff.id, null, staff, req);
+
+    res.status(201).json({
+      message: 'Staff invitation sent successfully',
+      staff
+    });
+  } catch (error) {
+    console.error('Invite staff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a staff member's rights (Owner)
+router.put('/update-staff/:staffId', authenticateToken, requireOwnerVerification, [
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(STAFF_SCOPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { staffId } = req.params;
+
+    const { data: grant } = await supabase
+      .from('property_staff')
+      .select('*')
+      .eq('id', staffId)
+      .in('status', ['pending', 'active'])
+      .single();
+
+    const access = grant && await getPropertyAccess(req, grant.property_id, 'manage_property');
+    if (!access || !access.isOwner) {
+      return res.status(404).json({ error: 'Staff member not found or access denied' });
+    }
+
+    const { data: updatedGrant, error } = await supabase
+      .from('property_staff')
+      .update({ scopes: [...new Set(req.body.scopes)] })
+      .eq('id', staffId)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update staff rights' });
+    }
+
+    clearPermissionCache();
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'property_staff', staffId, { scopes: grant.scopes }, { scopes: updatedGrant.scopes }, req);
+
+    res.json({
+      message: 'Staff rights updated successfully',
+      staff: updatedGrant
+    });
+  } catch (error) {
+    console.error('Update staff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a staff member from a property (Owner)
+router.delete('/remove-staff/:staffId', authenticateToken, requireOwnerVerification, async (req, res) => {
+  try {
+    const { staffId } = req.params;
+
+    const { data: grant } = await supabase
+      .from('property_staff')
+      .select('*')
+      .eq('id', staffId)
+      .in('status', ['pending', 'active'])
+      .single();
+
+    const access = grant && await getPropertyAccess(req, grant.property_id, 'manage_property');
+    if (!access || !access.isOwner) {
+      return res.status(404).json({ error: 'Staff member not found or access denied' });
+    }
+
+    const { error } = await supabase
+      .from('property_staff')
+      .update({ status: 'revoked', revoked_at: new Date().toISOString() })
+      .eq('id', staffId);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to remove staff member' });
+    }
+
+    clearPermissionCache();
+
+    // Create notification for removed staff member
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: grant.user_id,
+        title: 'Property Access Removed',
+        message: 'Your staff access to a property has been removed by the owner.',
+        type: 'system'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'property_staff', staffId, { status: grant.status }, { status: 'revoked' }, req);
+
+    res.json({ message: 'Staff member removed successfully' });
+  } catch (error) {
+    console.error('Remove staff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Add room to property
-router.post('/add-room/:propertyId', authenticateToken, requireOwnerVerification, [
+router.post('/add-room/:propertyId', authenticateToken, [
   body('roomNumber').trim().isLength({ min: 1 }),
   body('roomType').trim().isLength({ min: 2 }),
   body('rentAmount').isDecimal({ decimal_digits: '0,2' }),
   body('depositAmount').optional().isDecimal({ decimal_digits: '0,2' }),
+  body('capacity').optional().isInt({ min: 1, max: 20 }),
+  body('rentPerBed').optional().isBoolean(),
   body('amenities').optional().isArray(),
   body('latitude').optional().isFloat({ min: -90, max: 90 }),
   body('longitude').optional().isFloat({ min: -180, max: 180 })
@@ -256,7 +591,7 @@ router.post('/add-room/:propertyId', authenticateToken, requireOwnerVerification
       return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
     }
     const { propertyId } = req.params;
-    let { roomNumber, roomType, rentAmount, depositAmount, amenities, latitude, longitude } = req.body;
+    let { roomNumber, roomType, rentAmount, depositAmount, capacity, rentPerBed, amenities, latitude, longitude } = req.body;
 
     // Defensive: ensure correct types
     roomNumber = typeof roomNumber === 'string' ? roomNumber : '';
@@ -269,14 +604,8 @@ router.post('/add-room/:propertyId', authenticateToken, requireOwnerVerification
     if (latitude && typeof latitude === 'string') latitude = parseFloat(latitude);
     if (longitude && typeof longitude === 'string') longitude = parseFloat(longitude);
 
-    // Verify ownership
-    const { data: property, error: fetchError } = await supabase
-      .from('properties')
-      .select(`*, owners!inner(user_id)`) // check ownership
-      .eq('id', propertyId)
-      .eq('owners.user_id', req.user.id)
-      .single();
-    if (fetchError || !property) {
+    // Verify ownership or delegated staff access
+    if (!await getPropertyAccess(req, propertyId, 'manage_rooms')) {
       return res.status(404).json({ error: 'Property not found or access denied' });
     }
     // Check if room number already exists in this property
@@ -296,6 +625,8 @@ router.post('/add-room/:propertyId', authenticateToken, requireOwnerVerification
       room_type: roomType,
       rent_amount: parseFloat(rentAmount),
       deposit_amount: depositAmount ? parseFloat(depositAmount) : 0,
+      capacity: capacity ? parseInt(capacity) : defaultCapacity(roomType),
+      rent_per_bed: rentPerBed === true || rentPerBed === 'true',
       amenities: amenities || [],
       status: 'available',
     };
@@ -321,7 +652,7 @@ router.post('/add-room/:propertyId', authenticateToken, requireOwnerVerification
 });
 
 // Update room availability status
-router.put('/update-room-status/:roomId', authenticateToken, requireOwnerVerification, [
+router.put('/update-room-status/:roomId', authenticateToken, [
   body('status').isIn(['available', 'occupied', 'reserved', 'maintenance'])
 ], async (req, res) => {
   try {
@@ -333,20 +664,14 @@ router.put('/update-room-status/:roomId', authenticateToken, requireOwnerVerific
     const { roomId } = req.params;
     const { status } = req.body;
 
-    // Verify ownership through property
+    // Verify ownership (or delegated staff access) through property
     const { data: room, error: fetchError } = await supabase
       .from('rooms')
-      .select(`
-        *,
-        properties!inner(
-          owners!inner(user_id)
-        )
-      `)
+      .select('*')
       .eq('id', roomId)
-      .eq('properties.owners.user_id', req.user.id)
       .single();
 
-    if (fetchError || !room) {
+    if (fetchError || !room || !await getPropertyAccess(req, room.property_id, 'manage_rooms')) {
       return res.status(404).json({ error: 'Room not found or access denied' });
     }
 
@@ -356,7 +681,8 @@ router.put('/update-room-status/:roomId', authenticateToken, requireOwnerVerific
         .from('bookings')
         .select('id')
         .eq('room_id', roomId)
-        .in('status', ['pending', 'approved'])
+        .in('status', ['pending', 'approved', 'active'])
+        .limit(1)
         .single();
 
       if (activeBooking) {
@@ -392,8 +718,89 @@ router.put('/update-room-status/:roomId', authenticateToken, requireOwnerVerific
   }
 });
 
+// Update a room's beds and whether it is let per bed
+router.put('/update-room-beds/:roomId', authenticateToken, [
+  body('capacity').optional().isInt({ min: 1, max: 20 }),
+  body('rentPerBed').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { roomId } = req.params;
+
+    // Verify ownership (or delegated staff access) through property
+    const { data: room, error: fetchError } = await supabase
+      .from('rooms')
+      .select('*')
+      .eq('id', roomId)
+      .single();
+
+    if (fetchError || !room || !await getPropertyAccess(req, room.property_id, 'manage_rooms')) {
+      return res.status(404).json({ error: 'Room not found or access denied' });
+    }
+
+    const capacity = req.body.capacity !== undefined ? parseInt(req.body.capacity) : room.capacity;
+    const rentPerBed = req.body.rentPerBed !== undefined
+      ? req.body.rentPerBed === true || req.body.rentPerBed === 'true'
+      : room.rent_per_bed;
+
+    // Bookings from today on were priced and sized under the current setup
+    const today = toDateString(new Date());
+    const bookings = await findConflictingBookings(roomId, today, null);
+    if (bookings.length > 0) {
+      if (rentPerBed !== room.rent_per_bed || (!room.rent_per_bed && capacity !== room.capacity)) {
+        return res.status(409).json({ error: 'Only the beds of a room let per bed can change while it has bookings' });
+      }
+
+      const bedsBooked = peakBedsTaken(bookings, { start: today, end: null });
+      if (capacity < bedsBooked) {
+        return res.status(409).json({ error: `Room has bookings for ${bedsBooked} bed(s)` });
+      }
+    }
+
+    const { data: updatedRoom, error } = await supabase
+      .from('rooms')
+      .update({
+        capacity,
+        rent_per_bed: rentPerBed,
+        last_updated: new Date().toISOString()
+      })
+      .eq('id', roomId)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update room beds' });
+    }
+
+    // Occupancy depends on the number of beds
+    await refreshRoomStatus(roomId);
+
+    // Extra beds may free up the room for tenants waiting on it
+    if (capacity > room.capacity) {
+      await notifyWaitlist(roomId);
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'rooms', roomId,
+      { capacity: room.capacity, rent_per_bed: room.rent_per_bed },
+      { capacity, rent_per_bed: rentPerBed }, req);
+
+    res.json({
+      message: 'Room beds updated successfully',
+      room: updatedRoom
+    });
+  } catch (error) {
+    console.error('Update room beds error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Upload property images
-router.post('/upload-images/:propertyId', authenticateToken, requireOwnerVerification, upload.array('images', 10), async (req, res) => {
+router.post('/upload-images/:propertyId', authenticateToken, upload.array('images', 10), async (req, res) => {
   try {
     const { propertyId } = req.params;
 
@@ -401,15 +808,15 @@ router.post('/upload-images/:propertyId', authenticateToken, requireOwnerVerific
       return res.status(400).json({ error: 'No images uploaded' });
     }
 
-    // Verify ownership
+    // Verify ownership or delegated staff access
+    if (!await getPropertyAccess(req, propertyId, 'manage_property')) {
+      return res.status(404).json({ error: 'Property not found or access denied' });
+    }
+
     const { data: property, error: fetchError } = await supabase
       .from('properties')
-      .select(`
-        *,
-        owners!inner(user_id)
-      `)
+      .select('*')
       .eq('id', propertyId)
-      .eq('owners.user_id', req.user.id)
       .single();
 
     if (fetchError || !property) {
@@ -460,7 +867,22 @@ router.post('/upload-images/:propertyId', authenticateToken, requireOwnerVerific
 // Get all available rooms for tenants to search
 router.get('/available-rooms', async (req, res) => {
   try {
-    const { location, maxRent, minRent, roomType, latitude, longitude, radius, sortBy, sortOrder } = req.query;
+    const { location, maxRent, minRent, roomType, latitude, longitude, radius, sortBy, sortOrder, moveInDate, moveOutDate } = req.query;
+    const beds = req.query.beds ? Number(req.query.beds) : 1;
+
+    if (!Number.isInteger(beds) || beds < 1) {
+      return res.status(400).json({ error: 'beds must be a whole number of at least 1' });
+    }
+
+    // With a move-in date, availability comes from booking date ranges rather
+    // than the room's current status
+    if (moveInDate && isNaN(new Date(moveInDate).getTime())) {
+      return res.status(400).json({ error: 'moveInDate must be a valid date' });
+    }
+    if (moveOutDate && (!moveInDate || isNaN(new Date(moveOutDate).getTime()) || new Date(moveOutDate) <= new Date(moveInDate))) {
+      return res.status(400).json({ error: 'moveOutDate must be a valid date after moveInDate' });
+    }
+
     // Build base query
     let query = supabase
       .from('rooms')
@@ -470,8 +892,14 @@ router.get('/available-rooms', async (req, res) => {
           id, name, address, city, state, pincode, amenities, images,
           owners!inner(name, phone, business_name)
         )
-      `)
-      .eq('status', 'available');
+      `);
+
+    query = moveInDate ? query.neq('status', 'maintenance') : query.eq('status', 'available');
+
+    // Without dates, free beds come from the room's current occupancy
+    const withFreeBeds = (rooms) => rooms
+      .map(room => ({ ...room, free_beds: Math.max(room.capacity - room.beds_taken, 0) }))
+      .filter(room => room.free_beds >= bedsNeeded(room, beds));
 
     // Filters
     if (location) {
@@ -508,12 +936,16 @@ router.get('/available-rooms', async (req, res) => {
       const radKm = radius ? parseFloat(radius) : 10;
 
       // Fetch candidate rooms (apply rent/roomType/location filters first)
-      const { data: candidates, error: fetchErr } = await query;
+      let { data: candidates, error: fetchErr } = await query;
       if (fetchErr) {
         console.error('Error fetching candidate rooms:', fetchErr);
         return res.status(500).json({ error: 'Failed to fetch available rooms' });
       }
 
+      candidates = moveInDate
+        ? await filterAvailableRooms(candidates || [], moveInDate, moveOutDate || null, { beds })
+        : withFreeBeds(candidates || []);
+
       // Haversine distance function
       const toRad = (v) => (v * Math.PI) / 180;
       const distanceKm = (lat1, lon1, lat2, lon2) => {
@@ -557,15 +989,77 @@ router.get('/available-rooms', async (req, res) => {
       return res.status(500).json({ error: 'Failed to fetch available rooms' });
     }
 
-    res.json({ rooms });
+    if (moveInDate) {
+      return res.json({ rooms: await filterAvailableRooms(rooms, moveInDate, moveOutDate || null, { beds }) });
+    }
+
+    res.json({ rooms: withFreeBeds(rooms) });
   } catch (error) {
     console.error('Get available rooms error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Get a room's availability calendar (booked and free date ranges)
+router.get('/rooms/:roomId/availability', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const fromDate = req.query.from ? new Date(req.query.from) : new Date();
+    const toDate = req.query.to ? new Date(req.query.to) : null;
+
+    if (isNaN(fromDate.getTime()) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const from = toDateString(fromDate);
+    const to = toDate ? toDateString(toDate) : addDays(from, 90);
+
+    if (to <= from) {
+      return res.status(400).json({ error: 'to must be after from' });
+    }
+
+    if (new Date(to) - new Date(from) > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: 'Date range cannot exceed one year' });
+    }
+
+    const { data: room, error } = await supabase
+      .from('rooms')
+      .select('id, room_number, room_type, status, capacity, rent_per_bed')
+      .eq('id', roomId)
+      .single();
+
+    if (error || !room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    // A room under maintenance is unavailable regardless of bookings
+    if (room.status === 'maintenance') {
+      return res.json({
+        room,
+        from,
+        to,
+        booked: [],
+        available: [],
+        nextAvailableDate: null
+      });
+    }
+
+    const calendar = await getRoomCalendar(roomId, from, to, { capacity: room.capacity });
+
+    res.json({
+      room,
+      from,
+      to,
+      ...calendar
+    });
+  } catch (error) {
+    console.error('Get room availability error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update room coordinates
-router.put('/update-room-coordinates/:roomId', authenticateToken, requireOwnerVerification, [
+router.put('/update-room-coordinates/:roomId', authenticateToken, [
   body('latitude').isFloat({ min: -90, max: 90 }),
   body('longitude').isFloat({ min: -180, max: 180 })
 ], async (req, res) => {
@@ -578,20 +1072,14 @@ router.put('/update-room-coordinates/:roomId', authenticateToken, requireOwnerVe
     const { roomId } = req.params;
     const { latitude, longitude } = req.body;
 
-    // Verify ownership through property
+    // Verify ownership (or delegated staff access) through property
     const { data: room, error: fetchError } = await supabase
       .from('rooms')
-      .select(`
-        *,
-        properties!inner(
-          owners!inner(user_id)
-        )
-      `)
+      .select('*')
       .eq('id', roomId)
-      .eq('properties.owners.user_id', req.user.id)
       .single();
 
-    if (fetchError || !room) {
+    if (fetchError || !room || !await getPropertyAccess(req, room.property_id, 'manage_rooms')) {
       return res.status(404).json({ error: 'Room not found or access denied' });
     }
 
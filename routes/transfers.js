@@ -0,0 +1,389 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { authenticateToken, authorizeRole, logActivity } = require('../middleware/auth');
+const { getPropertyAccess, getAccessiblePropertyIds } = require('../services/propertyAccess');
+const { toDateString, bedsNeeded, countFreeBeds, findConflictingBookings } = require('../services/availability');
+const { transferRoom, getTenancyHistory } = require('../services/transfers');
+const { generateLease } = require('../services/leases');
+const { notifyWaitlist } = require('../services/waitlist');
+
+const router = express.Router();
+
+const TRANSFER_SELECT = `
+  *,
+  tenants!inner(name, phone, user_id),
+  from_room:rooms!from_room_id(room_number, room_type),
+  to_room:rooms!to_room_id(room_number, room_type, rent_amount, deposit_amount, capacity, rent_per_bed),
+  from_property:properties!from_property_id(name),
+  to_property:properties!to_property_id(name)
+`;
+
+// Request a move to another room of the same owner (Tenant)
+router.post('/booking/:bookingId/request', authenticateToken, authorizeRole(['tenant']), [
+  body('toRoomId').isUUID(),
+  body('preferredDate').optional().isISO8601(),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookingId } = req.params;
+    const { toRoomId, preferredDate, reason } = req.body;
+
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select(`
+        *,
+        tenants!inner(name, user_id),
+        rooms!inner(room_number),
+        properties!inner(owner_id, owners!inner(user_id))
+      `)
+      .eq('id', bookingId)
+      .single();
+
+    if (fetchError || !booking || booking.tenants.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Booking not found or access denied' });
+    }
+
+    if (booking.status !== 'active') {
+      return res.status(400).json({ error: 'Only checked-in tenants can request a room transfer' });
+    }
+
+    if (toRoomId === booking.room_id) {
+      return res.status(400).json({ error: 'You already live in this room' });
+    }
+
+    const { data: room, error: roomError } = await supabase
+      .from('rooms')
+      .select('id, room_number, status, property_id, capacity, rent_per_bed, properties!inner(owner_id)')
+      .eq('id', toRoomId)
+      .single();
+
+    // Transfers stay within one owner's properties
+    if (roomError || !room || room.properties.owner_id !== booking.properties.owner_id) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (room.status === 'maintenance') {
+      return res.status(400).json({ error: 'Room not available for transfer' });
+    }
+
+    // The tenant would move in today (or on their preferred date) for the rest of their stay
+    const moveIn = toDateString(preferredDate || new Date());
+    const conflicts = (await findConflictingBookings(toRoomId, moveIn, booking.move_out_date))
+      .filter(conflict => conflict.status !== 'pending');
+
+    // The tenant keeps their beds in a per-bed room and takes a whole room otherwise
+    const freeBeds = countFreeBeds(room, conflicts, moveIn, booking.move_out_date);
+    if (freeBeds < bedsNeeded(room, booking.beds)) {
+      return res.status(409).json({
+        error: 'Room is already booked for these dates',
+        freeBeds,
+        conflicts: conflicts.map(conflict => ({
+          moveInDate: conflict.move_in_date,
+          moveOutDate: conflict.move_out_date,
+          beds: conflict.beds
+        }))
+      });
+    }
+
+    // A tenant who is moving out cannot transfer as well
+    const { data: moveOut } = await supabase
+      .from('move_outs')
+      .select('id')
+      .eq('booking_id', bookingId)
+      .in('status', ['requested', 'approved', 'inspected'])
+      .maybeSingle();
+
+    if (moveOut) {
+      return res.status(409).json({ error: 'A move-out is already in progress for this booking' });
+    }
+
+    const { data: transfer, error } = await supabase
+      .from('room_transfers')
+      .insert({
+        booking_id: bookingId,
+        tenant_id: booking.tenant_id,
+        from_room_id: booking.room_id,
+        to_room_id: toRoomId,
+        from_property_id: booking.property_id,
+        to_property_id: room.property_id,
+        preferred_date: preferredDate ? moveIn : null,
+        reason
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A transfer request is already pending for this booking' });
+      }
+      return res.status(500).json({ error: 'Failed to create transfer request' });
+    }
+
+    // Create notification for owner
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: booking.properties.owners.user_id,
+        title: 'Room Transfer Requested',
+        message: `${booking.tenants.name} has asked to move from room ${booking.rooms.room_number} to room ${room.room_number}.`,
+        type: 'booking'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'room_transfers', transfer.id, null, transfer, req);
+
+    res.status(201).json({
+      message: 'Transfer requested successfully',
+      transfer
+    });
+  } catch (error) {
+    console.error('Request room transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get tenant's transfer requests
+router.get('/my-transfers', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    // Get tenant ID
+    const { data: tenant } = await supabase
+      .from('tenants')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: transfers, error } = await supabase
+      .from('room_transfers')
+      .select(TRANSFER_SELECT)
+      .eq('tenant_id', tenant.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch transfers' });
+    }
+
+    res.json({ transfers });
+  } catch (error) {
+    console.error('Get tenant transfers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get transfer requests into owner's properties
+router.get('/owner-transfers', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    // Properties the user owns, or approves bookings for as staff
+    const propertyIds = await getAccessiblePropertyIds(req.user, 'approve_bookings');
+
+    let query = supabase
+      .from('room_transfers')
+      .select(TRANSFER_SELECT)
+      .in('to_property_id', propertyIds)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: transfers, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch transfers' });
+    }
+
+    res.json({ transfers });
+  } catch (error) {
+    console.error('Get owner transfers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Withdraw a pending transfer request (Tenant)
+router.put('/transfer/:transferId/cancel', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const { transferId } = req.params;
+
+    // Get tenant ID
+    const { data: tenant } = await supabase
+      .from('tenants')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: transfer, error } = await supabase
+      .from('room_transfers')
+      .update({
+        status: 'cancelled',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', transferId)
+      .eq('tenant_id', tenant.id)
+      .eq('status', 'requested')
+      .select()
+      .single();
+
+    if (error || !transfer) {
+      return res.status(404).json({ error: 'Pending transfer not found or access denied' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'cancel', 'room_transfers', transferId, { status: 'requested' }, { status: 'cancelled' }, req);
+
+    res.json({
+      message: 'Transfer request cancelled successfully',
+      transfer
+    });
+  } catch (error) {
+    console.error('Cancel room transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve (and carry out) or reject a transfer request (Owner)
+router.put('/transfer/:transferId/review', authenticateToken, [
+  body('status').isIn(['approved', 'rejected']),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { transferId } = req.params;
+    const { status, notes } = req.body;
+
+    const { data: transfer, error: fetchError } = await supabase
+      .from('room_transfers')
+      .select(TRANSFER_SELECT)
+      .eq('id', transferId)
+      .single();
+
+    // The reviewer needs access to both the tenant's current property and the new one
+    if (fetchError || !transfer ||
+        !await getPropertyAccess(req, transfer.from_property_id, 'approve_bookings') ||
+        !await getPropertyAccess(req, transfer.to_property_id, 'approve_bookings')) {
+      return res.status(404).json({ error: 'Transfer not found or access denied' });
+    }
+
+    let updatedTransfer;
+    if (status === 'approved') {
+      const result = await transferRoom(transferId, { reviewedBy: req.user.id, notes });
+      if (result.error) {
+        return res.status(result.error.status).json({ error: result.error.message });
+      }
+      updatedTransfer = result.transfer;
+    } else {
+      const { data: rejected, error } = await supabase
+        .from('room_transfers')
+        .update({
+          status: 'rejected',
+          owner_notes: notes,
+          reviewed_by: req.user.id,
+          reviewed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', transferId)
+        .eq('status', 'requested')
+        .select()
+        .single();
+
+      if (error || !rejected) {
+        return res.status(409).json({ error: 'Transfer has already been reviewed' });
+      }
+      updatedTransfer = rejected;
+    }
+
+    let lease = null;
+    if (status === 'approved') {
+      // The new room gets its own lease; the old room may go to the waitlist
+      try {
+        const result = await generateLease(updatedTransfer.new_booking_id);
+        lease = result.lease;
+      } catch (leaseError) {
+        console.error('Generate lease on transfer error:', leaseError);
+      }
+
+      if (updatedTransfer.from_room_id) {
+        await notifyWaitlist(updatedTransfer.from_room_id);
+      }
+    }
+
+    // Create notification for tenant
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: transfer.tenants.user_id,
+        title: `Room Transfer ${status === 'approved' ? 'Approved' : 'Rejected'}`,
+        message: status === 'approved'
+          ? `You have been moved from room ${transfer.from_room ? transfer.from_room.room_number : ''} to room ${transfer.to_room.room_number}.` +
+            (lease ? ' Please review and accept your new lease agreement.' : '')
+          : `Your request to move to room ${transfer.to_room.room_number} has been rejected.${notes ? ` ${notes}` : ''}`,
+        type: 'booking'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'room_transfers', transferId, { status: transfer.status }, {
+      status,
+      new_booking_id: updatedTransfer.new_booking_id
+    }, req);
+
+    res.json({
+      message: `Transfer ${status} successfully`,
+      transfer: updatedTransfer,
+      lease
+    });
+  } catch (error) {
+    console.error('Review room transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a tenancy's bookings across room transfers
+router.get('/tenancy/:bookingId', authenticateToken, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select('id, property_id, tenants!inner(user_id)')
+      .eq('id', bookingId)
+      .single();
+
+    if (error || !booking) {
+      return res.status(404).json({ error: 'Booking not found or access denied' });
+    }
+
+    if (booking.tenants.user_id !== req.user.id && !await getPropertyAccess(req, booking.property_id, 'approve_bookings')) {
+      return res.status(404).json({ error: 'Booking not found or access denied' });
+    }
+
+    const history = await getTenancyHistory(bookingId);
+
+    res.json({
+      tenancyStart: history.length > 0 ? history[0].move_in_date : null,
+      bookings: history
+    });
+  } catch (error) {
+    console.error('Get tenancy history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { authenticateToken, authorizeRole, logActivity } = require('../middleware/auth');
+const { getAccessiblePropertyIds } = require('../services/propertyAccess');
+const { toDateString } = require('../services/availability');
+const { OPEN_STATUSES, sameRoomType, withPositions, expireWaitlistNotifications } = require('../services/waitlist');
+
+const router = express.Router();
+
+// Join a property's waitlist, optionally for one room type (Tenant)
+router.post('/property/:propertyId/join', authenticateToken, authorizeRole(['tenant']), [
+  body('roomType').optional().trim().isLength({ min: 1, max: 100 }),
+  body('desiredMoveInDate').optional().isISO8601(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { propertyId } = req.params;
+    const { roomType, desiredMoveInDate, notes } = req.body;
+
+    // Get tenant ID
+    const { data: tenant } = await supabase
+      .from('tenants')
+      .select('id, name')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: property, error: propertyError } = await supabase
+      .from('properties')
+      .select('id, name, owners!inner(user_id), rooms(room_type)')
+      .eq('id', propertyId)
+      .single();
+
+    if (propertyError || !property) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    // Store the room type as the property spells it
+    let matchedRoomType = null;
+    if (roomType) {
+      const room = (property.rooms || []).find(candidate => sameRoomType(candidate.room_type, roomType));
+      if (!room) {
+        return res.status(400).json({ error: 'Property has no rooms of this type' });
+      }
+      matchedRoomType = room.room_type;
+    }
+
+    // A notification the tenant let lapse no longer blocks rejoining
+    await expireWaitlistNotifications(propertyId);
+
+    const { data: entry, error } = await supabase
+      .from('waitlist_entries')
+      .insert({
+        tenant_id: tenant.id,
+        property_id: propertyId,
+        room_type: matchedRoomType,
+        desired_move_in_date: toDateString(desiredMoveInDate),
+        notes
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'You are already on this waitlist' });
+      }
+      return res.status(500).json({ error: 'Failed to join waitlist' });
+    }
+
+    // Create notification for property's owner
+    await supabase
+      .from('notifications')
+      .insert({
+        user_id: property.owners.user_id,
+        title: 'New Waitlist Entry',
+        message: `${tenant.name} joined the waitlist for ${matchedRoomType ? `${matchedRoomType} rooms at ` : ''}${property.name}.`,
+        type: 'booking'
+      });
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'waitlist_entries', entry.id, null, entry, req);
+
+    res.status(201).json({
+      message: 'Joined waitlist successfully',
+      entry
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get tenant's waitlist entries with their place in each queue
+router.get('/my-waitlist', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    // Get tenant ID
+    const { data: tenant } = await supabase
+      .from('tenants')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: entries, error } = await supabase
+      .from('waitlist_entries')
+      .select(`
+        *,
+        properties(name, address, city),
+        rooms(room_number)
+      `)
+      .eq('tenant_id', tenant.id)
+      .in('status', OPEN_STATUSES)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch waitlist' });
+    }
+
+    // Positions depend on everyone else waiting for the same properties
+    const { data: queue } = await supabase
+      .from('waitlist_entries')
+      .select('id, property_id, status, created_at')
+      .in('property_id', [...new Set(entries.map(entry => entry.property_id))])
+      .eq('status', 'waiting');
+
+    const positions = new Map(withPositions(queue || []).map(entry => [entry.id, entry.position]));
+
+    res.json({
+      entries: entries.map(entry => ({ ...entry, position: positions.get(entry.id) || null }))
+    });
+  } catch (error) {
+    console.error('Get tenant waitlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Leave a waitlist (Tenant)
+router.delete('/entry/:entryId', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const { entryId } = req.params;
+
+    // Get tenant ID
+    const { data: tenant } = await supabase
+      .from('tenants')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant profile not found' });
+    }
+
+    const { data: entry, error } = await supabase
+      .from('waitlist_entries')
+      .update({ status: 'left' })
+      .eq('id', entryId)
+      .eq('tenant_id', tenant.id)
+      .in('status', OPEN_STATUSES)
+      .select()
+      .single();
+
+    if (error || !entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found or access denied' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'waitlist_entries', entryId, null, { status: 'left' }, req);
+
+    res.json({ message: 'Left waitlist successfully' });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the waitlist for owner's properties, in queue order
+router.get('/owner-waitlist', authenticateToken, async (req, res) => {
+  try {
+    const { propertyId, roomType } = req.query;
+
+    // Properties the user owns, or approves bookings for as staff
+    let propertyIds = await getAccessiblePropertyIds(req.user, 'approve_bookings');
+    if (propertyId) {
+      propertyIds = propertyIds.filter(id => id === propertyId);
+    }
+
+    const { data: entries, error } = await supabase
+      .from('waitlist_entries')
+      .select(`
+        *,
+        tenants(name, phone),
+        properties(name),
+        rooms(room_number)
+      `)
+      .in('property_id', propertyIds)
+      .in('status', OPEN_STATUSES)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch waitlist' });
+    }
+
+    // Entries for any room type stay in the list when filtering by type
+    const waitlist = withPositions(entries).filter(entry => (
+      !roomType || !entry.room_type || sameRoomType(entry.room_type, roomType)
+    ));
+
+    res.json({ waitlist });
+  } catch (error) {
+    console.error('Get owner waitlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
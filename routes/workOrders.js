@@ -0,0 +1,637 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { authenticateToken, requireOwnerVerification, logActivity } = require('../middleware/auth');
+const { getPropertyAccess, getAccessiblePropertyIds } = require('../services/propertyAccess');
+const { toDateString, addDays } = require('../services/availability');
+const { recordFirstResponse } = require('../services/complaintSla');
+const { transitionComplaint } = require('../services/complaintStates');
+const {
+  OPEN_WORK_ORDER_STATUSES,
+  canTransition,
+  getOwnerVendor,
+  summarizeMaintenanceExpenses
+} = require('../services/workOrders');
+
+const router = express.Router();
+
+const WORK_ORDER_SELECT = `
+  *,
+  vendors(name, trade, phone),
+  complaints(title, status, tenants(user_id)),
+  properties(name),
+  rooms(room_number)
+`;
+
+const vendorValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 2, max: 255 }),
+    field('trade').trim().toLowerCase().isLength({ min: 2, max: 100 }),
+    body('phone').optional().isMobilePhone(),
+    body('email').optional().isEmail().normalizeEmail(),
+    body('notes').optional().trim()
+  ];
+};
+
+const scheduleValidators = [
+  body('vendorId').optional({ nullable: true }).isUUID(),
+  body('scheduledStart').optional({ nullable: true }).isISO8601(),
+  body('scheduledEnd').optional({ nullable: true }).isISO8601(),
+  body('estimatedCost').optional({ nullable: true }).isFloat({ min: 0 })
+];
+
+const getOwnerId = async (userId) => {
+  const { data: owner } = await supabase
+    .from('owners')
+    .select('id')
+    .eq('user_id', userId)
+    .single();
+
+  return owner ? owner.id : null;
+};
+
+// A visit needs a start before it can have an end, and must end after it starts
+const checkSchedule = (start, end) => {
+  if (end && !start) {
+    return 'Set a scheduled start along with the scheduled end';
+  }
+  if (start && end && new Date(end) <= new Date(start)) {
+    return 'Scheduled end must be after the scheduled start';
+  }
+  return null;
+};
+
+// Fetch a work order the requesting user dispatches work for, or null
+const getAccessibleWorkOrder = async (req, workOrderId) => {
+  const { data: workOrder, error } = await supabase
+    .from('work_orders')
+    .select(WORK_ORDER_SELECT)
+    .eq('id', workOrderId)
+    .single();
+
+  if (error || !workOrder || !await getPropertyAccess(req, workOrder.property_id, 'respond_complaints')) {
+    return null;
+  }
+
+  return workOrder;
+};
+
+// The user id of the tenant whose complaint a work order came from, if any
+const complaintTenantUserId = (workOrder) => workOrder.complaints?.tenants?.user_id || null;
+
+// Tell a tenant about the maintenance work on their complaint
+const notifyTenant = async (userId, title, message) => {
+  if (!userId) {
+    return;
+  }
+
+  await supabase
+    .from('notifications')
+    .insert({
+      user_id: userId,
+      title,
+      message,
+      type: 'complaint'
+    });
+};
+
+// Get the vendors of the owner, or of a property's owner for staff
+router.get('/vendors', authenticateToken, async (req, res) => {
+  try {
+    const { propertyId, trade, includeInactive } = req.query;
+
+    let ownerId;
+    let isOwner = true;
+    if (propertyId) {
+      const access = await getPropertyAccess(req, propertyId, 'respond_complaints');
+      if (!access) {
+        return res.status(404).json({ error: 'Property not found or access denied' });
+      }
+      ownerId = access.ownerId;
+      isOwner = access.isOwner;
+    } else {
+      ownerId = req.user.role === 'owner' ? await getOwnerId(req.user.id) : null;
+      if (!ownerId) {
+        return res.status(404).json({ error: 'Owner profile not found' });
+      }
+    }
+
+    let query = supabase
+      .from('vendors')
+      .select('*')
+      .eq('owner_id', ownerId)
+      .order('name', { ascending: true });
+
+    // Staff only pick from vendors the owner still works with
+    if (!isOwner || includeInactive !== 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    if (trade) {
+      query = query.eq('trade', trade.trim().toLowerCase());
+    }
+
+    const { data: vendors, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch vendors' });
+    }
+
+    res.json({ vendors });
+  } catch (error) {
+    console.error('Get vendors error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Register a vendor (Owner)
+router.post('/vendors', authenticateToken, requireOwnerVerification, vendorValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, trade, phone, email, notes } = req.body;
+
+    const ownerId = await getOwnerId(req.user.id);
+
+    if (!ownerId) {
+      return res.status(404).json({ error: 'Owner profile not found' });
+    }
+
+    const { data: vendor, error } = await supabase
+      .from('vendors')
+      .insert({
+        owner_id: ownerId,
+        name,
+        trade,
+        phone,
+        email,
+        notes
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to register vendor' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'vendors', vendor.id, null, vendor, req);
+
+    res.status(201).json({
+      message: 'Vendor registered successfully',
+      vendor
+    });
+  } catch (error) {
+    console.error('Register vendor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update or deactivate a vendor (Owner)
+router.put('/vendor/:vendorId', authenticateToken, requireOwnerVerification, [
+  ...vendorValidators(true),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { vendorId } = req.params;
+    const { name, trade, phone, email, notes, isActive } = req.body;
+
+    const ownerId = await getOwnerId(req.user.id);
+
+    const { data: vendor, error: fetchError } = await supabase
+      .from('vendors')
+      .select('*')
+      .eq('id', vendorId)
+      .eq('owner_id', ownerId)
+      .single();
+
+    if (fetchError || !vendor) {
+      return res.status(404).json({ error: 'Vendor not found or access denied' });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updateData.name = name;
+    if (trade !== undefined) updateData.trade = trade;
+    if (phone !== undefined) updateData.phone = phone;
+    if (email !== undefined) updateData.email = email;
+    if (notes !== undefined) updateData.notes = notes;
+    if (isActive !== undefined) updateData.is_active = isActive === true || isActive === 'true';
+
+    const { data: updatedVendor, error } = await supabase
+      .from('vendors')
+      .update(updateData)
+      .eq('id', vendorId)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update vendor' });
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'vendors', vendorId, vendor, updatedVendor, req);
+
+    res.json({
+      message: 'Vendor updated successfully',
+      vendor: updatedVendor
+    });
+  } catch (error) {
+    console.error('Update vendor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Dispatch a work order for a complaint (Owner)
+router.post('/complaint/:complaintId', authenticateToken, [
+  body('title').trim().isLength({ min: 3, max: 255 }),
+  body('description').optional().trim(),
+  ...scheduleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { complaintId } = req.params;
+    const { title, description, vendorId, scheduledStart, scheduledEnd, estimatedCost } = req.body;
+
+    const { data: complaint, error: fetchError } = await supabase
+      .from('complaints')
+      .select('id, title, status, property_id, room_id, tenants!inner(user_id)')
+      .eq('id', complaintId)
+      .single();
+
+    const access = !fetchError && complaint ? await getPropertyAccess(req, complaint.property_id, 'respond_complaints') : null;
+    if (!access) {
+      return res.status(404).json({ error: 'Complaint not found or access denied' });
+    }
+
+    if (complaint.status === 'resolved' || complaint.status === 'closed') {
+      return res.status(409).json({ error: `Complaint is already ${complaint.status}` });
+    }
+
+    const scheduleError = checkSchedule(scheduledStart, scheduledEnd);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    // Work goes to vendors the property's owner has registered
+    let vendor = null;
+    if (vendorId) {
+      vendor = await getOwnerVendor(access.ownerId, vendorId);
+      if (!vendor) {
+        return res.status(400).json({ error: 'Vendor not found' });
+      }
+    }
+
+    const { data: workOrder, error } = await supabase
+      .from('work_orders')
+      .insert({
+        complaint_id: complaint.id,
+        property_id: complaint.property_id,
+        room_id: complaint.room_id,
+        vendor_id: vendor ? vendor.id : null,
+        title,
+        description,
+        status: vendor && scheduledStart ? 'scheduled' : 'open',
+        scheduled_start: scheduledStart || null,
+        scheduled_end: scheduledEnd || null,
+        estimated_cost: estimatedCost ?? null,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to create work order' });
+    }
+
+    // Dispatching work answers the complaint and puts it in progress
+    await recordFirstResponse(complaint.id);
+    if (complaint.status === 'pending') {
+      await transitionComplaint(complaint.id, 'in_progress', {
+        changedBy: req.user.id,
+        actorRole: access.isOwner ? 'owner' : 'staff',
+        note: `Work order created: ${title}`
+      });
+    }
+
+    await notifyTenant(complaint.tenants.user_id, 'Maintenance Arranged',
+      `Work has been arranged for your complaint "${complaint.title}"` +
+      (vendor ? ` with a ${vendor.trade}` : '') +
+      (scheduledStart ? `, scheduled for ${new Date(scheduledStart).toUTCString()}` : '') + '.');
+
+    // Log activity
+    await logActivity(req.user.id, 'create', 'work_orders', workOrder.id, null, workOrder, req);
+
+    res.status(201).json({
+      message: 'Work order created successfully',
+      workOrder
+    });
+  } catch (error) {
+    console.error('Create work order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get work orders for owner's properties
+router.get('/owner-work-orders', authenticateToken, async (req, res) => {
+  try {
+    const { status, propertyId, vendorId, complaintId } = req.query;
+
+    // Properties the user owns, or responds to complaints for as staff
+    let propertyIds = await getAccessiblePropertyIds(req.user, 'respond_complaints');
+    if (propertyId) {
+      propertyIds = propertyIds.filter(id => id === propertyId);
+    }
+
+    let query = supabase
+      .from('work_orders')
+      .select(WORK_ORDER_SELECT)
+      .in('property_id', propertyIds)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (vendorId) {
+      query = query.eq('vendor_id', vendorId);
+    }
+
+    if (complaintId) {
+      query = query.eq('complaint_id', complaintId);
+    }
+
+    const { data: workOrders, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch work orders' });
+    }
+
+    res.json({ workOrders });
+  } catch (error) {
+    console.error('Get owner work orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Assign, schedule or start a work order (Owner)
+router.put('/work-order/:workOrderId', authenticateToken, [
+  body('title').optional().trim().isLength({ min: 3, max: 255 }),
+  body('description').optional().trim(),
+  body('status').optional().isIn(['scheduled', 'in_progress']),
+  ...scheduleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workOrderId } = req.params;
+    const { title, description, status, vendorId, scheduledStart, scheduledEnd, estimatedCost } = req.body;
+
+    const workOrder = await getAccessibleWorkOrder(req, workOrderId);
+    if (!workOrder) {
+      return res.status(404).json({ error: 'Work order not found or access denied' });
+    }
+
+    if (!OPEN_WORK_ORDER_STATUSES.includes(workOrder.status)) {
+      return res.status(409).json({ error: `Work order is already ${workOrder.status}` });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (title !== undefined) updateData.title = title;
+    if (description !== undefined) updateData.description = description;
+    if (scheduledStart !== undefined) updateData.scheduled_start = scheduledStart || null;
+    if (scheduledEnd !== undefined) updateData.scheduled_end = scheduledEnd || null;
+    if (estimatedCost !== undefined) updateData.estimated_cost = estimatedCost ?? null;
+
+    if (vendorId !== undefined) {
+      if (vendorId && !await getOwnerVendor(req.propertyAccess.ownerId, vendorId)) {
+        return res.status(400).json({ error: 'Vendor not found' });
+      }
+      updateData.vendor_id = vendorId || null;
+    }
+
+    const start = updateData.scheduled_start !== undefined ? updateData.scheduled_start : workOrder.scheduled_start;
+    const end = updateData.scheduled_end !== undefined ? updateData.scheduled_end : workOrder.scheduled_end;
+    const scheduleError = checkSchedule(start, end);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    // An open order with a vendor and a visit time is scheduled
+    const assigned = updateData.vendor_id !== undefined ? updateData.vendor_id : workOrder.vendor_id;
+    const nextStatus = status || (workOrder.status === 'open' && assigned && start ? 'scheduled' : workOrder.status);
+    if (nextStatus !== workOrder.status) {
+      if (!canTransition(workOrder.status, nextStatus)) {
+        return res.status(409).json({ error: `Cannot change work order from ${workOrder.status} to ${nextStatus}` });
+      }
+      updateData.status = nextStatus;
+    }
+
+    const { data: updatedWorkOrder, error } = await supabase
+      .from('work_orders')
+      .update(updateData)
+      .eq('id', workOrderId)
+      .in('status', OPEN_WORK_ORDER_STATUSES)
+      .select()
+      .single();
+
+    if (error || !updatedWorkOrder) {
+      return res.status(409).json({ error: 'Work order has already been closed' });
+    }
+
+    const rescheduled = start && (!workOrder.scheduled_start || new Date(start).getTime() !== new Date(workOrder.scheduled_start).getTime());
+    if (rescheduled) {
+      await notifyTenant(complaintTenantUserId(workOrder), 'Maintenance Scheduled',
+        `A maintenance visit for "${updatedWorkOrder.title}" is scheduled for ${new Date(start).toUTCString()}.`);
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'update', 'work_orders', workOrderId, { status: workOrder.status }, updateData, req);
+
+    res.json({
+      message: 'Work order updated successfully',
+      workOrder: updatedWorkOrder
+    });
+  } catch (error) {
+    console.error('Update work order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Complete a work order with its final cost (Owner)
+router.put('/work-order/:workOrderId/complete', authenticateToken, [
+  body('cost').isFloat({ min: 0 }),
+  body('completionNotes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workOrderId } = req.params;
+    const { cost, completionNotes } = req.body;
+
+    const workOrder = await getAccessibleWorkOrder(req, workOrderId);
+    if (!workOrder) {
+      return res.status(404).json({ error: 'Work order not found or access denied' });
+    }
+
+    const { data: completed, error } = await supabase
+      .from('work_orders')
+      .update({
+        status: 'completed',
+        cost,
+        completion_notes: completionNotes,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', workOrderId)
+      .in('status', OPEN_WORK_ORDER_STATUSES)
+      .select()
+      .single();
+
+    if (error || !completed) {
+      return res.status(409).json({ error: `Work order is already ${workOrder.status}` });
+    }
+
+    await notifyTenant(complaintTenantUserId(workOrder), 'Maintenance Completed',
+      `The maintenance work "${workOrder.title}" for your complaint has been completed.`);
+
+    // Log activity
+    await logActivity(req.user.id, 'complete', 'work_orders', workOrderId, { status: workOrder.status }, {
+      status: 'completed',
+      cost,
+      completion_notes: completionNotes
+    }, req);
+
+    res.json({
+      message: 'Work order completed successfully',
+      workOrder: completed
+    });
+  } catch (error) {
+    console.error('Complete work order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a work order that is no longer needed (Owner)
+router.put('/work-order/:workOrderId/cancel', authenticateToken, [
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workOrderId } = req.params;
+    const { reason } = req.body;
+
+    const workOrder = await getAccessibleWorkOrder(req, workOrderId);
+    if (!workOrder) {
+      return res.status(404).json({ error: 'Work order not found or access denied' });
+    }
+
+    const { data: cancelled, error } = await supabase
+      .from('work_orders')
+      .update({
+        status: 'cancelled',
+        cancellation_reason: reason,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', workOrderId)
+      .in('status', OPEN_WORK_ORDER_STATUSES)
+      .select()
+      .single();
+
+    if (error || !cancelled) {
+      return res.status(409).json({ error: `Work order is already ${workOrder.status}` });
+    }
+
+    // Only tenants expecting a visit need to hear about it
+    if (workOrder.status === 'scheduled') {
+      await notifyTenant(complaintTenantUserId(workOrder), 'Maintenance Visit Cancelled',
+        `The maintenance visit for "${workOrder.title}" has been cancelled.${reason ? ` ${reason}` : ''}`);
+    }
+
+    // Log activity
+    await logActivity(req.user.id, 'cancel', 'work_orders', workOrderId, { status: workOrder.status }, { status: 'cancelled', reason }, req);
+
+    res.json({
+      message: 'Work order cancelled successfully',
+      workOrder: cancelled
+    });
+  } catch (error) {
+    console.error('Cancel work order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get maintenance expenses per property from completed work orders (Owner)
+router.get('/expense-report', authenticateToken, async (req, res) => {
+  try {
+    const { propertyId, from, to } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    // Maintenance spend is reported to whoever manages the property's payments
+    let propertyIds = await getAccessiblePropertyIds(req.user, 'manage_payments');
+    if (propertyId) {
+      propertyIds = propertyIds.filter(id => id === propertyId);
+    }
+
+    let query = supabase
+      .from('work_orders')
+      .select('property_id, cost, completed_at, properties(name), vendors(trade)')
+      .in('property_id', propertyIds)
+      .eq('status', 'completed')
+      .order('completed_at', { ascending: true });
+
+    if (from) {
+      query = query.gte('completed_at', toDateString(from));
+    }
+
+    // The to date is inclusive
+    if (to) {
+      query = query.lt('completed_at', addDays(to, 1));
+    }
+
+    const { data: workOrders, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch maintenance expenses' });
+    }
+
+    const properties = summarizeMaintenanceExpenses(workOrders);
+
+    res.json({
+      from: toDateString(from),
+      to: toDateString(to),
+      properties,
+      totalCost: Math.round(properties.reduce((sum, property) => sum + property.totalCost, 0) * 100) / 100
+    });
+  } catch (error) {
+    console.error('Get maintenance expense report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
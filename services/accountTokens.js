@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { hashToken } = require('../middleware/auth');
+
+// Lifetimes for single-use account tokens, in minutes
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 24 * 60,
+  tenant_invite: 72 * 60
+};
+
+// Build a link into the frontend carrying a token
+const buildFrontendLink = (pathname, params) => {
+  const query = new URLSearchParams(params).toString();
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}${pathname}?${query}`;
+};
+
+// Issue a single-use token for a user. Any unused token of the same purpose is invalidated.
+const issueAccountToken = async (userId, purpose, { ttlMinutes = TOKEN_TTL_MINUTES[purpose], bookingId = null } = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  await supabase
+    .from('account_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  const { error } = await supabase
+    .from('account_tokens')
+    .insert({
+      user_id: userId,
+      purpose,
+      booking_id: bookingId,
+      token_hash: hashToken(token),
+      expires_at: expiresAt.toISOString()
+    });
+
+  if (error) {
+    throw new Error('Failed to issue account token');
+  }
+
+  return { token, expiresAt: expiresAt.toISOString() };
+};
+
+// Consume a token. Returns the token row ({ user_id, booking_id }), or null when the token
+// is invalid, expired, used, or (when userId is given) belongs to someone else.
+const consumeAccountToken = async (token, purpose, userId = null) => {
+  let query = supabase
+    .from('account_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString());
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data: accountToken, error } = await query
+    .select('user_id, booking_id')
+    .single();
+
+  if (error || !accountToken) {
+    return null;
+  }
+
+  return accountToken;
+};
+
+module.exports = {
+  buildFrontendLink,
+  issueAccountToken,
+  consumeAccountToken
+};
@@ -0,0 +1,162 @@
+const { supabase } = require('../config/supabase');
+
+// Booking statuses that hold a room for their date range
+const BLOCKING_STATUSES = ['pending', 'approved', 'active'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stands in for an unbounded start when comparing YYYY-MM-DD strings
+const EARLIEST_DAY = '0000-01-01';
+
+// Normalise a date-like value to YYYY-MM-DD (null stays null, meaning open-ended)
+const toDateString = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const addDays = (date, days) => toDateString(new Date(new Date(date).getTime() + days * DAY_MS));
+
+// Date ranges are half-open [start, end): a booking may start on the day the
+// previous one moves out. A null start or end is unbounded.
+const rangesOverlap = (a, b) =>
+  (a.end === null || b.start === null || b.start < a.end) &&
+  (b.end === null || a.start === null || a.start < b.end);
+
+const bookingRange = (booking) => ({
+  start: toDateString(booking.move_in_date),
+  end: toDateString(booking.move_out_date)
+});
+
+const coversDay = (range, day) => (range.start === null || range.start <= day) && (range.end === null || day < range.end);
+
+// Beds a booking takes: the number asked for in a per-bed room, every bed otherwise
+const bedsNeeded = (room, beds = 1) => (room.rent_per_bed ? beds : room.capacity || 1);
+
+// Most beds the bookings hold on any one day of the range. Occupancy only rises
+// when a booking starts, so the busiest day is the range start or a booking's start.
+const peakBedsTaken = (bookings, range) => {
+  const overlapping = bookings
+    .map(booking => ({ ...bookingRange(booking), beds: booking.beds || 1 }))
+    .filter(booked => rangesOverlap(booked, range));
+
+  const from = range.start || EARLIEST_DAY;
+  const days = [from, ...overlapping.map(booked => booked.start).filter(start => start !== null && start > from)];
+
+  return days.reduce((peak, day) => Math.max(peak, overlapping
+    .filter(booked => coversDay(booked, day))
+    .reduce((sum, booked) => sum + booked.beds, 0)), 0);
+};
+
+// Beds of the room still free on the busiest day of the requested dates
+const countFreeBeds = (room, bookings, startDate, endDate) => {
+  const requested = { start: toDateString(startDate), end: toDateString(endDate) };
+  return Math.max((room.capacity || 1) - peakBedsTaken(bookings, requested), 0);
+};
+
+// Pending, approved and checked-in bookings for the given rooms
+const getBlockingBookings = async (roomIds) => {
+  if (roomIds.length === 0) {
+    return [];
+  }
+
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select('id, room_id, status, beds, move_in_date, move_out_date')
+    .in('room_id', roomIds)
+    .in('status', BLOCKING_STATUSES);
+
+  if (error) {
+    throw new Error(`Failed to fetch room bookings: ${error.message}`);
+  }
+
+  return bookings;
+};
+
+// Bookings on the room that overlap the requested dates
+const findConflictingBookings = async (roomId, startDate, endDate, { excludeBookingId = null } = {}) => {
+  const requested = { start: toDateString(startDate), end: toDateString(endDate) };
+  const bookings = await getBlockingBookings([roomId]);
+
+  return bookings.filter(booking =>
+    booking.id !== excludeBookingId && rangesOverlap(bookingRange(booking), requested)
+  );
+};
+
+// Keep only the rooms with enough free beds for the requested dates, adding
+// free_beds to each. Rooms not let per bed need every bed free.
+const filterAvailableRooms = async (rooms, startDate, endDate, { beds = 1 } = {}) => {
+  const bookings = await getBlockingBookings(rooms.map(room => room.id));
+
+  return rooms
+    .filter(room => room.status !== 'maintenance')
+    .map(room => ({
+      ...room,
+      free_beds: countFreeBeds(room, bookings.filter(booking => booking.room_id === room.id), startDate, endDate)
+    }))
+    .filter(room => room.free_beds >= bedsNeeded(room, beds));
+};
+
+// Booked and free periods for a room between from and to (YYYY-MM-DD, to exclusive).
+// A period is free while at least one bed is; each one carries its freeBeds.
+const getRoomCalendar = async (roomId, from, to, { capacity = 1 } = {}) => {
+  const window = { start: from, end: to };
+  const bookings = await getBlockingBookings([roomId]);
+
+  const booked = bookings
+    .map(booking => ({ ...bookingRange(booking), status: booking.status, beds: booking.beds || 1 }))
+    .filter(range => rangesOverlap(range, window))
+    .map(range => ({
+      start: range.start === null || range.start < from ? from : range.start,
+      end: range.end === null || range.end > to ? to : range.end,
+      status: range.status,
+      beds: range.beds
+    }))
+    .sort((a, b) => (a.start < b.start ? -1 : 1));
+
+  // Free beds only change where a booking starts or ends
+  const boundaries = [...new Set([from, to, ...booked.flatMap(range => [range.start, range.end])])].sort();
+  const available = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    const taken = booked.filter(range => coversDay(range, start)).reduce((sum, range) => sum + range.beds, 0);
+    const freeBeds = capacity - taken;
+    const last = available[available.length - 1];
+
+    if (freeBeds <= 0) {
+      continue;
+    }
+    if (last && last.end === start && last.freeBeds === freeBeds) {
+      last.end = end;
+    } else {
+      available.push({ start, end, freeBeds });
+    }
+  }
+
+  return {
+    booked,
+    available,
+    nextAvailableDate: available.length > 0 ? available[0].start : null
+  };
+};
+
+// Recompute a room's status from its bookings (see refresh_room_status() in the schema)
+const refreshRoomStatus = async (roomId) => {
+  const { data: status, error } = await supabase.rpc('refresh_room_status', { p_room_id: roomId });
+
+  if (error) {
+    throw new Error(`Failed to refresh room status: ${error.message}`);
+  }
+
+  return status;
+};
+
+module.exports = {
+  BLOCKING_STATUSES,
+  toDateString,
+  addDays,
+  bedsNeeded,
+  peakBedsTaken,
+  countFreeBeds,
+  findConflictingBookings,
+  filterAvailableRooms,
+  getRoomCalendar,
+  refreshRoomStatus
+};
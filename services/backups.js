@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { supabase } = require('../config/supabase');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Archive layout version; bump when the archive structure changes
+const FORMAT_VERSION = 2;
+
+// Tables included in backups, parents before children (foreign-key order).
+// Sessions, one-time tokens and login counters are short-lived and left out,
+// as is the backups table itself.
+const BACKUP_TABLES = [
+  'roles',
+  'users',
+  'user_recovery_codes',
+  'owners',
+  'properties',
+  'tenants',
+  'rooms',
+  'bookings',
+  'invoices',
+  'ledger_entries',
+  'online_payments',
+  'payment_webhook_events',
+  'lease_templates',
+  'leases',
+  'move_outs',
+  'waitlist_entries',
+  'room_transfers',
+  'booking_amendments',
+  'property_staff',
+  'complaints',
+  'complaint_comments',
+  'complaint_attachments',
+  'complaint_status_history',
+  'vendors',
+  'work_orders',
+  'notifications',
+  'audit_logs',
+  'system_settings'
+];
+
+const PAGE_SIZE = 1000;
+const ENCRYPTION_MAGIC = Buffer.from('TFBK1');
+
+// Archives live in a private Supabase Storage bucket so every server instance
+// can read, download and prune the archives any other instance wrote
+const backupStorage = () => supabase.storage.from(process.env.BACKUP_BUCKET || 'backups');
+
+const storagePath = (backup) => path.basename(backup.file_name);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Derive the AES-256 key from BACKUP_ENCRYPTION_KEY (64 hex chars, or any passphrase)
+const getEncryptionKey = () => {
+  const secret = process.env.BACKUP_ENCRYPTION_KEY;
+  if (!secret) {
+    return null;
+  }
+  if (/^[0-9a-fA-F]{64}$/.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+  return crypto.scryptSync(secret, 'tenantflow-backups', 32);
+};
+
+const isEncryptionAvailable = () => Boolean(getEncryptionKey());
+
+const encrypt = (buffer) => {
+  const key = getEncryptionKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([ENCRYPTION_MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const decrypt = (buffer) => {
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error('Backup is encrypted but BACKUP_ENCRYPTION_KEY is not configured');
+  }
+  if (!buffer.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)) {
+    throw new Error('Backup archive is not a recognised encrypted archive');
+  }
+
+  const offset = ENCRYPTION_MAGIC.length;
+  const iv = buffer.subarray(offset, offset + 12);
+  const authTag = buffer.subarray(offset + 12, offset + 28);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(buffer.subarray(offset + 28)), decipher.final()]);
+};
+
+// Read every row of a table, page by page (PostgREST caps a single response)
+const fetchAllRows = async (table) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to read table ${table}: ${error.message}`);
+    }
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+const getAppVersion = () => {
+  try {
+    return require('../package.json').version;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Create a backup archive in storage and record it in the backups table
+const createBackup = async ({ createdBy = null, encrypted = false, label = null, source = 'manual' } = {}) => {
+  if (encrypted && !isEncryptionAvailable()) {
+    throw new Error('BACKUP_ENCRYPTION_KEY is not configured');
+  }
+
+  const createdAt = new Date().toISOString();
+  const tables = {};
+  const manifestTables = {};
+
+  for (const table of BACKUP_TABLES) {
+    const rows = await fetchAllRows(table);
+    tables[table] = rows;
+    manifestTables[table] = {
+      rows: rows.length,
+      columns: rows.length > 0 ? Object.keys(rows[0]) : [],
+      checksum: sha256(JSON.stringify(rows))
+    };
+  }
+
+  const manifest = {
+    formatVersion: FORMAT_VERSION,
+    appVersion: getAppVersion(),
+    createdAt,
+    source,
+    label,
+    encrypted,
+    tableOrder: BACKUP_TABLES,
+    tables: manifestTables
+  };
+
+  let archive = await gzip(Buffer.from(JSON.stringify({ manifest, tables })));
+  if (encrypted) {
+    archive = encrypt(archive);
+  }
+
+  const fileName = `backup-${createdAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json.gz${encrypted ? '.enc' : ''}`;
+  const { error: uploadError } = await backupStorage().upload(fileName, archive, {
+    contentType: 'application/octet-stream'
+  });
+
+  if (uploadError) {
+    throw new Error(`Failed to store backup archive: ${uploadError.message}`);
+  }
+
+  const { data: backup, error } = await supabase
+    .from('backups')
+    .insert({
+      file_name: fileName,
+      file_size: archive.length,
+      checksum: sha256(archive),
+      encrypted,
+      format_version: FORMAT_VERSION,
+      manifest,
+      label,
+      source,
+      created_by: createdBy
+    })
+    .select()
+    .single();
+
+  if (error) {
+    await backupStorage().remove([fileName]);
+    throw new Error(`Failed to record backup: ${error.message}`);
+  }
+
+  return backup;
+};
+
+// Read a backup's archive from storage; null when the file is missing
+const readBackupFile = async (backup) => {
+  const { data: file, error } = await backupStorage().download(storagePath(backup));
+
+  if (error || !file) {
+    return null;
+  }
+
+  return Buffer.from(await file.arrayBuffer());
+};
+
+// Delete all but the newest `keep` backups from the given source (archive and record).
+// A record whose archive is not in storage is kept, not silently dropped.
+// Returns the number of backups removed.
+const pruneBackups = async (source, keep) => {
+  const { data: backups, error } = await supabase
+    .from('backups')
+    .select('id, file_name')
+    .eq('source', source)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list backups for pruning: ${error.message}`);
+  }
+
+  let prunedCount = 0;
+  for (const backup of backups.slice(keep)) {
+    const { data: removed, error: removeError } = await backupStorage().remove([storagePath(backup)]);
+
+    if (removeError) {
+      throw new Error(`Failed to delete backup archive ${backup.file_name}: ${removeError.message}`);
+    }
+
+    if (!removed || removed.length === 0) {
+      continue;
+    }
+
+    await supabase
+      .from('backups')
+      .delete()
+      .eq('id', backup.id);
+
+    prunedCount++;
+  }
+
+  return prunedCount;
+};
+
+// Load a backup archive and verify it end to end: file checksum, decryption,
+// manifest match and per-table checksums. Throws on any integrity failure.
+const loadBackupArchive = async (backup) => {
+  const raw = await readBackupFile(backup);
+
+  if (!raw) {
+    throw new Error('Backup file is missing from storage');
+  }
+
+  if (sha256(raw) !== backup.checksum) {
+    throw new Error('Backup file checksum does not match; the archive is corrupt or was modified');
+  }
+
+  const compressed = backup.encrypted ? decrypt(raw) : raw;
+  const { manifest, tables } = JSON.parse((await gunzip(compressed)).toString());
+
+  if (!manifest || manifest.formatVersion !== FORMAT_VERSION) {
+    throw new Error(`Unsupported backup format version: ${manifest && manifest.formatVersion}`);
+  }
+
+  for (const [table, info] of Object.entries(manifest.tables)) {
+    if (!BACKUP_TABLES.includes(table)) {
+      throw new Error(`Backup contains unknown table ${table}`);
+    }
+    if (!Array.isArray(tables[table]) || sha256(JSON.stringify(tables[table])) !== info.checksum) {
+      throw new Error(`Checksum mismatch for table ${table}`);
+    }
+  }
+
+  return { manifest, tables };
+};
+
+const rowsEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Compare a backup with the live database: rows to insert, update and delete per table
+const diffBackup = async ({ manifest, tables }) => {
+  const diff = {};
+
+  for (const table of manifest.tableOrder) {
+    const backupRows = tables[table] || [];
+    const currentRows = await fetchAllRows(table);
+    const currentById = new Map(currentRows.map(row => [row.id, row]));
+    const backupIds = new Set(backupRows.map(row => row.id));
+
+    let toInsert = 0;
+    let toUpdate = 0;
+    backupRows.forEach(row => {
+      const current = currentById.get(row.id);
+      if (!current) {
+        toInsert++;
+      } else if (!rowsEqual(current, row)) {
+        toUpdate++;
+      }
+    });
+
+    const currentColumns = currentRows.length > 0 ? Object.keys(currentRows[0]) : [];
+    const backupColumns = manifest.tables[table].columns;
+
+    diff[table] = {
+      backupRows: backupRows.length,
+      currentRows: currentRows.length,
+      toInsert,
+      toUpdate,
+      toDelete: currentRows.filter(row => !backupIds.has(row.id)).length,
+      missingColumns: currentColumns.length && backupColumns.length
+        ? currentColumns.filter(column => !backupColumns.includes(column))
+        : []
+    };
+  }
+
+  return diff;
+};
+
+// Apply a verified archive inside a single database transaction (restore_backup),
+// so any failure rolls the whole restore back.
+const applyBackup = async ({ manifest, tables }) => {
+  const { data: summary, error } = await supabase.rpc('restore_backup', {
+    p_tables: tables,
+    p_table_order: manifest.tableOrder
+  });
+
+  if (error) {
+    throw new Error(`Restore failed and was rolled back: ${error.message}`);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  BACKUP_TABLES,
+  FORMAT_VERSION,
+  isEncryptionAvailable,
+  createBackup,
+  readBackupFile,
+  pruneBackups,
+  loadBackupArchive,
+  diffBackup,
+  applyBackup
+};
@@ -0,0 +1,36 @@
+const { supabase } = require('../config/supabase');
+
+// HTTP status for each error apply_booking_amendment() raises on purpose
+const AMENDMENT_ERRORS = {
+  P0002: { status: 404 }, // change not found
+  BA001: { status: 409 }, // already reviewed
+  BA002: { status: 409 }, // booking dates changed since the request
+  BK001: { status: 409 }, // booking or move-in date can no longer change
+  BK003: { status: 409, message: 'Not enough free beds in this room for the new dates' }
+};
+
+// Apply an approved change to its booking in one transaction. Returns
+// { amendment, error }; error carries the HTTP status to respond with.
+// Unexpected errors are thrown.
+const applyBookingAmendment = async (amendmentId, { reviewedBy, notes = null }) => {
+  const { data: amendment, error } = await supabase.rpc('apply_booking_amendment', {
+    p_amendment_id: amendmentId,
+    p_reviewed_by: reviewedBy,
+    p_notes: notes
+  });
+
+  if (!error) {
+    return { amendment, error: null };
+  }
+
+  const known = AMENDMENT_ERRORS[error.code];
+  if (!known) {
+    throw new Error(`Failed to apply booking change: ${error.message}`);
+  }
+
+  return { amendment: null, error: { status: known.status, message: known.message || error.message } };
+};
+
+module.exports = {
+  applyBookingAmendment
+};
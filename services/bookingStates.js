@@ -0,0 +1,54 @@
+const { supabase } = require('../config/supabase');
+
+// Allowed booking status changes. transition_booking() in the database enforces
+// the same graph; this copy lets routes reject a request before calling it.
+const BOOKING_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled', 'expired'],
+  approved: ['active', 'cancelled'],
+  active: ['checked_out'],
+  checked_out: [],
+  rejected: [],
+  cancelled: [],
+  expired: []
+};
+
+// HTTP status for each error transition_booking() raises on purpose
+const TRANSITION_ERRORS = {
+  P0002: { status: 404 }, // booking not found
+  BK001: { status: 409 }, // illegal transition
+  BK002: { status: 409 }, // hold expired
+  BK003: { status: 409, message: 'Not enough free beds in this room for these dates' }
+};
+
+const canTransition = (fromStatus, toStatus) => (BOOKING_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Change a booking's status, with its room and tenant side effects, in one
+// database transaction. Returns { booking, error }; error carries the HTTP
+// status to respond with. Unexpected database errors are thrown.
+const transitionBooking = async (bookingId, status, { notes = null } = {}) => {
+  const { data: booking, error } = await supabase.rpc('transition_booking', {
+    p_booking_id: bookingId,
+    p_status: status,
+    p_notes: notes
+  });
+
+  if (!error) {
+    return { booking, error: null };
+  }
+
+  const known = TRANSITION_ERRORS[error.code];
+  if (!known) {
+    throw new Error(`Booking transition failed: ${error.message}`);
+  }
+
+  return {
+    booking: null,
+    error: { status: known.status, message: known.message || error.message }
+  };
+};
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  canTransition,
+  transitionBooking
+};
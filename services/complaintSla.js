@@ -0,0 +1,106 @@
+const { supabase } = require('../config/supabase');
+const { getSettings } = require('./settings');
+
+const COMPLAINT_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Complaints still waiting on the owner
+const OPEN_COMPLAINT_STATUSES = ['pending', 'in_progress'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours allowed for the first response and for resolution, used when a setting is missing
+const DEFAULT_SLA_HOURS = {
+  low: { response: 72, resolution: 336 },
+  medium: { response: 24, resolution: 168 },
+  high: { response: 8, resolution: 72 },
+  urgent: { response: 2, resolution: 24 }
+};
+
+const slaSettingKey = (priority, target) => `complaint_sla_${priority}_${target}_hours`;
+
+const SLA_SETTING_KEYS = COMPLAINT_PRIORITIES.flatMap(priority => [
+  slaSettingKey(priority, 'response'),
+  slaSettingKey(priority, 'resolution')
+]);
+
+// Response and resolution deadlines for a complaint of the given priority
+const getSlaDeadlines = async (priority, filedAt = new Date()) => {
+  const settings = await getSettings(SLA_SETTING_KEYS);
+  const defaults = DEFAULT_SLA_HOURS[priority] || DEFAULT_SLA_HOURS.medium;
+
+  const deadline = (target) => {
+    const hours = parseFloat(settings[slaSettingKey(priority, target)]);
+    return new Date(filedAt.getTime() + (isNaN(hours) ? defaults[target] : hours) * HOUR_MS).toISOString();
+  };
+
+  return {
+    response_due_at: deadline('response'),
+    resolution_due_at: deadline('resolution')
+  };
+};
+
+// Stamp the owner side's first reply to a complaint; later replies keep the first time
+const recordFirstResponse = async (complaintId) => {
+  await supabase
+    .from('complaints')
+    .update({ first_response_at: new Date().toISOString() })
+    .eq('id', complaintId)
+    .is('first_response_at', null);
+};
+
+const percentage = (met, measured) => (measured > 0 ? Math.round((met / measured) * 1000) / 10 : null);
+
+// SLA compliance and mean time to resolution for a set of complaints. A
+// deadline counts once it has been met or has passed; complaints still inside
+// their window are left out of the percentages.
+const summarizeSla = (complaints, now = new Date()) => {
+  const counts = { responseMeasured: 0, responseMet: 0, resolutionMeasured: 0, resolutionMet: 0 };
+  let breachedCount = 0;
+  let resolvedCount = 0;
+  let resolutionHours = 0;
+
+  const measure = (doneAt, dueAt, target) => {
+    if (!dueAt) {
+      return;
+    }
+    if (doneAt) {
+      counts[`${target}Measured`]++;
+      if (new Date(doneAt) <= new Date(dueAt)) {
+        counts[`${target}Met`]++;
+      }
+    } else if (new Date(dueAt) < now) {
+      counts[`${target}Measured`]++;
+    }
+  };
+
+  complaints.forEach(complaint => {
+    measure(complaint.first_response_at, complaint.response_due_at, 'response');
+    measure(complaint.resolved_at, complaint.resolution_due_at, 'resolution');
+
+    if (complaint.response_breached_at || complaint.resolution_breached_at) {
+      breachedCount++;
+    }
+
+    if (complaint.resolved_at) {
+      resolvedCount++;
+      resolutionHours += (new Date(complaint.resolved_at) - new Date(complaint.created_at)) / HOUR_MS;
+    }
+  });
+
+  return {
+    total: complaints.length,
+    breachedCount,
+    responseCompliance: percentage(counts.responseMet, counts.responseMeasured),
+    resolutionCompliance: percentage(counts.resolutionMet, counts.resolutionMeasured),
+    meanTimeToResolutionHours: resolvedCount > 0 ? Math.round((resolutionHours / resolvedCount) * 10) / 10 : null
+  };
+};
+
+module.exports = {
+  COMPLAINT_PRIORITIES,
+  OPEN_COMPLAINT_STATUSES,
+  SLA_SETTING_KEYS,
+  getSlaDeadlines,
+  recordFirstResponse,
+  summarizeSla
+};
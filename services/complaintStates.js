@@ -0,0 +1,64 @@
+const { supabase } = require('../config/supabase');
+const { getNumberSetting } = require('./settings');
+
+// Allowed complaint status changes. transition_complaint() in the database
+// enforces the same graph; this copy lets routes reject a request before calling it.
+const COMPLAINT_TRANSITIONS = {
+  pending: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['resolved', 'closed'],
+  resolved: ['in_progress', 'closed'],
+  closed: []
+};
+
+// HTTP status for each error transition_complaint() raises on purpose
+const TRANSITION_ERRORS = {
+  P0002: { status: 404 }, // complaint not found
+  CP001: { status: 409 } // illegal transition
+};
+
+const canTransition = (fromStatus, toStatus) => (COMPLAINT_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// When the tenant's chance to reopen a resolved complaint runs out, or null
+// if the complaint is not resolved
+const getReopenDeadline = async (complaint) => {
+  if (complaint.status !== 'resolved' || !complaint.resolved_at) {
+    return null;
+  }
+
+  const days = await getNumberSetting('complaint_reopen_window_days', 7);
+  return new Date(new Date(complaint.resolved_at).getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+// Change a complaint's status and record it in its history in one database
+// transaction. Returns { complaint, error }; error carries the HTTP status to
+// respond with. Unexpected database errors are thrown.
+const transitionComplaint = async (complaintId, status, { changedBy, actorRole, note = null }) => {
+  const { data: complaint, error } = await supabase.rpc('transition_complaint', {
+    p_complaint_id: complaintId,
+    p_status: status,
+    p_changed_by: changedBy,
+    p_actor_role: actorRole,
+    p_note: note
+  });
+
+  if (!error) {
+    return { complaint, error: null };
+  }
+
+  const known = TRANSITION_ERRORS[error.code];
+  if (!known) {
+    throw new Error(`Complaint transition failed: ${error.message}`);
+  }
+
+  return {
+    complaint: null,
+    error: { status: known.status, message: known.message || error.message }
+  };
+};
+
+module.exports = {
+  COMPLAINT_TRANSITIONS,
+  canTransition,
+  getReopenDeadline,
+  transitionComplaint
+};
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { supabase } = require('../config/supabase');
+const { toDateString } = require('./availability');
+const { bookingCharges } = require('./ledger');
+
+// Values a lease template can refer to as {{placeholder}}
+const LEASE_PLACEHOLDERS = {
+  tenant_name: 'Tenant full name',
+  tenant_phone: 'Tenant phone number',
+  owner_name: 'Owner full name',
+  business_name: 'Owner business name',
+  property_name: 'Property name',
+  property_address: 'Property address, city, state and pincode',
+  room_number: 'Room number',
+  room_type: 'Room type',
+  beds: 'Number of beds let',
+  rent_amount: 'Monthly rent',
+  deposit_amount: 'Security deposit',
+  move_in_date: 'Move-in date (YYYY-MM-DD)',
+  move_out_date: 'Move-out date, or "open-ended"',
+  lease_date: 'Date the lease was generated'
+};
+
+// Used for owners who have not set up a default template of their own
+const DEFAULT_LEASE_TEMPLATE = `This lease agreement is made on {{lease_date}} between {{owner_name}} of {{business_name}} ("the Owner") and {{tenant_name}} ("the Tenant").
+
+1. Premises. The Owner lets to the Tenant room {{room_number}} ({{room_type}}) at {{property_name}}, {{property_address}}.
+
+2. Term. The tenancy starts on {{move_in_date}} and ends on {{move_out_date}}.
+
+3. Rent. The Tenant will pay a monthly rent of {{rent_amount}}, invoiced at the start of each calendar month. Partial months are charged by the day.
+
+4. Deposit. The Tenant will pay a security deposit of {{deposit_amount}} before moving in. It is refundable at the end of the tenancy, less any amounts owed.
+
+5. Use. The Tenant will keep the room in good condition, follow the property rules and report maintenance issues through TenantFlow.
+
+6. Acceptance. Both parties accept this agreement electronically. Each acceptance is recorded with its time and IP address.`;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const leaseDirectory = () => path.join(process.env.UPLOAD_PATH || './uploads', 'leases');
+
+const getLeaseFilePath = (fileName) => path.join(leaseDirectory(), path.basename(fileName));
+
+// Placeholder names used in a template body that are not in LEASE_PLACEHOLDERS
+const findUnknownPlaceholders = (body) => {
+  const unknown = new Set();
+  for (const [, name] of body.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!LEASE_PLACEHOLDERS[name]) {
+      unknown.add(name);
+    }
+  }
+  return [...unknown];
+};
+
+const formatAmount = (amount) => parseFloat(amount || 0).toFixed(2);
+
+// Placeholder values for a booking loaded with its tenant, room, property and owner
+const buildLeaseValues = (booking) => {
+  const property = booking.properties;
+  const charges = bookingCharges(booking.rooms, booking.beds);
+  return {
+    tenant_name: booking.tenants.name,
+    tenant_phone: booking.tenants.phone,
+    owner_name: property.owners.name,
+    business_name: property.owners.business_name,
+    property_name: property.name,
+    property_address: [property.address, property.city, property.state, property.pincode].filter(Boolean).join(', '),
+    room_number: booking.rooms.room_number,
+    room_type: booking.rooms.room_type,
+    beds: booking.beds,
+    rent_amount: formatAmount(charges.rent),
+    deposit_amount: formatAmount(charges.deposit),
+    move_in_date: toDateString(booking.move_in_date) || 'the date of approval',
+    move_out_date: toDateString(booking.move_out_date) || 'open-ended',
+    lease_date: toDateString(new Date())
+  };
+};
+
+const renderLeaseText = (body, values) => body.replace(PLACEHOLDER_PATTERN, (match, name) => (
+  Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+));
+
+const renderLeasePdf = (content, { bookingId }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: 'Lease Agreement' } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.fontSize(18).text('Lease Agreement', { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(11).text(content, { align: 'left', lineGap: 2 });
+  doc.moveDown(2);
+  doc.fontSize(8).fillColor('gray').text(`Booking reference ${bookingId}`, { align: 'center' });
+  doc.end();
+});
+
+// Pick the template to render: an explicit one belonging to the owner, the
+// owner's default, or the built-in template
+const resolveTemplate = async (ownerId, templateId) => {
+  let query = supabase
+    .from('lease_templates')
+    .select('id, body')
+    .eq('owner_id', ownerId);
+
+  query = templateId ? query.eq('id', templateId) : query.eq('is_default', true);
+
+  const { data: template } = await query.maybeSingle();
+
+  if (templateId && !template) {
+    return { template: null, error: { status: 404, message: 'Lease template not found' } };
+  }
+
+  return { template: template || { id: null, body: DEFAULT_LEASE_TEMPLATE }, error: null };
+};
+
+// Render a booking's lease to PDF and attach it to the booking. A lease that
+// neither party has accepted yet is replaced; an accepted one is left alone.
+// Returns { lease, error }; error carries the HTTP status to respond with.
+const generateLease = async (bookingId, { templateId = null } = {}) => {
+  const { data: booking, error: bookingError } = await supabase
+    .from('bookings')
+    .select(`
+      *,
+      tenants!inner(name, phone),
+      rooms!inner(room_number, room_type, rent_amount, deposit_amount, rent_per_bed),
+      properties!inner(name, address, city, state, pincode, owner_id, owners!inner(name, business_name))
+    `)
+    .eq('id', bookingId)
+    .single();
+
+  if (bookingError || !booking) {
+    return { lease: null, error: { status: 404, message: 'Booking not found' } };
+  }
+
+  if (!['approved', 'active'].includes(booking.status)) {
+    return { lease: null, error: { status: 409, message: 'Leases can only be generated for approved bookings' } };
+  }
+
+  const { data: existing } = await supabase
+    .from('leases')
+    .select('id, file_name, tenant_accepted_at, owner_accepted_at')
+    .eq('booking_id', bookingId)
+    .maybeSingle();
+
+  if (existing && (existing.tenant_accepted_at || existing.owner_accepted_at)) {
+    return { lease: null, error: { status: 409, message: 'Lease has already been accepted and cannot be regenerated' } };
+  }
+
+  const { template, error: templateError } = await resolveTemplate(booking.properties.owner_id, templateId);
+  if (templateError) {
+    return { lease: null, error: templateError };
+  }
+
+  const content = renderLeaseText(template.body, buildLeaseValues(booking));
+  const pdf = await renderLeasePdf(content, { bookingId });
+  const fileName = `lease-${bookingId}-${Date.now()}.pdf`;
+
+  await fs.mkdir(leaseDirectory(), { recursive: true });
+  await fs.writeFile(getLeaseFilePath(fileName), pdf);
+
+  const leaseData = {
+    template_id: template.id,
+    content,
+    file_name: fileName,
+    file_size: pdf.length,
+    checksum: crypto.createHash('sha256').update(pdf).digest('hex'),
+    status: 'pending'
+  };
+
+  // Replacing only succeeds while nobody has accepted the previous version
+  const { data: lease, error } = existing
+    ? await supabase
+      .from('leases')
+      .update({ ...leaseData, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .is('tenant_accepted_at', null)
+      .is('owner_accepted_at', null)
+      .select()
+      .maybeSingle()
+    : await supabase
+      .from('leases')
+      .insert({
+        ...leaseData,
+        booking_id: bookingId,
+        tenant_id: booking.tenant_id,
+        property_id: booking.property_id
+      })
+      .select()
+      .single();
+
+  if (error || !lease) {
+    await fs.unlink(getLeaseFilePath(fileName)).catch(() => {});
+    if (error && error.code !== '23505') {
+      throw new Error(`Failed to save lease: ${error.message}`);
+    }
+    return { lease: null, error: { status: 409, message: 'Lease was changed by another request' } };
+  }
+
+  if (existing) {
+    await fs.unlink(getLeaseFilePath(existing.file_name)).catch(() => {});
+  }
+
+  return { lease, error: null };
+};
+
+// HTTP status for each error accept_lease() raises on purpose
+const ACCEPT_ERRORS = {
+  P0002: { status: 404 }, // lease not found
+  LS001: { status: 409 } // already accepted by this party
+};
+
+// Record one party's electronic acceptance. The lease becomes accepted once
+// both the tenant and the owner have accepted it.
+const acceptLease = async (leaseId, party, { userId, ip }) => {
+  const { data: lease, error } = await supabase.rpc('accept_lease', {
+    p_lease_id: leaseId,
+    p_party: party,
+    p_user_id: userId,
+    p_ip: ip || null
+  });
+
+  if (!error) {
+    return { lease, error: null };
+  }
+
+  const known = ACCEPT_ERRORS[error.code];
+  if (!known) {
+    throw new Error(`Failed to accept lease: ${error.message}`);
+  }
+
+  return { lease: null, error: { status: known.status, message: known.message || error.message } };
+};
+
+module.exports = {
+  LEASE_PLACEHOLDERS,
+  DEFAULT_LEASE_TEMPLATE,
+  findUnknownPlaceholders,
+  getLeaseFilePath,
+  generateLease,
+  acceptLease
+};
@@ -0,0 +1,251 @@
+const { supabase } = require('../config/supabase');
+const { getNumberSetting } = require('./settings');
+const { toDateString, addDays } = require('./availability');
+
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'upi', 'card', 'other'];
+
+// HTTP status for each error the ledger functions raise on purpose
+const LEDGER_ERRORS = {
+  P0002: 404, // invoice not found
+  LD001: 409, // invoice closed / not a deposit
+  LD002: 400 // amount out of range
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const daysBetween = (start, end) => Math.round((new Date(end) - new Date(start)) / (24 * 60 * 60 * 1000));
+
+const lastDayOfMonth = (date) => {
+  const d = new Date(date);
+  return toDateString(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)));
+};
+
+// Calendar-month rent periods from moveIn up to today, cut short at moveOut
+// (exclusive). Partial months are prorated by day.
+const rentPeriods = (moveIn, moveOut, today, monthlyRent) => {
+  const periods = [];
+  let cursor = moveIn;
+
+  while (cursor <= today && (!moveOut || cursor < moveOut)) {
+    const monthEnd = lastDayOfMonth(cursor);
+    const periodEnd = moveOut && addDays(moveOut, -1) < monthEnd ? addDays(moveOut, -1) : monthEnd;
+    const daysInMonth = new Date(monthEnd).getUTCDate();
+    const days = daysBetween(cursor, periodEnd) + 1;
+
+    periods.push({
+      start: cursor,
+      end: periodEnd,
+      amount: roundMoney(monthlyRent * days / daysInMonth)
+    });
+
+    cursor = addDays(monthEnd, 1);
+  }
+
+  return periods;
+};
+
+// Monthly rent and deposit for a booking: per-bed rooms charge for each bed taken
+const bookingCharges = (room, beds = 1) => {
+  const multiplier = room.rent_per_bed ? beds : 1;
+  return {
+    rent: roundMoney(parseFloat(room.rent_amount) * multiplier),
+    deposit: roundMoney(parseFloat(room.deposit_amount || 0) * multiplier)
+  };
+};
+
+// Invoices owed for a booking so far: the deposit plus every rent period started.
+// Bookings on either side of a room transfer share one deposit invoice, so
+// includeDeposit is false for them.
+const buildBookingInvoices = (booking, today, dueDays, { includeDeposit = true } = {}) => {
+  const moveIn = toDateString(booking.move_in_date || booking.created_at);
+  const moveOut = toDateString(booking.move_out_date);
+  const base = {
+    booking_id: booking.id,
+    tenant_id: booking.tenant_id,
+    property_id: booking.property_id,
+    room_id: booking.room_id
+  };
+
+  const { rent, deposit } = bookingCharges(booking.rooms, booking.beds);
+
+  const invoices = rentPeriods(moveIn, moveOut, today, rent).map(period => ({
+    ...base,
+    invoice_type: 'rent',
+    period_start: period.start,
+    period_end: period.end,
+    amount: period.amount,
+    due_date: addDays(period.start, dueDays)
+  }));
+
+  if (deposit > 0 && includeDeposit) {
+    invoices.unshift({
+      ...base,
+      invoice_type: 'deposit',
+      period_start: moveIn,
+      period_end: moveIn,
+      amount: deposit,
+      due_date: moveIn
+    });
+  }
+
+  return invoices;
+};
+
+// Create any missing deposit and rent invoices for current bookings (and
+// bookings checked out since the start of last month). Safe to run repeatedly:
+// existing invoices are left untouched. Returns the invoices created.
+const generateInvoices = async () => {
+  const today = toDateString(new Date());
+  const dueDays = await getNumberSetting('invoice_due_days', 5);
+  const lastMonth = new Date();
+  lastMonth.setUTCMonth(lastMonth.getUTCMonth() - 1, 1);
+
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select('id, tenant_id, property_id, room_id, status, move_in_date, move_out_date, previous_booking_id, beds, created_at, rooms!inner(rent_amount, deposit_amount, rent_per_bed)')
+    .or(`status.in.(approved,active),and(status.eq.checked_out,move_out_date.gte.${toDateString(lastMonth)})`);
+
+  if (error) {
+    throw new Error(`Failed to fetch bookings for invoicing: ${error.message}`);
+  }
+
+  // Bookings the tenant transferred out of have handed their deposit on
+  const checkedOutIds = bookings.filter(booking => booking.status === 'checked_out').map(booking => booking.id);
+  const { data: transfers } = checkedOutIds.length > 0
+    ? await supabase
+      .from('room_transfers')
+      .select('booking_id')
+      .eq('status', 'approved')
+      .in('booking_id', checkedOutIds)
+    : { data: [] };
+  const transferredOut = new Set((transfers || []).map(transfer => transfer.booking_id));
+
+  const created = [];
+  for (const booking of bookings) {
+    const invoices = buildBookingInvoices(booking, today, dueDays, {
+      includeDeposit: !booking.previous_booking_id && !transferredOut.has(booking.id)
+    });
+    if (invoices.length === 0) {
+      continue;
+    }
+
+    const { data: inserted, error: insertError } = await supabase
+      .from('invoices')
+      .upsert(invoices, { onConflict: 'booking_id,invoice_type,period_start', ignoreDuplicates: true })
+      .select();
+
+    if (insertError) {
+      throw new Error(`Failed to create invoices for booking ${booking.id}: ${insertError.message}`);
+    }
+
+    created.push(...inserted);
+  }
+
+  return created;
+};
+
+// Let tenants know about newly issued invoices
+const notifyNewInvoices = async (invoices) => {
+  const tenantIds = [...new Set(invoices.map(invoice => invoice.tenant_id))];
+  const { data: tenants } = await supabase
+    .from('tenants')
+    .select('id, user_id')
+    .in('id', tenantIds);
+
+  const userIds = new Map((tenants || []).map(tenant => [tenant.id, tenant.user_id]));
+
+  const notifications = invoices
+    .filter(invoice => userIds.get(invoice.tenant_id))
+    .map(invoice => ({
+      user_id: userIds.get(invoice.tenant_id),
+      title: invoice.invoice_type === 'deposit' ? 'Deposit Invoice' : 'Rent Invoice',
+      message: invoice.invoice_type === 'deposit'
+        ? `A deposit invoice of ${invoice.amount} is due on ${invoice.due_date}.`
+        : `Rent of ${invoice.amount} for ${invoice.period_start} to ${invoice.period_end} is due on ${invoice.due_date}.`,
+      type: 'payment'
+    }));
+
+  if (notifications.length > 0) {
+    await supabase.from('notifications').insert(notifications);
+  }
+};
+
+// Call record_payment / record_deposit_refund / record_refund. Returns { entry, error }; error
+// carries the HTTP status to respond with. Unexpected errors are thrown.
+const recordLedgerEntry = async (functionName, invoiceId, { amount, method, reference, notes, recordedBy }) => {
+  const { data: entry, error } = await supabase.rpc(functionName, {
+    p_invoice_id: invoiceId,
+    p_amount: amount,
+    p_method: method || null,
+    p_reference: reference || null,
+    p_notes: notes || null,
+    p_recorded_by: recordedBy
+  });
+
+  if (!error) {
+    return { entry, error: null };
+  }
+
+  if (!LEDGER_ERRORS[error.code]) {
+    throw new Error(`Failed to record ledger entry: ${error.message}`);
+  }
+
+  return { entry: null, error: { status: LEDGER_ERRORS[error.code], message: error.message } };
+};
+
+const recordPayment = (invoiceId, details) => recordLedgerEntry('record_payment', invoiceId, details);
+
+const recordDepositRefund = (invoiceId, details) => recordLedgerEntry('record_deposit_refund', invoiceId, details);
+
+const recordRefund = (invoiceId, details) => recordLedgerEntry('record_refund', invoiceId, details);
+
+// Sum tenant_balances rows into a single balance
+const summarizeBalances = (rows) => {
+  const totals = { totalInvoiced: 0, totalPaid: 0, outstanding: 0, overdue: 0, depositHeld: 0 };
+
+  (rows || []).forEach(row => {
+    totals.totalInvoiced += parseFloat(row.total_invoiced);
+    totals.totalPaid += parseFloat(row.total_paid);
+    totals.outstanding += parseFloat(row.outstanding);
+    totals.overdue += parseFloat(row.overdue);
+    totals.depositHeld += parseFloat(row.deposit_held);
+  });
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = roundMoney(totals[key]);
+  });
+
+  return totals;
+};
+
+// Arrears per property for the given property ids
+const getPropertyArrears = async (propertyIds) => {
+  if (propertyIds.length === 0) {
+    return [];
+  }
+
+  const { data: arrears, error } = await supabase
+    .from('property_arrears')
+    .select('*')
+    .in('property_id', propertyIds);
+
+  if (error) {
+    throw new Error(`Failed to fetch property arrears: ${error.message}`);
+  }
+
+  return arrears;
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  rentPeriods,
+  bookingCharges,
+  buildBookingInvoices,
+  generateInvoices,
+  notifyNewInvoices,
+  recordPayment,
+  recordDepositRefund,
+  recordRefund,
+  summarizeBalances,
+  getPropertyArrears
+};
@@ -0,0 +1,58 @@
+const { supabase } = require('../config/supabase');
+const { getNumberSetting } = require('./settings');
+const { toDateString, addDays } = require('./availability');
+
+// Items an inspection covers unless the owner adds their own
+const MOVE_OUT_CHECKLIST = [
+  'Walls and paint',
+  'Floor',
+  'Doors, windows and locks',
+  'Furniture',
+  'Electrical fittings and appliances',
+  'Plumbing and bathroom',
+  'Cleanliness',
+  'Keys returned'
+];
+
+const CHECKLIST_CONDITIONS = ['good', 'fair', 'damaged', 'missing'];
+
+// HTTP status for each error settle_move_out() raises on purpose
+const SETTLEMENT_ERRORS = {
+  P0002: 404, // move-out not found
+  MO001: 409, // not inspected yet
+  LD002: 400, // invalid deduction
+  BK001: 409 // booking can no longer be checked out
+};
+
+// Settle an inspected move-out: deductions, rent paid from the deposit, the
+// refund and the tenant's check-out all happen in one transaction.
+// Returns { moveOut, error }; error carries the HTTP status to respond with.
+const settleMoveOut = async (moveOutId, { deductions, applyToRent, method, reference, settledBy }) => {
+  const dueDays = await getNumberSetting('invoice_due_days', 5);
+
+  const { data: moveOut, error } = await supabase.rpc('settle_move_out', {
+    p_move_out_id: moveOutId,
+    p_deductions: deductions,
+    p_apply_to_rent: applyToRent,
+    p_method: method || null,
+    p_reference: reference || null,
+    p_due_date: addDays(toDateString(new Date()), dueDays),
+    p_settled_by: settledBy
+  });
+
+  if (!error) {
+    return { moveOut, error: null };
+  }
+
+  if (!SETTLEMENT_ERRORS[error.code]) {
+    throw new Error(`Failed to settle move-out: ${error.message}`);
+  }
+
+  return { moveOut: null, error: { status: SETTLEMENT_ERRORS[error.code], message: error.message } };
+};
+
+module.exports = {
+  MOVE_OUT_CHECKLIST,
+  CHECKLIST_CONDITIONS,
+  settleMoveOut
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { buildFrontendLink } = require('../accountTokens');
+
+// Local stand-in for a real payment provider, for development and tests.
+// Payments never leave the process; completing one is done by sending the
+// webhook built by buildWebhook() to the webhook endpoint.
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+const getSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+const sign = (rawBody) => crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex');
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const createPayment = async ({ reference }) => {
+  const providerPaymentId = randomId('fake_pay');
+
+  return {
+    providerPaymentId,
+    checkoutUrl: buildFrontendLink('/payments/fake-checkout', { payment: providerPaymentId, reference }),
+    status: 'pending'
+  };
+};
+
+const refundPayment = async () => ({
+  providerRefundId: randomId('fake_ref'),
+  status: 'succeeded'
+});
+
+const verifyWebhook = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+  const expected = sign(rawBody || '');
+
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  return {
+    id: event.id,
+    type: event.type,
+    providerPaymentId: event.data.payment_id,
+    providerRefundId: event.data.refund_id || null
+  };
+};
+
+// Build a signed webhook request as the provider would send it
+const buildWebhook = (type, providerPaymentId, data = {}) => {
+  const body = JSON.stringify({
+    id: randomId('fake_evt'),
+    type,
+    data: { payment_id: providerPaymentId, ...data }
+  });
+
+  return {
+    body,
+    headers: { [SIGNATURE_HEADER]: sign(body) }
+  };
+};
+
+module.exports = {
+  createPayment,
+  refundPayment,
+  verifyWebhook,
+  buildWebhook
+};
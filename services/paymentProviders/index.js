@@ -0,0 +1,49 @@
+// The fake provider settles payments without money moving, so it only exists
+// where NODE_ENV says this is a development or test instance
+const TEST_ENVIRONMENTS = ['development', 'test'];
+
+const isTestEnvironment = () => TEST_ENVIRONMENTS.includes(process.env.NODE_ENV);
+
+// Payment providers by name. Each provider implements:
+//   createPayment({ amount, currency, reference, description })
+//     -> { providerPaymentId, checkoutUrl, status }
+//   refundPayment({ providerPaymentId, amount, reference })
+//     -> { providerRefundId, status }  status: succeeded | pending
+//   verifyWebhook(rawBody, headers)
+//     -> { id, type, providerPaymentId, providerRefundId }  (throws if the signature is invalid)
+// Webhook event types: payment.succeeded, payment.failed, refund.succeeded.
+const PROVIDERS = {
+  ...(isTestEnvironment() ? { fake: require('./fake') } : {})
+};
+
+const getProviderName = () => process.env.PAYMENT_PROVIDER;
+
+const getPaymentProvider = (name = getProviderName()) => {
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  return provider;
+};
+
+// The configured provider as { name, provider }, or null when online payments
+// are not set up. Payments never fall back to a default provider or webhook
+// secret, but the rest of the app runs without them.
+const getConfiguredProvider = () => {
+  const name = getProviderName();
+
+  if (!name || !process.env.PAYMENT_WEBHOOK_SECRET || !PROVIDERS[name]) {
+    return null;
+  }
+
+  return { name, provider: PROVIDERS[name] };
+};
+
+module.exports = {
+  isTestEnvironment,
+  getProviderName,
+  getPaymentProvider,
+  getConfiguredProvider
+};
@@ -0,0 +1,270 @@
+const { supabase } = require('../config/supabase');
+const { logActivity } = require('../middleware/auth');
+const { recordRefund } = require('./ledger');
+const { getPaymentProvider, getConfiguredProvider } = require('./paymentProviders');
+
+const getCurrency = () => process.env.PAYMENT_CURRENCY || 'INR';
+
+// Start an online payment for (part of) an invoice with the configured provider
+const startPayment = async (invoice, amount) => {
+  const configured = getConfiguredProvider();
+  if (!configured) {
+    throw new Error('Online payments are not configured');
+  }
+
+  const { name: providerName, provider } = configured;
+
+  const { data: payment, error } = await supabase
+    .from('online_payments')
+    .insert({
+      invoice_id: invoice.id,
+      tenant_id: invoice.tenant_id,
+      provider: providerName,
+      amount,
+      currency: getCurrency()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create payment: ${error.message}`);
+  }
+
+  const checkout = await provider.createPayment({
+    amount,
+    currency: payment.currency,
+    reference: payment.id,
+    description: `${invoice.invoice_type === 'deposit' ? 'Deposit' : 'Rent'} for ${invoice.period_start}`
+  });
+
+  const { data: updatedPayment, error: updateError } = await supabase
+    .from('online_payments')
+    .update({
+      provider_payment_id: checkout.providerPaymentId,
+      checkout_url: checkout.checkoutUrl,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', payment.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw new Error(`Failed to save payment: ${updateError.message}`);
+  }
+
+  return updatedPayment;
+};
+
+const notifyPaymentReceived = async (payment) => {
+  const { data: invoice } = await supabase
+    .from('invoices')
+    .select('due_date, tenants!inner(name, user_id), properties!inner(name, owners!inner(user_id))')
+    .eq('id', payment.invoice_id)
+    .single();
+
+  if (!invoice) {
+    return;
+  }
+
+  await supabase
+    .from('notifications')
+    .insert([
+      {
+        user_id: invoice.tenants.user_id,
+        title: 'Payment Received',
+        message: `Your online payment of ${payment.amount} ${payment.currency} for the invoice due ${invoice.due_date} was received.`,
+        type: 'payment'
+      },
+      {
+        user_id: invoice.properties.owners.user_id,
+        title: 'Online Payment Received',
+        message: `${invoice.tenants.name} paid ${payment.amount} ${payment.currency} online for ${invoice.properties.name}.`,
+        type: 'payment'
+      }
+    ]);
+};
+
+// Record a refund the provider has completed: reverse the ledger payment (if
+// the payment had been applied to its invoice) and mark it refunded.
+const completeRefund = async (payment, providerRefundId, notes, recordedBy = null) => {
+  if (payment.ledger_entry_id) {
+    const { error } = await recordRefund(payment.invoice_id, {
+      amount: payment.amount,
+      method: 'online',
+      reference: providerRefundId,
+      notes,
+      recordedBy
+    });
+
+    if (error) {
+      throw new Error(`Failed to record refund for payment ${payment.id}: ${error.message}`);
+    }
+  }
+
+  await supabase
+    .from('online_payments')
+    .update({
+      status: 'refunded',
+      provider_refund_id: providerRefundId,
+      refunded_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', payment.id);
+
+  await logActivity(recordedBy, 'refund', 'online_payments', payment.id, { status: payment.status }, {
+    status: 'refunded',
+    provider_refund_id: providerRefundId,
+    amount: payment.amount
+  });
+};
+
+// Refund an online payment through its provider. Providers that settle refunds
+// later confirm them with a refund.succeeded webhook.
+const refundOnlinePayment = async (payment, notes, recordedBy = null) => {
+  const provider = getPaymentProvider(payment.provider);
+  const refund = await provider.refundPayment({
+    providerPaymentId: payment.provider_payment_id,
+    amount: payment.amount,
+    reference: payment.id
+  });
+
+  if (refund.status === 'succeeded') {
+    await completeRefund(payment, refund.providerRefundId, notes, recordedBy);
+    return 'refunded';
+  }
+
+  await supabase
+    .from('online_payments')
+    .update({
+      status: 'refund_pending',
+      provider_refund_id: refund.providerRefundId,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', payment.id);
+
+  return 'refund_pending';
+};
+
+const processWebhookEvent = async (providerName, event) => {
+  if (event.type === 'payment.succeeded') {
+    const { data: payment, error } = await supabase.rpc('confirm_online_payment', {
+      p_provider: providerName,
+      p_provider_payment_id: event.providerPaymentId
+    });
+
+    if (error) {
+      throw new Error(`Failed to confirm payment: ${error.message}`);
+    }
+
+    if (payment.status === 'requires_refund') {
+      // The invoice was settled another way in the meantime
+      await refundOnlinePayment(payment, 'Invoice was already settled when the online payment arrived');
+    } else if (payment.status === 'succeeded') {
+      await notifyPaymentReceived(payment);
+      await logActivity(null, 'confirm', 'online_payments', payment.id, { status: 'pending' }, { status: 'succeeded' });
+    }
+  } else if (event.type === 'payment.failed') {
+    await supabase
+      .from('online_payments')
+      .update({ status: 'failed', updated_at: new Date().toISOString() })
+      .eq('provider', providerName)
+      .eq('provider_payment_id', event.providerPaymentId)
+      .eq('status', 'pending');
+  } else if (event.type === 'refund.succeeded') {
+    const { data: payment } = await supabase
+      .from('online_payments')
+      .select('*')
+      .eq('provider', providerName)
+      .eq('provider_payment_id', event.providerPaymentId)
+      .eq('status', 'refund_pending')
+      .single();
+
+    if (payment) {
+      await completeRefund(payment, event.providerRefundId || payment.provider_refund_id, 'Refund confirmed by provider');
+    }
+  }
+};
+
+// Handle a verified provider webhook exactly once per provider event id.
+// Returns false for an event that was already processed.
+const handleWebhookEvent = async (providerName, event) => {
+  const { data: recorded, error } = await supabase
+    .from('payment_webhook_events')
+    .insert({
+      provider: providerName,
+      event_id: event.id,
+      event_type: event.type,
+      payload: event
+    })
+    .select()
+    .single();
+
+  if (error && error.code === '23505') {
+    return false;
+  }
+
+  if (error) {
+    throw new Error(`Failed to record webhook event: ${error.message}`);
+  }
+
+  try {
+    await processWebhookEvent(providerName, event);
+  } catch (processingError) {
+    // Forget the event so the provider's retry is processed again
+    await supabase.from('payment_webhook_events').delete().eq('id', recorded.id);
+    throw processingError;
+  }
+
+  return true;
+};
+
+// Refund every online payment made for a cancelled booking, then void the
+// booking's invoices that no longer have anything paid against them.
+const refundBookingPayments = async (bookingId, recordedBy) => {
+  const { data: invoices } = await supabase
+    .from('invoices')
+    .select('id')
+    .eq('booking_id', bookingId);
+
+  const invoiceIds = (invoices || []).map(invoice => invoice.id);
+  const result = { refunded: 0, pending: 0, failed: 0 };
+
+  if (invoiceIds.length === 0) {
+    return result;
+  }
+
+  const { data: payments } = await supabase
+    .from('online_payments')
+    .select('*')
+    .in('invoice_id', invoiceIds)
+    .eq('status', 'succeeded');
+
+  for (const payment of payments || []) {
+    try {
+      const outcome = await refundOnlinePayment(payment, 'Booking cancelled', recordedBy);
+      result[outcome === 'refunded' ? 'refunded' : 'pending']++;
+    } catch (error) {
+      console.error(`Refund of payment ${payment.id} failed:`, error);
+      result.failed++;
+    }
+  }
+
+  await supabase
+    .from('invoices')
+    .update({
+      status: 'void',
+      notes: 'Booking cancelled',
+      updated_at: new Date().toISOString()
+    })
+    .in('id', invoiceIds)
+    .eq('status', 'open')
+    .eq('amount_paid', 0);
+
+  return result;
+};
+
+module.exports = {
+  startPayment,
+  handleWebhookEvent,
+  refundBookingPayments
+};
@@ -0,0 +1,85 @@
+const { supabase } = require('../config/supabase');
+
+// Rights an owner can delegate to staff on a specific property
+const STAFF_SCOPES = ['manage_property', 'manage_rooms', 'approve_bookings', 'respond_complaints', 'manage_payments'];
+
+// Resolve whether the requesting user may act on a property with the given scope,
+// either as its verified owner or as active staff holding that scope.
+// On success the access record is also stored on req.propertyAccess so audit
+// entries can be attributed to the owner the staff member acted for.
+const getPropertyAccess = async (req, propertyId, scope) => {
+  const { data: property, error } = await supabase
+    .from('properties')
+    .select('id, owner_id, owners!inner(user_id)')
+    .eq('id', propertyId)
+    .single();
+
+  if (error || !property) {
+    return null;
+  }
+
+  let access = null;
+
+  if (property.owners.user_id === req.user.id) {
+    if (req.user.role !== 'owner' || req.user.verification_status !== 'approved') {
+      return null;
+    }
+    access = { isOwner: true, isStaff: false, staffId: null };
+  } else {
+    const { data: grant } = await supabase
+      .from('property_staff')
+      .select('id')
+      .eq('property_id', propertyId)
+      .eq('user_id', req.user.id)
+      .eq('status', 'active')
+      .contains('scopes', [scope])
+      .single();
+
+    if (!grant) {
+      return null;
+    }
+    access = { isOwner: false, isStaff: true, staffId: grant.id };
+  }
+
+  Object.assign(access, {
+    propertyId: property.id,
+    ownerId: property.owner_id,
+    ownerUserId: property.owners.user_id,
+    scope
+  });
+
+  req.propertyAccess = access;
+  return access;
+};
+
+// List the ids of every property the user owns or holds the given staff scope on
+const getAccessiblePropertyIds = async (user, scope) => {
+  const propertyIds = new Set();
+
+  if (user.role === 'owner') {
+    const { data: owner } = await supabase
+      .from('owners')
+      .select('id, properties(id)')
+      .eq('user_id', user.id)
+      .single();
+
+    (owner?.properties || []).forEach(property => propertyIds.add(property.id));
+  }
+
+  const { data: grants } = await supabase
+    .from('property_staff')
+    .select('property_id')
+    .eq('user_id', user.id)
+    .eq('status', 'active')
+    .contains('scopes', [scope]);
+
+  (grants || []).forEach(grant => propertyIds.add(grant.property_id));
+
+  return [...propertyIds];
+};
+
+module.exports = {
+  STAFF_SCOPES,
+  getPropertyAccess,
+  getAccessiblePropertyIds
+};
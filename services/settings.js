@@ -0,0 +1,52 @@
+const { supabase } = require('../config/supabase');
+
+// Read a single system setting, falling back to a default when missing
+const getSetting = async (key, defaultValue = null) => {
+  const { data: setting, error } = await supabase
+    .from('system_settings')
+    .select('setting_value')
+    .eq('setting_key', key)
+    .single();
+
+  if (error || !setting || setting.setting_value === null) {
+    return defaultValue;
+  }
+
+  return setting.setting_value;
+};
+
+// Read several settings at once, keyed by setting_key
+const getSettings = async (keys) => {
+  const { data: settings, error } = await supabase
+    .from('system_settings')
+    .select('setting_key, setting_value')
+    .in('setting_key', keys);
+
+  if (error || !settings) {
+    return {};
+  }
+
+  const settingsObject = {};
+  settings.forEach(setting => {
+    settingsObject[setting.setting_key] = setting.setting_value;
+  });
+
+  return settingsObject;
+};
+
+const getBooleanSetting = async (key, defaultValue = false) => {
+  const value = await getSetting(key, null);
+  return value === null ? defaultValue : value === 'true';
+};
+
+const getNumberSetting = async (key, defaultValue) => {
+  const value = parseFloat(await getSetting(key, null));
+  return isNaN(value) ? defaultValue : value;
+};
+
+module.exports = {
+  getSetting,
+  getSettings,
+  getBooleanSetting,
+  getNumberSetting
+};
@@ -0,0 +1,89 @@
+const { supabase } = require('../config/supabase');
+
+// HTTP status for each error transfer_room() raises on purpose
+const TRANSFER_ERRORS = {
+  P0002: { status: 404 }, // transfer not found
+  RT001: { status: 409 }, // already reviewed
+  RT002: { status: 409 }, // new room under maintenance
+  BK001: { status: 409 }, // tenant not checked in
+  BK003: { status: 409, message: 'Not enough free beds in the new room for these dates' }
+};
+
+// Move the tenant to the new room in one transaction. Returns { transfer, error };
+// error carries the HTTP status to respond with. Unexpected errors are thrown.
+const transferRoom = async (transferId, { reviewedBy, notes = null }) => {
+  const { data: transfer, error } = await supabase.rpc('transfer_room', {
+    p_transfer_id: transferId,
+    p_reviewed_by: reviewedBy,
+    p_notes: notes
+  });
+
+  if (!error) {
+    return { transfer, error: null };
+  }
+
+  const known = TRANSFER_ERRORS[error.code];
+  if (!known) {
+    throw new Error(`Failed to transfer room: ${error.message}`);
+  }
+
+  return { transfer: null, error: { status: known.status, message: known.message || error.message } };
+};
+
+const TENANCY_SELECT = 'id, room_id, property_id, status, move_in_date, move_out_date, previous_booking_id, rooms(room_number, room_type), properties(name)';
+
+// Every booking in a tenancy that continued across room transfers, oldest
+// first, found by following previous_booking_id both ways from one booking
+const getTenancyHistory = async (bookingId) => {
+  const { data: booking } = await supabase
+    .from('bookings')
+    .select(TENANCY_SELECT)
+    .eq('id', bookingId)
+    .single();
+
+  if (!booking) {
+    return [];
+  }
+
+  const history = [booking];
+  const seen = new Set([booking.id]);
+
+  let previousId = booking.previous_booking_id;
+  while (previousId && !seen.has(previousId)) {
+    const { data: previous } = await supabase
+      .from('bookings')
+      .select(TENANCY_SELECT)
+      .eq('id', previousId)
+      .single();
+
+    if (!previous) {
+      break;
+    }
+    history.unshift(previous);
+    seen.add(previous.id);
+    previousId = previous.previous_booking_id;
+  }
+
+  let currentId = booking.id;
+  for (;;) {
+    const { data: next } = await supabase
+      .from('bookings')
+      .select(TENANCY_SELECT)
+      .eq('previous_booking_id', currentId)
+      .maybeSingle();
+
+    if (!next || seen.has(next.id)) {
+      break;
+    }
+    history.push(next);
+    seen.add(next.id);
+    currentId = next.id;
+  }
+
+  return history;
+};
+
+module.exports = {
+  transferRoom,
+  getTenancyHistory
+};
@@ -0,0 +1,76 @@
+const { supabase } = require('../config/supabase');
+const { hashToken } = require('../middleware/auth');
+const { verifyCode, generateRecoveryCodes } = require('./totp');
+
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase();
+
+// Verify a TOTP code for an enrolled user, rejecting codes that were already used
+const verifyUserTotp = async (user, code) => {
+  const step = verifyCode(user.two_factor_secret, code);
+  if (step === null || (user.two_factor_last_step && step <= user.two_factor_last_step)) {
+    return false;
+  }
+
+  // Conditional update so two concurrent requests cannot both use the same code
+  const { data: updated } = await supabase
+    .from('users')
+    .update({ two_factor_last_step: step })
+    .eq('id', user.id)
+    .or(`two_factor_last_step.is.null,two_factor_last_step.lt.${step}`)
+    .select('id');
+
+  return Boolean(updated && updated.length > 0);
+};
+
+// Consume a recovery code. Each code works exactly once.
+const consumeRecoveryCode = async (userId, recoveryCode) => {
+  const { data: consumed } = await supabase
+    .from('user_recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('code_hash', hashToken(normalizeRecoveryCode(recoveryCode)))
+    .is('used_at', null)
+    .select('id');
+
+  return Boolean(consumed && consumed.length > 0);
+};
+
+// Verify the second factor with either a TOTP code or a recovery code.
+// Returns the method used, or null when verification failed.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return (await verifyUserTotp(user, code)) ? 'totp' : null;
+  }
+  if (recoveryCode) {
+    return (await consumeRecoveryCode(user.id, recoveryCode)) ? 'recovery_code' : null;
+  }
+  return null;
+};
+
+// Replace a user's recovery codes, returning the new plain-text codes once
+const replaceRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+
+  await supabase
+    .from('user_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  const { error } = await supabase
+    .from('user_recovery_codes')
+    .insert(codes.map(code => ({
+      user_id: userId,
+      code_hash: hashToken(normalizeRecoveryCode(code))
+    })));
+
+  if (error) {
+    throw new Error('Failed to store recovery codes');
+  }
+
+  return codes;
+};
+
+module.exports = {
+  verifySecondFactor,
+  replaceRecoveryCodes
+};
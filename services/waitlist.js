@@ -0,0 +1,137 @@
+const { supabase } = require('../config/supabase');
+const { getNumberSetting } = require('./settings');
+
+const OPEN_STATUSES = ['waiting', 'notified'];
+
+const sameRoomType = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Whether a waitlist entry would take a room of the given type
+const entryMatchesRoom = (entry, roomType) => !entry.room_type || sameRoomType(entry.room_type, roomType);
+
+// Attach each waiting entry's 1-based place in its property's queue. Entries
+// for any room type and for a specific type share one queue, ordered by when
+// the tenant joined.
+const withPositions = (entries) => {
+  const counters = new Map();
+
+  return [...entries]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map(entry => {
+      if (entry.status !== 'waiting') {
+        return { ...entry, position: null };
+      }
+      const position = (counters.get(entry.property_id) || 0) + 1;
+      counters.set(entry.property_id, position);
+      return { ...entry, position };
+    });
+};
+
+// Put notified entries whose tenant has not booked within
+// waitlist_notify_window_hours back in the queue, keeping their place. Pass a
+// property id to limit it to that property's waitlist.
+const expireWaitlistNotifications = async (propertyId = null) => {
+  const hours = await getNumberSetting('waitlist_notify_window_hours', 48);
+  const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  let query = supabase
+    .from('waitlist_entries')
+    .update({ status: 'waiting', notified_room_id: null, notified_at: null })
+    .eq('status', 'notified')
+    .lt('notified_at', cutoff);
+
+  if (propertyId) {
+    query = query.eq('property_id', propertyId);
+  }
+
+  const { error } = await query;
+  if (error) {
+    throw new Error(`Failed to expire waitlist notifications: ${error.message}`);
+  }
+};
+
+// Tell the next waiting tenants that a room they queued for is available now.
+// Best effort: failures are logged and never undo the change that freed the room.
+const notifyWaitlist = async (roomId) => {
+  try {
+    const { data: room } = await supabase
+      .from('rooms')
+      .select('id, room_number, room_type, status, property_id, properties!inner(name)')
+      .eq('id', roomId)
+      .single();
+
+    if (!room || room.status !== 'available') {
+      return [];
+    }
+
+    await expireWaitlistNotifications(room.property_id);
+
+    const { data: waiting, error } = await supabase
+      .from('waitlist_entries')
+      .select('id, room_type, tenants!inner(user_id)')
+      .eq('property_id', room.property_id)
+      .eq('status', 'waiting')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch waitlist: ${error.message}`);
+    }
+
+    const limit = await getNumberSetting('waitlist_notify_count', 3);
+    const next = waiting.filter(entry => entryMatchesRoom(entry, room.room_type)).slice(0, limit);
+
+    if (next.length === 0) {
+      return [];
+    }
+
+    // Claim the entries first so concurrent releases never notify a tenant twice
+    const { data: claimed } = await supabase
+      .from('waitlist_entries')
+      .update({
+        status: 'notified',
+        notified_room_id: room.id,
+        notified_at: new Date().toISOString()
+      })
+      .in('id', next.map(entry => entry.id))
+      .eq('status', 'waiting')
+      .select('id');
+
+    const claimedIds = new Set((claimed || []).map(entry => entry.id));
+    const notified = next.filter(entry => claimedIds.has(entry.id));
+
+    if (notified.length > 0) {
+      await supabase
+        .from('notifications')
+        .insert(notified.map(entry => ({
+          user_id: entry.tenants.user_id,
+          title: 'Room Available',
+          message: `Room ${room.room_number} (${room.room_type}) at ${room.properties.name} is available. ` +
+            'Book it before someone else does.',
+          type: 'booking'
+        })));
+    }
+
+    return notified;
+  } catch (error) {
+    console.error('Notify waitlist error:', error);
+    return [];
+  }
+};
+
+// Close a tenant's open waitlist entries for a property once they book there
+const markWaitlistBooked = async (tenantId, propertyId) => {
+  await supabase
+    .from('waitlist_entries')
+    .update({ status: 'booked' })
+    .eq('tenant_id', tenantId)
+    .eq('property_id', propertyId)
+    .in('status', OPEN_STATUSES);
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  sameRoomType,
+  withPositions,
+  expireWaitlistNotifications,
+  notifyWaitlist,
+  markWaitlistBooked
+};
@@ -0,0 +1,77 @@
+const { supabase } = require('../config/supabase');
+
+// Allowed work order status changes; completed and cancelled orders are final
+const WORK_ORDER_TRANSITIONS = {
+  open: ['scheduled', 'in_progress', 'completed', 'cancelled'],
+  scheduled: ['in_progress', 'completed', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const OPEN_WORK_ORDER_STATUSES = ['open', 'scheduled', 'in_progress'];
+
+const canTransition = (fromStatus, toStatus) => (WORK_ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const roundTotals = (totals) => Object.fromEntries(
+  Object.entries(totals).map(([key, value]) => [key, roundMoney(value)])
+);
+
+// An active vendor registered by the given owner, or null
+const getOwnerVendor = async (ownerId, vendorId) => {
+  const { data: vendor } = await supabase
+    .from('vendors')
+    .select('*')
+    .eq('id', vendorId)
+    .eq('owner_id', ownerId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  return vendor;
+};
+
+// Maintenance spend per property from completed work orders, with totals by
+// month of completion and by the vendor's trade
+const summarizeMaintenanceExpenses = (workOrders) => {
+  const properties = new Map();
+
+  workOrders.forEach(order => {
+    if (!properties.has(order.property_id)) {
+      properties.set(order.property_id, {
+        propertyId: order.property_id,
+        propertyName: order.properties ? order.properties.name : null,
+        workOrderCount: 0,
+        totalCost: 0,
+        byMonth: {},
+        byTrade: {}
+      });
+    }
+
+    const summary = properties.get(order.property_id);
+    const cost = parseFloat(order.cost) || 0;
+    const month = order.completed_at.slice(0, 7);
+    const trade = order.vendors ? order.vendors.trade : 'unassigned';
+
+    summary.workOrderCount++;
+    summary.totalCost += cost;
+    summary.byMonth[month] = (summary.byMonth[month] || 0) + cost;
+    summary.byTrade[trade] = (summary.byTrade[trade] || 0) + cost;
+  });
+
+  return [...properties.values()].map(summary => ({
+    ...summary,
+    totalCost: roundMoney(summary.totalCost),
+    byMonth: roundTotals(summary.byMonth),
+    byTrade: roundTotals(summary.byTrade)
+  }));
+};
+
+module.exports = {
+  WORK_ORDER_TRANSITIONS,
+  OPEN_WORK_ORDER_STATUSES,
+  canTransition,
+  getOwnerVendor,
+  summarizeMaintenanceExpenses
+};